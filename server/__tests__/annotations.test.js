@@ -0,0 +1,122 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import app from '../index.js';
+
+describe('Annotation Endpoints', () => {
+  let dir;
+  let consoleErrorStub;
+  const annotation = {
+    kind: 'note',
+    color: '#b2dfdb',
+    note: 'Foreshadowing',
+    created: '2024-01-01T00:00:00.000Z',
+    anchor: {
+      start: 8,
+      end: 15,
+      lineNum: 2,
+      column: 0,
+      quote: { exact: 'Ishmael', prefix: 'Call me\n', suffix: '.' },
+    },
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'annotations-'));
+    process.env.ANNOTATIONS_FILE = join(dir, 'annotations.json');
+    consoleErrorStub = sinon.stub(console, 'error');
+  });
+
+  afterEach(async () => {
+    consoleErrorStub.restore();
+    delete process.env.ANNOTATIONS_FILE;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/annotations/:bookId', () => {
+    it('should return an empty list for a book without annotations', async () => {
+      const response = await request(app).get('/api/annotations/2701').expect(200);
+
+      expect(response.body).to.deep.equal([]);
+    });
+  });
+
+  describe('PUT /api/annotations/:bookId/:id', () => {
+    it('should store an annotation under its book', async () => {
+      const response = await request(app)
+        .put('/api/annotations/2701/a1')
+        .send(annotation)
+        .expect(200);
+
+      expect(response.body).to.deep.equal({ ...annotation, id: 'a1' });
+      const list = await request(app).get('/api/annotations/2701').expect(200);
+      expect(list.body).to.deep.equal([{ ...annotation, id: 'a1' }]);
+      await request(app).get('/api/annotations/1342').expect(200, []);
+    });
+
+    it('should replace an annotation with the same id', async () => {
+      await request(app).put('/api/annotations/2701/a1').send(annotation);
+      await request(app)
+        .put('/api/annotations/2701/a1')
+        .send({ ...annotation, note: 'Changed' });
+
+      const list = await request(app).get('/api/annotations/2701');
+      expect(list.body.map(({ note }) => note)).to.deep.equal(['Changed']);
+    });
+
+    it('should keep every annotation of concurrent requests', async () => {
+      await Promise.all(
+        ['a1', 'a2', 'a3'].map((id) =>
+          request(app).put(`/api/annotations/2701/${id}`).send(annotation)
+        )
+      );
+
+      const stored = JSON.parse(await readFile(process.env.ANNOTATIONS_FILE, 'utf8'));
+      expect(stored['2701'].map(({ id }) => id)).to.have.members(['a1', 'a2', 'a3']);
+    });
+
+    it('should reject a body without an anchor', async () => {
+      const response = await request(app)
+        .put('/api/annotations/2701/a1')
+        .send({ kind: 'note' })
+        .expect(400);
+
+      expect(response.body.error).to.include('anchor');
+    });
+  });
+
+  describe('book ids that name Object properties', () => {
+    it('should treat them as ordinary books', async () => {
+      for (const bookId of ['__proto__', 'constructor', 'toString']) {
+        await request(app).get(`/api/annotations/${bookId}`).expect(200, []);
+        await request(app).put(`/api/annotations/${bookId}/a1`).send(annotation).expect(200);
+        await request(app)
+          .get(`/api/annotations/${bookId}`)
+          .expect(200, [{ ...annotation, id: 'a1' }]);
+      }
+      await request(app).delete('/api/annotations/constructor/a1').expect(204);
+      await request(app).get('/api/annotations/constructor').expect(200, []);
+
+      const stored = JSON.parse(await readFile(process.env.ANNOTATIONS_FILE, 'utf8'));
+      expect(Object.keys(stored)).to.deep.equal(['__proto__', 'toString']);
+    });
+  });
+
+  describe('DELETE /api/annotations/:bookId/:id', () => {
+    it('should remove an annotation', async () => {
+      await request(app).put('/api/annotations/2701/a1').send(annotation);
+
+      await request(app).delete('/api/annotations/2701/a1').expect(204);
+
+      await request(app).get('/api/annotations/2701').expect(200, []);
+    });
+
+    it('should return 404 for an unknown annotation', async () => {
+      const response = await request(app).delete('/api/annotations/2701/missing').expect(404);
+
+      expect(response.body).to.deep.equal({ error: 'Annotation not found' });
+    });
+  });
+});
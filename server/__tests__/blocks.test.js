@@ -0,0 +1,134 @@
+import { expect } from 'chai';
+import { linkNotes, markupToBlocks } from '../lib/blocks.js';
+import { parseMarkup } from '../lib/markup.js';
+
+const toBlocks = (body, options) => markupToBlocks(parseMarkup(`<body>${body}</body>`), options);
+
+describe('markupToBlocks', () => {
+  it('should turn headings and paragraphs into blocks', () => {
+    expect(toBlocks('<h2>Loomings</h2><p>Call me Ishmael.</p>')).to.deep.equal([
+      { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+      { type: 'paragraph', spans: [{ text: 'Call me Ishmael.' }] },
+    ]);
+  });
+
+  it('should keep italics and bold as styled spans', () => {
+    expect(toBlocks('<p>Call me <em>Ishmael</em>, <b>said <i>he</i></b>.</p>')).to.deep.equal([
+      {
+        type: 'paragraph',
+        spans: [
+          { text: 'Call me ' },
+          { text: 'Ishmael', italic: true },
+          { text: ', ' },
+          { text: 'said ', bold: true },
+          { text: 'he', italic: true, bold: true },
+          { text: '.' },
+        ],
+      },
+    ]);
+  });
+
+  it('should collapse whitespace and keep line breaks', () => {
+    expect(
+      toBlocks('<p>\n  Tyger Tyger,\n  burning bright, <br/>\n  In the forests  </p>')
+    ).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'Tyger Tyger, burning bright,\nIn the forests' }] },
+    ]);
+  });
+
+  it('should split text at block elements and drop empty blocks', () => {
+    const blocks = toBlocks('<div>Before<div> </div><p>inside</p>after</div>');
+
+    expect(blocks.map(({ spans }) => spans[0].text)).to.deep.equal(['Before', 'inside', 'after']);
+  });
+
+  it('should turn images into image blocks', () => {
+    const blocks = toBlocks(
+      '<p>A whale <img src="../images/whale.jpg" alt=" Sperm whale "/> here</p>',
+      {
+        resolveHref: (src) => src.replace('../', 'OEBPS/'),
+      }
+    );
+
+    expect(blocks).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'A whale' }] },
+      { type: 'image', alt: 'Sperm whale', src: 'OEBPS/images/whale.jpg' },
+      { type: 'paragraph', spans: [{ text: 'here' }] },
+    ]);
+  });
+
+  it('should leave out scripts and styles', () => {
+    expect(toBlocks('<script>var a = 1;</script><style>p {}</style><p>text</p>')).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'text' }] },
+    ]);
+  });
+
+  it('should report the block each id is in', () => {
+    const anchors = {};
+    toBlocks(
+      '<h2 id="ch1">One</h2><p>Text <a id="note"></a>more</p><div id="ch2"><p>Two</p></div>',
+      {
+        onAnchor: (id, block) => {
+          anchors[id] = block;
+        },
+      }
+    );
+
+    expect(anchors).to.deep.equal({ ch1: 0, note: 1, ch2: 2 });
+  });
+
+  it('should indent blockquotes and lists and mark list items', () => {
+    const blocks = toBlocks(
+      '<blockquote><p>Quoted</p></blockquote>' +
+        '<ol start="3"><li>Three</li><li><p>Four</p><p>more</p><ul><li>Inner</li></ul></li>' +
+        '<li value="9">Nine</li></ol><p>After</p>'
+    );
+
+    expect(blocks).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'Quoted' }], indent: 1 },
+      { type: 'paragraph', spans: [{ text: 'Three' }], indent: 1, marker: '3.' },
+      { type: 'paragraph', spans: [{ text: 'Four' }], indent: 1, marker: '4.' },
+      { type: 'paragraph', spans: [{ text: 'more' }], indent: 1 },
+      { type: 'paragraph', spans: [{ text: 'Inner' }], indent: 2, marker: '•' },
+      { type: 'paragraph', spans: [{ text: 'Nine' }], indent: 1, marker: '9.' },
+      { type: 'paragraph', spans: [{ text: 'After' }] },
+    ]);
+  });
+
+  it('should keep footnote references as spans with their href', () => {
+    const [paragraph] = toBlocks(
+      '<p>Whale<a href="#fn1">1</a>, ship<a class="fnanchor" href="notes.xhtml#n2">note</a>' +
+        ' and <a href="#ch2">chapter 2</a> <a href="https://x.org">3</a></p>',
+      { resolveHref: (href) => `OEBPS/${href}` }
+    );
+
+    expect(paragraph.spans).to.deep.equal([
+      { text: 'Whale' },
+      { text: '1', note: 'OEBPS/#fn1' },
+      { text: ', ship' },
+      { text: 'note', note: 'OEBPS/notes.xhtml#n2' },
+      { text: ' and chapter 2 3' },
+    ]);
+  });
+
+  it('should read a document without a body element', () => {
+    expect(markupToBlocks(parseMarkup('<p>bare</p>'))).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'bare' }] },
+    ]);
+  });
+});
+
+describe('linkNotes', () => {
+  it('should turn the notes of footnote references into block positions', () => {
+    const blocks = [
+      { type: 'paragraph', spans: [{ text: 'a' }, { text: '1', note: '#fn1' }] },
+      { type: 'paragraph', spans: [{ text: '2', note: '#missing' }] },
+      { type: 'image' },
+      { type: 'paragraph', spans: [{ text: 'The note' }] },
+    ];
+
+    expect(linkNotes(blocks, (href) => ({ '#fn1': 3 })[href])).to.equal(blocks);
+    expect(blocks[0].spans[1]).to.deep.equal({ text: '1', note: 3 });
+    expect(blocks[1].spans[0]).to.deep.equal({ text: '2' });
+  });
+});
@@ -3,6 +3,7 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import request from 'supertest';
 import app from '../index.js';
+import { createEpub } from './epub-fixture.js';
 
 describe('Books Endpoints', () => {
   let fetchStub;
@@ -138,6 +139,52 @@ describe('Books Endpoints', () => {
       expect(fetchStub.firstCall.args[0]).to.equal(bookUrl);
     });
 
+    it('should leave out the Project Gutenberg header and footer with strip=true', async () => {
+      const bookText = [
+        'Title: Frankenstein',
+        '*** START OF THE PROJECT GUTENBERG EBOOK FRANKENSTEIN ***',
+        'Letter 1',
+        '*** END OF THE PROJECT GUTENBERG EBOOK FRANKENSTEIN ***',
+        'License text',
+      ].join('\n');
+      fetchStub = sinon.stub(global, 'fetch').resolves({ ok: true, text: async () => bookText });
+
+      const response = await request(app)
+        .get('/api/book-text')
+        .query({ url: 'http://example.com/84.txt', strip: 'true' })
+        .expect(200);
+
+      expect(response.text).to.equal('Letter 1');
+    });
+
+    it('should convert an HTML book into its block model with format=html', async () => {
+      const html = [
+        '<html lang="en"><head><title>Moby Dick</title></head><body>',
+        '<section class="pg-boilerplate" id="pg-header">License</section>',
+        '<h2>Loomings</h2><p>Call me <i>Ishmael</i>.</p>',
+        '</body></html>',
+      ].join('');
+      fetchStub = sinon.stub(global, 'fetch').resolves({ ok: true, text: async () => html });
+
+      const response = await request(app)
+        .get('/api/book-text')
+        .query({ url: 'http://example.com/2701.html', format: 'html' })
+        .expect(200);
+
+      expect(response.headers['content-type']).to.include('application/json');
+      expect(response.body).to.deep.equal({
+        metadata: { title: 'Moby Dick', language: 'en' },
+        toc: [],
+        blocks: [
+          { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+          {
+            type: 'paragraph',
+            spans: [{ text: 'Call me ' }, { text: 'Ishmael', italic: true }, { text: '.' }],
+          },
+        ],
+      });
+    });
+
     it('should handle encoded URLs correctly', async () => {
       const bookUrl = 'http://example.com/book with spaces.txt';
       const encodedUrl = encodeURIComponent(bookUrl);
@@ -219,4 +266,62 @@ describe('Books Endpoints', () => {
       expect(response.headers['content-type']).to.include('text/plain');
     });
   });
+
+  describe('GET /api/book-content', () => {
+    it('should return 400 if url parameter is missing', async () => {
+      const response = await request(app).get('/api/book-content').expect(400);
+
+      expect(response.body).to.deep.equal({ error: 'URL parameter is required' });
+    });
+
+    it('should fetch an EPUB and return its block model', async () => {
+      const epub = createEpub();
+      const bookUrl = 'http://example.com/2701.epub';
+      fetchStub = sinon.stub(global, 'fetch').resolves({
+        ok: true,
+        arrayBuffer: async () => epub.buffer.slice(epub.byteOffset, epub.byteOffset + epub.length),
+      });
+
+      const response = await request(app)
+        .get('/api/book-content')
+        .query({ url: bookUrl })
+        .expect(200);
+
+      expect(fetchStub.firstCall.args[0]).to.equal(bookUrl);
+      expect(response.body).to.deep.equal({
+        metadata: { title: 'Moby Dick', author: 'Herman Melville' },
+        toc: [],
+        blocks: [
+          { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+          { type: 'paragraph', spans: [{ text: 'Call me Ishmael.' }] },
+        ],
+      });
+    });
+
+    it('should return 500 for a file that is not an EPUB', async () => {
+      fetchStub = sinon.stub(global, 'fetch').resolves({
+        ok: true,
+        arrayBuffer: async () => new TextEncoder().encode('Call me Ishmael.').buffer,
+      });
+
+      const response = await request(app)
+        .get('/api/book-content')
+        .query({ url: 'http://example.com/book.txt' })
+        .expect(500);
+
+      expect(response.body).to.deep.equal({ error: 'Not a ZIP archive' });
+      expect(consoleErrorStub.calledWith('Error reading EPUB:')).to.be.true;
+    });
+
+    it('should handle fetch errors', async () => {
+      fetchStub = sinon.stub(global, 'fetch').resolves({ ok: false, statusText: 'Not Found' });
+
+      const response = await request(app)
+        .get('/api/book-content')
+        .query({ url: 'http://example.com/missing.epub' })
+        .expect(500);
+
+      expect(response.body).to.deep.equal({ error: 'Failed to fetch: Not Found' });
+    });
+  });
 });
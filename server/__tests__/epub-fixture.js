@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Builders of ZIP archives and EPUB books for the server tests.
+ */
+
+import { crc32, deflateRawSync } from 'node:zlib';
+
+/**
+ * Builds a ZIP archive.
+ *
+ * @param {Object<string, string|Buffer>} files - Contents by path, in archive order
+ * @param {Object} [options] - Archive options
+ * @param {boolean} [options.store=false] - Store the files instead of deflating them
+ * @param {string} [options.comment=''] - Comment at the end of the archive
+ * @returns {Buffer} The archive
+ */
+export const createZip = (files, { store = false, comment = '' } = {}) => {
+  const locals = [];
+  const entries = [];
+  let offset = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const data = Buffer.from(contents);
+    const packed = store ? data : deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(store ? 0 : 8, 10);
+    entry.writeUInt32LE(crc32(data), 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, packed);
+    entries.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + packed.length;
+  }
+  const directory = Buffer.concat(entries);
+  const commentBytes = Buffer.from(comment);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(commentBytes.length, 20);
+  return Buffer.concat([...locals, directory, end, commentBytes]);
+};
+
+/**
+ * Wraps the body of a chapter in an XHTML document.
+ *
+ * @param {string} body - Markup of the body
+ * @returns {string} XHTML document
+ */
+export const xhtml = (body) =>
+  `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>Chapter</title><style>p { margin: 0 }</style></head>
+<body>${body}</body>
+</html>`;
+
+/**
+ * Builds an EPUB book with its package document in OEBPS/content.opf.
+ *
+ * @param {Object} [options] - Book options
+ * @param {string} [options.metadata] - Markup of the package metadata
+ * @param {Object<string, string>} [options.chapters] - Body markup of the chapters by file name,
+ *   in spine order
+ * @param {string} [options.nav] - Body markup of an EPUB 3 navigation document, nav.xhtml
+ * @param {string} [options.ncx] - navMap markup of an EPUB 2 NCX, toc.ncx
+ * @returns {Buffer} The EPUB file
+ */
+export const createEpub = ({
+  metadata = '<dc:title>Moby Dick</dc:title><dc:creator>Herman Melville</dc:creator>',
+  chapters = { 'chapter1.xhtml': '<h2>Loomings</h2><p>Call me Ishmael.</p>' },
+  nav,
+  ncx,
+} = {}) => {
+  const files = Object.keys(chapters);
+  const manifest = files.map(
+    (file, i) => `<item id="c${i}" href="text/${file}" media-type="application/xhtml+xml"/>`
+  );
+  if (nav) {
+    manifest.push(
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>'
+    );
+  }
+  if (ncx) manifest.push('<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>');
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">${metadata}</metadata>
+  <manifest>${manifest.join('')}</manifest>
+  <spine${ncx ? ' toc="ncx"' : ''}>${files.map((_, i) => `<itemref idref="c${i}"/>`).join('')}</spine>
+</package>`;
+  return createZip({
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+    'OEBPS/content.opf': opf,
+    ...Object.fromEntries(files.map((file) => [`OEBPS/text/${file}`, xhtml(chapters[file])])),
+    ...(nav && { 'OEBPS/nav.xhtml': xhtml(nav) }),
+    ...(ncx && {
+      'OEBPS/toc.ncx': `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">${ncx}</ncx>`,
+    }),
+  });
+};
@@ -0,0 +1,134 @@
+import { expect } from 'chai';
+import { parseEpub } from '../lib/epub.js';
+import { createEpub, createZip } from './epub-fixture.js';
+
+describe('parseEpub', () => {
+  it('should convert the spine chapters into blocks in reading order', () => {
+    const book = parseEpub(
+      createEpub({
+        chapters: {
+          'chapter1.xhtml': '<h2>Loomings</h2><p>Call me <i>Ishmael</i>.</p>',
+          'chapter2.xhtml': '<h2>The Carpet-Bag</h2><p>I stuffed a shirt or two.</p>',
+        },
+      })
+    );
+
+    expect(book.blocks).to.deep.equal([
+      { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+      {
+        type: 'paragraph',
+        spans: [{ text: 'Call me ' }, { text: 'Ishmael', italic: true }, { text: '.' }],
+      },
+      { type: 'heading', level: 2, spans: [{ text: 'The Carpet-Bag' }] },
+      { type: 'paragraph', spans: [{ text: 'I stuffed a shirt or two.' }] },
+    ]);
+  });
+
+  it('should link footnote references to their footnotes across chapters', () => {
+    const book = parseEpub(
+      createEpub({
+        chapters: {
+          'chapter1.xhtml': '<p>Whale<a href="notes.xhtml#n1">1</a>.</p>',
+          'notes.xhtml': '<h2>Notes</h2><p id="n1">The sperm whale.</p>',
+        },
+      })
+    );
+
+    expect(book.blocks[0].spans).to.deep.equal([
+      { text: 'Whale' },
+      { text: '1', note: 2 },
+      { text: '.' },
+    ]);
+  });
+
+  it('should read the metadata of the package document', () => {
+    const book = parseEpub(
+      createEpub({
+        metadata: `
+          <dc:title>Moby Dick; Or, The Whale</dc:title>
+          <dc:creator>Herman Melville</dc:creator>
+          <dc:language>en</dc:language>
+          <dc:date>2001-07-01</dc:date>
+          <dc:identifier id="id">http://www.gutenberg.org/2701</dc:identifier>`,
+      })
+    );
+
+    expect(book.metadata).to.deep.equal({
+      title: 'Moby Dick; Or, The Whale',
+      author: 'Herman Melville',
+      releaseDate: '2001-07-01',
+      language: 'en',
+      ebookNumber: 2701,
+    });
+  });
+
+  it('should read the table of contents of a navigation document', () => {
+    const book = parseEpub(
+      createEpub({
+        chapters: {
+          'part1.xhtml': '<h1>Part One</h1><h2 id="c1">Chapter 1</h2><p>One.</p>',
+          'part2.xhtml': '<p>Opening.</p><h2 id="c2">Chapter 2</h2><p>Two.</p>',
+        },
+        nav: `<nav epub:type="landmarks"><ol><li><a href="text/part2.xhtml">Cover</a></li></ol></nav>
+          <nav epub:type="toc"><ol>
+            <li><a href="text/part1.xhtml">Part One</a>
+              <ol><li><a href="text/part1.xhtml#c1">Chapter 1</a></li></ol>
+            </li>
+            <li><a href="text/part2.xhtml#c2">Chapter 2</a></li>
+          </ol></nav>`,
+      })
+    );
+
+    expect(book.toc).to.deep.equal([
+      { title: 'Part One', level: 1, block: 0 },
+      { title: 'Chapter 1', level: 2, block: 1 },
+      { title: 'Chapter 2', level: 1, block: 4 },
+    ]);
+  });
+
+  it('should read the table of contents of an NCX', () => {
+    const book = parseEpub(
+      createEpub({
+        chapters: { 'chapter1.xhtml': '<p>Title page</p><h2 id="c1">Loomings</h2><p>Call me.</p>' },
+        ncx: `<navMap>
+          <navPoint id="np1" playOrder="1">
+            <navLabel><text>Loomings</text></navLabel>
+            <content src="text/chapter1.xhtml#c1"/>
+          </navPoint>
+          <navPoint id="np2" playOrder="2">
+            <navLabel><text>Missing</text></navLabel>
+            <content src="text/missing.xhtml"/>
+          </navPoint>
+        </navMap>`,
+      })
+    );
+
+    expect(book.toc).to.deep.equal([{ title: 'Loomings', level: 1, block: 1 }]);
+  });
+
+  it('should keep links with a malformed escape as written', () => {
+    const book = parseEpub(
+      createEpub({
+        chapters: {
+          'ch%zz.xhtml': '<h2 id="c%1">Loomings</h2><p>Call me Ishmael.</p>',
+          'chapter2.xhtml': '<p>See<a href="ch%zz.xhtml#c%1">1</a>.</p>',
+        },
+        nav: '<nav epub:type="toc"><ol><li><a href="text/ch%zz.xhtml#c%1">Loomings</a></li></ol></nav>',
+      })
+    );
+
+    expect(book.blocks).to.have.lengthOf(3);
+    expect(book.toc).to.deep.equal([{ title: 'Loomings', level: 1, block: 0 }]);
+    expect(book.blocks[2].spans[1]).to.deep.equal({ text: '1', note: 0 });
+  });
+
+  it('should give an empty table of contents to a book without one', () => {
+    expect(parseEpub(createEpub()).toc).to.deep.equal([]);
+  });
+
+  it('should throw for a ZIP archive that is not an EPUB', () => {
+    expect(() => parseEpub(createZip({ 'a.txt': 'text' }))).to.throw(
+      'Not an EPUB: no META-INF/container.xml'
+    );
+  });
+});
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { parseHtmlBook } from '../lib/html.js';
+
+describe('parseHtmlBook', () => {
+  it('should convert the body into blocks', () => {
+    const book = parseHtmlBook(`<!DOCTYPE html>
+<html><head><title>Moby Dick</title><style>p { margin: 0 }</style>
+<script>document.title = 'x';</script></head>
+<body>
+<h1>MOBY-DICK</h1>
+<h2>CHAPTER 1. Loomings.</h2>
+<p>Call me <i>Ishmael</i>. <b>Some years ago</b>&mdash;never mind how long.</p>
+<blockquote><p>&ldquo;Whales in the sea God&rsquo;s voice obey.&rdquo;</p></blockquote>
+<ul><li>First</li><li>Second</li></ul>
+</body></html>`);
+
+    expect(book.toc).to.deep.equal([]);
+    expect(book.blocks).to.deep.equal([
+      { type: 'heading', level: 1, spans: [{ text: 'MOBY-DICK' }] },
+      { type: 'heading', level: 2, spans: [{ text: 'CHAPTER 1. Loomings.' }] },
+      {
+        type: 'paragraph',
+        spans: [
+          { text: 'Call me ' },
+          { text: 'Ishmael', italic: true },
+          { text: '. ' },
+          { text: 'Some years ago', bold: true },
+          { text: '—never mind how long.' },
+        ],
+      },
+      {
+        type: 'paragraph',
+        spans: [{ text: '“Whales in the sea God’s voice obey.”' }],
+        indent: 1,
+      },
+      { type: 'paragraph', spans: [{ text: 'First' }], indent: 1, marker: '•' },
+      { type: 'paragraph', spans: [{ text: 'Second' }], indent: 1, marker: '•' },
+    ]);
+  });
+
+  it('should leave out the Project Gutenberg license header and footer', () => {
+    const book = parseHtmlBook(
+      '<body><section class="pg-boilerplate pgheader" id="pg-header"><p>License</p></section>' +
+        '<p>Call me Ishmael.</p><section id="pg-footer"><p>End of license</p></section></body>'
+    );
+
+    expect(book.blocks).to.deep.equal([
+      { type: 'paragraph', spans: [{ text: 'Call me Ishmael.' }] },
+    ]);
+  });
+
+  it('should link footnote references to their footnotes', () => {
+    const book = parseHtmlBook(
+      '<body><p>Whale<a id="r1" href="#fn1" class="fnanchor">[1]</a>.</p>' +
+        '<p>Ship<a href="#missing">[2]</a>.</p>' +
+        '<div class="footnote"><p><a id="fn1" href="#r1">[1]</a> The sperm whale.</p></div></body>'
+    );
+
+    expect(book.blocks[0].spans[1]).to.deep.equal({ text: '[1]', note: 2 });
+    expect(book.blocks[1].spans).to.deep.equal([{ text: 'Ship' }, { text: '[2]' }, { text: '.' }]);
+  });
+
+  it('should read the metadata of the head', () => {
+    const book = parseHtmlBook(`<html lang="en"><head>
+<title>The Project Gutenberg eBook of Moby Dick</title>
+<meta name="dc.title" content="Moby Dick; Or, The Whale">
+<meta name="dc.creator" content="Melville, Herman">
+<meta name="dcterms.created" content="2001-07-01">
+<meta name="dc.language" content="English">
+</head><body><p>Text</p></body></html>`);
+
+    expect(book.metadata).to.deep.equal({
+      title: 'Moby Dick; Or, The Whale',
+      author: 'Melville, Herman',
+      releaseDate: '2001-07-01',
+      language: 'English',
+    });
+  });
+
+  it('should fall back to the title element and the language of the document', () => {
+    const book = parseHtmlBook('<html lang="fr"><head><title>Candide</title></head></html>');
+
+    expect(book.metadata).to.deep.equal({ title: 'Candide', language: 'fr' });
+    expect(book.blocks).to.deep.equal([]);
+  });
+});
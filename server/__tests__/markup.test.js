@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { decodeEntities, find, findAll, parseMarkup, textOf } from '../lib/markup.js';
+
+describe('markup', () => {
+  describe('parseMarkup', () => {
+    it('should build a tree of elements and text', () => {
+      const doc = parseMarkup('<p class="first">Call me <em>Ishmael</em>.</p>');
+      const [p] = doc.children;
+
+      expect(p.name).to.equal('p');
+      expect(p.attrs).to.deep.equal({ class: 'first' });
+      expect(p.children[0]).to.equal('Call me ');
+      expect(p.children[1]).to.include({ name: 'em', local: 'em' });
+      expect(p.children[1].children).to.deep.equal(['Ishmael']);
+      expect(p.children[2]).to.equal('.');
+    });
+
+    it('should give prefixed elements a lowercase local name', () => {
+      const doc = parseMarkup('<dc:title>Moby Dick</dc:title><navPoint/>');
+
+      expect(doc.children.map(({ name, local }) => [name, local])).to.deep.equal([
+        ['dc:title', 'title'],
+        ['navPoint', 'navpoint'],
+      ]);
+    });
+
+    it('should leave out comments, declarations and processing instructions', () => {
+      const doc = parseMarkup(
+        '<?xml version="1.0"?><!DOCTYPE html><!-- <p>hidden</p> --><p>shown</p>'
+      );
+
+      expect(doc.children).to.have.lengthOf(1);
+      expect(textOf(doc)).to.equal('shown');
+    });
+
+    it('should keep the text of CDATA sections as written', () => {
+      expect(textOf(parseMarkup('<p><![CDATA[a < b & c]]></p>'))).to.equal('a < b & c');
+    });
+
+    it('should decode entities in text and attributes', () => {
+      const doc = parseMarkup('<a title="Fish &amp; chips">Tom&rsquo;s &#8220;boat&#x201D;</a>');
+
+      expect(doc.children[0].attrs.title).to.equal('Fish & chips');
+      expect(textOf(doc)).to.equal('Tom’s “boat”');
+    });
+
+    it('should not wait for the end of void and self-closing elements', () => {
+      const doc = parseMarkup('<p>one<br>two<img src="a.png"/>three</p>');
+
+      expect(doc.children[0].children.map((child) => child.name ?? child)).to.deep.equal([
+        'one',
+        'br',
+        'two',
+        'img',
+        'three',
+      ]);
+    });
+
+    it('should close unclosed elements at the end of their parent', () => {
+      const doc = parseMarkup('<div><p>one<p>two</div><p>three</p>');
+
+      expect(doc.children.map(({ name }) => name)).to.deep.equal(['div', 'p']);
+      expect(textOf(doc.children[0])).to.equal('onetwo');
+    });
+
+    it('should ignore closing tags without an open element', () => {
+      const doc = parseMarkup('<p>one</span>two</p>');
+
+      expect(textOf(doc.children[0])).to.equal('onetwo');
+    });
+  });
+
+  describe('decodeEntities', () => {
+    it('should decode the Latin-1 and punctuation entities of HTML', () => {
+      expect(
+        decodeEntities('&Eacute;mile &agrave; &yuml; &nbsp;&frac12; &oelig;&mdash;&dagger;')
+      ).to.equal('Émile à ÿ \u00a0½ œ—†');
+    });
+
+    it('should keep unknown entities as written', () => {
+      expect(decodeEntities('&bogus; &amp;')).to.equal('&bogus; &');
+    });
+  });
+
+  describe('find and findAll', () => {
+    it('should find descendants by local name in document order', () => {
+      const doc = parseMarkup(
+        '<ol><li><a>1</a><ol><li><a>1.1</a></li></ol></li><li><a>2</a></li></ol>'
+      );
+
+      expect(findAll(doc, 'a').map(textOf)).to.deep.equal(['1', '1.1', '2']);
+      expect(textOf(find(doc, 'li'))).to.equal('11.1');
+      expect(find(doc, 'nav')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { expect } from 'chai';
+import { readZip } from '../lib/zip.js';
+import { createZip } from './epub-fixture.js';
+
+describe('readZip', () => {
+  it('should list and read deflated files', () => {
+    const zip = readZip(createZip({ 'a.txt': 'Call me Ishmael.', 'dir/b.txt': 'Loomings' }));
+
+    expect(zip.names).to.deep.equal(['a.txt', 'dir/b.txt']);
+    expect(zip.readText('a.txt')).to.equal('Call me Ishmael.');
+    expect(zip.readText('dir/b.txt')).to.equal('Loomings');
+  });
+
+  it('should read stored files', () => {
+    const zip = readZip(createZip({ mimetype: 'application/epub+zip' }, { store: true }));
+
+    expect(zip.readText('mimetype')).to.equal('application/epub+zip');
+  });
+
+  it('should find the directory before an archive comment', () => {
+    const zip = readZip(createZip({ 'a.txt': 'text' }, { comment: 'made for a test' }));
+
+    expect(zip.has('a.txt')).to.be.true;
+    expect(zip.has('b.txt')).to.be.false;
+  });
+
+  it('should throw for a missing file', () => {
+    const zip = readZip(createZip({ 'a.txt': 'text' }));
+
+    expect(() => zip.read('b.txt')).to.throw('No file "b.txt" in the ZIP archive');
+  });
+
+  it('should throw for data that is not a ZIP archive', () => {
+    expect(() =>
+      readZip(Buffer.from('Call me Ishmael. Some years ago, never mind how long'))
+    ).to.throw('Not a ZIP archive');
+    expect(() => readZip(Buffer.alloc(4))).to.throw('Not a ZIP archive');
+  });
+});
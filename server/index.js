@@ -9,6 +9,7 @@ import { fileURLToPath } from 'node:url';
 import cors from 'cors';
 import express from 'express';
 
+import annotationsRoutes from './routes/annotations.js';
 import booksRoutes from './routes/books.js';
 import cacheRoutes from './routes/cache.js';
 import healthRoutes from './routes/health.js';
@@ -23,6 +24,7 @@ app.use(cors());
 
 // Mount route handlers
 app.use('/api', booksRoutes);
+app.use('/api/annotations', annotationsRoutes);
 app.use('/api/cache', cacheRoutes);
 app.use('/health', healthRoutes);
 app.use('/api', searchRoutes);
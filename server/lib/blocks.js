@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Conversion of (X)HTML documents into the rich-text block model.
+ * Walks a parsed document and turns its headings, paragraphs and other block elements into
+ * BookBlocks, keeping italics and bold as styled spans, footnote references as spans linked to
+ * their footnotes, the nesting of blockquotes and lists as indents, and images as placeholders.
+ * Whitespace is collapsed as a browser would, and line breaks become line breaks inside a block.
+ */
+
+import { find, textOf } from './markup.js';
+
+/** Elements that start and end a block of text @type {Set<string>} */
+const BLOCK_ELEMENTS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'center',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'footer',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+]);
+
+/** Elements whose content is not part of the text @type {Set<string>} */
+const SKIPPED_ELEMENTS = new Set(['head', 'noscript', 'script', 'style', 'template', 'title']);
+
+/** List elements, with whether their items are numbered @type {Object<string, boolean>} */
+const LIST_ELEMENTS = { ol: true, ul: false };
+
+/** Marker of the items of unnumbered lists @type {string} */
+const BULLET = '•';
+
+/** Elements drawn in italics @type {Set<string>} */
+const ITALIC_ELEMENTS = new Set(['cite', 'dfn', 'em', 'i', 'var']);
+
+/** Elements drawn in bold @type {Set<string>} */
+const BOLD_ELEMENTS = new Set(['b', 'strong']);
+
+/** Elements of images, in HTML and in SVG @type {Set<string>} */
+const IMAGE_ELEMENTS = new Set(['img', 'image']);
+
+/** A heading element, capturing its level @type {RegExp} */
+const HEADING = /^h([1-6])$/;
+
+/** Whitespace collapsed to one space; no-break spaces are kept @type {RegExp} */
+const WHITESPACE = /[ \t\r\n\f]+/g;
+
+/** Classes, EPUB types and roles of links to footnotes @type {RegExp} */
+const NOTE_LINK = /\b(?:noteref|fnanchor|footnote-?ref|fn-?ref)\b/i;
+
+/** Text of a link to a footnote: a short number or a note mark, maybe in brackets @type {RegExp} */
+const NOTE_MARK = /^\[?(?:\d{1,3}|[*†‡§])\]?$/;
+
+/**
+ * Options of markupToBlocks.
+ * @typedef {Object} MarkupToBlocksOptions
+ * @property {function(string, number): void} [onAnchor] - Called with the id of each element
+ *   that has one and the position of the block it is in or starts, so links can be resolved to
+ *   blocks
+ * @property {function(string): string} [resolveHref] - Turns the src of an image into the path
+ *   kept in its block, and the href of a footnote reference into the key linkNotes looks up
+ */
+
+/**
+ * Whether a link is a footnote reference: a link to a fragment whose class, EPUB type or role
+ * names it one, or whose text is a note number or mark such as '12', '[3]' or '*'.
+ *
+ * @param {MarkupElement} element - Element
+ * @param {string} text - Text of the element
+ * @returns {boolean} True for a footnote reference
+ * @private
+ */
+const isNoteLink = ({ local, attrs }, text) =>
+  local === 'a' &&
+  Boolean(attrs.href?.includes('#')) &&
+  (NOTE_LINK.test(`${attrs.class ?? ''} ${attrs['epub:type'] ?? ''} ${attrs.role ?? ''}`) ||
+    NOTE_MARK.test(text));
+
+/**
+ * Tidies the whitespace of a block's spans: drops spaces at the start and end of the block and
+ * around line breaks, and line breaks at the start and end.
+ *
+ * @param {BookSpan[]} spans - Spans with collapsed whitespace
+ * @returns {BookSpan[]} Non-empty tidied spans
+ * @private
+ */
+const tidySpans = (spans) => {
+  const tidied = [];
+  for (const span of spans) {
+    const previous = tidied.at(-1);
+    let text = span.text.replace(/ *\n */g, '\n');
+    if (!previous) text = text.replace(/^[ \n]+/, '');
+    else if (/[ \n]$/.test(previous.text)) text = text.replace(/^ +/, '');
+    if (previous && text.startsWith('\n')) previous.text = previous.text.replace(/ +$/, '');
+    if (text) tidied.push({ ...span, text });
+  }
+  while (tidied.length && !tidied.at(-1).text.trimEnd()) tidied.pop();
+  if (tidied.length) tidied.at(-1).text = tidied.at(-1).text.trimEnd();
+  return tidied.filter(({ text }) => text);
+};
+
+/**
+ * Converts the body of a parsed (X)HTML document into blocks.
+ * Headings h1 to h6 become heading blocks, the text of other block elements such as p, div and
+ * li becomes paragraph blocks, and images become image blocks. Blocks inside blockquotes and
+ * lists are indented one step per level, and the first block of a list item is marked with its
+ * number or a bullet. Inside a block, em, i, cite, dfn and var are italic, b and strong bold, br
+ * a line break, and a footnote reference a span whose note is its href, which linkNotes turns
+ * into the position of the footnote's block. Scripts and styles are left out.
+ *
+ * @param {MarkupElement} doc - Parsed document
+ * @param {MarkupToBlocksOptions} [options] - Callbacks for anchors and image paths
+ * @returns {BookBlock[]} Blocks of the document in order
+ *
+ * @example
+ * markupToBlocks(parseMarkup('<body><h2>Loomings</h2><p>Call me <em>Ishmael</em>.</p></body>'));
+ * // [
+ * //   { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+ * //   { type: 'paragraph', spans: [{ text: 'Call me ' }, { text: 'Ishmael', italic: true }, { text: '.' }] },
+ * // ]
+ */
+export const markupToBlocks = (doc, { onAnchor, resolveHref = (href) => href } = {}) => {
+  const blocks = [];
+  let spans = [];
+  let headingLevel = 0;
+  let indent = 0;
+  // Marker of the list item whose first block is still to come
+  let marker = null;
+  const lists = [];
+
+  const flush = () => {
+    const tidied = tidySpans(spans);
+    spans = [];
+    if (!tidied.length) return;
+    blocks.push({
+      ...(headingLevel
+        ? { type: 'heading', level: headingLevel, spans: tidied }
+        : { type: 'paragraph', spans: tidied }),
+      ...(indent && { indent }),
+      ...(marker && { marker }),
+    });
+    marker = null;
+  };
+
+  const addText = (text, { italic, bold }, note) => {
+    const last = spans.at(-1);
+    if (
+      note === undefined &&
+      last?.note === undefined &&
+      last &&
+      Boolean(last.italic) === italic &&
+      Boolean(last.bold) === bold
+    ) {
+      last.text += text;
+    } else {
+      spans.push({ text, ...(italic && { italic }), ...(bold && { bold }), ...(note && { note }) });
+    }
+  };
+
+  const visit = (element, style) => {
+    for (const child of element.children) {
+      if (typeof child === 'string') {
+        addText(child.replace(WHITESPACE, ' '), style);
+        continue;
+      }
+      const { local, attrs } = child;
+      if (SKIPPED_ELEMENTS.has(local)) continue;
+      const heading = HEADING.exec(local);
+      const isBlock = heading || BLOCK_ELEMENTS.has(local) || IMAGE_ELEMENTS.has(local);
+      if (isBlock) flush();
+      if (attrs.id) onAnchor?.(attrs.id, blocks.length);
+      const linkText = local === 'a' ? textOf(child) : '';
+
+      if (IMAGE_ELEMENTS.has(local)) {
+        const src = attrs.src ?? attrs['xlink:href'] ?? attrs.href;
+        blocks.push({
+          type: 'image',
+          ...(attrs.alt?.trim() && { alt: attrs.alt.trim() }),
+          ...(src && { src: resolveHref(src) }),
+        });
+      } else if (local === 'br') {
+        addText('\n', style);
+      } else if (linkText && isNoteLink(child, linkText)) {
+        addText(linkText, style, resolveHref(attrs.href));
+      } else if (local in LIST_ELEMENTS) {
+        lists.push({ ordered: LIST_ELEMENTS[local], next: Number.parseInt(attrs.start, 10) || 1 });
+        indent++;
+        visit(child, style);
+        flush();
+        indent--;
+        lists.pop();
+      } else if (local === 'li') {
+        const list = lists.at(-1);
+        const number = Number.parseInt(attrs.value, 10) || list?.next;
+        if (list?.ordered) list.next = number + 1;
+        marker = list?.ordered ? `${number}.` : BULLET;
+        visit(child, style);
+        flush();
+        marker = null;
+      } else if (local === 'blockquote') {
+        indent++;
+        visit(child, style);
+        flush();
+        indent--;
+      } else if (heading) {
+        headingLevel = Number(heading[1]);
+        visit(child, style);
+        flush();
+        headingLevel = 0;
+      } else {
+        visit(child, {
+          italic: style.italic || ITALIC_ELEMENTS.has(local),
+          bold: style.bold || BOLD_ELEMENTS.has(local),
+        });
+        if (isBlock) flush();
+      }
+    }
+  };
+
+  visit(find(doc, 'body') ?? doc, { italic: false, bold: false });
+  flush();
+  return blocks;
+};
+
+/**
+ * Links the footnote references of blocks to their footnotes: the note of each reference, as set
+ * by markupToBlocks, becomes the position of the footnote's block, or is dropped if the footnote
+ * is not among the blocks.
+ *
+ * @param {BookBlock[]} blocks - Blocks with footnote references, changed in place
+ * @param {function(string): (number|undefined)} blockOf - Finds the block of a reference's note
+ * @returns {BookBlock[]} The blocks
+ *
+ * @example
+ * const anchors = new Map();
+ * const blocks = markupToBlocks(doc, { onAnchor: (id, block) => anchors.set(`#${id}`, block) });
+ * linkNotes(blocks, (href) => anchors.get(href));
+ */
+export const linkNotes = (blocks, blockOf) => {
+  for (const { spans = [] } of blocks) {
+    for (const span of spans) {
+      if (typeof span.note !== 'string') continue;
+      const block = blockOf(span.note);
+      if (block === undefined) {
+        delete span.note;
+      } else {
+        span.note = block;
+      }
+    }
+  }
+  return blocks;
+};
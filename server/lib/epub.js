@@ -0,0 +1,203 @@
+/**
+ * @fileoverview EPUB reader.
+ * Opens an EPUB book, reads its package document for the metadata, manifest and spine, and
+ * converts the chapters of the spine, in reading order, into the rich-text block model. The
+ * table of contents comes from the EPUB 3 navigation document, or the EPUB 2 NCX when there is
+ * none, with each entry pointing at the block its link leads to, and footnote references are
+ * linked to the blocks of their footnotes, in whichever chapter they are.
+ */
+
+import { posix } from 'node:path';
+import { linkNotes, markupToBlocks } from './blocks.js';
+import { find, findAll, parseMarkup, textOf } from './markup.js';
+import { readZip } from './zip.js';
+
+/** Path of the file naming the package document @type {string} */
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+/** Media type of the EPUB 2 table of contents @type {string} */
+const NCX_TYPE = 'application/x-dtbncx+xml';
+
+/** Media types of the chapters converted to blocks @type {Set<string>} */
+const CHAPTER_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+
+/** Project Gutenberg ebook number in a book identifier @type {RegExp} */
+const GUTENBERG_ID = /gutenberg\.org\/(?:ebooks\/)?(\d+)/;
+
+/**
+ * Decodes the percent escapes of a link, keeping a link with a malformed escape as written.
+ *
+ * @param {string} text - Part of a link
+ * @returns {string} Decoded text
+ * @private
+ */
+const decodeLink = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Resolves a link of a file in the book to a path in the archive and a fragment.
+ *
+ * @param {string} from - Path of the file holding the link
+ * @param {string} href - Link, relative to that file
+ * @returns {{path: string, fragment: string}} Archive path, and fragment or empty string
+ * @private
+ */
+const resolveHref = (from, href) => {
+  const [file, fragment = ''] = href.split('#');
+  const path = file ? posix.normalize(posix.join(posix.dirname(from), decodeLink(file))) : from;
+  return { path, fragment: decodeLink(fragment) };
+};
+
+/**
+ * Key of a link target among the block positions of a book's chapters and their anchors.
+ *
+ * @param {{path: string, fragment: string}} target - Resolved link
+ * @returns {string} 'path#fragment', or the path of a link to a whole file
+ * @private
+ */
+const targetKey = ({ path, fragment }) => (fragment ? `${path}#${fragment}` : path);
+
+/**
+ * Reads the metadata of the package document.
+ *
+ * @param {MarkupElement} opf - Parsed package document
+ * @returns {BookMetadata} Title, author, language, date and Project Gutenberg number
+ * @private
+ */
+const readMetadata = (opf) => {
+  const metadata = find(opf, 'metadata') ?? opf;
+  const title = textOf(find(metadata, 'title'));
+  const author = findAll(metadata, 'creator').map(textOf).filter(Boolean).join(' and ');
+  const language = textOf(find(metadata, 'language'));
+  const releaseDate = textOf(find(metadata, 'date'));
+  const ebookNumber = findAll(metadata, 'identifier')
+    .map((identifier) => GUTENBERG_ID.exec(textOf(identifier))?.[1])
+    .find(Boolean);
+  return {
+    ...(title && { title }),
+    ...(author && { author }),
+    ...(releaseDate && { releaseDate }),
+    ...(language && { language }),
+    ...(ebookNumber && { ebookNumber: Number(ebookNumber) }),
+  };
+};
+
+/**
+ * Reads the entries of an EPUB 3 navigation document's table of contents.
+ *
+ * @param {MarkupElement} nav - Parsed navigation document
+ * @returns {Array<{title: string, level: number, href: string}>} Entries in order
+ * @private
+ */
+const readNav = (nav) => {
+  const navs = findAll(nav, 'nav');
+  const toc = navs.find(({ attrs }) => /\btoc\b/.test(attrs['epub:type'] ?? '')) ?? navs[0];
+  const entries = [];
+  const visitList = (list, level) => {
+    for (const item of list.children) {
+      if (typeof item === 'string' || item.local !== 'li') continue;
+      const link = find(item, 'a');
+      if (link?.attrs.href) entries.push({ title: textOf(link), level, href: link.attrs.href });
+      const nested = item.children.find(
+        (child) => typeof child !== 'string' && child.local === 'ol'
+      );
+      if (nested) visitList(nested, level + 1);
+    }
+  };
+  const list = toc && find(toc, 'ol');
+  if (list) visitList(list, 1);
+  return entries;
+};
+
+/**
+ * Reads the entries of an EPUB 2 NCX table of contents.
+ *
+ * @param {MarkupElement} ncx - Parsed NCX document
+ * @returns {Array<{title: string, level: number, href: string}>} Entries in order
+ * @private
+ */
+const readNcx = (ncx) => {
+  const entries = [];
+  const visitPoints = (parent, level) => {
+    for (const point of parent.children) {
+      if (typeof point === 'string' || point.local !== 'navpoint') continue;
+      const src = find(point, 'content')?.attrs.src;
+      if (src) entries.push({ title: textOf(find(point, 'navlabel')), level, href: src });
+      visitPoints(point, level + 1);
+    }
+  };
+  const navMap = find(ncx, 'navmap');
+  if (navMap) visitPoints(navMap, 1);
+  return entries;
+};
+
+/**
+ * Reads an EPUB book and converts it to the block model.
+ * Chapters are converted in spine order; files of other media types in the spine are skipped.
+ * Table of contents entries whose link leads to no converted block are left out.
+ *
+ * @param {Buffer} buffer - EPUB file
+ * @returns {BlockBook} Metadata, table of contents and blocks of the book
+ * @throws {Error} If the file is not a ZIP archive or has no package document
+ *
+ * @example
+ * const book = parseEpub(await readFile('moby-dick.epub'));
+ * book.toc[0]; // { title: 'CHAPTER 1. Loomings.', level: 1, block: 12 }
+ */
+export const parseEpub = (buffer) => {
+  const zip = readZip(buffer);
+  if (!zip.has(CONTAINER_PATH)) throw new Error(`Not an EPUB: no ${CONTAINER_PATH}`);
+  const opfPath = find(parseMarkup(zip.readText(CONTAINER_PATH)), 'rootfile')?.attrs['full-path'];
+  if (!opfPath || !zip.has(opfPath)) throw new Error('Not an EPUB: no package document');
+  const opf = parseMarkup(zip.readText(opfPath));
+
+  const manifest = new Map(
+    findAll(opf, 'item').map(({ attrs }) => [
+      attrs.id,
+      {
+        path: resolveHref(opfPath, attrs.href ?? '').path,
+        type: attrs['media-type'],
+        properties: attrs.properties ?? '',
+      },
+    ])
+  );
+  const spine = find(opf, 'spine');
+  const chapters = findAll(spine ?? opf, 'itemref')
+    .map(({ attrs }) => manifest.get(attrs.idref))
+    .filter((item) => item && CHAPTER_TYPES.has(item.type) && zip.has(item.path));
+
+  const blocks = [];
+  // Block positions of each chapter file and of the elements with an id, by link target
+  const targets = new Map();
+  for (const { path } of chapters) {
+    targets.set(path, blocks.length);
+    const chapterBlocks = markupToBlocks(parseMarkup(zip.readText(path)), {
+      onAnchor: (id, block) => targets.set(`${path}#${id}`, blocks.length + block),
+      resolveHref: (href) => targetKey(resolveHref(path, href)),
+    });
+    blocks.push(...chapterBlocks);
+  }
+  linkNotes(blocks, (target) => targets.get(target));
+
+  const files = [...manifest.values()];
+  const nav = files.find(({ properties }) => /\bnav\b/.test(properties));
+  const ncx = manifest.get(spine?.attrs.toc) ?? files.find(({ type }) => type === NCX_TYPE);
+  const tocFile = [nav, ncx].find((file) => file && zip.has(file.path));
+  let entries = [];
+  if (tocFile) {
+    const doc = parseMarkup(zip.readText(tocFile.path));
+    entries = tocFile === nav ? readNav(doc) : readNcx(doc);
+  }
+  const toc = entries.flatMap(({ title, level, href }) => {
+    const target = resolveHref(tocFile.path, href);
+    const block = targets.get(targetKey(target)) ?? targets.get(target.path);
+    return title && block !== undefined && block < blocks.length ? [{ title, level, block }] : [];
+  });
+
+  return { metadata: readMetadata(opf), toc, blocks };
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview HTML book reader.
+ * Converts a book published as a single HTML file, as most Project Gutenberg books are, into the
+ * rich-text block model: the metadata comes from the document's head, the text from its body,
+ * with the Project Gutenberg license header and footer left out and footnote references linked
+ * to their footnotes. Sections are left to the reader to find from the headings.
+ */
+
+import { linkNotes, markupToBlocks } from './blocks.js';
+import { find, findAll, parseMarkup, textOf } from './markup.js';
+
+/** Class of the Project Gutenberg license header and footer @type {RegExp} */
+const BOILERPLATE_CLASS = /\bpg-boilerplate\b/;
+
+/** Ids of the Project Gutenberg license header and footer @type {Set<string>} */
+const BOILERPLATE_IDS = new Set(['pg-header', 'pg-footer']);
+
+/**
+ * Copies an element without the Project Gutenberg license header and footer.
+ *
+ * @param {MarkupElement} element - Element
+ * @returns {MarkupElement} Copy without boilerplate descendants
+ * @private
+ */
+const withoutBoilerplate = (element) => ({
+  ...element,
+  children: element.children
+    .filter(
+      (child) =>
+        typeof child === 'string' ||
+        !(BOILERPLATE_IDS.has(child.attrs.id) || BOILERPLATE_CLASS.test(child.attrs.class ?? ''))
+    )
+    .map((child) => (typeof child === 'string' ? child : withoutBoilerplate(child))),
+});
+
+/**
+ * Reads the metadata of an HTML document from its Dublin Core and Open Graph meta elements, its
+ * title and the language of its html element.
+ *
+ * @param {MarkupElement} doc - Parsed document
+ * @returns {BookMetadata} Title, author, language and date
+ * @private
+ */
+const readMetadata = (doc) => {
+  const metas = findAll(find(doc, 'head') ?? doc, 'meta');
+  const contentsOf = (...names) =>
+    metas
+      .filter(({ attrs }) => names.includes((attrs.name ?? attrs.property ?? '').toLowerCase()))
+      .map(({ attrs }) => attrs.content?.trim())
+      .filter(Boolean);
+  const title = contentsOf('dc.title', 'og:title')[0] ?? textOf(find(doc, 'title'));
+  const author = contentsOf('dc.creator', 'dcterms.creator', 'author').join(' and ');
+  const releaseDate = contentsOf('dc.date', 'dcterms.created')[0];
+  const language =
+    contentsOf('dc.language', 'dcterms.language')[0] ?? find(doc, 'html')?.attrs.lang?.trim();
+  return {
+    ...(title && { title }),
+    ...(author && { author }),
+    ...(releaseDate && { releaseDate }),
+    ...(language && { language }),
+  };
+};
+
+/**
+ * Converts an HTML book into the block model.
+ *
+ * @param {string} html - The HTML document
+ * @returns {BlockBook} Metadata and blocks of the book, with an empty table of contents
+ *
+ * @example
+ * parseHtmlBook('<html><head><title>Moby Dick</title></head><body><h2>Loomings</h2></body></html>');
+ * // {
+ * //   metadata: { title: 'Moby Dick' },
+ * //   toc: [],
+ * //   blocks: [{ type: 'heading', level: 2, spans: [{ text: 'Loomings' }] }],
+ * // }
+ */
+export const parseHtmlBook = (html) => {
+  const doc = parseMarkup(html);
+  // Block positions of the elements with an id, by link target
+  const anchors = new Map();
+  const blocks = markupToBlocks(withoutBoilerplate(doc), {
+    onAnchor: (id, block) => anchors.set(`#${id}`, block),
+  });
+  linkNotes(blocks, (href) => anchors.get(href));
+  return { metadata: readMetadata(doc), toc: [], blocks };
+};
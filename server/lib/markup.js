@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Forgiving XML and (X)HTML parser.
+ * Parses the package, navigation and chapter documents of EPUB books, and HTML books, into a
+ * plain element tree.
+ * Books are not always well formed, so the parser does not validate: unknown entities are kept
+ * as written, HTML void elements need no closing slash, and a closing tag without an open element
+ * of its name is ignored, while one that matches an outer element closes everything inside it.
+ */
+
+/**
+ * An element of a parsed document.
+ * @typedef {Object} MarkupElement
+ * @property {string} name - Tag name as written, e.g. 'dc:title'
+ * @property {string} local - Lowercase tag name without its namespace prefix, e.g. 'title'
+ * @property {Object<string, string>} attrs - Attributes by name as written
+ * @property {Array<MarkupElement|string>} children - Child elements and text, in order
+ */
+
+/** Elements that never have content in HTML @type {Set<string>} */
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'wbr',
+]);
+
+/**
+ * Names of the HTML character references of U+00A0 to U+00FF, in code point order.
+ * @type {string[]}
+ */
+const LATIN1_ENTITIES =
+  `nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr
+  deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest
+  Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc
+  Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute
+  THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave
+  iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc
+  uuml yacute thorn yuml`.split(/\s+/);
+
+/**
+ * Named character references decoded: those of XML, Latin-1 and common punctuation; others
+ * are kept as written.
+ * @type {Object<string, string>}
+ */
+const ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCharCode(0xa0 + i)])),
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  OElig: 'Œ',
+  oelig: 'œ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  sbquo: '‚',
+  ldquo: '“',
+  rdquo: '”',
+  bdquo: '„',
+  dagger: '†',
+  Dagger: '‡',
+  bull: '•',
+  hellip: '…',
+  prime: '′',
+  Prime: '″',
+  trade: '™',
+};
+
+/** A tag, comment, CDATA section, processing instruction or declaration @type {RegExp} */
+const TOKEN =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+
+/** An attribute of a tag @type {RegExp} */
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Decodes the character references of a text.
+ *
+ * @param {string} text - Text as written in the document
+ * @returns {string} Decoded text
+ *
+ * @example
+ * decodeEntities('Fish &amp; chips &#8212; &#x2014;'); // 'Fish & chips — —'
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#\d+|#x[\da-f]+|[a-z]+\d*);/gi, (reference, name) => {
+    if (name[0] !== '#') return ENTITIES[name] ?? reference;
+    const code =
+      name[1] === 'x' || name[1] === 'X'
+        ? Number.parseInt(name.slice(2), 16)
+        : Number(name.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+  });
+
+/**
+ * Creates an element.
+ *
+ * @param {string} name - Tag name
+ * @param {Object<string, string>} attrs - Attributes
+ * @returns {MarkupElement} Element without children
+ * @private
+ */
+const createElement = (name, attrs) => ({
+  name,
+  local: name.slice(name.indexOf(':') + 1).toLowerCase(),
+  attrs,
+  children: [],
+});
+
+/**
+ * Parses a document into an element tree. The returned root is a '#document' element holding
+ * the document's top-level elements; comments, processing instructions and declarations are
+ * left out.
+ *
+ * @param {string} source - Document text
+ * @returns {MarkupElement} Document root
+ *
+ * @example
+ * const doc = parseMarkup('<p>Call me <em>Ishmael</em>.</p>');
+ * doc.children[0].children; // ['Call me ', { name: 'em', ... }, '.']
+ */
+export const parseMarkup = (source) => {
+  const root = createElement('#document', {});
+  const open = [root];
+  const addText = (text) => {
+    if (text) open.at(-1).children.push(text);
+  };
+  let last = 0;
+  for (const token of source.matchAll(TOKEN)) {
+    addText(decodeEntities(source.slice(last, token.index)));
+    last = token.index + token[0].length;
+    const [, cdata, closing, name, attributes, selfClosing] = token;
+    if (cdata !== undefined) {
+      addText(cdata);
+    } else if (!name) {
+      // Comments, processing instructions and declarations
+    } else if (closing) {
+      const at = open.findLastIndex((element) => element.name === name);
+      if (at > 0) open.length = at;
+    } else {
+      const attrs = {};
+      for (const [, attr, double, single, bare] of attributes.matchAll(ATTRIBUTE)) {
+        attrs[attr] = decodeEntities(double ?? single ?? bare ?? '');
+      }
+      const element = createElement(name, attrs);
+      open.at(-1).children.push(element);
+      if (!selfClosing && !VOID_ELEMENTS.has(element.local)) open.push(element);
+    }
+  }
+  addText(decodeEntities(source.slice(last)));
+  return root;
+};
+
+/**
+ * Finds the descendants of an element with a tag name, in document order.
+ *
+ * @param {MarkupElement} element - Element to search
+ * @param {string} local - Lowercase tag name without prefix
+ * @returns {MarkupElement[]} Matching descendants
+ *
+ * @example
+ * findAll(opf, 'itemref').map((ref) => ref.attrs.idref);
+ */
+export const findAll = (element, local) => {
+  const found = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      if (child.local === local) found.push(child);
+      visit(child);
+    }
+  };
+  visit(element);
+  return found;
+};
+
+/**
+ * Finds the first descendant of an element with a tag name.
+ *
+ * @param {MarkupElement} element - Element to search
+ * @param {string} local - Lowercase tag name without prefix
+ * @returns {MarkupElement|null} First match, or null
+ */
+export const find = (element, local) => findAll(element, local)[0] ?? null;
+
+/**
+ * Joins the text of an element and its descendants, with whitespace collapsed.
+ *
+ * @param {MarkupElement|null} element - Element
+ * @returns {string} Trimmed text, empty for a missing element
+ */
+export const textOf = (element) => {
+  if (!element) return '';
+  const parts = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        parts.push(child);
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(element);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Minimal ZIP archive reader.
+ * EPUB books are ZIP archives. This reads the archive's central directory and inflates entries
+ * with node:zlib, which is all an EPUB needs: stored and deflated entries, no encryption and no
+ * ZIP64.
+ */
+
+import { inflateRawSync } from 'node:zlib';
+
+/** Signature of the end of central directory record @type {number} */
+const END_SIGNATURE = 0x06054b50;
+
+/** Signature of a central directory file header @type {number} */
+const ENTRY_SIGNATURE = 0x02014b50;
+
+/** Signature of a local file header @type {number} */
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/** Size of the end of central directory record without its comment @type {number} */
+const END_RECORD_SIZE = 22;
+
+/** Longest comment an archive can end with @type {number} */
+const MAX_COMMENT_SIZE = 0xffff;
+
+/** Compression methods that can be read @type {{STORED: number, DEFLATED: number}} */
+const METHODS = { STORED: 0, DEFLATED: 8 };
+
+/**
+ * An opened ZIP archive.
+ * @typedef {Object} ZipArchive
+ * @property {string[]} names - Paths of the files in the archive
+ * @property {function(string): boolean} has - Whether the archive has a file
+ * @property {function(string): Buffer} read - Contents of a file
+ * @property {function(string): string} readText - Contents of a file decoded as UTF-8
+ */
+
+/**
+ * Finds the end of central directory record, which closes the archive before its comment.
+ *
+ * @param {Buffer} buffer - Archive
+ * @returns {number} Offset of the record
+ * @throws {Error} If the buffer is not a ZIP archive
+ * @private
+ */
+const findEndRecord = (buffer) => {
+  const last = Math.max(buffer.length - END_RECORD_SIZE - MAX_COMMENT_SIZE, 0);
+  for (let offset = buffer.length - END_RECORD_SIZE; offset >= last; offset--) {
+    if (buffer.readUInt32LE(offset) === END_SIGNATURE) return offset;
+  }
+  throw new Error('Not a ZIP archive');
+};
+
+/**
+ * Opens a ZIP archive held in memory. Files are only inflated when they are read.
+ *
+ * @param {Buffer} buffer - Archive
+ * @returns {ZipArchive} The archive's files
+ * @throws {Error} If the buffer is not a ZIP archive or uses ZIP64; reading a file throws if it
+ *   is missing or compressed with a method other than store or deflate
+ *
+ * @example
+ * const zip = readZip(await readFile('moby-dick.epub'));
+ * const container = zip.readText('META-INF/container.xml');
+ */
+export const readZip = (buffer) => {
+  if (buffer.length < END_RECORD_SIZE) throw new Error('Not a ZIP archive');
+  const end = findEndRecord(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ENTRY_SIGNATURE) {
+      throw new Error('Damaged ZIP archive: bad central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`No file "${name}" in the ZIP archive`);
+    const { method, compressedSize, localOffset } = entry;
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Damaged ZIP archive: bad header of "${name}"`);
+    }
+    // The local header repeats the name and may have an extra field of another length
+    const start =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    if (method === METHODS.STORED) return data;
+    if (method === METHODS.DEFLATED) return inflateRawSync(data);
+    throw new Error(`Unsupported compression method ${method} of "${name}"`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    read,
+    readText: (name) => read(name).toString('utf8'),
+  };
+};
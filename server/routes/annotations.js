@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Annotation routes.
+ * Stores the highlights and notes readers make, per book, in a JSON file on the server.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express, { Router } from 'express';
+
+const router = Router();
+
+/** File used when ANNOTATIONS_FILE is not set @type {string} */
+const DEFAULT_FILE = resolve(dirname(fileURLToPath(import.meta.url)), '../data/annotations.json');
+
+/** Pending file update; updates run one after another so none is lost @type {Promise<void>} */
+let writing = Promise.resolve();
+
+/**
+ * Path of the annotations file, read per request so it can be changed through the environment.
+ *
+ * @returns {string} File path
+ */
+const annotationsFile = () => process.env.ANNOTATIONS_FILE || DEFAULT_FILE;
+
+/**
+ * Reads all stored annotations. The store has no prototype, so book ids such as '__proto__' or
+ * 'constructor' are ordinary keys.
+ *
+ * @returns {Promise<Object<string, Annotation[]>>} Annotations keyed by book id; empty when the
+ *   file does not exist yet
+ */
+const readAnnotations = async () => {
+  const all = Object.create(null);
+  try {
+    return Object.assign(all, JSON.parse(await readFile(annotationsFile(), 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return all;
+    throw error;
+  }
+};
+
+/**
+ * Changes the annotations of one book and writes the file. The file is replaced in one step by
+ * writing a temporary file and renaming it, so a crash never leaves it half written.
+ *
+ * @param {string} bookId - Book whose annotations change
+ * @param {function(Annotation[]): Annotation[]} change - Returns the book's new annotations
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+const updateAnnotations = (bookId, change) => {
+  const update = writing.then(async () => {
+    const file = annotationsFile();
+    const all = await readAnnotations();
+    const next = change(all[bookId] ?? []);
+    if (next.length) {
+      all[bookId] = next;
+    } else {
+      delete all[bookId];
+    }
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(all, null, 2));
+    await rename(`${file}.tmp`, file);
+  });
+  // A failed update is reported to its request but does not stop later ones
+  writing = update.catch(() => undefined);
+  return update;
+};
+
+/**
+ * Whether a request body looks like an annotation with a usable anchor.
+ *
+ * @param {*} body - Parsed request body
+ * @returns {boolean} True if the annotation can be stored
+ */
+const isAnnotation = (body) =>
+  Boolean(body) &&
+  typeof body.kind === 'string' &&
+  typeof body.anchor?.start === 'number' &&
+  typeof body.anchor?.end === 'number' &&
+  typeof body.anchor?.quote?.exact === 'string';
+
+router.use(express.json({ limit: '1mb' }));
+
+/**
+ * GET /api/annotations/:bookId - Returns the annotations of a book.
+ *
+ * @route GET /api/annotations/:bookId
+ * @param {string} bookId - Book id
+ * @returns {Annotation[]} JSON array of annotations, empty if the book has none
+ *
+ * @example
+ * // Response:
+ * [{ "id": "lq2x-4f9a1c", "kind": "note", "note": "Foreshadowing", "anchor": { ... } }]
+ */
+router.get('/:bookId', async (req, res) => {
+  try {
+    const all = await readAnnotations();
+    res.json(all[req.params.bookId] ?? []);
+  } catch (error) {
+    console.error('Error reading annotations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/annotations/:bookId/:id - Adds an annotation to a book, or replaces the one with the
+ * same id.
+ *
+ * @route PUT /api/annotations/:bookId/:id
+ * @param {string} bookId - Book id
+ * @param {string} id - Annotation id
+ * @returns {Annotation} The stored annotation, or 400 with an error if the body is not an
+ *   annotation
+ */
+router.put('/:bookId/:id', async (req, res) => {
+  if (!isAnnotation(req.body)) {
+    return res.status(400).json({ error: 'Annotation with a kind and an anchor is required' });
+  }
+  const { bookId, id } = req.params;
+  const annotation = { ...req.body, id };
+  try {
+    await updateAnnotations(bookId, (annotations) => [
+      ...annotations.filter((stored) => stored.id !== id),
+      annotation,
+    ]);
+    res.json(annotation);
+  } catch (error) {
+    console.error('Error saving annotation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/annotations/:bookId/:id - Removes an annotation.
+ *
+ * @route DELETE /api/annotations/:bookId/:id
+ * @param {string} bookId - Book id
+ * @param {string} id - Annotation id
+ * @returns {void} 204 when removed, or 404 with an error if there is no such annotation
+ */
+router.delete('/:bookId/:id', async (req, res) => {
+  const { bookId, id } = req.params;
+  let found = false;
+  try {
+    await updateAnnotations(bookId, (annotations) => {
+      found = annotations.some((stored) => stored.id === id);
+      return annotations.filter((stored) => stored.id !== id);
+    });
+    if (!found) return res.status(404).json({ error: 'Annotation not found' });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting annotation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -5,6 +5,9 @@
 
 import apicache from 'apicache';
 import { Router } from 'express';
+import { normalizeBook } from '../../src/utils/gutenberg.js';
+import { parseEpub } from '../lib/epub.js';
+import { parseHtmlBook } from '../lib/html.js';
 
 const router = Router();
 const cache = apicache.middleware;
@@ -56,25 +59,42 @@ router.get('/books', cache('1 day'), async (_req, res) => {
 
 /**
  * GET /api/book-text - Proxies requests to fetch book text content.
- * Downloads the full text of a book from a provided URL and returns it as plain text.
+ * Downloads the full text of a book from a provided URL and returns it as plain text, or, for
+ * an HTML book with format=html, converts it into the rich-text block model, keeping its
+ * headings, emphasis, blockquotes, lists and footnote references.
  * This endpoint bypasses CORS restrictions that would prevent direct browser requests.
  *
  * @route GET /api/book-text
  * @queryparam {string} url - URL of the book text file to fetch (required)
- * @returns {string} Plain text content of the book
+ * @queryparam {string} [strip] - 'true' to leave out the Project Gutenberg license header and
+ *   footer of a plain text book
+ * @queryparam {string} [format] - 'html' to read an HTML book and return its block model
+ * @returns {string|BlockBook} Plain text content of the book, or JSON with the metadata, empty
+ *   table of contents and blocks of an HTML book
  * @throws {400} If the url query parameter is missing
  * @throws {500} If fetching the book content fails
  *
  * @example
  * // Request:
- * GET /api/book-text?url=https://www.gutenberg.org/files/84/84-0.txt
+ * GET /api/book-text?url=https://www.gutenberg.org/files/84/84-0.txt&strip=true
  *
  * // Response:
  * Content-Type: text/plain
  * [Full book text content...]
+ *
+ * @example
+ * // Request:
+ * GET /api/book-text?url=https://www.gutenberg.org/ebooks/2701.html.images&format=html
+ *
+ * // Response:
+ * {
+ *   "metadata": { "title": "Moby Dick; Or, The Whale", "author": "Herman Melville" },
+ *   "toc": [],
+ *   "blocks": [{ "type": "heading", "level": 2, "spans": [{ "text": "CHAPTER 1. Loomings." }] }]
+ * }
  */
 router.get('/book-text', cache('1 day'), async (req, res) => {
-  const { url } = req.query;
+  const { url, strip, format } = req.query;
 
   if (!url) {
     return res.status(400).json({ error: 'URL parameter is required' });
@@ -89,11 +109,60 @@ router.get('/book-text', cache('1 day'), async (req, res) => {
     }
 
     const text = await response.text();
-    res.type('text/plain').send(text);
+    if (format === 'html') {
+      return res.json(parseHtmlBook(text));
+    }
+    res.type('text/plain').send(strip === 'true' ? normalizeBook(text).text : text);
   } catch (error) {
     console.error('Error fetching book:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/book-content - Fetches an EPUB book and returns it in the rich-text block model.
+ * Downloads the EPUB from a provided URL, unzips it, reads the package document's metadata and
+ * spine and the table of contents, and converts the chapters into headings, paragraphs with
+ * italics and bold, and image placeholders.
+ *
+ * @route GET /api/book-content
+ * @queryparam {string} url - URL of the EPUB file to fetch (required)
+ * @returns {BlockBook} JSON with the book's metadata, table of contents and blocks
+ * @throws {400} If the url query parameter is missing
+ * @throws {500} If fetching the book fails or it is not a readable EPUB
+ *
+ * @example
+ * // Request:
+ * GET /api/book-content?url=https://www.gutenberg.org/ebooks/2701.epub3.images
+ *
+ * // Response:
+ * {
+ *   "metadata": { "title": "Moby Dick; Or, The Whale", "author": "Herman Melville" },
+ *   "toc": [{ "title": "CHAPTER 1. Loomings.", "level": 1, "block": 12 }],
+ *   "blocks": [{ "type": "heading", "level": 2, "spans": [{ "text": "CHAPTER 1. Loomings." }] }]
+ * }
+ */
+router.get('/book-content', cache('1 day'), async (req, res) => {
+  const { url } = req.query;
+
+  if (!url) {
+    return res.status(400).json({ error: 'URL parameter is required' });
+  }
+
+  try {
+    console.log(`Fetching EPUB from: ${url}`);
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch: ${response.statusText}`);
+    }
+
+    const epub = Buffer.from(await response.arrayBuffer());
+    res.json(parseEpub(epub));
+  } catch (error) {
+    console.error('Error reading EPUB:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
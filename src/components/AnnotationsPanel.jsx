@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Annotations panel for the canvas reader.
+ * Turns the text selected on the canvas into a highlight or note, and lists a book's
+ * annotations so they can be revisited or removed.
+ */
+
+import React, { useState } from 'react';
+
+/** Characters of a quote shown before it is cut short */
+const QUOTE_PREVIEW_LENGTH = 60;
+
+/**
+ * Shortens a quote for display.
+ *
+ * @param {string} text - Quoted text
+ * @returns {string} The text on one line, cut short with an ellipsis if long
+ * @private
+ */
+const preview = (text) => {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > QUOTE_PREVIEW_LENGTH ? `${line.slice(0, QUOTE_PREVIEW_LENGTH)}…` : line;
+};
+
+/**
+ * AnnotationsPanel component props.
+ * @typedef {Object} AnnotationsPanelProps
+ * @property {Annotation[]} annotations - Annotations of the open book
+ * @property {AnnotationAnchor|null} selection - Text selected on the canvas, as posted by the
+ *   worker with SELECTION_CHANGED, or null if nothing is selected
+ * @property {function({kind: string, note?: string}): void} onAdd - Called to annotate the
+ *   selection as a highlight, or as a note with its text
+ * @property {function(string): void} onRemove - Called with the id of an annotation to remove
+ * @property {function(string): void} onSelect - Called with the id of a clicked annotation
+ */
+
+/**
+ * Annotates the selection and lists the annotations of a book.
+ * With text selected, the panel quotes it and offers to highlight it or add a note to it. Each
+ * annotation is listed with its colour, source line, quote and note; clicking it scrolls the
+ * reader to it.
+ *
+ * @param {AnnotationsPanelProps} props - Component props
+ * @returns {React.ReactElement} Annotations panel
+ *
+ * @example
+ * <AnnotationsPanel
+ *   annotations={annotations}
+ *   selection={selection}
+ *   onAdd={({ kind, note }) => add(createAnnotation(selection, { kind, note }))}
+ *   onRemove={remove}
+ *   onSelect={(id) => reader.current.gotoAnnotation(id)}
+ * />
+ */
+const AnnotationsPanel = ({ annotations, selection, onAdd, onRemove, onSelect }) => {
+  const [note, setNote] = useState('');
+  return (
+    <div className="annotations">
+      {selection && (
+        <div className="annotations-selection">
+          <q>{preview(selection.quote.exact)}</q>
+          <div>
+            <button type="button" onClick={() => onAdd({ kind: 'highlight' })}>
+              Highlight
+            </button>
+          </div>
+          <textarea placeholder="Note..." value={note} onChange={(e) => setNote(e.target.value)} />
+          <div>
+            <button
+              type="button"
+              disabled={!note.trim()}
+              onClick={() => {
+                onAdd({ kind: 'note', note: note.trim() });
+                setNote('');
+              }}
+            >
+              Add note
+            </button>
+          </div>
+        </div>
+      )}
+      {annotations.length === 0 ? (
+        <div className="annotations-empty">Select text to highlight it or add a note.</div>
+      ) : (
+        <ul className="annotations-list">
+          {annotations.map(({ id, color, note: text, anchor }) => (
+            <li key={id}>
+              <span className="annotation-swatch" style={{ background: color }} />
+              <button type="button" onClick={() => onSelect(id)}>
+                Line {anchor.lineNum}: {preview(anchor.quote.exact)}
+              </button>
+              {text && <div className="annotation-note">{text}</div>}
+              <button
+                type="button"
+                className="annotation-remove"
+                aria-label="Remove annotation"
+                onClick={() => onRemove(id)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+export default AnnotationsPanel;
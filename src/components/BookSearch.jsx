@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { HOST, NODE_SERVER_PORT } from '../constants/constants';
+import { chooseDownload } from '../utils/book-formats';
 
 /**
  * Author data structure from Gutendex API.
@@ -34,20 +35,21 @@ import { HOST, NODE_SERVER_PORT } from '../constants/constants';
 /**
  * Component props for BookSearch.
  * @typedef {Object} BookSearchProps
- * @property {(textUrl: string) => void} onChoose - Callback function called when a book is selected.
- *   Receives the URL to the book's plain text format.
+ * @property {(url: string, type: string) => void} onChoose - Callback function called when a book is
+ *   selected. Receives the URL of the book's EPUB, or of its HTML if it has no EPUB, or else of
+ *   its plain text, and that format's MIME type.
  */
 
 /**
  * Book search component that searches the Gutendex (Project Gutenberg) API via the server.
  * Allows users to search for public domain books and select one to read.
- * Only displays books that have a plain text format available.
+ * Only displays books that have an EPUB, HTML or plain text format available.
  *
  * Features:
  * - Real-time search input validation
  * - Loading states during API calls
  * - Error handling with user-friendly messages
- * - Filters to show only books with plain text format
+ * - Filters to show only books with EPUB, HTML or plain text format
  * - Displays author names and book titles
  * - Shows result counts
  *
@@ -56,7 +58,8 @@ import { HOST, NODE_SERVER_PORT } from '../constants/constants';
  *
  * @component
  * @param {BookSearchProps} props - Component props
- * @param {(textUrl: string) => void} props.onChoose - Callback invoked with the book's text/plain URL when selected
+ * @param {(url: string, type: string) => void} props.onChoose - Callback invoked with the URL and
+ *   MIME type of the book's EPUB, HTML or text/plain format when selected
  * @returns {JSX.Element} Search form and results list
  *
  * @example
@@ -96,9 +99,9 @@ const BookSearch = ({ onChoose }) => {
       }
 
       const data = await response.json();
-      // Filter to only show books with text/plain format
-      const booksWithText = data.results.filter((book) => book.formats?.['text/plain']);
-      setResults({ ...data, results: booksWithText });
+      // Filter to only show books with an EPUB, HTML or text/plain format
+      const readableBooks = data.results.filter((book) => chooseDownload(book.formats));
+      setResults({ ...data, results: readableBooks });
     } catch (err) {
       setError(err.message);
       setResults(null);
@@ -119,13 +122,14 @@ const BookSearch = ({ onChoose }) => {
 
   /**
    * Handles book selection.
-   * Calls the onChoose callback with the book's plain text URL.
+   * Calls the onChoose callback with the URL and MIME type of the book's EPUB, or of its HTML
+   * if it has no EPUB, or else of its plain text.
    * @param {GutendexBook} book - Selected book object
    */
   const handleChoose = (book) => {
-    const textUrl = book.formats['text/plain'];
-    if (textUrl) {
-      onChoose(textUrl);
+    const download = chooseDownload(book.formats);
+    if (download) {
+      onChoose(download.url, download.type);
     }
   };
 
@@ -151,7 +155,8 @@ const BookSearch = ({ onChoose }) => {
         <div className="book-search-results">
           <p className="book-search-count">
             {results.results.length} book{results.results.length !== 1 ? 's' : ''} found
-            {results.results.length < results.count && ` (showing only books with text format)`}
+            {results.results.length < results.count &&
+              ` (showing only books with EPUB, HTML or text format)`}
           </p>
           <ul className="book-search-list list-unstyled">
             {results.results.map((book) => (
@@ -171,7 +176,9 @@ const BookSearch = ({ onChoose }) => {
       )}
 
       {results && results.results.length === 0 && (
-        <div className="book-search-empty">No books with text format found for "{searchText}"</div>
+        <div className="book-search-empty">
+          No books with EPUB, HTML or text format found for "{searchText}"
+        </div>
       )}
     </div>
   );
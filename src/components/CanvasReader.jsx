@@ -4,15 +4,64 @@
  * for high-performance rendering with support for custom fonts, searching, and scrolling.
  */
 
-import React, { useEffect, useRef } from 'react';
-import { MESSAGES } from '../constants/constants';
+import React, { forwardRef, useEffect, useId, useImperativeHandle, useRef, useState } from 'react';
+import {
+  BOOK_FORMATS,
+  DEFAULT_KEYMAP,
+  MESSAGES,
+  SCROLL_UNITS,
+  SEARCH_MODES,
+  WORKER_EVENTS,
+} from '../constants/constants';
 import useReaderAutoScroll from '../hooks/useReaderAutoScroll';
-import { stopMouseEvents } from '../utils/reader-utils';
+import { createKeyHandler } from '../utils/keyboard';
 import { computeRatio, firstTrue, relativeMousePos, useResizeObserver } from '../utils/utils';
+import { createReaderClient } from '../workers/protocol';
 
 const DEFAULT_FONTSTYLE = 'normal';
+const EMPTY_HIGHLIGHTS = [];
+const EMPTY_ANNOTATIONS = [];
 const getFontStyle = firstTrue(DEFAULT_FONTSTYLE);
 
+/**
+ * Elements of the text mirror by the kind of line: chapter headings and the labels of search
+ * result groups become headings, so screen reader users can jump between them.
+ * @type {Object<string, string>}
+ * @private
+ */
+const MIRROR_TAGS = { heading: 'h2', separator: 'h3', text: 'p' };
+
+/**
+ * Hides the text mirror from sight while leaving it to assistive technology.
+ * @type {Object}
+ * @private
+ */
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+};
+
+/**
+ * Copies the text selected in the worker to the clipboard. Canvas text cannot be selected by the
+ * browser, so the worker keeps the selection and sends its source text on request.
+ *
+ * @param {ReaderClient} client - Client of the reader worker
+ * @returns {Promise<string>} The text copied, empty (and nothing copied) without a selection
+ * @private
+ */
+const copySelection = async (client) => {
+  const text = await client.getSelection();
+  if (text) await navigator.clipboard.writeText(text);
+  return text;
+};
+
 /**
  * Extracts mouse event properties needed for worker communication.
  * Filters out DOM-specific properties that cannot be transferred to a Web Worker.
@@ -35,8 +84,23 @@ const pickMouseProps = (e) => ({
   screenY: e.screenY,
   shiftKey: e.shiftKey,
   movementY: e.movementY,
+  detail: e.detail,
 });
 
+/**
+ * Sizes a canvas element with CSS, filling its container when fit is set.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas element to size
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ * @param {boolean} fit - Fill the container instead of using fixed dimensions
+ * @private
+ */
+const setCanvasStyleSize = (canvas, width, height, fit) => {
+  canvas.style.width = fit ? '100%' : `${width}px`;
+  canvas.style.height = fit ? '100%' : `${height}px`;
+};
+
 /**
  * CanvasReader component props.
  * @typedef {Object} CanvasReaderProps
@@ -52,23 +116,118 @@ const pickMouseProps = (e) => ({
  * @property {string} [align='left'] - Text alignment (left, center, right)
  * @property {string} [baseline='top'] - Text baseline (top, middle, bottom, alphabetic)
  * @property {string} [route='/books'] - URL route to fetch book content from
+ * @property {string} [format='text'] - Format of the content at route, one of BOOK_FORMATS:
+ *   plain text, or the block model of /api/book-content, drawn with its headings, italics and
+ *   bold
  * @property {number} [canvasWidth=1200] - Canvas width in pixels
  * @property {number} [canvasHeight=800] - Canvas height in pixels
+ * @property {boolean} [fitToContainer=false] - Size the canvas to fill its container and follow
+ *   the container's size instead of canvasWidth/canvasHeight
  * @property {string} [searchText=''] - Text to search for and highlight in the document
+ * @property {SearchOptions} [searchOptions] - How searchText is matched: `regex`, `wholeWord`,
+ *   `caseSensitive`, `diacriticInsensitive` and `query` for AND/OR/NOT/NEAR queries (all off by
+ *   default)
+ * @property {string} [searchMode='filter'] - SEARCH_MODES.FILTER shows only the rows around each
+ *   hit; SEARCH_MODES.NAVIGATE keeps the full text and moves between hits with nextMatch/prevMatch
+ * @property {number|string} [contextLines=1] - Rows of context shown around each hit in filter
+ *   mode, or 'paragraph' for whole paragraphs; results are grouped under separators labelled
+ *   with their line range
+ * @property {Array<{term: string, color?: string, options?: SearchOptions}>} [highlights=[]] -
+ *   Terms kept highlighted in their own colours whatever the search shows, e.g. character names
+ *   to follow through a book; terms without a colour take the next of HIGHLIGHT_COLORS
+ * @property {Annotation[]} [annotations=[]] - Highlights and notes drawn beneath the text in
+ *   their colours, found by their anchors
+ * @property {function({anchor: AnnotationAnchor|null}): void} [onSelectionChange] - Called when
+ *   text is selected by dragging across the canvas, with an anchor of the selected range that
+ *   can be annotated, or with null when the selection is cleared
+ * @property {function({lineNum: number}): void} [onPositionChange] - Called with the source line
+ *   at the top of the canvas when it changes, e.g. to mark the current chapter
+ * @property {number} [searchDelay=150] - Milliseconds without changes to searchText or the
+ *   search settings before the search is sent, so typing does not start a search per keystroke
+ * @property {function(Object): void} [onMatchChange] - Called with `{current, total, complete}`
+ *   when the search hits or the current hit change, e.g. to show "3 of 47", and as hits come in
+ *   while a search of a large book is running (`complete` is false until it finishes)
+ * @property {Object<string, string|null>} [keymap] - Keys to add to or change in DEFAULT_KEYMAP,
+ *   e.g. `{ j: 'lineDown', k: 'lineUp', Space: null }`; actions are lineDown, lineUp, pageDown,
+ *   pageUp, start, end, focusSearch, nextMatch, prevMatch and copy, and null unbinds a key
+ * @property {function(): void} [onFocusSearch] - Called when `/` (focusSearch) is pressed on the
+ *   canvas, to move focus to the search box; without it the key is left to the browser
+ * @property {function(SearchSummary): void} [onSearchResults] - Called when a search finishes,
+ *   with the hit count, the positions and snippets of the first hits and the hits per chapter
+ * @property {SerializedIndex} [searchIndex] - Full-text search index saved with exportIndex for
+ *   this book, restored instead of indexing the text again
+ * @property {function({indexed: number, length: number}): void} [onIndexProgress] - Called as
+ *   the worker indexes the book for searching, with the characters indexed so far
  * @property {boolean} [autoScroll=false] - Enable automatic scrolling
  * @property {number} [autoScrollTime=60] - Auto-scroll interval in milliseconds
  * @property {number} [autoScrollAmt=2] - Auto-scroll amount in pixels per interval
+ * @property {boolean} [showFrontMatter=false] - Show the Project Gutenberg license header and
+ *   footer around the book instead of splitting them off
+ * @property {boolean} [reflow=false] - Join the hard-wrapped lines of plain text books into
+ *   paragraphs that wrap to the canvas width; poetry, indented blocks and tables keep their line
+ *   breaks, and rows are still numbered by their source line
+ * @property {function({length: number, lines: number, metadata: BookMetadata, frontMatter: boolean, sections: Chapter[]}): void} [onLoad] -
+ *   Called when the book is shown with the text length, the number of source lines, the
+ *   metadata read from its Project Gutenberg header, whether it has front matter to show and
+ *   its chapter and section headings (`{title, lineNum, level}`), its table of contents
+ * @property {function({message: string, status?: number, type?: string}): void} [onError] - Called
+ *   when the book fails to load (with the HTTP status, if any) or a message to the worker fails
+ *   (with its type, e.g. SEARCH for an invalid regular expression, GET_SELECTION when copying
+ *   fails)
+ * @property {function({bytesReceived: number, totalBytes: number|null}): void} [onProgress] - Called
+ *   as the book text downloads
+ */
+
+/**
+ * Imperative handle exposed through the CanvasReader ref.
+ * @typedef {Object} CanvasReaderHandle
+ * @property {function(string, SearchOptions=): Promise<SearchSummary>} search - Search the text,
+ *   resolving with the search term, the hit count, hit positions and hits per chapter
+ * @property {function(number): Promise<void>} scroll - Scroll by a delta in pixels
+ * @property {function(number, string): Promise<void>} scrollBy - Scroll by a number of
+ *   SCROLL_UNITS: lines, pages, or to the start (negative) or end (positive) of the text
+ * @property {function(): void} focus - Focus the canvas so it receives keys
+ * @property {function(): Promise<{current: number, total: number}>} nextMatch - Scroll to the next
+ *   search hit
+ * @property {function(): Promise<{current: number, total: number}>} prevMatch - Scroll to the
+ *   previous search hit
+ * @property {function(number): Promise<{current: number, total: number}>} gotoMatch - Scroll to a
+ *   search hit by its position among all hits
+ * @property {function(Array<Object>): Promise<Array<Object>>} highlightTerms - Set the terms that
+ *   stay highlighted, like the highlights prop, resolving with `{term, color, total}` for each
+ * @property {function(string): Promise<void>} gotoAnnotation - Scroll to an annotation by id
+ * @property {function(number): Promise<void>} gotoSection - Scroll a chapter or section to the
+ *   top of the canvas, by its position in the `sections` passed to onLoad
+ * @property {function(): Promise<string>} getSelection - Get the source text selected on the
+ *   canvas, empty if nothing is selected
+ * @property {function(): Promise<string>} copySelection - Copy the selected text to the clipboard,
+ *   resolving with the text copied
+ * @property {function(): Promise<SerializedIndex|null>} exportIndex - Get the full-text search
+ *   index as plain data to store alongside the book, or null while it is being built
+ * @property {function(): Promise<void>} retry - Fetch the book again after a failed load
+ * @property {function(string, Function): Function} on - Subscribe to a WORKER_EVENTS event,
+ *   returns an unsubscribe function
  */
 
 /**
  * High-performance canvas-based text reader component.
  * Renders text content using an offscreen canvas and Web Worker to keep the UI thread responsive.
  * Supports custom fonts, text search, scrolling (manual and automatic), and high-DPI displays.
+ * Text can be selected by dragging, double-clicking a word or triple-clicking a line, and copied
+ * with Ctrl+C (Cmd+C) while the canvas has focus. The focused canvas also scrolls with the arrow
+ * keys, PageUp/PageDown, Space and Home/End, and steps through search hits with n/N, following
+ * DEFAULT_KEYMAP and the keymap prop.
+ *
+ * Canvas text is invisible to screen readers, so the component keeps a visually hidden, live
+ * DOM mirror of the source lines on the canvas, with chapter headings as headings. The line at
+ * the top is marked as the current location and describes the focused canvas, so the reading
+ * position follows keyboard scrolling.
  *
  * The component uses transferControlToOffscreen() to render on a Web Worker, preventing
  * UI blocking during text layout and rendering operations.
  *
  * @param {CanvasReaderProps} props - Component configuration props
+ * @param {React.Ref<CanvasReaderHandle>} ref - Receives the imperative reader handle
  * @returns {React.ReactElement} Canvas element with text rendering
  *
  * @example
@@ -95,77 +254,242 @@ const pickMouseProps = (e) => ({
  * />
  *
  * @example
+ * // Inside a resizable split pane, re-wrapping text as the pane is resized
+ * <div style={{ width: '100%', height: '100%' }}>
+ *   <CanvasReader route="/books/mybook.txt" fitToContainer />
+ * </div>
+ *
+ * @example
  * // With search functionality
  * <CanvasReader
  *   route="/books/mybook.txt"
  *   searchText="chapter"
  *   size={14}
  * />
+ *
+ * @example
+ * // Regular expression search, reporting invalid patterns
+ * <CanvasReader
+ *   route="/books/mybook.txt"
+ *   searchText="\\bwhale(s)?\\b"
+ *   searchOptions={{ regex: true, caseSensitive: true }}
+ *   onError={({ type, message }) => type === MESSAGES.SEARCH && setSearchError(message)}
+ * />
+ *
+ * @example
+ * // Reading hits in context, stepping through them
+ * const reader = useRef(null);
+ * <CanvasReader
+ *   ref={reader}
+ *   route="/books/mybook.txt"
+ *   searchText="whale"
+ *   searchMode={SEARCH_MODES.NAVIGATE}
+ *   onMatchChange={({ current, total }) => setStatus(`${current} of ${total}`)}
+ * />
+ * <button onClick={() => reader.current.nextMatch()}>Next</button>
+ *
+ * @example
+ * // Following the load
+ * <CanvasReader
+ *   route="/books/mybook.txt"
+ *   onProgress={({ bytesReceived }) => setLoaded(bytesReceived)}
+ *   onLoad={() => setReady(true)}
+ *   onError={({ message, status }) => setError(status ? `${status} ${message}` : message)}
+ * />
+ *
+ * @example
+ * // Talking to the worker through the ref
+ * const reader = useRef(null);
+ * <CanvasReader ref={reader} route="/books/mybook.txt" />
+ * const { total } = await reader.current.search('whale');
  */
-export const CanvasReader = ({
-  fontFamily = 'Merriweather',
-  size = 10,
-  lineHeight = 1.25,
-  fillStyle = 'black',
-  strokeStyle = 'black',
-  weight = 'normal',
-  italic = false,
-  oblique = false,
-  variant = 'normal',
-  align = 'left',
-  baseline = 'top',
-  route = '/books',
-  canvasWidth = 1200,
-  canvasHeight = 800,
-  searchText = '',
-  autoScroll = false,
-  autoScrollTime = 60,
-  autoScrollAmt = 2,
-}) => {
-  const offscreenCanvas = useRef(null);
-  const [canvasRef] = useResizeObserver();
-
-  const workerRef = useRef(null);
-  useEffect(() => {
-    workerRef.current = new Worker(new URL('../workers/reader.worker.js', import.meta.url), {
-      type: 'module',
-    });
-    return () => {
-      if (workerRef.current && typeof workerRef.current.terminate === 'function') {
-        workerRef.current.postMessage({ type: 'kill' });
-        workerRef.current.terminate();
-      }
+export const CanvasReader = forwardRef(
+  (
+    {
+      fontFamily = 'Merriweather',
+      size = 10,
+      lineHeight = 1.25,
+      fillStyle = 'black',
+      strokeStyle = 'black',
+      weight = 'normal',
+      italic = false,
+      oblique = false,
+      variant = 'normal',
+      align = 'left',
+      baseline = 'top',
+      route = '/books',
+      format = BOOK_FORMATS.TEXT,
+      canvasWidth = 1200,
+      canvasHeight = 800,
+      fitToContainer = false,
+      searchText = '',
+      searchOptions = {},
+      searchMode = SEARCH_MODES.FILTER,
+      contextLines = 1,
+      highlights = EMPTY_HIGHLIGHTS,
+      annotations = EMPTY_ANNOTATIONS,
+      searchDelay = 150,
+      autoScroll = false,
+      autoScrollTime = 60,
+      autoScrollAmt = 2,
+      onLoad,
+      onError,
+      onProgress,
+      onMatchChange,
+      onSearchResults,
+      searchIndex,
+      showFrontMatter = false,
+      reflow = false,
+      onIndexProgress,
+      onSelectionChange,
+      onPositionChange,
+      keymap,
+      onFocusSearch,
+    },
+    ref
+  ) => {
+    const offscreenCanvas = useRef(null);
+    const sentSize = useRef(null);
+    const [canvasRef, observedWidth, observedHeight] = useResizeObserver();
+    const width = fitToContainer && observedWidth ? Math.floor(observedWidth) : canvasWidth;
+    const height = fitToContainer && observedHeight ? Math.floor(observedHeight) : canvasHeight;
+
+    const workerRef = useRef(null);
+    const clientRef = useRef(null);
+    const mirrorId = useId();
+    const [visibleText, setVisibleText] = useState([]);
+    useEffect(() => {
+      workerRef.current = new Worker(new URL('../workers/reader.worker.js', import.meta.url), {
+        type: 'module',
+      });
+      clientRef.current = createReaderClient(workerRef.current);
+      return () => {
+        if (workerRef.current && typeof workerRef.current.terminate === 'function') {
+          clientRef.current.kill();
+          clientRef.current.dispose();
+          workerRef.current.terminate();
+        }
+      };
+    }, []);
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        search: (text, options) => clientRef.current.search(text, options),
+        scroll: (delta) => clientRef.current.scroll(delta),
+        scrollBy: (amount, unit) => clientRef.current.scrollBy(amount, unit),
+        focus: () => canvasRef.current?.focus(),
+        nextMatch: () => clientRef.current.nextMatch(),
+        prevMatch: () => clientRef.current.prevMatch(),
+        gotoMatch: (index) => clientRef.current.gotoMatch(index),
+        exportIndex: () => clientRef.current.exportIndex(),
+        highlightTerms: (terms) => clientRef.current.highlightTerms(terms),
+        gotoAnnotation: (id) => clientRef.current.gotoAnnotation(id),
+        gotoSection: (section) => clientRef.current.gotoSection(section),
+        getSelection: () => clientRef.current.getSelection(),
+        copySelection: () => copySelection(clientRef.current),
+        retry: () => clientRef.current.retry(),
+        on: (event, handler) => clientRef.current.on(event, handler),
+      }),
+      [canvasRef]
+    );
+
+    // Keep the latest callbacks so the worker subscriptions are made once
+    const callbacks = useRef({});
+    callbacks.current = {
+      onLoad,
+      onError,
+      onProgress,
+      onMatchChange,
+      onSearchResults,
+      onIndexProgress,
+      onSelectionChange,
+      onPositionChange,
     };
-  }, []);
+    useEffect(() => {
+      const client = clientRef.current;
+      const unsubscribe = [
+        client.on(WORKER_EVENTS.READY, (payload) => callbacks.current.onLoad?.(payload)),
+        client.on(WORKER_EVENTS.ERROR, (payload) => callbacks.current.onError?.(payload)),
+        client.on(WORKER_EVENTS.PROGRESS, (payload) => callbacks.current.onProgress?.(payload)),
+        client.on(WORKER_EVENTS.MATCH_CHANGED, (payload) =>
+          callbacks.current.onMatchChange?.(payload)
+        ),
+        client.on(WORKER_EVENTS.SEARCH_RESULTS, (payload) =>
+          callbacks.current.onSearchResults?.(payload)
+        ),
+        client.on(WORKER_EVENTS.INDEX_PROGRESS, (payload) =>
+          callbacks.current.onIndexProgress?.(payload)
+        ),
+        client.on(WORKER_EVENTS.SELECTION_CHANGED, (payload) =>
+          callbacks.current.onSelectionChange?.(payload)
+        ),
+        client.on(WORKER_EVENTS.POSITION_CHANGED, (payload) =>
+          callbacks.current.onPositionChange?.(payload)
+        ),
+        // Blank lines have nothing to read
+        client.on(WORKER_EVENTS.VISIBLE_TEXT, ({ lines }) =>
+          setVisibleText(lines.filter(({ text }) => text))
+        ),
+      ];
+      return () => {
+        for (const off of unsubscribe) off();
+      };
+    }, []);
 
-  const fontStyle = getFontStyle([
-    [italic, 'italic'],
-    [oblique, 'oblique'],
-  ]);
+    const fontStyle = getFontStyle([
+      [italic, 'italic'],
+      [oblique, 'oblique'],
+    ]);
 
-  const font = [fontStyle, variant, weight, `${size}px`, fontFamily].join(' ');
+    const font = [fontStyle, variant, weight, `${size}px`, fontFamily].join(' ');
 
-  useEffect(() => {
-    if (!workerRef.current) return;
-    workerRef.current.postMessage({
-      type: MESSAGES.SEARCH,
+    const { regex, wholeWord, caseSensitive, diacriticInsensitive, query } = searchOptions;
+    // Wait for a pause in typing before searching; clearing the search is not delayed
+    useEffect(() => {
+      if (!clientRef.current) return;
+      const timer = setTimeout(
+        () =>
+          clientRef.current?.post(MESSAGES.SEARCH, {
+            searchText,
+            options: { regex, wholeWord, caseSensitive, diacriticInsensitive, query },
+            mode: searchMode,
+            contextLines,
+          }),
+        searchText ? searchDelay : 0
+      );
+      return () => clearTimeout(timer);
+    }, [
       searchText,
-    });
-  }, [searchText]);
-
-  const fontProps = {
-    font,
-    baseline,
-    align,
-    size,
-    lineHeight,
-    fillStyle,
-    strokeStyle,
-  };
-  useEffect(() => {
-    if (!workerRef.current) return;
-    workerRef.current.postMessage({
-      type: MESSAGES.UPDATE,
+      regex,
+      wholeWord,
+      caseSensitive,
+      diacriticInsensitive,
+      query,
+      searchMode,
+      contextLines,
+      searchDelay,
+    ]);
+
+    // Compare highlights by content, so a list rebuilt on every render is not sent again
+    const highlightsJson = JSON.stringify(highlights);
+    useEffect(() => {
+      clientRef.current?.post(MESSAGES.HIGHLIGHT_TERMS, { highlights: JSON.parse(highlightsJson) });
+    }, [highlightsJson]);
+
+    useEffect(() => {
+      clientRef.current?.post(MESSAGES.SET_ANNOTATIONS, { annotations });
+    }, [annotations]);
+
+    useEffect(() => {
+      clientRef.current?.post(MESSAGES.SHOW_FRONT_MATTER, { show: showFrontMatter });
+    }, [showFrontMatter]);
+
+    useEffect(() => {
+      clientRef.current?.post(MESSAGES.SET_REFLOW, { reflow });
+    }, [reflow]);
+
+    const fontProps = {
       font,
       baseline,
       align,
@@ -173,66 +497,134 @@ export const CanvasReader = ({
       lineHeight,
       fillStyle,
       strokeStyle,
-    });
-  }, [font, baseline, align, size, lineHeight, fillStyle, strokeStyle]);
+    };
+    useEffect(() => {
+      if (!clientRef.current) return;
+      clientRef.current.post(MESSAGES.UPDATE, {
+        font,
+        baseline,
+        align,
+        size,
+        lineHeight,
+        fillStyle,
+        strokeStyle,
+      });
+    }, [font, baseline, align, size, lineHeight, fillStyle, strokeStyle]);
+
+    if (route && canvasRef.current && clientRef.current && !offscreenCanvas.current) {
+      const ratio = computeRatio(canvasRef.current);
+      canvasRef.current.width = width * ratio;
+      canvasRef.current.height = height * ratio;
+      setCanvasStyleSize(canvasRef.current, width, height, fitToContainer);
 
-  if (route && canvasRef.current && !offscreenCanvas.current) {
-    const ratio = computeRatio(canvasRef.current);
-    canvasRef.current.width = canvasWidth * ratio;
-    canvasRef.current.height = canvasHeight * ratio;
-    canvasRef.current.style.width = `${canvasWidth}px`;
-    canvasRef.current.style.height = `${canvasHeight}px`;
+      offscreenCanvas.current = canvasRef.current.transferControlToOffscreen();
+      sentSize.current = { width, height };
 
-    offscreenCanvas.current = canvasRef.current.transferControlToOffscreen();
+      clientRef.current.post(
+        MESSAGES.INIT,
+        {
+          route,
+          format,
+          canvas: offscreenCanvas.current,
+          width,
+          height,
+          ratio,
+          searchIndex,
+          showFrontMatter,
+          reflow,
+          ...fontProps,
+        },
+        [offscreenCanvas.current]
+      );
+    }
 
-    workerRef.current.postMessage(
+    // Once the canvas belongs to the worker, size changes are applied there
+    useEffect(() => {
+      if (!clientRef.current || !offscreenCanvas.current) return;
+      if (sentSize.current?.width === width && sentSize.current?.height === height) return;
+      sentSize.current = { width, height };
+      setCanvasStyleSize(canvasRef.current, width, height, fitToContainer);
+      clientRef.current.post(MESSAGES.RESIZE, {
+        width,
+        height,
+        ratio: computeRatio(canvasRef.current),
+      });
+    }, [width, height, fitToContainer, canvasRef]);
+
+    useReaderAutoScroll(workerRef.current, {
+      enabled: autoScroll,
+      time: autoScrollTime,
+      amount: autoScrollAmt,
+    });
+
+    const scrollBy = (amount, unit) => () =>
+      clientRef.current.post(MESSAGES.SCROLL_BY, { amount, unit });
+    const handleKeyDown = createKeyHandler(
+      keymap ? { ...DEFAULT_KEYMAP, ...keymap } : DEFAULT_KEYMAP,
       {
-        type: MESSAGES.INIT,
-        route,
-        canvas: offscreenCanvas.current,
-        width: canvasWidth,
-        height: canvasHeight,
-        ratio,
-        ...fontProps,
-      },
-      [offscreenCanvas.current]
+        lineDown: scrollBy(1, SCROLL_UNITS.LINE),
+        lineUp: scrollBy(-1, SCROLL_UNITS.LINE),
+        pageDown: scrollBy(1, SCROLL_UNITS.PAGE),
+        pageUp: scrollBy(-1, SCROLL_UNITS.PAGE),
+        start: scrollBy(-1, SCROLL_UNITS.DOCUMENT),
+        end: scrollBy(1, SCROLL_UNITS.DOCUMENT),
+        focusSearch: onFocusSearch,
+        nextMatch: () => clientRef.current.post(MESSAGES.NEXT_MATCH),
+        prevMatch: () => clientRef.current.post(MESSAGES.PREV_MATCH),
+        copy: () =>
+          copySelection(clientRef.current).catch(({ message }) =>
+            callbacks.current.onError?.({ type: MESSAGES.GET_SELECTION, message })
+          ),
+      }
     );
-  }
 
-  useReaderAutoScroll(workerRef.current, {
-    enabled: autoScroll,
-    time: autoScrollTime,
-    amount: autoScrollAmt,
-  });
-
-  const mouseMessage = (type) => (e) => {
-    if (!workerRef.current) return;
-    workerRef.current.postMessage({
-      type,
-      ...relativeMousePos(e),
-      ...pickMouseProps(e),
-    });
-  };
-
-  return (
-    <canvas
-      ref={canvasRef}
-      width={canvasWidth}
-      height={canvasHeight}
-      onMouseDown={mouseMessage(MESSAGES.MOUSE_DOWN)}
-      onMouseUp={mouseMessage(MESSAGES.MOUSE_UP)}
-      onMouseMove={mouseMessage(MESSAGES.MOUSE_MOVE)}
-      onContextMenu={stopMouseEvents}
-      onWheel={(e) => {
-        if (!workerRef.current) return;
-        workerRef.current.postMessage({
-          type: MESSAGES.SCROLL,
-          scrollDelta: e.deltaY,
-        });
-      }}
-    />
-  );
-};
+    const mouseMessage = (type) => (e) => {
+      if (!clientRef.current) return;
+      clientRef.current.post(type, {
+        ...relativeMousePos(e),
+        ...pickMouseProps(e),
+      });
+    };
+
+    // The line at the top of the canvas is the reading position announced to screen readers
+    const currentLine = visibleText.find(({ kind }) => kind !== 'separator');
+    const lineId = (lineNum) => `${mirrorId}-line-${lineNum}`;
+
+    return (
+      <>
+        <canvas
+          ref={canvasRef}
+          width={canvasWidth}
+          height={canvasHeight}
+          onMouseDown={mouseMessage(MESSAGES.MOUSE_DOWN)}
+          onMouseUp={mouseMessage(MESSAGES.MOUSE_UP)}
+          onMouseMove={mouseMessage(MESSAGES.MOUSE_MOVE)}
+          tabIndex={0}
+          aria-label="Book text"
+          aria-controls={mirrorId}
+          aria-describedby={currentLine && lineId(currentLine.lineNum)}
+          onKeyDown={(e) => clientRef.current && handleKeyDown(e)}
+          onWheel={(e) => {
+            if (!clientRef.current) return;
+            clientRef.current.post(MESSAGES.SCROLL, { scrollDelta: e.deltaY });
+          }}
+        />
+        <div id={mirrorId} style={VISUALLY_HIDDEN} aria-live="polite">
+          {visibleText.map((line, i) => {
+            const Tag = MIRROR_TAGS[line.kind];
+            const id =
+              line.kind === 'separator' ? `${mirrorId}-separator-${i}` : lineId(line.lineNum);
+            return (
+              <Tag key={id} id={id} aria-current={line === currentLine ? 'location' : undefined}>
+                {line.text}
+              </Tag>
+            );
+          })}
+        </div>
+      </>
+    );
+  }
+);
 
 CanvasReader.displayName = 'CanvasReader';
 export default CanvasReader;
@@ -4,22 +4,77 @@
  */
 
 import '../styles/reader.css';
-import React, { memo, useState } from 'react';
-import { HOST, NODE_SERVER_PORT } from '../constants/constants';
+import React, { memo, useRef, useState } from 'react';
+import { BOOK_FORMATS, HIGHLIGHT_COLORS, MESSAGES, SEARCH_MODES } from '../constants/constants';
+import useAnnotations from '../hooks/useAnnotations.js';
+import { createLocalStorageAdapter } from '../utils/annotation-storage.js';
+import { createAnnotation } from '../utils/annotations.js';
+import { bookRoute, chooseDownload } from '../utils/book-formats.js';
+import AnnotationsPanel from './AnnotationsPanel.jsx';
 import BookChooser from './BookChooser.jsx';
 import CanvasReader from './CanvasReader.jsx';
+import SearchResults from './SearchResults.jsx';
+import TableOfContents from './TableOfContents.jsx';
+
+/**
+ * Search options offered next to the search box, with their labels.
+ * @type {Array<[string, string]>}
+ */
+const SEARCH_OPTION_LABELS = [
+  ['regex', 'Regex'],
+  ['wholeWord', 'Whole word'],
+  ['caseSensitive', 'Match case'],
+  ['diacriticInsensitive', 'Ignore accents'],
+  ['query', 'AND/OR/NEAR'],
+];
+
+/**
+ * Context sizes offered for filtered search results, with their labels.
+ * @type {Array<[number|string, string]>}
+ */
+const CONTEXT_LABELS = [
+  [0, 'No context'],
+  [1, '1 line'],
+  [2, '2 lines'],
+  [3, '3 lines'],
+  ['paragraph', 'Whole paragraph'],
+];
+
+/**
+ * Storage used when no annotationStorage is given; keeps annotations in the browser.
+ * @type {AnnotationStorage}
+ */
+const LOCAL_ANNOTATIONS = createLocalStorageAdapter();
 
 /**
  * Reader component props.
  * @typedef {Object} ReaderProps
  * @property {number} [size=800] - Canvas dimensions (width and height in pixels)
  * @property {number} [fontSize=15] - Default font size for text rendering
+ * @property {AnnotationStorage} [annotationStorage] - Where highlights and notes are kept, by
+ *   default in localStorage; use createServerAdapter to keep them on the server
  */
 
 /**
  * Main styled reader component with book selection and rendering capabilities.
- * Includes CSS styling and constructs book routes from the book's format data.
- * Combines BookChooser, search input, and CanvasReader into a complete interface.
+ * Includes CSS styling and constructs book routes from the book's format data: a book's EPUB is
+ * read through the server's block model, with its headings, italics, bold and table of
+ * contents, a book without one through the block model of its HTML, and a book with neither as
+ * plain text.
+ * Combines BookChooser, search input with search options, and CanvasReader into a complete
+ * interface. An invalid regular expression is shown below the search input. Hits can be shown
+ * as a filtered list, with a choice of how much context surrounds each hit, or in context,
+ * stepping through them with the previous/next buttons. A results panel below lists the hits
+ * and how many each chapter has; clicking one scrolls the reader to it. Names typed into the
+ * highlight box, separated by commas, stay highlighted in their own colours while searching.
+ * Text selected on the canvas can be saved as a highlight or note, listed in the annotations
+ * panel and kept per book in the annotation storage. On the focused reader `/` moves to the
+ * search box, and Escape in the search box moves back to the reader. The title, author and
+ * release date of a Project Gutenberg book are shown above the search box, and its license
+ * header and footer, hidden by default, can be shown with a checkbox. Hard-wrapped lines are
+ * joined into paragraphs that fill the canvas width unless "Reflow paragraphs" is unchecked. A
+ * table of contents of the chapters and sections found in the book runs down the left side,
+ * marking the section being read; clicking one scrolls the reader to it.
  *
  * The component is memoized to prevent unnecessary re-renders.
  *
@@ -33,33 +88,207 @@ import CanvasReader from './CanvasReader.jsx';
  * @example
  * // Custom size and font
  * <Reader size={1000} fontSize={18} />
+ *
+ * @example
+ * // Keep annotations on the server
+ * <Reader annotationStorage={createServerAdapter()} />
  */
-const Reader = memo(({ size = 800, fontSize = 15 }) => {
+const Reader = memo(({ size = 800, fontSize = 15, annotationStorage = LOCAL_ANNOTATIONS }) => {
   const [book, setBook] = useState(null);
   const [searchText, setSearchText] = useState('');
-  const route = book
-    ? `http://${HOST}:${NODE_SERVER_PORT}/api/book-text?url=${encodeURIComponent(book?.formats['text/plain; charset=us-ascii'])}`
-    : '';
+  const [searchOptions, setSearchOptions] = useState({});
+  const [searchError, setSearchError] = useState(null);
+  const [searchMode, setSearchMode] = useState(SEARCH_MODES.FILTER);
+  const [contextLines, setContextLines] = useState(1);
+  const [match, setMatch] = useState({ current: 0, total: 0 });
+  const [results, setResults] = useState(null);
+  const [highlightText, setHighlightText] = useState('');
+  const [selection, setSelection] = useState(null);
+  const [loaded, setLoaded] = useState(null);
+  const [showFrontMatter, setShowFrontMatter] = useState(false);
+  const [reflow, setReflow] = useState(true);
+  const [position, setPosition] = useState(undefined);
+  const {
+    annotations,
+    add,
+    remove,
+    error: annotationError,
+  } = useAnnotations(book?.id, annotationStorage);
+  const highlights = highlightText
+    .split(',')
+    .map((term) => term.trim())
+    .filter(Boolean)
+    .map((term) => ({ term, options: { wholeWord: true } }));
+  const reader = useRef(null);
+  const searchInput = useRef(null);
+  const download = book && chooseDownload(book.formats);
+  const { route, format } = download
+    ? bookRoute(download)
+    : { route: '', format: BOOK_FORMATS.TEXT };
   return (
     <div className="reader">
+      <TableOfContents
+        sections={loaded?.sections}
+        lineNum={position}
+        onSelect={(i) => reader.current?.gotoSection(i)}
+      />
       <div>
-        <BookChooser onSelect={setBook} />
+        <BookChooser
+          onSelect={(selected) => {
+            setLoaded(null);
+            setPosition(undefined);
+            setBook(selected);
+          }}
+        />
+        {loaded?.metadata.title && (
+          <div className="book-metadata">
+            <strong>{loaded.metadata.title}</strong>
+            {loaded.metadata.author && ` by ${loaded.metadata.author}`}
+            {loaded.metadata.releaseDate && (
+              <div>
+                Released {loaded.metadata.releaseDate}
+                {loaded.metadata.language && ` · ${loaded.metadata.language}`}
+              </div>
+            )}
+          </div>
+        )}
+        {loaded?.frontMatter && (
+          <label style={{ display: 'block' }}>
+            <input
+              type="checkbox"
+              checked={showFrontMatter}
+              onChange={(e) => setShowFrontMatter(e.target.checked)}
+            />
+            Show Project Gutenberg license
+          </label>
+        )}
+        <label style={{ display: 'block' }}>
+          <input type="checkbox" checked={reflow} onChange={(e) => setReflow(e.target.checked)} />
+          Reflow paragraphs
+        </label>
         <div style={{ marginTop: 12 }}>
           <input
+            ref={searchInput}
             type="text"
             placeholder="Search text..."
             value={searchText}
-            onChange={(e) => setSearchText(e.target.value)}
+            onChange={(e) => {
+              setSearchError(null);
+              setSearchText(e.target.value);
+            }}
+            onKeyDown={(e) => e.key === 'Escape' && reader.current?.focus()}
           />
+          {SEARCH_OPTION_LABELS.map(([name, label]) => (
+            <label key={name} style={{ display: 'block' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(searchOptions[name])}
+                onChange={(e) => {
+                  setSearchError(null);
+                  setSearchOptions({ ...searchOptions, [name]: e.target.checked });
+                }}
+              />
+              {label}
+            </label>
+          ))}
+          <label style={{ display: 'block' }}>
+            <input
+              type="checkbox"
+              checked={searchMode === SEARCH_MODES.NAVIGATE}
+              onChange={(e) =>
+                setSearchMode(e.target.checked ? SEARCH_MODES.NAVIGATE : SEARCH_MODES.FILTER)
+              }
+            />
+            Show hits in context
+          </label>
+          <label style={{ display: 'block' }}>
+            Context{' '}
+            <select
+              value={contextLines}
+              disabled={searchMode === SEARCH_MODES.NAVIGATE}
+              onChange={(e) => {
+                const { value } = e.target;
+                setContextLines(value === 'paragraph' ? value : Number(value));
+              }}
+            >
+              {CONTEXT_LABELS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {searchText && (
+            <div>
+              <button type="button" onClick={() => reader.current?.prevMatch()}>
+                Previous
+              </button>
+              <button type="button" onClick={() => reader.current?.nextMatch()}>
+                Next
+              </button>
+              <span>
+                {' '}
+                {match.current} of {match.total}
+                {match.complete === false && '…'}
+              </span>
+            </div>
+          )}
+          {searchError && <div role="alert">{searchError}</div>}
+          <div style={{ marginTop: 12 }}>
+            <input
+              type="text"
+              placeholder="Highlight names, e.g. Ahab, Starbuck"
+              value={highlightText}
+              onChange={(e) => setHighlightText(e.target.value)}
+            />
+            {highlights.map(({ term }, i) => (
+              <span
+                key={term}
+                className="highlight-term"
+                style={{ background: HIGHLIGHT_COLORS[i % HIGHLIGHT_COLORS.length] }}
+              >
+                {term}
+              </span>
+            ))}
+          </div>
+          {searchText && (
+            <SearchResults results={results} onSelect={(i) => reader.current?.gotoMatch(i)} />
+          )}
+          {book && (
+            <AnnotationsPanel
+              annotations={annotations}
+              selection={selection}
+              onAdd={({ kind, note }) => add(createAnnotation(selection, { kind, note }))}
+              onRemove={remove}
+              onSelect={(id) => reader.current?.gotoAnnotation(id)}
+            />
+          )}
+          {annotationError && <div role="alert">{annotationError}</div>}
         </div>
       </div>
       <CanvasReader
+        ref={reader}
         key={route}
         route={route}
+        format={format}
         canvasWidth={size}
         canvasHeight={size}
         size={fontSize}
         searchText={searchText}
+        searchOptions={searchOptions}
+        searchMode={searchMode}
+        contextLines={contextLines}
+        highlights={highlights}
+        annotations={annotations}
+        showFrontMatter={showFrontMatter}
+        reflow={reflow}
+        onLoad={setLoaded}
+        onPositionChange={({ lineNum }) => setPosition(lineNum)}
+        onMatchChange={setMatch}
+        onSelectionChange={({ anchor }) => setSelection(anchor)}
+        onFocusSearch={() => searchInput.current?.focus()}
+        onSearchResults={setResults}
+        onError={({ type, message }) => type === MESSAGES.SEARCH && setSearchError(message)}
       />
     </div>
   );
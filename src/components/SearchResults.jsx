@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Search results panel for the canvas reader.
+ * Shows how many hits a search has, how they spread over the chapters and a list of hits with
+ * snippets that jump the reader to a hit when clicked.
+ */
+
+import React from 'react';
+
+/**
+ * SearchResults component props.
+ * @typedef {Object} SearchResultsProps
+ * @property {SearchSummary|null} results - Summary of the current search, as posted by the
+ *   worker with SEARCH_RESULTS, or null before the first search
+ * @property {function(number): void} onSelect - Called with the position of a hit among all
+ *   hits when it (or its chapter) is clicked
+ */
+
+/**
+ * Lists the hits of a search.
+ * The heading gives the hit count, noting when only the first hits are listed. Chapters with
+ * hits are listed with their counts and jump to their first hit; each hit shows its source line
+ * and a snippet with the hit marked.
+ *
+ * @param {SearchResultsProps} props - Component props
+ * @returns {React.ReactElement|null} Results panel, or null without results
+ *
+ * @example
+ * <SearchResults results={results} onSelect={(i) => reader.current.gotoMatch(i)} />
+ */
+const SearchResults = ({ results, onSelect }) => {
+  if (!results) return null;
+  const { total, hits, chapters } = results;
+  return (
+    <div className="search-results">
+      <div role="status">
+        {total === 1 ? '1 match' : `${total} matches`}
+        {hits.length < total && ` (showing the first ${hits.length})`}
+      </div>
+      {chapters.some(({ title }) => title) && (
+        <ul className="search-results-chapters">
+          {chapters.map(({ title, count, firstHit }) => (
+            <li key={firstHit}>
+              <button type="button" onClick={() => onSelect(firstHit)}>
+                {title ?? 'Before the first chapter'}: {count}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <ul className="search-results-hits">
+        {hits.map(({ index, lineNum, snippet }) => (
+          <li key={index}>
+            <button type="button" onClick={() => onSelect(index)}>
+              Line {lineNum}: {snippet.before}
+              <mark>{snippet.match}</mark>
+              {snippet.after}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+export default SearchResults;
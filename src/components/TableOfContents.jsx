@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Table of contents for the canvas reader.
+ * Lists the chapter and section headings the worker found in a book, so the reader can jump
+ * straight to one instead of dragging the scrollbar through the whole book.
+ */
+
+import React from 'react';
+
+/**
+ * Finds the section the reader is in: the last one whose heading is at or above a line.
+ *
+ * @param {Chapter[]} sections - Sections in text order
+ * @param {number} lineNum - Source line at the top of the canvas
+ * @returns {number} Position of the current section, or -1 before the first one
+ * @private
+ */
+const currentSection = (sections, lineNum) =>
+  sections.findLastIndex((section) => section.lineNum <= lineNum);
+
+/**
+ * TableOfContents component props.
+ * @typedef {Object} TableOfContentsProps
+ * @property {Chapter[]} sections - Chapter and section headings, as passed to onLoad of
+ *   CanvasReader
+ * @property {number} [lineNum] - Source line at the top of the canvas, to mark the current
+ *   section
+ * @property {function(number): void} onSelect - Called with the position of a clicked section
+ */
+
+/**
+ * Lists the sections of a book as a navigation sidebar. Chapters are indented under the books,
+ * parts, volumes or acts that hold them, and the section being read is marked as the current
+ * location.
+ *
+ * @param {TableOfContentsProps} props - Component props
+ * @returns {React.ReactElement|null} Table of contents, or null for a book without headings
+ *
+ * @example
+ * <TableOfContents
+ *   sections={loaded.sections}
+ *   lineNum={position}
+ *   onSelect={(i) => reader.current.gotoSection(i)}
+ * />
+ */
+const TableOfContents = ({ sections, lineNum, onSelect }) => {
+  if (!sections?.length) return null;
+  const current = lineNum === undefined ? -1 : currentSection(sections, lineNum);
+  const nested = sections.some(({ level }) => level === 1);
+  return (
+    <nav className="table-of-contents" aria-label="Table of contents">
+      <ol>
+        {sections.map(({ title, lineNum: line, level }, i) => (
+          // Several entries can start on the same line, e.g. EPUB links into one heading
+          <li key={`${line}:${title}`} className={nested && level > 1 ? 'toc-nested' : undefined}>
+            <button
+              type="button"
+              aria-current={i === current ? 'location' : undefined}
+              onClick={() => onSelect(i)}
+            >
+              {title}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+};
+
+export default TableOfContents;
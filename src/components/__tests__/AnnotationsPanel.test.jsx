@@ -0,0 +1,88 @@
+import { cleanup, fireEvent, render } from '@testing-library/react';
+import { expect } from 'chai';
+import React from 'react';
+import sinon from 'sinon';
+import AnnotationsPanel from '../AnnotationsPanel.jsx';
+
+const anchor = (lineNum, exact) => ({
+  start: 0,
+  end: exact.length,
+  lineNum,
+  column: 0,
+  quote: { exact, prefix: '', suffix: '' },
+});
+
+const annotations = [
+  { id: 'a1', kind: 'highlight', color: '#f8bbd0', anchor: anchor(5, 'Call me Ishmael.') },
+  {
+    id: 'a2',
+    kind: 'note',
+    color: '#b2dfdb',
+    note: 'The narrator',
+    anchor: anchor(9, 'Some years ago—never mind how long precisely—having little or no money'),
+  },
+];
+
+describe('AnnotationsPanel', () => {
+  const props = (overrides) => ({
+    annotations,
+    selection: null,
+    onAdd: sinon.spy(),
+    onRemove: sinon.spy(),
+    onSelect: sinon.spy(),
+    ...overrides,
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('lists annotations with their line, quote and note', () => {
+    const { container } = render(<AnnotationsPanel {...props()} />);
+    const items = container.querySelectorAll('.annotations-list li');
+    expect(items).to.have.lengthOf(2);
+    expect(items[0].querySelector('button').textContent).to.equal('Line 5: Call me Ishmael.');
+    expect(items[1].querySelector('button').textContent).to.equal(
+      'Line 9: Some years ago—never mind how long precisely—having little o…'
+    );
+    expect(items[1].querySelector('.annotation-note').textContent).to.equal('The narrator');
+  });
+
+  it('asks for a selection when the book has no annotations', () => {
+    const { container } = render(<AnnotationsPanel {...props({ annotations: [] })} />);
+    expect(container.querySelector('.annotations-empty')).to.exist;
+  });
+
+  it('scrolls to and removes annotations', () => {
+    const handlers = props();
+    const { container, getAllByLabelText } = render(<AnnotationsPanel {...handlers} />);
+
+    fireEvent.click(container.querySelector('.annotations-list button'));
+    fireEvent.click(getAllByLabelText('Remove annotation')[1]);
+
+    expect(handlers.onSelect.calledOnceWith('a1')).to.be.true;
+    expect(handlers.onRemove.calledOnceWith('a2')).to.be.true;
+  });
+
+  it('offers to annotate the selection only when there is one', () => {
+    const { container, rerender } = render(<AnnotationsPanel {...props()} />);
+    expect(container.querySelector('.annotations-selection')).to.not.exist;
+
+    rerender(<AnnotationsPanel {...props({ selection: anchor(5, 'Ishmael') })} />);
+    expect(container.querySelector('q').textContent).to.equal('Ishmael');
+  });
+
+  it('highlights the selection or adds a note to it', () => {
+    const handlers = props({ selection: anchor(5, 'Ishmael') });
+    const { getByText, getByPlaceholderText } = render(<AnnotationsPanel {...handlers} />);
+
+    fireEvent.click(getByText('Highlight'));
+    expect(getByText('Add note').disabled).to.be.true;
+    fireEvent.change(getByPlaceholderText('Note...'), { target: { value: ' The narrator ' } });
+    fireEvent.click(getByText('Add note'));
+
+    expect(handlers.onAdd.firstCall.args[0]).to.deep.equal({ kind: 'highlight' });
+    expect(handlers.onAdd.secondCall.args[0]).to.deep.equal({ kind: 'note', note: 'The narrator' });
+    expect(getByPlaceholderText('Note...').value).to.equal('');
+  });
+});
@@ -129,9 +129,9 @@ describe('BookSearch', () => {
     expect(screen.getByText('Through the Looking-Glass')).to.exist;
   });
 
-  it('filters out books without text/plain format', async () => {
+  it('filters out books without EPUB, HTML or text/plain format', async () => {
     const mockResults = {
-      count: 3,
+      count: 4,
       results: [
         {
           id: 11,
@@ -143,7 +143,7 @@ describe('BookSearch', () => {
           id: 12,
           title: 'Book without text',
           authors: [{ name: 'Author Two' }],
-          formats: { 'text/html': 'http://example.com/book2.html' },
+          formats: { 'image/jpeg': 'http://example.com/book2.jpg' },
         },
         {
           id: 13,
@@ -151,6 +151,12 @@ describe('BookSearch', () => {
           authors: [{ name: 'Author Three' }],
           formats: { 'text/plain': 'http://example.com/book3.txt' },
         },
+        {
+          id: 14,
+          title: 'Book with EPUB',
+          authors: [{ name: 'Author Four' }],
+          formats: { 'application/epub+zip': 'http://example.com/book4.epub' },
+        },
       ],
     };
 
@@ -169,10 +175,11 @@ describe('BookSearch', () => {
 
     await waitFor(() => {
       const results = container.querySelectorAll('.book-search-item');
-      expect(results.length).to.equal(2);
+      expect(results.length).to.equal(3);
     });
 
     expect(screen.getByText('Book with text')).to.exist;
+    expect(screen.getByText('Book with EPUB')).to.exist;
     expect(screen.getByText('Another book with text')).to.exist;
     expect(screen.queryByText('Book without text')).to.not.exist;
   });
@@ -265,7 +272,8 @@ describe('BookSearch', () => {
     fireEvent.submit(form);
 
     await waitFor(() => {
-      expect(screen.getByText('No books with text format found for "nonexistent"')).to.exist;
+      expect(screen.getByText('No books with EPUB, HTML or text format found for "nonexistent"')).to
+        .exist;
     });
   });
 
@@ -362,6 +370,51 @@ describe('BookSearch', () => {
     expect(onChooseSpy.firstCall.args[0]).to.equal('http://example.com/alice.txt');
   });
 
+  it('calls onChoose with the EPUB URL of a book that has one', async () => {
+    const mockResults = {
+      count: 1,
+      results: [
+        {
+          id: 11,
+          title: "Alice's Adventures in Wonderland",
+          authors: [{ name: 'Lewis Carroll' }],
+          formats: {
+            'text/plain': 'http://example.com/alice.txt',
+            'application/epub+zip': 'http://example.com/alice.epub',
+          },
+        },
+      ],
+    };
+
+    fetchStub.resolves({
+      ok: true,
+      json: async () => mockResults,
+    });
+
+    const onChooseSpy = sinon.spy();
+    const { container } = render(<BookSearch onChoose={onChooseSpy} />);
+
+    const input = container.querySelector('input[type="text"]');
+    const form = container.querySelector('form');
+
+    fireEvent.change(input, { target: { value: 'alice' } });
+    fireEvent.submit(form);
+
+    await waitFor(() => {
+      const bookButton = container.querySelector('.book-search-button');
+      expect(bookButton).to.exist;
+    });
+
+    const bookButton = container.querySelector('.book-search-button');
+    fireEvent.click(bookButton);
+
+    expect(onChooseSpy.calledOnce).to.be.true;
+    expect(onChooseSpy.firstCall.args).to.deep.equal([
+      'http://example.com/alice.epub',
+      'application/epub+zip',
+    ]);
+  });
+
   it('formats author names correctly', async () => {
     const mockResults = {
       count: 1,
@@ -1,8 +1,9 @@
-import { cleanup, fireEvent, render, waitFor } from '@testing-library/react';
+import { act, cleanup, fireEvent, render, waitFor } from '@testing-library/react';
 import { expect } from 'chai';
 import React from 'react';
 import sinon from 'sinon';
-import { MESSAGES } from '../../constants/constants.js';
+import { BOOK_FORMATS, MESSAGES, SEARCH_MODES, WORKER_EVENTS } from '../../constants/constants.js';
+import { ENVELOPES } from '../../workers/protocol.js';
 import { CanvasReader } from '../CanvasReader.jsx';
 
 describe('CanvasReader', () => {
@@ -68,7 +69,7 @@ describe('CanvasReader', () => {
     const { unmount } = render(<CanvasReader />);
     unmount();
     expect(workerTerminateSpy.calledOnce).to.be.true;
-    expect(workerPostMessageSpy.calledWith({ type: 'kill' })).to.be.true;
+    expect(workerPostMessageSpy.calledWith({ type: MESSAGES.KILL })).to.be.true;
   });
 
   it('sends UPDATE when font props change', async () => {
@@ -94,6 +95,80 @@ describe('CanvasReader', () => {
     });
   });
 
+  it('sends one SEARCH after a pause in typing', async () => {
+    const { rerender } = render(<CanvasReader searchText="w" searchDelay={20} />);
+    rerender(<CanvasReader searchText="wh" searchDelay={20} />);
+    rerender(<CanvasReader searchText="wha" searchDelay={20} />);
+    const searches = () =>
+      workerPostMessageSpy.getCalls().filter((call) => call.args[0]?.type === MESSAGES.SEARCH);
+    expect(searches()).to.have.lengthOf(0);
+
+    await waitFor(() => expect(searches()).to.have.lengthOf(1));
+    expect(searches()[0].args[0].searchText).to.equal('wha');
+  });
+
+  it('sends search options with SEARCH', async () => {
+    render(
+      <CanvasReader
+        searchText="whale"
+        searchOptions={{ regex: true, wholeWord: true, query: true }}
+      />
+    );
+    await waitFor(() => {
+      const searchCall = workerPostMessageSpy
+        .getCalls()
+        .find((call) => call.args[0]?.type === MESSAGES.SEARCH);
+      expect(searchCall.args[0].options).to.include({ regex: true, wholeWord: true, query: true });
+    });
+  });
+
+  it('sends the search mode with SEARCH', async () => {
+    render(<CanvasReader searchText="whale" searchMode={SEARCH_MODES.NAVIGATE} />);
+    await waitFor(() => {
+      const searchCall = workerPostMessageSpy
+        .getCalls()
+        .find((call) => call.args[0]?.type === MESSAGES.SEARCH);
+      expect(searchCall.args[0].mode).to.equal(SEARCH_MODES.NAVIGATE);
+    });
+  });
+
+  it('sends the context lines with SEARCH', async () => {
+    render(<CanvasReader searchText="whale" contextLines="paragraph" />);
+    await waitFor(() => {
+      const searchCall = workerPostMessageSpy
+        .getCalls()
+        .find((call) => call.args[0]?.type === MESSAGES.SEARCH);
+      expect(searchCall.args[0].contextLines).to.equal('paragraph');
+    });
+  });
+
+  it('sends HIGHLIGHT_TERMS only when the highlights change', () => {
+    const { rerender } = render(<CanvasReader highlights={[{ term: 'Ahab' }]} />);
+    rerender(<CanvasReader highlights={[{ term: 'Ahab' }]} />);
+    rerender(<CanvasReader highlights={[{ term: 'Ahab' }, { term: 'Starbuck', color: 'pink' }]} />);
+
+    const highlightCalls = workerPostMessageSpy
+      .getCalls()
+      .filter((call) => call.args[0]?.type === MESSAGES.HIGHLIGHT_TERMS);
+    expect(highlightCalls.map((call) => call.args[0].highlights)).to.deep.equal([
+      [{ term: 'Ahab' }],
+      [{ term: 'Ahab' }, { term: 'Starbuck', color: 'pink' }],
+    ]);
+  });
+
+  it('sets highlight terms with the ref', () => {
+    const ref = React.createRef();
+    render(<CanvasReader ref={ref} />);
+
+    ref.current.highlightTerms([{ term: 'whale' }]);
+
+    const highlightCall = workerPostMessageSpy
+      .getCalls()
+      .findLast((call) => call.args[0]?.type === MESSAGES.HIGHLIGHT_TERMS);
+    expect(highlightCall.args[0].highlights).to.deep.equal([{ term: 'whale' }]);
+    expect(highlightCall.args[0].id).to.be.a('number');
+  });
+
   it('sends SCROLL on wheel', () => {
     const { container } = render(<CanvasReader />);
     const canvas = container.querySelector('canvas');
@@ -119,6 +194,434 @@ describe('CanvasReader', () => {
     expect(mm).to.exist;
   });
 
+  it('sends RESIZE when canvas dimensions change after INIT', async () => {
+    const { rerender } = render(<CanvasReader canvasWidth={800} canvasHeight={600} />);
+    rerender(<CanvasReader canvasWidth={800} canvasHeight={600} />);
+    expect(workerPostMessageSpy.getCalls().some((c) => c.args[0]?.type === MESSAGES.INIT)).to.be
+      .true;
+    expect(workerPostMessageSpy.getCalls().some((c) => c.args[0]?.type === MESSAGES.RESIZE)).to.be
+      .false;
+
+    rerender(<CanvasReader canvasWidth={1000} canvasHeight={700} />);
+    await waitFor(() => {
+      const resizeCall = workerPostMessageSpy
+        .getCalls()
+        .find((call) => call.args[0]?.type === MESSAGES.RESIZE);
+      expect(resizeCall).to.exist;
+      expect(resizeCall.args[0]).to.include({ width: 1000, height: 700, ratio: 1 });
+    });
+  });
+
+  it('does not send RESIZE before the canvas is handed to the worker', () => {
+    const { rerender } = render(<CanvasReader route="" canvasWidth={800} />);
+    rerender(<CanvasReader route="" canvasWidth={900} />);
+    const resizeCall = workerPostMessageSpy
+      .getCalls()
+      .find((call) => call.args[0]?.type === MESSAGES.RESIZE);
+    expect(resizeCall).to.not.exist;
+  });
+
+  it('exposes a promise-returning search through the ref', async () => {
+    const ref = React.createRef();
+    render(<CanvasReader ref={ref} />);
+
+    const pending = ref.current.search('whale');
+    const request = workerPostMessageSpy
+      .getCalls()
+      .find((call) => call.args[0]?.type === MESSAGES.SEARCH && call.args[0].id !== undefined);
+    expect(request.args[0].searchText).to.equal('whale');
+
+    mockWorker.onmessage({
+      data: { type: ENVELOPES.REPLY, id: request.args[0].id, result: { total: 3 } },
+    });
+    expect(await pending).to.deep.equal({ total: 3 });
+  });
+
+  it('delivers worker events to subscribers on the ref', () => {
+    const ref = React.createRef();
+    const handler = sinon.spy();
+    render(<CanvasReader ref={ref} />);
+
+    ref.current.on(WORKER_EVENTS.POSITION_CHANGED, handler);
+    mockWorker.onmessage({
+      data: {
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.POSITION_CHANGED,
+        payload: { lineNum: 7 },
+      },
+    });
+
+    expect(handler.calledOnceWith({ lineNum: 7 })).to.be.true;
+  });
+
+  it('goes to sections and reports the reading position', () => {
+    const ref = React.createRef();
+    const onPositionChange = sinon.spy();
+    render(<CanvasReader ref={ref} onPositionChange={onPositionChange} />);
+
+    ref.current.gotoSection(2);
+    mockWorker.onmessage({
+      data: {
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.POSITION_CHANGED,
+        payload: { lineNum: 40 },
+      },
+    });
+
+    const calls = workerPostMessageSpy.getCalls().map((call) => call.args[0]);
+    expect(calls.find((message) => message?.type === MESSAGES.GOTO_SECTION).section).to.equal(2);
+    expect(onPositionChange.calledOnceWith({ lineNum: 40 })).to.be.true;
+  });
+
+  it('calls onLoad, onError and onProgress for worker load events', () => {
+    const onLoad = sinon.spy();
+    const onError = sinon.spy();
+    const onProgress = sinon.spy();
+    render(<CanvasReader onLoad={onLoad} onError={onError} onProgress={onProgress} />);
+
+    const send = (event, payload) =>
+      mockWorker.onmessage({ data: { type: ENVELOPES.EVENT, event, payload } });
+    send(WORKER_EVENTS.PROGRESS, { bytesReceived: 10, totalBytes: 20 });
+    send(WORKER_EVENTS.READY, { length: 20, lines: 2 });
+    send(WORKER_EVENTS.ERROR, { message: 'HTTP 503', status: 503 });
+
+    expect(onProgress.calledOnceWith({ bytesReceived: 10, totalBytes: 20 })).to.be.true;
+    expect(onLoad.calledOnceWith({ length: 20, lines: 2 })).to.be.true;
+    expect(onError.calledOnceWith({ message: 'HTTP 503', status: 503 })).to.be.true;
+  });
+
+  it('reports match changes and steps through matches with the ref', () => {
+    const ref = React.createRef();
+    const onMatchChange = sinon.spy();
+    render(<CanvasReader ref={ref} onMatchChange={onMatchChange} />);
+
+    ref.current.nextMatch();
+    ref.current.prevMatch();
+    mockWorker.onmessage({
+      data: {
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.MATCH_CHANGED,
+        payload: { current: 3, total: 47 },
+      },
+    });
+
+    const types = workerPostMessageSpy.getCalls().map((call) => call.args[0]?.type);
+    expect(types).to.include.members([MESSAGES.NEXT_MATCH, MESSAGES.PREV_MATCH]);
+    expect(onMatchChange.calledOnceWith({ current: 3, total: 47 })).to.be.true;
+  });
+
+  it('reports search results and jumps to a hit with the ref', () => {
+    const ref = React.createRef();
+    const onSearchResults = sinon.spy();
+    render(<CanvasReader ref={ref} onSearchResults={onSearchResults} />);
+    const results = { total: 1, hits: [], chapters: [] };
+
+    ref.current.gotoMatch(0);
+    mockWorker.onmessage({
+      data: { type: ENVELOPES.EVENT, event: WORKER_EVENTS.SEARCH_RESULTS, payload: results },
+    });
+
+    const gotoCall = workerPostMessageSpy
+      .getCalls()
+      .find((call) => call.args[0]?.type === MESSAGES.GOTO_MATCH);
+    expect(gotoCall.args[0].index).to.equal(0);
+    expect(onSearchResults.calledOnceWith(results)).to.be.true;
+  });
+
+  it('reports index progress and requests the search index with the ref', () => {
+    const ref = React.createRef();
+    const onIndexProgress = sinon.spy();
+    render(<CanvasReader ref={ref} onIndexProgress={onIndexProgress} />);
+
+    ref.current.exportIndex();
+    mockWorker.onmessage({
+      data: {
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.INDEX_PROGRESS,
+        payload: { indexed: 10, length: 20 },
+      },
+    });
+
+    const types = workerPostMessageSpy.getCalls().map((call) => call.args[0]?.type);
+    expect(types).to.include(MESSAGES.EXPORT_INDEX);
+    expect(onIndexProgress.calledOnceWith({ indexed: 10, length: 20 })).to.be.true;
+  });
+
+  it('sends whether to show the front matter with INIT and when it changes', () => {
+    const { rerender } = render(<CanvasReader route="/books/1" />);
+    // The canvas is handed to the worker with INIT once it is mounted
+    rerender(<CanvasReader route="/books/1" />);
+    rerender(<CanvasReader route="/books/1" showFrontMatter />);
+
+    const calls = workerPostMessageSpy.getCalls().map((call) => call.args[0]);
+    const init = calls.find((message) => message?.type === MESSAGES.INIT);
+    const shows = calls.filter((message) => message?.type === MESSAGES.SHOW_FRONT_MATTER);
+    expect(init.showFrontMatter).to.be.false;
+    expect(shows.at(-1).show).to.be.true;
+  });
+
+  it('sends whether to reflow paragraphs with INIT and when it changes', () => {
+    const { rerender } = render(<CanvasReader route="/books/1" reflow />);
+    rerender(<CanvasReader route="/books/1" reflow />);
+    rerender(<CanvasReader route="/books/1" />);
+
+    const calls = workerPostMessageSpy.getCalls().map((call) => call.args[0]);
+    const init = calls.find((message) => message?.type === MESSAGES.INIT);
+    const reflows = calls.filter((message) => message?.type === MESSAGES.SET_REFLOW);
+    expect(init.reflow).to.be.true;
+    expect(reflows.at(-1).reflow).to.be.false;
+  });
+
+  it('sends the format of the book with INIT', () => {
+    const { rerender } = render(
+      <CanvasReader route="/api/book-content" format={BOOK_FORMATS.BLOCKS} />
+    );
+    rerender(<CanvasReader route="/api/book-content" format={BOOK_FORMATS.BLOCKS} />);
+
+    const init = workerPostMessageSpy
+      .getCalls()
+      .map((call) => call.args[0])
+      .find((message) => message?.type === MESSAGES.INIT);
+    expect(init.format).to.equal(BOOK_FORMATS.BLOCKS);
+  });
+
+  it('sends the annotations and reports the selection', () => {
+    const ref = React.createRef();
+    const onSelectionChange = sinon.spy();
+    const annotations = [{ id: 'a1', color: 'pink', anchor: { start: 0, end: 4 } }];
+    render(
+      <CanvasReader ref={ref} annotations={annotations} onSelectionChange={onSelectionChange} />
+    );
+
+    ref.current.gotoAnnotation('a1');
+    mockWorker.onmessage({
+      data: {
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.SELECTION_CHANGED,
+        payload: { anchor: null },
+      },
+    });
+
+    const calls = workerPostMessageSpy.getCalls().map((call) => call.args[0]);
+    const setCall = calls.find((message) => message?.type === MESSAGES.SET_ANNOTATIONS);
+    const gotoCall = calls.find((message) => message?.type === MESSAGES.GOTO_ANNOTATION);
+    expect(setCall.annotations).to.deep.equal(annotations);
+    expect(gotoCall.annotationId).to.equal('a1');
+    expect(onSelectionChange.calledOnceWith({ anchor: null })).to.be.true;
+  });
+
+  describe('copying the selection', () => {
+    let writeText;
+
+    beforeEach(() => {
+      writeText = sinon.stub().resolves();
+      Object.defineProperty(navigator, 'clipboard', {
+        value: { writeText },
+        configurable: true,
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    const replyToSelection = (text) => {
+      const request = workerPostMessageSpy
+        .getCalls()
+        .find((call) => call.args[0]?.type === MESSAGES.GET_SELECTION);
+      mockWorker.onmessage({
+        data: { type: ENVELOPES.REPLY, id: request.args[0].id, result: text },
+      });
+    };
+
+    it('copies the selected text on Ctrl+C', async () => {
+      const { container } = render(<CanvasReader />);
+      const canvas = container.querySelector('canvas');
+
+      expect(canvas.tabIndex).to.equal(0);
+      fireEvent.keyDown(canvas, { key: 'c', ctrlKey: true });
+      replyToSelection('Call me Ishmael.');
+
+      await waitFor(() => expect(writeText.calledOnceWith('Call me Ishmael.')).to.be.true);
+    });
+
+    it('leaves the clipboard alone without a selection', async () => {
+      const ref = React.createRef();
+      render(<CanvasReader ref={ref} />);
+
+      const copied = ref.current.copySelection();
+      replyToSelection('');
+
+      expect(await copied).to.equal('');
+      expect(writeText.called).to.be.false;
+    });
+
+    it('reports a failed copy through onError', async () => {
+      writeText.rejects(new Error('Clipboard blocked'));
+      const onError = sinon.spy();
+      const { container } = render(<CanvasReader onError={onError} />);
+
+      fireEvent.keyDown(container.querySelector('canvas'), { key: 'c', metaKey: true });
+      replyToSelection('whale');
+
+      await waitFor(
+        () =>
+          expect(
+            onError.calledOnceWith({ type: MESSAGES.GET_SELECTION, message: 'Clipboard blocked' })
+          ).to.be.true
+      );
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    const keyMessages = (keymap, keys, props = {}) => {
+      const { container } = render(<CanvasReader keymap={keymap} {...props} />);
+      const canvas = container.querySelector('canvas');
+      workerPostMessageSpy.resetHistory();
+      for (const key of keys) fireEvent.keyDown(canvas, key);
+      return workerPostMessageSpy.getCalls().map((call) => call.args[0]);
+    };
+
+    it('scrolls by lines, pages and to either end', () => {
+      const messages = keyMessages(undefined, [
+        { key: 'ArrowDown' },
+        { key: 'PageUp' },
+        { key: ' ', shiftKey: true },
+        { key: 'End' },
+      ]);
+
+      expect(messages.map(({ type, amount, unit }) => ({ type, amount, unit }))).to.deep.equal([
+        { type: MESSAGES.SCROLL_BY, amount: 1, unit: 'line' },
+        { type: MESSAGES.SCROLL_BY, amount: -1, unit: 'page' },
+        { type: MESSAGES.SCROLL_BY, amount: -1, unit: 'page' },
+        { type: MESSAGES.SCROLL_BY, amount: 1, unit: 'document' },
+      ]);
+    });
+
+    it('steps through search hits with n and N', () => {
+      const messages = keyMessages(undefined, [{ key: 'n' }, { key: 'N', shiftKey: true }]);
+
+      expect(messages.map(({ type }) => type)).to.deep.equal([
+        MESSAGES.NEXT_MATCH,
+        MESSAGES.PREV_MATCH,
+      ]);
+    });
+
+    it('follows the keymap prop', () => {
+      const messages = keyMessages({ j: 'lineDown', ArrowDown: null }, [
+        { key: 'j' },
+        { key: 'ArrowDown' },
+        { key: 'ArrowUp' },
+      ]);
+
+      expect(messages.map(({ amount }) => amount)).to.deep.equal([1, -1]);
+    });
+
+    it('asks for the search box on / and leaves / alone without onFocusSearch', () => {
+      const onFocusSearch = sinon.spy();
+      const { container } = render(<CanvasReader onFocusSearch={onFocusSearch} />);
+      const [withSearch, withoutSearch] = [
+        container.querySelector('canvas'),
+        render(<CanvasReader />).container.querySelector('canvas'),
+      ];
+
+      expect(fireEvent.keyDown(withSearch, { key: '/' })).to.be.false;
+      expect(fireEvent.keyDown(withoutSearch, { key: '/' })).to.be.true;
+      expect(onFocusSearch.calledOnce).to.be.true;
+    });
+
+    it('focuses the canvas with the ref', () => {
+      const ref = React.createRef();
+      const { container } = render(<CanvasReader ref={ref} />);
+
+      ref.current.focus();
+
+      expect(document.activeElement).to.equal(container.querySelector('canvas'));
+    });
+  });
+
+  describe('screen reader mirror', () => {
+    const showLines = (lines) =>
+      act(() =>
+        mockWorker.onmessage({
+          data: { type: ENVELOPES.EVENT, event: WORKER_EVENTS.VISIBLE_TEXT, payload: { lines } },
+        })
+      );
+
+    it('mirrors the visible lines with chapter headings as headings', () => {
+      const { container } = render(<CanvasReader />);
+      showLines([
+        { kind: 'text', text: 'the end of a paragraph.', lineNum: 8 },
+        { kind: 'text', text: '', lineNum: 9 },
+        { kind: 'heading', text: 'CHAPTER II.', lineNum: 10 },
+        { kind: 'text', text: 'Call me Ishmael.', lineNum: 12 },
+      ]);
+
+      const mirror = container.querySelector('[aria-live="polite"]');
+      expect(Array.from(mirror.children, (el) => [el.tagName, el.textContent])).to.deep.equal([
+        ['P', 'the end of a paragraph.'],
+        ['H2', 'CHAPTER II.'],
+        ['P', 'Call me Ishmael.'],
+      ]);
+    });
+
+    it('marks the line at the top as the reading position of the canvas', () => {
+      const { container } = render(<CanvasReader />);
+      const canvas = container.querySelector('canvas');
+      showLines([
+        { kind: 'separator', text: 'Lines 3-4' },
+        { kind: 'text', text: 'Call me Ishmael.', lineNum: 3 },
+        { kind: 'text', text: 'Some years ago', lineNum: 4 },
+      ]);
+
+      const current = container.querySelector('[aria-current="location"]');
+      expect(current.textContent).to.equal('Call me Ishmael.');
+      expect(canvas.getAttribute('aria-describedby')).to.equal(current.id);
+      expect(canvas.getAttribute('aria-controls')).to.equal(current.parentElement.id);
+      expect(container.querySelector('h3').textContent).to.equal('Lines 3-4');
+    });
+  });
+
+  it('sends the click count with MOUSE_DOWN and leaves the context menu alone', () => {
+    const { container } = render(<CanvasReader />);
+    const canvas = container.querySelector('canvas');
+
+    fireEvent.mouseDown(canvas, { detail: 2 });
+    const allowed = fireEvent.contextMenu(canvas);
+
+    const mouseDown = workerPostMessageSpy
+      .getCalls()
+      .find((call) => call.args[0]?.type === MESSAGES.MOUSE_DOWN);
+    expect(mouseDown.args[0].detail).to.equal(2);
+    expect(allowed).to.be.true;
+  });
+
+  it('uses the latest load callbacks after a rerender', () => {
+    const first = sinon.spy();
+    const second = sinon.spy();
+    const { rerender } = render(<CanvasReader onLoad={first} />);
+    rerender(<CanvasReader onLoad={second} />);
+
+    mockWorker.onmessage({
+      data: { type: ENVELOPES.EVENT, event: WORKER_EVENTS.READY, payload: {} },
+    });
+
+    expect(first.called).to.be.false;
+    expect(second.calledOnce).to.be.true;
+  });
+
+  it('sends RETRY through the ref', () => {
+    const ref = React.createRef();
+    render(<CanvasReader ref={ref} />);
+
+    ref.current.retry();
+
+    const retryCall = workerPostMessageSpy
+      .getCalls()
+      .find((call) => call.args[0]?.type === MESSAGES.RETRY);
+    expect(retryCall).to.exist;
+  });
+
   it('defaults: size, canvas dims, route', async () => {
     const { container } = render(<CanvasReader />);
     const canvas = container.querySelector('canvas');
@@ -0,0 +1,107 @@
+import { cleanup, fireEvent, render } from '@testing-library/react';
+import { expect } from 'chai';
+import React from 'react';
+import sinon from 'sinon';
+import SearchResults from '../SearchResults.jsx';
+
+const results = {
+  total: 3,
+  hits: [
+    {
+      index: 0,
+      lineNum: 5,
+      column: 19,
+      start: 60,
+      end: 65,
+      snippet: { before: 'Call me Ishmael. A ', match: 'whale', after: ', a whale!' },
+    },
+    {
+      index: 1,
+      lineNum: 5,
+      column: 28,
+      start: 69,
+      end: 74,
+      snippet: { before: 'Ishmael. A whale, a ', match: 'whale', after: '!' },
+    },
+  ],
+  chapters: [
+    { title: 'CHAPTER I.', lineNum: 3, count: 2, firstHit: 0 },
+    { title: 'CHAPTER III.', lineNum: 11, count: 1, firstHit: 2 },
+  ],
+};
+
+describe('SearchResults', () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('renders nothing without results', () => {
+    const { container } = render(<SearchResults results={null} onSelect={() => {}} />);
+    expect(container.innerHTML).to.equal('');
+  });
+
+  it('shows the match count and how many hits are listed', () => {
+    const { getByRole } = render(<SearchResults results={results} onSelect={() => {}} />);
+    expect(getByRole('status').textContent).to.equal('3 matches (showing the first 2)');
+  });
+
+  it('lists hits with their line and marked snippet', () => {
+    const { container } = render(<SearchResults results={results} onSelect={() => {}} />);
+    const items = container.querySelectorAll('.search-results-hits button');
+    expect(items).to.have.lengthOf(2);
+    expect(items[0].textContent).to.equal('Line 5: Call me Ishmael. A whale, a whale!');
+    expect(items[0].querySelector('mark').textContent).to.equal('whale');
+  });
+
+  it('calls onSelect with the position of a clicked hit', () => {
+    const onSelect = sinon.spy();
+    const { container } = render(<SearchResults results={results} onSelect={onSelect} />);
+    fireEvent.click(container.querySelectorAll('.search-results-hits button')[1]);
+    expect(onSelect.calledOnceWith(1)).to.be.true;
+  });
+
+  it('lists chapters with their counts and jumps to their first hit', () => {
+    const onSelect = sinon.spy();
+    const { container } = render(<SearchResults results={results} onSelect={onSelect} />);
+    const chapters = container.querySelectorAll('.search-results-chapters button');
+    expect(Array.from(chapters, (c) => c.textContent)).to.deep.equal([
+      'CHAPTER I.: 2',
+      'CHAPTER III.: 1',
+    ]);
+    fireEvent.click(chapters[1]);
+    expect(onSelect.calledOnceWith(2)).to.be.true;
+  });
+
+  it('lists chapters that start on the same line', () => {
+    const errorStub = sinon.stub(console, 'error');
+    try {
+      const { container } = render(
+        <SearchResults
+          results={{
+            ...results,
+            chapters: [
+              { title: 'Part One', lineNum: 3, count: 2, firstHit: 0 },
+              { title: 'Chapter 1', lineNum: 3, count: 1, firstHit: 2 },
+            ],
+          }}
+          onSelect={() => {}}
+        />
+      );
+
+      expect(container.querySelectorAll('.search-results-chapters li')).to.have.lengthOf(2);
+      expect(errorStub.called).to.be.false;
+    } finally {
+      errorStub.restore();
+    }
+  });
+
+  it('leaves out the chapter list for a book without chapters', () => {
+    const { container } = render(
+      <SearchResults
+        results={{ ...results, chapters: [{ title: null, lineNum: 1, count: 3, firstHit: 0 }] }}
+        onSelect={() => {}}
+      />
+    );
+    expect(container.querySelector('.search-results-chapters')).to.not.exist;
+  });
+});
@@ -0,0 +1,87 @@
+import { cleanup, fireEvent, render } from '@testing-library/react';
+import { expect } from 'chai';
+import React from 'react';
+import sinon from 'sinon';
+import TableOfContents from '../TableOfContents.jsx';
+
+const sections = [
+  { title: 'BOOK I.', lineNum: 1, level: 1 },
+  { title: 'CHAPTER I.', lineNum: 3, level: 2 },
+  { title: 'CHAPTER II.', lineNum: 40, level: 2 },
+  { title: 'BOOK II.', lineNum: 90, level: 1 },
+];
+
+describe('TableOfContents', () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('renders nothing for a book without sections', () => {
+    const { container, rerender } = render(<TableOfContents sections={[]} onSelect={() => {}} />);
+    expect(container.innerHTML).to.equal('');
+
+    rerender(<TableOfContents onSelect={() => {}} />);
+    expect(container.innerHTML).to.equal('');
+  });
+
+  it('lists the sections with chapters nested under books', () => {
+    const { getByRole, getAllByRole } = render(
+      <TableOfContents sections={sections} onSelect={() => {}} />
+    );
+
+    expect(getByRole('navigation', { name: 'Table of contents' })).to.exist;
+    const items = getAllByRole('listitem');
+    expect(items.map((item) => item.textContent)).to.deep.equal(sections.map((s) => s.title));
+    expect(items.map((item) => item.className)).to.deep.equal(['', 'toc-nested', 'toc-nested', '']);
+  });
+
+  it('lists sections that start on the same line', () => {
+    const errorStub = sinon.stub(console, 'error');
+    try {
+      const { getAllByRole } = render(
+        <TableOfContents
+          sections={[
+            { title: 'Part One', lineNum: 3, level: 1 },
+            { title: 'Chapter 1', lineNum: 3, level: 2 },
+          ]}
+          onSelect={() => {}}
+        />
+      );
+
+      expect(getAllByRole('listitem').map((item) => item.textContent)).to.deep.equal([
+        'Part One',
+        'Chapter 1',
+      ]);
+      expect(errorStub.called).to.be.false;
+    } finally {
+      errorStub.restore();
+    }
+  });
+
+  it('does not indent chapters of a book without parts', () => {
+    const { getAllByRole } = render(
+      <TableOfContents sections={sections.slice(1, 3)} onSelect={() => {}} />
+    );
+
+    expect(getAllByRole('listitem').every((item) => !item.className)).to.be.true;
+  });
+
+  it('marks the section being read', () => {
+    const { getByText, rerender } = render(
+      <TableOfContents sections={sections} lineNum={52} onSelect={() => {}} />
+    );
+    expect(getByText('CHAPTER II.').getAttribute('aria-current')).to.equal('location');
+
+    rerender(<TableOfContents sections={sections.slice(1)} lineNum={2} onSelect={() => {}} />);
+    expect(document.querySelector('[aria-current]')).to.be.null;
+  });
+
+  it('calls onSelect with the position of a clicked section', () => {
+    const onSelect = sinon.spy();
+    const { getByText } = render(<TableOfContents sections={sections} onSelect={onSelect} />);
+
+    fireEvent.click(getByText('BOOK II.'));
+
+    expect(onSelect.calledOnceWith(3)).to.be.true;
+  });
+});
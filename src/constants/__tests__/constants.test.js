@@ -1,5 +1,14 @@
 import { expect } from 'chai';
-import { LINE_BREAK, MESSAGES } from '../constants.js';
+import {
+  BOOK_FORMATS,
+  DEFAULT_KEYMAP,
+  HIGHLIGHT_COLORS,
+  LINE_BREAK,
+  MESSAGES,
+  SCROLL_UNITS,
+  SEARCH_MODES,
+  WORKER_EVENTS,
+} from '../constants.js';
 
 describe('constants', () => {
   describe('LINE_BREAK', () => {
@@ -53,8 +62,58 @@ describe('constants', () => {
       expect(MESSAGES.MOUSE_MOVE).to.equal('MOUSE_MOVE');
     });
 
-    it('should have exactly 8 message types', () => {
-      expect(Object.keys(MESSAGES).length).to.equal(8);
+    it('should have RESIZE message type', () => {
+      expect(MESSAGES.RESIZE).to.equal('RESIZE');
+    });
+
+    it('should have RETRY message type', () => {
+      expect(MESSAGES.RETRY).to.equal('RETRY');
+    });
+
+    it('should have NEXT_MATCH and PREV_MATCH message types', () => {
+      expect(MESSAGES.NEXT_MATCH).to.equal('NEXT_MATCH');
+      expect(MESSAGES.PREV_MATCH).to.equal('PREV_MATCH');
+    });
+
+    it('should have GOTO_MATCH message type', () => {
+      expect(MESSAGES.GOTO_MATCH).to.equal('GOTO_MATCH');
+    });
+
+    it('should have EXPORT_INDEX message type', () => {
+      expect(MESSAGES.EXPORT_INDEX).to.equal('EXPORT_INDEX');
+    });
+
+    it('should have HIGHLIGHT_TERMS message type', () => {
+      expect(MESSAGES.HIGHLIGHT_TERMS).to.equal('HIGHLIGHT_TERMS');
+    });
+
+    it('should have annotation message types', () => {
+      expect(MESSAGES.SET_ANNOTATIONS).to.equal('SET_ANNOTATIONS');
+      expect(MESSAGES.GOTO_ANNOTATION).to.equal('GOTO_ANNOTATION');
+    });
+
+    it('should have a selection message type', () => {
+      expect(MESSAGES.GET_SELECTION).to.equal('GET_SELECTION');
+    });
+
+    it('should have a message type for scrolling by lines and pages', () => {
+      expect(MESSAGES.SCROLL_BY).to.equal('SCROLL_BY');
+    });
+
+    it('should have a message type for the front matter', () => {
+      expect(MESSAGES.SHOW_FRONT_MATTER).to.equal('SHOW_FRONT_MATTER');
+    });
+
+    it('should have a message type for reflowing paragraphs', () => {
+      expect(MESSAGES.SET_REFLOW).to.equal('SET_REFLOW');
+    });
+
+    it('should have a message type for going to a section', () => {
+      expect(MESSAGES.GOTO_SECTION).to.equal('GOTO_SECTION');
+    });
+
+    it('should have exactly 22 message types', () => {
+      expect(Object.keys(MESSAGES).length).to.equal(22);
     });
 
     it('should have all message type values match their keys', () => {
@@ -69,4 +128,70 @@ describe('constants', () => {
       expect(values.length).to.equal(uniqueValues.length);
     });
   });
+
+  describe('WORKER_EVENTS', () => {
+    it('should define the worker event names', () => {
+      expect(WORKER_EVENTS).to.deep.equal({
+        LOADING: 'LOADING',
+        PROGRESS: 'PROGRESS',
+        PARSING: 'PARSING',
+        READY: 'READY',
+        ERROR: 'ERROR',
+        POSITION_CHANGED: 'POSITION_CHANGED',
+        MATCH_CHANGED: 'MATCH_CHANGED',
+        SEARCH_RESULTS: 'SEARCH_RESULTS',
+        INDEX_PROGRESS: 'INDEX_PROGRESS',
+        SELECTION_CHANGED: 'SELECTION_CHANGED',
+        VISIBLE_TEXT: 'VISIBLE_TEXT',
+      });
+    });
+
+    it('should not share names with message types', () => {
+      Object.values(WORKER_EVENTS).forEach((event) => {
+        expect(MESSAGES).to.not.have.property(event);
+      });
+    });
+  });
+
+  describe('SEARCH_MODES', () => {
+    it('should define the filter and navigate modes', () => {
+      expect(SEARCH_MODES).to.deep.equal({ FILTER: 'filter', NAVIGATE: 'navigate' });
+    });
+  });
+
+  describe('SCROLL_UNITS', () => {
+    it('should define line, page and document units', () => {
+      expect(SCROLL_UNITS).to.deep.equal({ LINE: 'line', PAGE: 'page', DOCUMENT: 'document' });
+    });
+  });
+
+  describe('BOOK_FORMATS', () => {
+    it('should define the text and block formats', () => {
+      expect(BOOK_FORMATS).to.deep.equal({ TEXT: 'text', BLOCKS: 'blocks' });
+    });
+  });
+
+  describe('DEFAULT_KEYMAP', () => {
+    it('should bind scrolling, search and copy keys', () => {
+      expect(DEFAULT_KEYMAP).to.include({
+        ArrowDown: 'lineDown',
+        PageUp: 'pageUp',
+        Space: 'pageDown',
+        'Shift+Space': 'pageUp',
+        End: 'end',
+        '/': 'focusSearch',
+        n: 'nextMatch',
+        N: 'prevMatch',
+        'Ctrl+c': 'copy',
+      });
+    });
+  });
+
+  describe('HIGHLIGHT_COLORS', () => {
+    it('should list distinct CSS colours', () => {
+      expect(HIGHLIGHT_COLORS).to.not.be.empty;
+      expect(new Set(HIGHLIGHT_COLORS).size).to.equal(HIGHLIGHT_COLORS.length);
+      for (const color of HIGHLIGHT_COLORS) expect(color).to.match(/^#[0-9a-f]{6}$/);
+    });
+  });
 });
@@ -22,6 +22,22 @@ export const LINE_BREAK = '\n';
  * @property {string} MOUSE_DOWN - Mouse button pressed
  * @property {string} MOUSE_UP - Mouse button released
  * @property {string} MOUSE_MOVE - Mouse moved
+ * @property {string} RESIZE - Resize the canvas and re-wrap the text to the new width
+ * @property {string} RETRY - Fetch the book again after a failed load
+ * @property {string} NEXT_MATCH - Move to the next search hit and scroll it into view
+ * @property {string} PREV_MATCH - Move to the previous search hit and scroll it into view
+ * @property {string} GOTO_MATCH - Make a search hit, by its position, current and scroll to it
+ * @property {string} EXPORT_INDEX - Get the full-text search index in serializable form
+ * @property {string} HIGHLIGHT_TERMS - Set terms that stay highlighted, each in its own colour,
+ *   whatever the search shows
+ * @property {string} SET_ANNOTATIONS - Set the highlights and notes drawn beneath the text
+ * @property {string} GOTO_ANNOTATION - Scroll to an annotation by its id
+ * @property {string} GET_SELECTION - Get the source text selected on the canvas
+ * @property {string} SCROLL_BY - Scroll by a number of lines, pages or to either end of the text
+ * @property {string} SHOW_FRONT_MATTER - Show or hide the Project Gutenberg header and footer
+ * @property {string} SET_REFLOW - Join hard-wrapped lines into paragraphs, or keep the source
+ *   line breaks
+ * @property {string} GOTO_SECTION - Scroll to a chapter or section of the table of contents
  */
 export const MESSAGES = {
   INIT: 'INIT',
@@ -32,8 +48,123 @@ export const MESSAGES = {
   MOUSE_DOWN: 'MOUSE_DOWN',
   MOUSE_UP: 'MOUSE_UP',
   MOUSE_MOVE: 'MOUSE_MOVE',
+  RESIZE: 'RESIZE',
+  RETRY: 'RETRY',
+  NEXT_MATCH: 'NEXT_MATCH',
+  PREV_MATCH: 'PREV_MATCH',
+  GOTO_MATCH: 'GOTO_MATCH',
+  EXPORT_INDEX: 'EXPORT_INDEX',
+  HIGHLIGHT_TERMS: 'HIGHLIGHT_TERMS',
+  SET_ANNOTATIONS: 'SET_ANNOTATIONS',
+  GOTO_ANNOTATION: 'GOTO_ANNOTATION',
+  GET_SELECTION: 'GET_SELECTION',
+  SCROLL_BY: 'SCROLL_BY',
+  SHOW_FRONT_MATTER: 'SHOW_FRONT_MATTER',
+  SET_REFLOW: 'SET_REFLOW',
+  GOTO_SECTION: 'GOTO_SECTION',
 };
 
+/**
+ * Events posted by the reader worker to the main thread.
+ * A book load goes through LOADING, PROGRESS (repeated), PARSING and READY, or ends in ERROR.
+ * @typedef {Object} WorkerEvents
+ * @property {string} LOADING - Started fetching the book text
+ * @property {string} PROGRESS - Bytes received while downloading the book text
+ * @property {string} PARSING - Book text was downloaded and is being laid out
+ * @property {string} READY - Book text was laid out and is shown on the canvas, with its
+ *   metadata, whether it has Project Gutenberg front matter and its table of contents
+ * @property {string} ERROR - A message failed or the book could not be loaded
+ * @property {string} POSITION_CHANGED - The source line at the top of the canvas changed
+ * @property {string} MATCH_CHANGED - The search hits or the current hit changed
+ * @property {string} SEARCH_RESULTS - A search finished, with its hit count, hit positions and
+ *   hits per chapter
+ * @property {string} INDEX_PROGRESS - Characters of the book added to the full-text search index
+ * @property {string} SELECTION_CHANGED - Text was selected on the canvas, or the selection was
+ *   cleared
+ * @property {string} VISIBLE_TEXT - The rows on the canvas changed; carries their source lines
+ *   for screen readers
+ */
+export const WORKER_EVENTS = {
+  LOADING: 'LOADING',
+  PROGRESS: 'PROGRESS',
+  PARSING: 'PARSING',
+  READY: 'READY',
+  ERROR: 'ERROR',
+  POSITION_CHANGED: 'POSITION_CHANGED',
+  MATCH_CHANGED: 'MATCH_CHANGED',
+  SEARCH_RESULTS: 'SEARCH_RESULTS',
+  INDEX_PROGRESS: 'INDEX_PROGRESS',
+  SELECTION_CHANGED: 'SELECTION_CHANGED',
+  VISIBLE_TEXT: 'VISIBLE_TEXT',
+};
+
+/**
+ * How search results are shown.
+ * @typedef {Object} SearchModes
+ * @property {string} FILTER - Show only the rows around each hit
+ * @property {string} NAVIGATE - Keep the full text and move between hits in place
+ */
+export const SEARCH_MODES = {
+  FILTER: 'filter',
+  NAVIGATE: 'navigate',
+};
+
+/**
+ * Units of SCROLL_BY. A page is the canvas height less one row, so a row stays in view to keep
+ * the reader's place; scrolling by a document goes to the start (negative) or end (positive).
+ * @typedef {Object} ScrollUnits
+ * @property {string} LINE - One wrapped row of text
+ * @property {string} PAGE - One canvas height, less one row
+ * @property {string} DOCUMENT - The whole text
+ */
+export const SCROLL_UNITS = {
+  LINE: 'line',
+  PAGE: 'page',
+  DOCUMENT: 'document',
+};
+
+/**
+ * Formats the worker reads a book's content in.
+ * @typedef {Object} BookFormats
+ * @property {string} TEXT - Plain text
+ * @property {string} BLOCKS - A BlockBook as JSON, the rich-text block model of EPUB books
+ */
+export const BOOK_FORMATS = {
+  TEXT: 'text',
+  BLOCKS: 'blocks',
+};
+
+/**
+ * Keys the canvas reader responds to while focused, by key name, with the action each runs.
+ * Key names are KeyboardEvent.key values, 'Space' for the space bar, prefixed with 'Ctrl+',
+ * 'Alt+', 'Meta+' and, for keys that do not type a character, 'Shift+' (Shift+n is 'N').
+ * @type {Object<string, string>}
+ * @constant
+ */
+export const DEFAULT_KEYMAP = {
+  ArrowDown: 'lineDown',
+  ArrowUp: 'lineUp',
+  PageDown: 'pageDown',
+  PageUp: 'pageUp',
+  Space: 'pageDown',
+  'Shift+Space': 'pageUp',
+  Home: 'start',
+  End: 'end',
+  '/': 'focusSearch',
+  n: 'nextMatch',
+  N: 'prevMatch',
+  'Ctrl+c': 'copy',
+  'Meta+c': 'copy',
+};
+
+/**
+ * Colours given to highlight terms that do not name one, in order, repeating after the last.
+ * They differ from the colours of search hits so both can be told apart.
+ * @type {string[]}
+ * @constant
+ */
+export const HIGHLIGHT_COLORS = ['#90caf9', '#ef9a9a', '#c5e1a5', '#b39ddb', '#80cbc4', '#ffab91'];
+
 /**
  * Local server hostname for development and book fetching.
  * @type {string}
@@ -0,0 +1,74 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import useAnnotations from '../useAnnotations.js';
+
+describe('useAnnotations', () => {
+  const stored = { id: 'a1', kind: 'highlight' };
+  let storage;
+
+  beforeEach(() => {
+    storage = {
+      list: sinon.stub().resolves([stored]),
+      save: sinon.stub().callsFake(async (_bookId, annotation) => annotation),
+      remove: sinon.stub().resolves(),
+    };
+  });
+
+  it('should load the annotations of a book', async () => {
+    const { result } = renderHook(() => useAnnotations(2701, storage));
+
+    await waitFor(() => expect(result.current.annotations).to.deep.equal([stored]));
+    expect(storage.list.calledOnceWith('2701')).to.be.true;
+  });
+
+  it('should not load anything without a book', () => {
+    const { result } = renderHook(() => useAnnotations(null, storage));
+
+    expect(result.current.annotations).to.deep.equal([]);
+    expect(storage.list.called).to.be.false;
+  });
+
+  it('should add and remove annotations through the storage', async () => {
+    const { result } = renderHook(() => useAnnotations('2701', storage));
+    await waitFor(() => expect(result.current.annotations).to.have.lengthOf(1));
+    const added = { id: 'a2', kind: 'note', note: 'Narrator' };
+
+    await act(() => result.current.add(added));
+    expect(storage.save.calledOnceWith('2701', added)).to.be.true;
+    expect(result.current.annotations).to.deep.equal([stored, added]);
+
+    await act(() => result.current.remove('a1'));
+    expect(storage.remove.calledOnceWith('2701', 'a1')).to.be.true;
+    expect(result.current.annotations).to.deep.equal([added]);
+  });
+
+  it('should report storage failures', async () => {
+    storage.save.rejects(new Error('Quota exceeded'));
+    const { result } = renderHook(() => useAnnotations('2701', storage));
+    await waitFor(() => expect(result.current.annotations).to.have.lengthOf(1));
+
+    await act(() => result.current.add({ id: 'a2' }));
+
+    expect(result.current.error).to.equal('Quota exceeded');
+    expect(result.current.annotations).to.deep.equal([stored]);
+  });
+
+  it('should ignore the annotations of a book that is no longer shown', async () => {
+    let resolveFirst;
+    storage.list.onFirstCall().returns(
+      new Promise((resolve) => {
+        resolveFirst = resolve;
+      })
+    );
+    const { result, rerender } = renderHook(({ bookId }) => useAnnotations(bookId, storage), {
+      initialProps: { bookId: '1' },
+    });
+
+    rerender({ bookId: '2' });
+    await waitFor(() => expect(result.current.annotations).to.deep.equal([stored]));
+    await act(async () => resolveFirst([{ id: 'old' }]));
+
+    expect(result.current.annotations).to.deep.equal([stored]);
+  });
+});
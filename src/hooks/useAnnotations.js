@@ -0,0 +1,75 @@
+/**
+ * @fileoverview React hook that keeps a book's annotations in sync with their storage.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Annotations of a book with functions to change them.
+ * @typedef {Object} AnnotationsState
+ * @property {Annotation[]} annotations - Annotations of the book, in the order they were made
+ * @property {function(Annotation): Promise<void>} add - Saves an annotation and shows it
+ * @property {function(string): Promise<void>} remove - Removes an annotation by id
+ * @property {string|null} error - Message of the last failed load or change
+ */
+
+/**
+ * Custom React hook that loads the annotations of a book from an AnnotationStorage and saves
+ * changes back to it. Changes are shown once the storage has accepted them, and a failure is
+ * reported through `error` rather than thrown. Switching books drops the old book's annotations
+ * at once, and a slow answer for a book no longer shown is ignored.
+ *
+ * @param {string|number|null|undefined} bookId - Book whose annotations to load, none if empty
+ * @param {AnnotationStorage} storage - Where the annotations are kept; should keep its identity
+ *   between renders
+ * @returns {AnnotationsState} The annotations and functions to change them
+ *
+ * @example
+ * const { annotations, add, remove } = useAnnotations(book?.id, storage);
+ * add(createAnnotation(selection, { kind: 'note', note: 'Foreshadowing' }));
+ */
+export default function useAnnotations(bookId, storage) {
+  const [annotations, setAnnotations] = useState([]);
+  const [error, setError] = useState(null);
+  const key = bookId === null || bookId === undefined ? null : String(bookId);
+
+  useEffect(() => {
+    setAnnotations([]);
+    setError(null);
+    if (key === null) return;
+    let current = true;
+    storage.list(key).then(
+      (list) => current && setAnnotations(list),
+      (err) => current && setError(err.message)
+    );
+    return () => {
+      current = false;
+    };
+  }, [key, storage]);
+
+  const add = useCallback(
+    async (annotation) => {
+      try {
+        const saved = await storage.save(key, annotation);
+        setAnnotations((list) => [...list.filter(({ id }) => id !== saved.id), saved]);
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+    [key, storage]
+  );
+
+  const remove = useCallback(
+    async (id) => {
+      try {
+        await storage.remove(key, id);
+        setAnnotations((list) => list.filter((annotation) => annotation.id !== id));
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+    [key, storage]
+  );
+
+  return { annotations, add, remove, error };
+}
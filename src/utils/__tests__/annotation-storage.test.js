@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createLocalStorageAdapter, createServerAdapter } from '../annotation-storage.js';
+
+describe('annotation-storage', () => {
+  const annotation = { id: 'a1', kind: 'highlight', anchor: { start: 0, end: 4 } };
+
+  describe('createLocalStorageAdapter', () => {
+    let items;
+    let storage;
+
+    beforeEach(() => {
+      items = new Map();
+      storage = {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key),
+      };
+    });
+
+    it('should list no annotations for a new book', async () => {
+      expect(await createLocalStorageAdapter(storage).list('2701')).to.deep.equal([]);
+    });
+
+    it('should save annotations per book under the key prefix', async () => {
+      const adapter = createLocalStorageAdapter(storage, 'test:');
+
+      await adapter.save('2701', annotation);
+
+      expect(await adapter.list('2701')).to.deep.equal([annotation]);
+      expect(await adapter.list('1342')).to.deep.equal([]);
+      expect(JSON.parse(items.get('test:2701'))).to.deep.equal([annotation]);
+    });
+
+    it('should replace an annotation with the same id', async () => {
+      const adapter = createLocalStorageAdapter(storage);
+
+      await adapter.save('2701', annotation);
+      await adapter.save('2701', { ...annotation, kind: 'note' });
+
+      expect(await adapter.list('2701')).to.deep.equal([{ ...annotation, kind: 'note' }]);
+    });
+
+    it('should remove annotations and drop the key of an empty book', async () => {
+      const adapter = createLocalStorageAdapter(storage, 'test:');
+      await adapter.save('2701', annotation);
+
+      await adapter.remove('2701', 'a1');
+
+      expect(await adapter.list('2701')).to.deep.equal([]);
+      expect(items.has('test:2701')).to.be.false;
+    });
+  });
+
+  describe('createServerAdapter', () => {
+    const respond = (status, body) => ({
+      ok: status < 400,
+      status,
+      json: async () => body,
+    });
+
+    it('should list annotations of a book', async () => {
+      const fetchFn = sinon.stub().resolves(respond(200, [annotation]));
+      const adapter = createServerAdapter('/api/annotations', fetchFn);
+
+      expect(await adapter.list('2701')).to.deep.equal([annotation]);
+      expect(fetchFn.firstCall.args[0]).to.equal('/api/annotations/2701');
+    });
+
+    it('should save annotations with PUT', async () => {
+      const fetchFn = sinon.stub().resolves(respond(200, annotation));
+      const adapter = createServerAdapter('/api/annotations', fetchFn);
+
+      await adapter.save('2701', annotation);
+
+      const [url, init] = fetchFn.firstCall.args;
+      expect(url).to.equal('/api/annotations/2701/a1');
+      expect(init.method).to.equal('PUT');
+      expect(JSON.parse(init.body)).to.deep.equal(annotation);
+    });
+
+    it('should remove annotations with DELETE', async () => {
+      const fetchFn = sinon.stub().resolves(respond(204));
+      const adapter = createServerAdapter('/api/annotations', fetchFn);
+
+      expect(await adapter.remove('2701', 'a1')).to.be.undefined;
+      expect(fetchFn.firstCall.args[1].method).to.equal('DELETE');
+    });
+
+    it('should reject with the error of the server', async () => {
+      const fetchFn = sinon.stub().resolves(respond(404, { error: 'Annotation not found' }));
+      const adapter = createServerAdapter('/api/annotations', fetchFn);
+
+      try {
+        await adapter.remove('2701', 'missing');
+        expect.fail('remove should reject');
+      } catch (err) {
+        expect(err.message).to.equal('Annotation not found');
+      }
+    });
+  });
+});
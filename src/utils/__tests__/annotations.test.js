@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import {
+  ANNOTATION_COLORS,
+  createAnchor,
+  createAnnotation,
+  resolveAnchor,
+} from '../annotations.js';
+
+describe('annotations', () => {
+  const text = 'Call me\nIshmael. Some years ago, Ishmael went to sea.';
+
+  describe('createAnchor', () => {
+    it('should record offsets, source line, column and quote', () => {
+      expect(createAnchor(text, 8, 15)).to.deep.equal({
+        start: 8,
+        end: 15,
+        lineNum: 2,
+        column: 0,
+        quote: {
+          exact: 'Ishmael',
+          prefix: 'Call me\n',
+          suffix: '. Some years ago, Ishmael went t',
+        },
+      });
+    });
+
+    it('should anchor ranges on the first line', () => {
+      expect(createAnchor(text, 5, 7)).to.include({ lineNum: 1, column: 5 });
+    });
+  });
+
+  describe('resolveAnchor', () => {
+    it('should use the stored offsets when the text is unchanged', () => {
+      expect(resolveAnchor(text, createAnchor(text, 33, 40))).to.deep.equal({ start: 33, end: 40 });
+    });
+
+    it('should use the source line and column when text was added before the line', () => {
+      const anchor = createAnchor(text, 8, 15);
+      const changed = `Moby Dick\n${text}`;
+      const lineStart = (lineNum) =>
+        changed
+          .split('\n')
+          .slice(0, lineNum - 1)
+          .join('\n').length + (lineNum > 1 ? 1 : 0);
+
+      expect(resolveAnchor(changed, anchor, lineStart)).to.deep.equal({ start: 18, end: 25 });
+    });
+
+    it('should fall back to the quote that best matches its surroundings', () => {
+      const anchor = createAnchor(text, 33, 40);
+      const changed = `Ishmael.\n${text.replace('Call me', 'Call me, please,')}`;
+
+      expect(resolveAnchor(changed, anchor)).to.deep.equal({ start: 51, end: 58 });
+    });
+
+    it('should return null when the quoted text is gone', () => {
+      const anchor = createAnchor(text, 0, 4);
+
+      expect(resolveAnchor('Nothing here', anchor)).to.be.null;
+    });
+  });
+
+  describe('createAnnotation', () => {
+    const anchor = createAnchor(text, 8, 15);
+
+    it('should create a highlight in the highlight colour by default', () => {
+      const annotation = createAnnotation(anchor);
+
+      expect(annotation).to.include({ kind: 'highlight', color: ANNOTATION_COLORS.highlight });
+      expect(annotation).to.not.have.property('note');
+      expect(annotation.anchor).to.equal(anchor);
+      expect(Number.isNaN(Date.parse(annotation.created))).to.be.false;
+    });
+
+    it('should create notes with their text and unique ids', () => {
+      const first = createAnnotation(anchor, { kind: 'note', note: 'Narrator' });
+      const second = createAnnotation(anchor, { kind: 'note', note: 'Narrator' });
+
+      expect(first).to.include({ kind: 'note', note: 'Narrator', color: ANNOTATION_COLORS.note });
+      expect(first.id).to.not.equal(second.id);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import { layoutBlocks } from '../blocks.js';
+
+describe('blocks', () => {
+  describe('layoutBlocks', () => {
+    const heading = (text, level = 2) => ({ type: 'heading', level, spans: [{ text }] });
+    const paragraph = (...spans) => ({ type: 'paragraph', spans });
+
+    it('should lay out each block as a paragraph', () => {
+      const { text } = layoutBlocks({
+        toc: [],
+        blocks: [heading('Loomings'), paragraph({ text: 'Call me Ishmael.' })],
+      });
+
+      expect(text).to.equal('Loomings\n\nCall me Ishmael.');
+    });
+
+    it('should keep italics and bold as styles of the text', () => {
+      const { text, styles } = layoutBlocks({
+        toc: [],
+        blocks: [
+          paragraph({ text: 'Call me ' }, { text: 'Ishmael', italic: true }),
+          paragraph(
+            { text: 'Bold', bold: true },
+            { text: ' and ' },
+            { text: 'both', italic: true, bold: true }
+          ),
+        ],
+      });
+
+      expect(styles).to.deep.equal([
+        { start: 8, end: 15, italic: true },
+        { start: 17, end: 21, bold: true },
+        { start: 26, end: 30, italic: true, bold: true },
+      ]);
+      expect(styles.map(({ start, end }) => text.slice(start, end))).to.deep.equal([
+        'Ishmael',
+        'Bold',
+        'both',
+      ]);
+    });
+
+    it('should indent blocks and start list items with their marker', () => {
+      const { text, sections } = layoutBlocks({
+        toc: [],
+        blocks: [
+          { ...paragraph({ text: 'Quoted' }), indent: 1 },
+          { ...paragraph({ text: 'First' }), indent: 1, marker: '1.' },
+          { ...paragraph({ text: 'Inner' }), indent: 2, marker: '•' },
+          { ...heading('Heading'), indent: 1 },
+        ],
+      });
+
+      expect(text).to.equal('    Quoted\n\n    1. First\n\n        • Inner\n\n    Heading');
+      expect(sections).to.deep.equal([{ title: 'Heading', level: 1, start: 43 }]);
+    });
+
+    it('should give footnote references the offset of their footnote', () => {
+      const { text, styles } = layoutBlocks({
+        toc: [],
+        blocks: [
+          paragraph({ text: 'Whale' }, { text: '1', note: 2 }, { text: '.' }),
+          paragraph({ text: 'Back' }, { text: '*', italic: true, note: 0 }),
+          paragraph({ text: '1. The sperm whale.' }),
+        ],
+      });
+
+      expect(styles).to.deep.equal([
+        { start: 5, end: 6, note: 16 },
+        { start: 13, end: 14, italic: true, note: 0 },
+      ]);
+      expect(text.slice(16)).to.equal('1. The sperm whale.');
+    });
+
+    it('should show images as placeholders in italics', () => {
+      const { text, styles } = layoutBlocks({
+        toc: [],
+        blocks: [{ type: 'image', alt: 'A whale', src: 'images/whale.jpg' }, { type: 'image' }],
+      });
+
+      expect(text).to.equal('[Image: A whale]\n\n[Image]');
+      expect(styles).to.deep.equal([
+        { start: 0, end: 16, italic: true },
+        { start: 18, end: 25, italic: true },
+      ]);
+    });
+
+    it('should give the offsets of the headings', () => {
+      const { headings } = layoutBlocks({
+        toc: [],
+        blocks: [heading('One'), paragraph({ text: 'Text' }), heading('Two')],
+      });
+
+      expect(headings).to.deep.equal([0, 11]);
+    });
+
+    it('should turn the table of contents into sections at the offsets of their blocks', () => {
+      const { sections } = layoutBlocks({
+        toc: [
+          { title: 'Part One', level: 1, block: 0 },
+          { title: 'Chapter 1', level: 2, block: 1 },
+        ],
+        blocks: [heading('PART ONE', 1), heading('CHAPTER 1.'), paragraph({ text: 'Text' })],
+      });
+
+      expect(sections).to.deep.equal([
+        { title: 'Part One', level: 1, start: 0 },
+        { title: 'Chapter 1', level: 2, start: 10 },
+      ]);
+    });
+
+    it('should take the sections of a book without a table of contents from its headings', () => {
+      const { sections } = layoutBlocks({
+        toc: [],
+        blocks: [
+          heading('Book I', 2),
+          heading('Chapter  1\nLoomings', 3),
+          paragraph({ text: 'x' }),
+        ],
+      });
+
+      expect(sections).to.deep.equal([
+        { title: 'Book I', level: 1, start: 0 },
+        { title: 'Chapter 1 Loomings', level: 2, start: 8 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { BOOK_FORMATS } from '../../constants/constants.js';
+import {
+  bookRoute,
+  chooseDownload,
+  EPUB_TYPE,
+  formatUrl,
+  HTML_TYPE,
+  TEXT_TYPE,
+} from '../book-formats.js';
+
+describe('book-formats', () => {
+  const formats = {
+    'text/html': 'https://www.gutenberg.org/ebooks/2701.html.images',
+    'application/epub+zip': 'https://www.gutenberg.org/ebooks/2701.epub3.images',
+    'text/plain; charset=us-ascii': 'https://www.gutenberg.org/ebooks/2701.txt.utf-8',
+  };
+
+  describe('formatUrl', () => {
+    it('should find a format whatever the parameters of its MIME type', () => {
+      expect(formatUrl(formats, TEXT_TYPE)).to.equal(formats['text/plain; charset=us-ascii']);
+      expect(formatUrl({ 'text/plain': 'a.txt' }, TEXT_TYPE)).to.equal('a.txt');
+    });
+
+    it('should return null for a missing format', () => {
+      expect(formatUrl({ 'text/html': 'a.html' }, TEXT_TYPE)).to.be.null;
+      expect(formatUrl(undefined, TEXT_TYPE)).to.be.null;
+    });
+  });
+
+  describe('chooseDownload', () => {
+    it('should prefer the EPUB', () => {
+      expect(chooseDownload(formats)).to.deep.equal({ type: EPUB_TYPE, url: formats[EPUB_TYPE] });
+    });
+
+    it('should prefer the HTML to plain text', () => {
+      expect(chooseDownload({ ...formats, [EPUB_TYPE]: undefined })).to.deep.equal({
+        type: HTML_TYPE,
+        url: formats[HTML_TYPE],
+      });
+    });
+
+    it('should fall back to plain text', () => {
+      expect(chooseDownload({ 'text/plain': 'a.txt' })).to.deep.equal({
+        type: TEXT_TYPE,
+        url: 'a.txt',
+      });
+    });
+
+    it('should return null for a book without a readable format', () => {
+      expect(chooseDownload({ 'image/jpeg': 'a.jpg' })).to.be.null;
+    });
+  });
+
+  describe('bookRoute', () => {
+    it('should read EPUBs through the book content route as blocks', () => {
+      const { route, format } = bookRoute({ type: EPUB_TYPE, url: 'https://x.org/a.epub' });
+
+      expect(route).to.equal(
+        'http://localhost:3001/api/book-content?url=https%3A%2F%2Fx.org%2Fa.epub'
+      );
+      expect(format).to.equal(BOOK_FORMATS.BLOCKS);
+    });
+
+    it('should read HTML books through the book text route as blocks', () => {
+      const { route, format } = bookRoute({ type: HTML_TYPE, url: 'https://x.org/a.html' });
+
+      expect(route).to.equal(
+        'http://localhost:3001/api/book-text?url=https%3A%2F%2Fx.org%2Fa.html&format=html'
+      );
+      expect(format).to.equal(BOOK_FORMATS.BLOCKS);
+    });
+
+    it('should read plain text through the book text route', () => {
+      const { route, format } = bookRoute({ type: TEXT_TYPE, url: 'https://x.org/a.txt' });
+
+      expect(route).to.equal('http://localhost:3001/api/book-text?url=https%3A%2F%2Fx.org%2Fa.txt');
+      expect(format).to.equal(BOOK_FORMATS.TEXT);
+    });
+  });
+});
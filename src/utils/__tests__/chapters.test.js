@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { findChapters } from '../chapters.js';
+
+describe('chapters', () => {
+  describe('findChapters', () => {
+    it('should find chapter headings with their line numbers and offsets', () => {
+      const text = 'CHAPTER I.\n\nCall me Ishmael.\n\nCHAPTER II. The Carpet-Bag';
+
+      expect(findChapters(text)).to.deep.equal([
+        { title: 'CHAPTER I.', lineNum: 1, start: 0, level: 2 },
+        { title: 'CHAPTER II. The Carpet-Bag', lineNum: 5, start: 30, level: 2 },
+      ]);
+    });
+
+    it('should accept numbers, numerals and number words in any case', () => {
+      const text = 'Chapter 12\n\nBOOK ONE\n\n  Part iv  \n\nLetter 3';
+
+      expect(findChapters(text).map((c) => c.title)).to.deep.equal([
+        'Chapter 12',
+        'BOOK ONE',
+        'Part iv',
+        'Letter 3',
+      ]);
+    });
+
+    it('should accept ordinals, with or without "the"', () => {
+      const text = 'PART FIRST\n\nChapter the Second\n\nCHAPTER TWENTY-ONE\n\nChapter the Last';
+
+      expect(findChapters(text).map((c) => c.title)).to.deep.equal([
+        'PART FIRST',
+        'Chapter the Second',
+        'CHAPTER TWENTY-ONE',
+        'Chapter the Last',
+      ]);
+    });
+
+    it('should skip prose that starts with a heading word', () => {
+      const text = [
+        'Part of the crew had gone ashore.',
+        'Book after book lay on the floor.',
+        'Act of God, the captain called it.',
+        'Scene was set for the chase.',
+        'Book did not matter to him.',
+        'Chapter and verse he could quote.',
+      ].join('\n\n');
+
+      expect(findChapters(text)).to.deep.equal([]);
+    });
+
+    it('should put books, parts, volumes and acts above chapters', () => {
+      const text = 'BOOK I.\n\nCHAPTER I.\n\nACT III. SCENE 2\n\nSCENE 3\n\nVolume 2';
+
+      expect(findChapters(text).map((c) => [c.title, c.level])).to.deep.equal([
+        ['BOOK I.', 1],
+        ['CHAPTER I.', 2],
+        ['ACT III. SCENE 2', 1],
+        ['SCENE 3', 2],
+        ['Volume 2', 1],
+      ]);
+    });
+
+    it('should find roman numerals and lines in capitals between blank lines', () => {
+      const text = 'XIV.\n\nIt was a dark night.\n\nETYMOLOGY.\n\nThe pale Usher.\n\nIX';
+
+      expect(findChapters(text).map((c) => [c.title, c.lineNum])).to.deep.equal([
+        ['XIV.', 1],
+        ['ETYMOLOGY.', 5],
+        ['IX', 9],
+      ]);
+    });
+
+    it('should skip lines in capitals that run on into text', () => {
+      const text = 'He cried out\n\nSTOP THAT MAN\nand ran after him.\n\nA\n\nO K.';
+
+      expect(findChapters(text)).to.deep.equal([
+        { title: 'O K.', lineNum: 8, start: 51, level: 2 },
+      ]);
+    });
+
+    it('should skip headings that do not follow a blank line', () => {
+      const text = 'It was the best of times, and the\npart of it that mattered was';
+
+      expect(findChapters(text)).to.deep.equal([]);
+    });
+
+    it('should skip long lines that only start like a heading', () => {
+      const text = `Part of the ship ${'was lost to the sea '.repeat(5)}`;
+
+      expect(findChapters(text)).to.deep.equal([]);
+    });
+
+    it('should find nothing in an empty text', () => {
+      expect(findChapters('')).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import { normalizeBook, parseGutenbergMetadata } from '../gutenberg.js';
+
+const BODY = 'CHAPTER 1. Loomings.\n\nCall me Ishmael.';
+
+describe('gutenberg', () => {
+  describe('normalizeBook', () => {
+    it('should split off a current header and footer', () => {
+      const header = [
+        'The Project Gutenberg eBook of Moby Dick; Or, The Whale',
+        '',
+        'Title: Moby Dick; Or, The Whale',
+        '',
+        'Author: Herman Melville',
+        '',
+        'Release date: June 1, 2001 [eBook #2701]',
+        '                Most recently updated: August 18, 2021',
+        '',
+        'Language: English',
+        '',
+        '*** START OF THE PROJECT GUTENBERG EBOOK MOBY DICK; OR, THE WHALE ***',
+        '',
+        '',
+      ].join('\n');
+      const footer = '\n\n*** END OF THE PROJECT GUTENBERG EBOOK MOBY DICK; OR, THE WHALE ***\n';
+      const book = normalizeBook(header + BODY + footer);
+
+      expect(book.text).to.equal(BODY);
+      expect(book.frontMatter).to.equal(header);
+      expect(book.backMatter).to.equal(footer);
+      expect(book.bodyStart).to.equal(header.length);
+      expect(book.metadata).to.deep.equal({
+        title: 'Moby Dick; Or, The Whale',
+        author: 'Herman Melville',
+        releaseDate: 'June 1, 2001',
+        language: 'English',
+        ebookNumber: 2701,
+      });
+    });
+
+    it('should stop at the "End of the Project Gutenberg EBook" line of older releases', () => {
+      const text = [
+        'The Project Gutenberg EBook of Moby Dick, by Herman Melville',
+        '',
+        'Title: Moby Dick',
+        '       or, The Whale',
+        'Posting Date: December 25, 2008 [EBook #2701]',
+        '',
+        '*** START OF THIS PROJECT GUTENBERG EBOOK MOBY DICK ***',
+        BODY,
+        "End of Project Gutenberg's Moby Dick, by Herman Melville",
+        '',
+        '*** END OF THIS PROJECT GUTENBERG EBOOK MOBY DICK ***',
+      ].join('\n');
+      const book = normalizeBook(text);
+
+      expect(book.text).to.equal(BODY);
+      expect(book.backMatter).to.match(/^\nEnd of Project Gutenberg's/);
+      expect(book.metadata).to.include({
+        title: 'Moby Dick or, The Whale',
+        author: 'Herman Melville',
+        releaseDate: 'December 25, 2008',
+        ebookNumber: 2701,
+      });
+    });
+
+    it('should accept markers without spaces or with the closing asterisks on the next line', () => {
+      expect(
+        normalizeBook(
+          `***START OF THE PROJECT GUTENBERG EBOOK MOBY DICK***\n${BODY}\n***END OF THE PROJECT GUTENBERG EBOOK***`
+        ).text
+      ).to.equal(BODY);
+      expect(
+        normalizeBook(
+          `*** START OF THIS PROJECT GUTENBERG EBOOK THE ADVENTURES\nOF TOM SAWYER ***\n${BODY}`
+        ).text
+      ).to.equal(BODY);
+    });
+
+    it('should split off the small print of 1990s etexts', () => {
+      const text = [
+        "Project Gutenberg's Etext of Alice's Adventures in Wonderland, by Lewis Carroll",
+        '**The Project Gutenberg Etext of Alice in Wonderland**',
+        '*END*THE SMALL PRINT! FOR PUBLIC DOMAIN ETEXTS*Ver.04.29.93*END*',
+        '',
+        BODY,
+        '',
+        'End of the Project Gutenberg Etext of Alice in Wonderland',
+      ].join('\n');
+      const book = normalizeBook(text);
+
+      expect(book.text).to.equal(BODY);
+      expect(book.metadata).to.deep.equal({
+        title: "Alice's Adventures in Wonderland",
+        author: 'Lewis Carroll',
+      });
+    });
+
+    it('should handle Windows line endings', () => {
+      const text = `Title: Emma\r\nAuthor: Jane Austen\r\n\r\n*** START OF THE PROJECT GUTENBERG EBOOK EMMA ***\r\n\r\n${BODY}\r\n\r\n*** END OF THE PROJECT GUTENBERG EBOOK EMMA ***\r\n`;
+      const book = normalizeBook(text);
+
+      expect(book.text).to.equal(BODY);
+      expect(book.metadata).to.deep.equal({ title: 'Emma', author: 'Jane Austen' });
+    });
+
+    it('should return a text without markers whole', () => {
+      const text = `\n  Title: Not a header\n${BODY}\n`;
+      expect(normalizeBook(text)).to.deep.equal({
+        text,
+        frontMatter: '',
+        backMatter: '',
+        bodyStart: 0,
+        metadata: {},
+      });
+    });
+
+    it('should ignore end markers before the start marker', () => {
+      const text = `End of Project Gutenberg notes\n*** START OF THE PROJECT GUTENBERG EBOOK X ***\n${BODY}`;
+      expect(normalizeBook(text).text).to.equal(BODY);
+    });
+  });
+
+  describe('parseGutenbergMetadata', () => {
+    it('should read the first value of each field', () => {
+      expect(
+        parseGutenbergMetadata('Title: Emma\nTitle: Other\nLanguage: English\nTranslator: Nobody')
+      ).to.deep.equal({ title: 'Emma', language: 'English' });
+    });
+
+    it('should return no fields for an empty header', () => {
+      expect(parseGutenbergMetadata('')).to.deep.equal({});
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import {
+  buildInvertedIndex,
+  createInvertedIndexBuilder,
+  INDEX_VERSION,
+  restoreInvertedIndex,
+  searchInvertedIndex,
+} from '../inverted-index.js';
+import { createMatcher } from '../matcher.js';
+
+const text = [
+  'Call me Ishmael. Some years ago, never mind how long precisely,',
+  'having little or no money in my purse, I thought I would sail',
+  'about a little and see the watery part of the world. Whales and',
+  'whalemen; the whale, the WHALE! José said: call me\nIshmael again.',
+  'the the the',
+].join('\n');
+
+const slices = (index, hits) => hits.map(({ start, end }) => index.text.slice(start, end));
+
+describe('inverted-index', () => {
+  describe('createInvertedIndexBuilder', () => {
+    it('should build in steps and report progress', () => {
+      const builder = createInvertedIndexBuilder(text.repeat(20));
+      let steps = 0;
+
+      expect(builder.buildUntil(() => steps++ >= 1)).to.be.false;
+      const { indexed, length } = builder.progress();
+      expect(indexed).to.be.above(0).and.below(length);
+
+      expect(builder.buildUntil(() => false)).to.be.true;
+      expect(builder.progress()).to.deep.equal({ indexed: length, length });
+    });
+
+    it('should refuse to finish before the whole text is indexed', () => {
+      expect(() => createInvertedIndexBuilder(text).finish()).to.throw('not built');
+    });
+
+    it('should index an empty text', () => {
+      const index = buildInvertedIndex('');
+
+      expect(index.tokenCount).to.equal(0);
+      expect(index.findWord('whale')).to.deep.equal([]);
+    });
+  });
+
+  describe('lookups', () => {
+    const index = buildInvertedIndex(text);
+
+    it('should find words ignoring case and diacritics', () => {
+      expect(slices(index, index.findWord('WHALE'))).to.deep.equal(['whale', 'WHALE']);
+      expect(slices(index, index.findWord('jose'))).to.deep.equal(['José']);
+    });
+
+    it('should find words by prefix', () => {
+      expect(slices(index, index.findPrefix('whal'))).to.deep.equal([
+        'Whales',
+        'whalemen',
+        'whale',
+        'WHALE',
+      ]);
+    });
+
+    it('should find phrases across punctuation and line breaks', () => {
+      expect(slices(index, index.findPhrase(['call', 'me', 'ishmael']))).to.deep.equal([
+        'Call me Ishmael',
+        'call me\nIshmael',
+      ]);
+      expect(index.findPhrase(['me', 'kraken'])).to.deep.equal([]);
+    });
+
+    it('should count words and distinct keys', () => {
+      expect(index.tokenCount).to.be.above(50);
+      expect(index.vocabularySize).to.be.below(index.tokenCount);
+    });
+  });
+
+  describe('restoreInvertedIndex', () => {
+    it('should restore an index from its JSON', () => {
+      const index = buildInvertedIndex(text);
+      const data = JSON.parse(JSON.stringify(index));
+
+      const restored = restoreInvertedIndex(text, data);
+
+      expect(data.version).to.equal(INDEX_VERSION);
+      expect(restored.findPrefix('whal')).to.deep.equal(index.findPrefix('whal'));
+      expect(restored.findPhrase(['the', 'whale'])).to.deep.equal(
+        index.findPhrase(['the', 'whale'])
+      );
+    });
+
+    it('should reject data of another version or text', () => {
+      const data = buildInvertedIndex(text).toJSON();
+
+      expect(() => restoreInvertedIndex(text, { ...data, version: 0 })).to.throw('version');
+      expect(() => restoreInvertedIndex(`${text}!`, data)).to.throw('different text');
+    });
+
+    it('should reject data of another text of the same length', () => {
+      const data = buildInvertedIndex(text).toJSON();
+      const corrected = text.replace('whale', 'whals');
+
+      expect(corrected).to.have.lengthOf(text.length).and.not.equal(text);
+      expect(() => restoreInvertedIndex(corrected, data)).to.throw('different text');
+    });
+  });
+
+  describe('searchInvertedIndex', () => {
+    // Filler words keep the terms below rare enough to be looked up
+    const book = `${text}\n${'lorem ipsum dolor sit amet '.repeat(40)}`;
+    const index = buildInvertedIndex(book);
+
+    it('should find the same hits as scanning the text', () => {
+      const searches = [
+        ['whale', {}],
+        ['whale', { wholeWord: true }],
+        ['WHALE', { caseSensitive: true }],
+        ['hale', {}],
+        ['jose', { diacriticInsensitive: true }],
+        ['jose', {}],
+        ['call me ishmael', {}],
+        ['call me ishmael', { wholeWord: true }],
+        ['all me ish', {}],
+        ['the the', {}],
+        ['little', { wholeWord: true, caseSensitive: true }],
+        ['kraken', {}],
+      ];
+
+      for (const [term, options] of searches) {
+        const matcher = createMatcher(term, options);
+        expect(searchInvertedIndex(index, matcher), term).to.deep.equal(matcher.findAll(book));
+      }
+    });
+
+    it('should leave regular expressions and punctuation to a scan', () => {
+      expect(searchInvertedIndex(index, createMatcher('wh.le', { regex: true }))).to.be.null;
+      expect(searchInvertedIndex(index, createMatcher('whale,'))).to.be.null;
+      expect(searchInvertedIndex(index, createMatcher(' whale'))).to.be.null;
+    });
+
+    it('should leave terms found in too many words to a scan', () => {
+      expect(searchInvertedIndex(index, createMatcher('e'))).to.be.null;
+    });
+
+    it('should find nothing for an empty term', () => {
+      expect(searchInvertedIndex(index, createMatcher(''))).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { DEFAULT_KEYMAP } from '../../constants/constants.js';
+import { createKeyHandler, keyName } from '../keyboard.js';
+
+describe('keyboard', () => {
+  describe('keyName', () => {
+    it('should name keys by their KeyboardEvent key', () => {
+      expect(keyName({ key: 'ArrowDown' })).to.equal('ArrowDown');
+      expect(keyName({ key: '/' })).to.equal('/');
+      expect(keyName({ key: ' ' })).to.equal('Space');
+    });
+
+    it('should prefix modifiers in a fixed order', () => {
+      expect(keyName({ key: 'c', ctrlKey: true })).to.equal('Ctrl+c');
+      expect(keyName({ key: 'c', metaKey: true, altKey: true })).to.equal('Alt+Meta+c');
+      expect(keyName({ key: 'Home', ctrlKey: true, shiftKey: true })).to.equal('Ctrl+Shift+Home');
+    });
+
+    it('should name Shift only for keys that do not type a character', () => {
+      expect(keyName({ key: ' ', shiftKey: true })).to.equal('Shift+Space');
+      expect(keyName({ key: 'N', shiftKey: true })).to.equal('N');
+    });
+  });
+
+  describe('createKeyHandler', () => {
+    const keyDown = (key, modifiers = {}) => ({ key, preventDefault: sinon.spy(), ...modifiers });
+
+    it('should run the action bound to a key and prevent its default', () => {
+      const pageDown = sinon.spy();
+      const handle = createKeyHandler(DEFAULT_KEYMAP, { pageDown });
+      const event = keyDown(' ');
+
+      expect(handle(event)).to.be.true;
+      expect(pageDown.calledOnce).to.be.true;
+      expect(event.preventDefault.calledOnce).to.be.true;
+    });
+
+    it('should leave unbound keys and missing actions to the browser', () => {
+      const handle = createKeyHandler({ ...DEFAULT_KEYMAP, End: null }, { end: sinon.spy() });
+      const events = [keyDown('Tab'), keyDown('End'), keyDown('Home')];
+
+      expect(events.map(handle)).to.deep.equal([false, false, false]);
+      expect(events.some((event) => event.preventDefault.called)).to.be.false;
+    });
+
+    it('should use the keymap it is given', () => {
+      const nextMatch = sinon.spy();
+      const handle = createKeyHandler({ j: 'nextMatch' }, { nextMatch });
+
+      handle(keyDown('j'));
+      handle(keyDown('n'));
+
+      expect(nextMatch.calledOnce).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,270 @@
+import { expect } from 'chai';
+import {
+  createMatcher,
+  createSearchScan,
+  DEFAULT_SEARCH_OPTIONS,
+  foldDiacritics,
+  hitsInRange,
+  toMatcher,
+} from '../matcher.js';
+
+describe('matcher', () => {
+  describe('foldDiacritics', () => {
+    it('should leave ASCII text alone', () => {
+      expect(foldDiacritics('plain text')).to.deep.equal({ text: 'plain text', map: null });
+    });
+
+    it('should strip accents and map folded characters to the original', () => {
+      expect(foldDiacritics('José')).to.deep.equal({ text: 'Jose', map: [0, 1, 2, 3, 4] });
+    });
+
+    it('should drop decomposed combining marks from the map', () => {
+      const { text, map } = foldDiacritics('José x');
+
+      expect(text).to.equal('Jose x');
+      expect(map).to.deep.equal([0, 1, 2, 3, 5, 6, 7]);
+    });
+  });
+
+  describe('createMatcher', () => {
+    it('should fill in default options', () => {
+      expect(createMatcher('a').options).to.deep.equal(DEFAULT_SEARCH_OPTIONS);
+    });
+
+    it('should match nothing for an empty term', () => {
+      const matcher = createMatcher('');
+
+      expect(matcher.test('anything')).to.be.false;
+      expect(matcher.findAll('anything')).to.deep.equal([]);
+    });
+
+    it('should match plain terms literally and case-insensitively by default', () => {
+      const matcher = createMatcher('a.b');
+
+      expect(matcher.test('A.B')).to.be.true;
+      expect(matcher.test('axb')).to.be.false;
+    });
+
+    it('should find all hits with their offsets', () => {
+      expect(createMatcher('whale').findAll('Whale and whale')).to.deep.equal([
+        { start: 0, end: 5 },
+        { start: 10, end: 15 },
+      ]);
+    });
+
+    it('should respect case when caseSensitive is set', () => {
+      const matcher = createMatcher('Whale', { caseSensitive: true });
+
+      expect(matcher.findAll('whale Whale')).to.deep.equal([{ start: 6, end: 11 }]);
+    });
+
+    it('should match regular expressions', () => {
+      const matcher = createMatcher('\\bwhale(s)?\\b', { regex: true });
+
+      expect(matcher.findAll('A whale, two whales, whaler')).to.deep.equal([
+        { start: 2, end: 7 },
+        { start: 13, end: 19 },
+      ]);
+    });
+
+    it('should only match whole words when wholeWord is set', () => {
+      const matcher = createMatcher('cat', { wholeWord: true });
+
+      expect(matcher.test('concatenate')).to.be.false;
+      expect(matcher.findAll('the cat, a cat.')).to.have.lengthOf(2);
+    });
+
+    it('should treat accented letters as word characters for whole words', () => {
+      const matcher = createMatcher('Jos', { wholeWord: true });
+
+      expect(matcher.test('José')).to.be.false;
+    });
+
+    it('should ignore accents when diacriticInsensitive is set', () => {
+      const matcher = createMatcher('jose', { diacriticInsensitive: true });
+
+      expect(matcher.findAll('Señor José')).to.deep.equal([{ start: 6, end: 10 }]);
+      expect(createMatcher('jose').test('José')).to.be.false;
+    });
+
+    it('should fold accents in the search term too', () => {
+      expect(createMatcher('José', { diacriticInsensitive: true }).test('JOSE')).to.be.true;
+    });
+
+    it('should let spaces in plain terms match line breaks', () => {
+      expect(createMatcher('call me').findAll('call\n  me')).to.deep.equal([{ start: 0, end: 9 }]);
+    });
+
+    it('should match anchors at line boundaries', () => {
+      const matcher = createMatcher('^chapter', { regex: true });
+
+      expect(matcher.findAll('Chapter 1\ntext\nCHAPTER 2')).to.have.lengthOf(2);
+    });
+
+    it('should skip empty hits', () => {
+      const matcher = createMatcher('x*', { regex: true });
+
+      expect(matcher.findAll('axxb')).to.deep.equal([{ start: 1, end: 3 }]);
+      expect(matcher.test('ab')).to.be.false;
+    });
+
+    it('should throw a SyntaxError naming the pattern for invalid regular expressions', () => {
+      expect(() => createMatcher('whale(', { regex: true })).to.throw(
+        SyntaxError,
+        'Invalid regular expression "whale(":'
+      );
+    });
+
+    it('should evaluate queries passage by passage', () => {
+      const matcher = createMatcher('Ahab AND whale', { query: true });
+      const text = 'Ahab\nsaw the whale.\n\nAhab slept.\n\nThe whale swam.';
+
+      expect(matcher.terms).to.deep.equal(['Ahab', 'whale']);
+      expect(matcher.findAll(text)).to.deep.equal([
+        { start: 0, end: 4, term: 0 },
+        { start: 13, end: 18, term: 1 },
+      ]);
+      expect(matcher.test('Ahab slept.\n\nThe whale swam.')).to.be.false;
+    });
+
+    it('should match query terms with the other options', () => {
+      const matcher = createMatcher('jose NEAR/2 cafe', {
+        query: true,
+        regex: true,
+        diacriticInsensitive: true,
+      });
+
+      expect(matcher.findAll('José at the café')).to.deep.equal([
+        { start: 0, end: 4, term: 0 },
+        { start: 12, end: 16, term: 1 },
+      ]);
+      expect(matcher.test('José, then Ana, at the café')).to.be.false;
+    });
+
+    it('should throw a SyntaxError naming the query for invalid queries', () => {
+      expect(() => createMatcher('(whale', { query: true })).to.throw(
+        SyntaxError,
+        'Invalid search query "(whale": Expected ")" before the end of the query'
+      );
+    });
+
+    it('should give the same key for the same term and options', () => {
+      expect(createMatcher('a', { regex: undefined }).key).to.equal(createMatcher('a').key);
+      expect(createMatcher('a', { regex: true }).key).to.not.equal(createMatcher('a').key);
+    });
+  });
+
+  describe('hitsInRange', () => {
+    const hits = [
+      { start: 2, end: 5 },
+      { start: 8, end: 14 },
+      { start: 20, end: 22 },
+    ];
+
+    it('should return hits overlapping the range', () => {
+      expect(hitsInRange(hits, 4, 10)).to.deep.equal(hits.slice(0, 2));
+      expect(hitsInRange(hits, 10, 12)).to.deep.equal([hits[1]]);
+    });
+
+    it('should not count hits that only touch the range boundaries', () => {
+      expect(hitsInRange(hits, 5, 8)).to.deep.equal([]);
+      expect(hitsInRange(hits, 14, 20)).to.deep.equal([]);
+    });
+
+    it('should handle no hits', () => {
+      expect(hitsInRange([], 0, 10)).to.deep.equal([]);
+    });
+  });
+
+  describe('toMatcher', () => {
+    it('should compile terms with the default options', () => {
+      expect(toMatcher('whale').key).to.equal(createMatcher('whale').key);
+      expect(toMatcher(null).searchText).to.equal('');
+    });
+
+    it('should pass matchers through', () => {
+      const matcher = createMatcher('whale', { regex: true });
+
+      expect(toMatcher(matcher)).to.equal(matcher);
+    });
+  });
+
+  describe('createSearchScan', () => {
+    const text = Array.from(
+      { length: 40 },
+      (_, i) => `Line ${i} of the whale book, José said: call me\nIshmael at sea`
+    ).join('\n');
+    const scanAll = (matcher) => {
+      const scan = createSearchScan(matcher, text, { chunkSize: 50 });
+      scan.scanUntil(() => false);
+      return scan.hits;
+    };
+
+    it('should find the same hits as searching the whole text', () => {
+      const matchers = [
+        createMatcher('whale'),
+        createMatcher('call me Ishmael'),
+        createMatcher('^ishmael', { regex: true }),
+        createMatcher('sea$', { regex: true }),
+        createMatcher('me', { wholeWord: true }),
+        createMatcher('jose', { diacriticInsensitive: true }),
+      ];
+
+      for (const matcher of matchers) {
+        expect(scanAll(matcher)).to.deep.equal(matcher.findAll(text));
+      }
+    });
+
+    it('should not cut query passages between chunks', () => {
+      const book = Array.from({ length: 20 }, (_, i) => `Part ${i}: Ahab\nand the\nwhale`).join(
+        '\n\n'
+      );
+      const matcher = createMatcher('Ahab NEAR/2 whale', { query: true });
+      const scan = createSearchScan(matcher, book, { chunkSize: 10 });
+      scan.scanUntil(() => false);
+
+      expect(scan.hits).to.have.lengthOf(40);
+      expect(scan.hits).to.deep.equal(matcher.findAll(book));
+    });
+
+    it('should cut query passages at blank lines with carriage returns or spaces', () => {
+      // Blank lines of Windows line endings, some of them holding spaces
+      const book = Array.from(
+        { length: 20 },
+        (_, i) => `Part ${i}: Ahab\r\nand the\r\nwhale\r\n${i % 2 ? '' : '  '}\r\n`
+      ).join('');
+      const matcher = createMatcher('Ahab NEAR/2 whale', { query: true });
+      const scan = createSearchScan(matcher, book, { chunkSize: 10 });
+      let chunks = 0;
+      scan.scanUntil(() => {
+        chunks++;
+        return false;
+      });
+
+      expect(chunks).to.be.above(10);
+      expect(scan.hits).to.have.lengthOf(40);
+      expect(scan.hits).to.deep.equal(matcher.findAll(book));
+    });
+
+    it('should stop when told to and resume where it stopped', () => {
+      const matcher = createMatcher('whale');
+      const scan = createSearchScan(matcher, text, { chunkSize: 50 });
+      let chunks = 0;
+
+      expect(scan.scanUntil(() => chunks++ >= 3)).to.be.false;
+      expect(scan.isDone()).to.be.false;
+      const partial = scan.hits.length;
+      expect(partial).to.be.above(0).and.below(40);
+
+      expect(scan.scanUntil(() => false)).to.be.true;
+      expect(scan.hits).to.deep.equal(matcher.findAll(text));
+    });
+
+    it('should be done at once for an empty term', () => {
+      const scan = createSearchScan(createMatcher(''), text);
+
+      expect(scan.isDone()).to.be.true;
+      expect(scan.hits).to.deep.equal([]);
+    });
+  });
+});
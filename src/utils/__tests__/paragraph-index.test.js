@@ -0,0 +1,383 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createMatcher } from '../matcher.js';
+import { createParagraphIndex, createPrefixSums, quickIndexSearch } from '../paragraph-index.js';
+import { quickStringSearchWithNumbers, reduceLinesWithNumbers } from '../reader-utils.js';
+
+// Simple measure function: 10 pixels per character
+const measure = (words) => words.join(' ').length * 10;
+
+describe('paragraph-index', () => {
+  describe('createPrefixSums', () => {
+    it('should sum the values before an index', () => {
+      const sums = createPrefixSums([2, 1, 3]);
+
+      expect(sums.prefix(0)).to.equal(0);
+      expect(sums.prefix(2)).to.equal(3);
+      expect(sums.total()).to.equal(6);
+    });
+
+    it('should update sums when a value is set', () => {
+      const sums = createPrefixSums([2, 1, 3, 4]);
+
+      sums.set(1, 5);
+
+      expect(sums.get(1)).to.equal(5);
+      expect(sums.prefix(2)).to.equal(7);
+      expect(sums.prefix(4)).to.equal(14);
+    });
+
+    it('should find the index whose range contains a position', () => {
+      const sums = createPrefixSums([2, 1, 3]);
+
+      expect([0, 1, 2, 3, 4, 5].map(sums.findIndex)).to.deep.equal([0, 0, 1, 2, 2, 2]);
+    });
+
+    it('should clamp positions past the end to the last index', () => {
+      expect(createPrefixSums([2, 1, 3]).findIndex(50)).to.equal(2);
+    });
+
+    it('should agree with a plain running sum', () => {
+      const values = Array.from({ length: 37 }, (_, i) => (i * 7) % 5 || 1);
+      const sums = createPrefixSums(values);
+      values[20] = 9;
+      sums.set(20, 9);
+
+      let running = 0;
+      values.forEach((value, i) => {
+        expect(sums.prefix(i)).to.equal(running);
+        expect(sums.findIndex(running)).to.equal(i);
+        running += value;
+      });
+    });
+  });
+
+  describe('createParagraphIndex', () => {
+    const text = 'First line\nSecond line is a much longer line\n\nLast';
+
+    it('should count source lines as paragraphs', () => {
+      expect(createParagraphIndex(text).count).to.equal(4);
+      expect(createParagraphIndex('').count).to.equal(1);
+    });
+
+    it('should produce the same rows as wrapping the whole text', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      expect(index.rowsAt(0, 100)).to.deep.equal(reduceLinesWithNumbers(measure, 100, text));
+    });
+
+    it('should only wrap the paragraphs that are asked for', () => {
+      const spy = sinon.spy(measure);
+      const index = createParagraphIndex(text);
+      index.setLayout(spy, 100, 'a');
+      spy.resetHistory();
+
+      index.rowsAt(0, 1);
+
+      expect(index.isWrapped(0)).to.be.true;
+      expect(index.isWrapped(1)).to.be.false;
+      expect(spy.args.every(([words]) => 'First line'.includes(words.join(' ')))).to.be.true;
+    });
+
+    it('should estimate rows of unwrapped paragraphs and refine them when wrapped', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+      const estimated = index.totalRows();
+
+      index.rowsAt(0, 100);
+
+      expect(estimated).to.be.at.least(4);
+      expect(index.totalRows()).to.equal(reduceLinesWithNumbers(measure, 100, text).length);
+    });
+
+    it('should return rows from the middle of the text', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+      const all = reduceLinesWithNumbers(measure, 100, text);
+      index.rowsAt(0, 100);
+
+      expect(index.rowsAt(3, 2)).to.deep.equal(all.slice(3, 5));
+    });
+
+    it('should map offsets to rows', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+      const all = reduceLinesWithNumbers(measure, 100, text);
+      const row = all.findIndex((r) => r.text === 'longer');
+
+      expect(index.paragraphAtOffset(all[row].start)).to.equal(1);
+      expect(index.rowOfOffset(all[row].start + 2)).to.equal(row);
+    });
+
+    it('should give the offsets of paragraphs', () => {
+      const index = createParagraphIndex('ab\ncd\n\nef');
+
+      expect([0, 1, 2, 3].map(index.paragraphStart)).to.deep.equal([0, 3, 6, 7]);
+      expect(index.paragraphStart(9)).to.equal(7);
+    });
+
+    it('should reuse rows wrapped for an earlier layout key', () => {
+      const spy = sinon.spy(measure);
+      const index = createParagraphIndex(text);
+      index.setLayout(spy, 100, 'narrow');
+      const narrow = index.rowsAt(0, 100);
+      index.setLayout(spy, 200, 'wide');
+      index.rowsAt(0, 100);
+      index.setLayout(spy, 100, 'narrow');
+      spy.resetHistory();
+
+      expect(index.rowsAt(0, 100)).to.deep.equal(narrow);
+      expect(spy.called).to.be.false;
+      expect(index.totalRows()).to.equal(narrow.length);
+    });
+
+    it('should give the offsets of source lines', () => {
+      const index = createParagraphIndex('ab\ncd\n\nef', { reflow: true });
+
+      expect(index.lineCount).to.equal(4);
+      expect([1, 2, 3, 4].map(index.lineStart)).to.deep.equal([0, 3, 6, 7]);
+    });
+
+    it('should find the source line of an offset', () => {
+      const index = createParagraphIndex('ab\ncd\n\nef', { reflow: true });
+
+      expect([0, 2, 3, 6, 8].map(index.lineAt)).to.deep.equal([1, 1, 2, 3, 4]);
+    });
+
+    describe('with reflow', () => {
+      // Hard-wrapped at 70 columns, followed by two lines of verse
+      const wrapped = [
+        'Call me Ishmael. Some years ago--never mind how long precisely--having',
+        'little or no money in my purse, and nothing particular to interest me',
+        'on shore.',
+        '',
+        'Tyger Tyger, burning bright,',
+        'In the forests of the night;',
+      ].join('\n');
+
+      it('should join hard-wrapped lines into one paragraph', () => {
+        const index = createParagraphIndex(wrapped, { reflow: true });
+
+        expect(index.count).to.equal(4);
+        expect(index.lineCount).to.equal(6);
+        expect(index.paragraphText(0)).to.have.string('having\nlittle');
+      });
+
+      it('should wrap paragraphs to the width rather than the source lines', () => {
+        const index = createParagraphIndex(wrapped, { reflow: true });
+        index.setLayout(measure, 1000, 'a');
+        const rows = index.rowsAt(0, 100);
+
+        expect(rows).to.have.lengthOf(5);
+        expect(rows[0].text.length).to.be.above(70);
+        expect(rows.slice(-2).map((row) => row.text)).to.deep.equal([
+          'Tyger Tyger, burning bright,',
+          'In the forests of the night;',
+        ]);
+      });
+
+      it('should number rows by the source line they start on', () => {
+        const index = createParagraphIndex(wrapped, { reflow: true });
+        index.setLayout(measure, 1000, 'a');
+        const rows = index.rowsAt(0, 100);
+
+        expect(rows.map((row) => row.lineNum)).to.deep.equal([1, 2, 4, 5, 6]);
+        expect(rows.map((row) => row.wrapIndex)).to.deep.equal([0, 0, 0, 0, 0]);
+      });
+
+      it('should keep rows at their offsets into the source text', () => {
+        const index = createParagraphIndex(wrapped, { reflow: true });
+        index.setLayout(measure, 300, 'a');
+
+        for (const row of index.rowsAt(0, 100)) {
+          expect(wrapped.slice(row.start, row.end).replaceAll('\n', ' ')).to.equal(row.text);
+        }
+        expect(index.rowOfOffset(wrapped.indexOf('little'))).to.equal(
+          index.rowsAt(0, 100).findIndex((row) => row.text.includes('little'))
+        );
+      });
+
+      it('should find hits across joined lines', () => {
+        const index = createParagraphIndex(wrapped, { reflow: true });
+        index.setLayout(measure, 1000, 'a');
+        const { results, total } = quickIndexSearch(index, { contextLines: 0 })('having little');
+
+        expect(total).to.equal(1);
+        expect(results[0].text).to.equal('Line 1');
+        expect(results).to.have.lengthOf(2);
+      });
+    });
+
+    it('should open a large text without wrapping it', () => {
+      const paragraph = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+      const big = Array.from({ length: 20000 }, () => paragraph).join('\n');
+
+      const start = performance.now();
+      const index = createParagraphIndex(big);
+      index.setLayout(measure, 600, 'a');
+      const rows = index.rowsAt(Math.floor(index.totalRows() / 2), 60);
+      const elapsed = performance.now() - start;
+
+      expect(rows).to.have.lengthOf(60);
+      expect(index.isWrapped(0)).to.be.false;
+      expect(elapsed).to.be.below(200);
+    });
+  });
+
+  describe('quickIndexSearch', () => {
+    const text = 'alpha beta\ngamma\ndelta alpha epsilon zeta\neta\ntheta\nalpha';
+
+    it('should keep matching rows with context like searching the wrapped rows', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+      const expected = quickStringSearchWithNumbers(reduceLinesWithNumbers(measure, 100, text))(
+        'alpha'
+      );
+
+      const found = quickIndexSearch(index)('alpha');
+
+      expect(found.results.filter((row) => !row.separator)).to.deep.equal(expected.results);
+      expect(found.total).to.equal(3);
+    });
+
+    it('should report hits as offsets into the source text', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      const { hits } = quickIndexSearch(index)('alpha');
+
+      expect(hits.map(({ start, end }) => text.slice(start, end))).to.deep.equal([
+        'alpha',
+        'alpha',
+        'alpha',
+      ]);
+      expect(hits[0]).to.deep.equal({ start: 0, end: 5 });
+    });
+
+    it('should find phrases split across wrapped rows', () => {
+      const index = createParagraphIndex('Some years ago, call me Ishmael.');
+      index.setLayout(measure, 100, 'a');
+      const rows = index.rowsAt(0, 10);
+      expect(rows.some((row) => row.text.includes('call me Ishmael'))).to.be.false;
+
+      const found = quickIndexSearch(index)('call me Ishmael');
+
+      expect(found.total).to.equal(1);
+      const touched = found.results.filter((row) => row.end > 16 && row.start < 31);
+      expect(touched.map((row) => row.text)).to.deep.equal(['ago, call', 'me', 'Ishmael.']);
+    });
+
+    it('should find plain phrases across source line breaks', () => {
+      const index = createParagraphIndex('Call me\nIshmael. Some years ago');
+      index.setLayout(measure, 1000, 'a');
+
+      const found = quickIndexSearch(index)('call me ishmael');
+
+      expect(found.total).to.equal(1);
+      expect(found.hunks.map(({ rows }) => rows.map((row) => row.lineNum))).to.deep.equal([[1, 2]]);
+    });
+
+    it('should return whole paragraphs with paragraph context', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      const found = quickIndexSearch(index, { contextLines: 'paragraph' })('epsilon');
+
+      expect(found.results.map((row) => row.text)).to.deep.equal([
+        'Line 3',
+        'delta',
+        'alpha',
+        'epsilon',
+        'zeta',
+      ]);
+      expect(found.total).to.equal(1);
+    });
+
+    it('should keep only rows with hits without context', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      const found = quickIndexSearch(index, { contextLines: 0 })('alpha');
+
+      expect(found.hunks.map(({ rows }) => rows.map((row) => row.text))).to.deep.equal([
+        ['alpha beta'],
+        ['alpha'],
+        ['alpha'],
+      ]);
+    });
+
+    it('should keep more rows of context when asked', () => {
+      const index = createParagraphIndex('one\ntwo\nthree\nfour\nfive\nsix');
+      index.setLayout(measure, 100, 'a');
+
+      const found = quickIndexSearch(index, { contextLines: 2 })('four');
+
+      expect(found.results.map((row) => row.text)).to.deep.equal([
+        'Lines 2-6',
+        'two',
+        'three',
+        'four',
+        'five',
+        'six',
+      ]);
+    });
+
+    it('should group kept rows into hunks labelled with their line range', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      const found = quickIndexSearch(index)('alpha');
+
+      expect(found.hunks.map(({ firstLine, lastLine }) => [firstLine, lastLine])).to.deep.equal([
+        [1, 3],
+        [5, 6],
+      ]);
+      const separators = found.results.filter((row) => row.separator);
+      expect(separators.map((row) => row.text)).to.deep.equal(['Lines 1-3', 'Lines 5-6']);
+      expect(separators[1].start).to.equal(found.hunks[1].rows[0].start);
+    });
+
+    it('should only wrap paragraphs with hits and their neighbours', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      quickIndexSearch(index)('gamma');
+
+      expect([0, 1, 2, 3].map(index.isWrapped)).to.deep.equal([true, true, true, false]);
+    });
+
+    it('should show the hits it is given instead of searching', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+      const hits = createMatcher('alpha').findAll(text).slice(0, 1);
+
+      const found = quickIndexSearch(index, { contextLines: 0 })('alpha', hits);
+
+      expect(found.total).to.equal(1);
+      expect(found.results.map((row) => row.text)).to.deep.equal(['Line 1', 'alpha beta']);
+    });
+
+    it('should search with the options of a matcher', () => {
+      const index = createParagraphIndex('Alpha\nalphabet\nalpha');
+      index.setLayout(measure, 100, 'a');
+
+      const found = quickIndexSearch(index)(createMatcher('alpha', { wholeWord: true }));
+
+      expect(found.total).to.equal(2);
+    });
+
+    it('should return no results for an empty term', () => {
+      const index = createParagraphIndex(text);
+      index.setLayout(measure, 100, 'a');
+
+      expect(quickIndexSearch(index)('')).to.deep.equal({
+        searchText: '',
+        results: [],
+        hunks: [],
+        hits: [],
+        total: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { expect } from 'chai';
+import { createMatcher } from '../matcher.js';
+import { evaluateQuery, parseQuery, queryTerms } from '../query.js';
+
+describe('query', () => {
+  describe('parseQuery', () => {
+    const term = (text, index, phrase = false) => ({ type: 'term', text, phrase, term: index });
+
+    it('should parse a single word', () => {
+      expect(parseQuery('whale')).to.deep.equal(term('whale', 0));
+    });
+
+    it('should parse quoted phrases', () => {
+      expect(parseQuery('"white whale"')).to.deep.equal(term('white whale', 0, true));
+    });
+
+    it('should imply AND between neighbouring terms', () => {
+      expect(parseQuery('Ahab "white whale"')).to.deep.equal({
+        type: 'and',
+        children: [term('Ahab', 0), term('white whale', 1, true)],
+      });
+    });
+
+    it('should bind AND tighter than OR', () => {
+      expect(parseQuery('a OR b AND c')).to.deep.equal({
+        type: 'or',
+        children: [term('a', 0), { type: 'and', children: [term('b', 1), term('c', 2)] }],
+      });
+    });
+
+    it('should bind NOT to the term after it', () => {
+      expect(parseQuery('a NOT b')).to.deep.equal({
+        type: 'and',
+        children: [term('a', 0), { type: 'not', children: [term('b', 1)] }],
+      });
+    });
+
+    it('should parse NEAR with its distance', () => {
+      expect(parseQuery('Ahab NEAR/5 whale')).to.deep.equal({
+        type: 'near',
+        distance: 5,
+        children: [term('Ahab', 0), term('whale', 1)],
+      });
+    });
+
+    it('should group with parentheses', () => {
+      expect(parseQuery('(a OR b) c')).to.deep.equal({
+        type: 'and',
+        children: [{ type: 'or', children: [term('a', 0), term('b', 1)] }, term('c', 2)],
+      });
+    });
+
+    it('should treat lower case operators as words', () => {
+      expect(queryTerms(parseQuery('salt and pepper')).map((node) => node.text)).to.deep.equal([
+        'salt',
+        'and',
+        'pepper',
+      ]);
+    });
+
+    it('should reject malformed queries', () => {
+      expect(() => parseQuery('"white whale')).to.throw(SyntaxError, 'Unterminated phrase');
+      expect(() => parseQuery('a AND')).to.throw(
+        SyntaxError,
+        'Expected a term before the end of the query'
+      );
+      expect(() => parseQuery('OR a')).to.throw(SyntaxError, 'Expected a term before "OR"');
+      expect(() => parseQuery('a)')).to.throw(SyntaxError, 'Unexpected ")"');
+      expect(() => parseQuery('')).to.throw(SyntaxError);
+    });
+
+    it('should reject queries with only negated terms', () => {
+      expect(() => parseQuery('NOT whale')).to.throw(SyntaxError, 'not negated');
+      expect(() => parseQuery('a OR NOT b')).to.throw(SyntaxError, 'not negated');
+    });
+  });
+
+  describe('evaluateQuery', () => {
+    const find = (node, text) => createMatcher(node.text).findAll(text);
+    const evaluate = (query, text) => evaluateQuery(parseQuery(query), text, find);
+
+    it('should tag term hits with their term', () => {
+      expect(evaluate('whale', 'a whale')).to.deep.equal({
+        matched: true,
+        hits: [{ start: 2, end: 7, term: 0 }],
+      });
+    });
+
+    it('should need every operand of AND', () => {
+      expect(evaluate('Ahab whale', 'Ahab and the whale').hits).to.have.lengthOf(2);
+      expect(evaluate('Ahab whale', 'Ahab alone')).to.deep.equal({ matched: false, hits: [] });
+    });
+
+    it('should keep the hits of the operands of OR that match', () => {
+      expect(evaluate('Ahab OR whale', 'the whale').hits).to.deep.equal([
+        { start: 4, end: 9, term: 1 },
+      ]);
+    });
+
+    it('should exclude passages with a negated term', () => {
+      expect(evaluate('whale NOT Ahab', 'Ahab and the whale').matched).to.be.false;
+      expect(evaluate('whale NOT Ahab', 'the whale').matched).to.be.true;
+    });
+
+    it('should keep hits within the NEAR distance in either order', () => {
+      const text = 'whale one two Ahab one two three four whale';
+
+      expect(evaluate('Ahab NEAR/2 whale', text).hits).to.deep.equal([
+        { start: 0, end: 5, term: 1 },
+        { start: 14, end: 18, term: 0 },
+      ]);
+      expect(evaluate('Ahab NEAR/1 whale', text).matched).to.be.false;
+    });
+
+    it('should count words cut by a hit and keep hits that overlap as near', () => {
+      expect(evaluate('ha NEAR/0 sea', 'Ahab sea').matched).to.be.false;
+      expect(evaluate('hab NEAR/0 sea', 'Ahab sea').matched).to.be.true;
+      expect(evaluate('white NEAR/0 "white whale"', 'the white whale').hits).to.deep.equal([
+        { start: 4, end: 15, term: 1 },
+      ]);
+    });
+
+    it('should find the hits near each other in a long passage of common words', () => {
+      const text = 'the whale of the sea and the ship of the line '.repeat(2000);
+
+      const start = performance.now();
+      const { hits } = evaluate('the NEAR/2 of', text);
+      const elapsed = performance.now() - start;
+
+      expect(hits).to.have.lengthOf(12000);
+      expect(hits.slice(0, 3)).to.deep.equal([
+        { start: 0, end: 3, term: 0 },
+        { start: 10, end: 12, term: 1 },
+        { start: 13, end: 16, term: 0 },
+      ]);
+      expect(elapsed).to.be.below(200);
+    });
+
+    it('should merge overlapping hits of different terms', () => {
+      expect(evaluate('white OR "white whale"', 'the white whale').hits).to.deep.equal([
+        { start: 4, end: 15, term: 1 },
+      ]);
+    });
+  });
+});
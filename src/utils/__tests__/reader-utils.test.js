@@ -1,16 +1,26 @@
 import { expect } from 'chai';
 import { LINE_BREAK } from '../../constants/constants.js';
+import { createMatcher } from '../matcher.js';
 import {
+  createLayout,
+  createLruCache,
+  findRowByOffset,
   joinLines,
+  lineRangeAt,
   lineSpacer,
+  MEMO_CACHE_SIZE,
   measureWordSet,
   memo,
+  memoByKey,
+  memoizeLru,
   quickStringSearch,
   quickStringSearchWithNumbers,
   reduceLines,
   reduceLinesWithNumbers,
   splitLines,
   stopMouseEvents,
+  visibleLines,
+  wordRangeAt,
 } from '../reader-utils.js';
 
 describe('reader-utils', () => {
@@ -33,6 +43,86 @@ describe('reader-utils', () => {
     });
   });
 
+  describe('createLruCache', () => {
+    it('should drop the least recently used entry when full', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      expect(cache.has('a')).to.be.true;
+      expect(cache.has('b')).to.be.false;
+      expect(cache.get('c')).to.equal(3);
+      expect(cache.size()).to.equal(2);
+    });
+
+    it('should return undefined for missing keys', () => {
+      expect(createLruCache(2).get('a')).to.be.undefined;
+    });
+
+    it('should drop every entry when cleared', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.clear();
+
+      expect(cache.has('a')).to.be.false;
+      expect(cache.size()).to.equal(0);
+    });
+  });
+
+  describe('memoizeLru', () => {
+    it('should recompute results that were dropped from the cache', () => {
+      let callCount = 0;
+      const double = memoizeLru(
+        (x) => x,
+        2
+      )((x) => {
+        callCount++;
+        return x * 2;
+      });
+
+      double(1);
+      double(2);
+      double(1);
+      double(3);
+      expect(callCount).to.equal(3);
+
+      double(2);
+      expect(callCount).to.equal(4);
+    });
+
+    it('should bound memo to the cache size', () => {
+      let callCount = 0;
+      const fn = memo((x) => {
+        callCount++;
+        return x;
+      });
+
+      for (let i = 0; i <= MEMO_CACHE_SIZE; i++) fn(i);
+      fn(0);
+
+      expect(callCount).to.equal(MEMO_CACHE_SIZE + 2);
+    });
+  });
+
+  describe('memoByKey', () => {
+    it('should cache results by the key of the first argument', () => {
+      let callCount = 0;
+      const search = memoByKey((matcher) => {
+        callCount++;
+        return matcher.searchText;
+      });
+
+      expect(search(createMatcher('a'))).to.equal('a');
+      expect(search(createMatcher('a'))).to.equal('a');
+      expect(callCount).to.equal(1);
+
+      search(createMatcher('a', { regex: true }));
+      expect(callCount).to.equal(2);
+    });
+  });
+
   describe('lineSpacer', () => {
     it('should intersperse LINE_BREAK between array elements', () => {
       const result = lineSpacer(['line1', 'line2', 'line3']);
@@ -174,14 +264,55 @@ describe('reader-utils', () => {
       const result = reduceLinesWithNumbers(measureFn, maxWidth, text);
 
       expect(result).to.be.an('array');
+      expect(result.length).to.be.greaterThan(1);
       result.forEach((lineObj, index) => {
         expect(lineObj).to.have.property('text');
-        expect(lineObj).to.have.property('lineNum');
-        expect(lineObj.lineNum).to.equal(index + 1);
+        expect(lineObj.lineNum).to.equal(1);
+        expect(lineObj.wrapIndex).to.equal(index);
         expect(measureFn([lineObj.text])).to.be.at.most(maxWidth);
       });
     });
 
+    it('should keep the source line number on every wrapped row', () => {
+      const measureFn = (words) => words.join(' ').length * 10;
+      const text = 'Short\nA much longer line that has to wrap\nEnd';
+
+      const result = reduceLinesWithNumbers(measureFn, 100, text);
+
+      expect(result[0]).to.include({ lineNum: 1, wrapIndex: 0 });
+      const second = result.filter((row) => row.lineNum === 2);
+      expect(second.length).to.be.greaterThan(1);
+      second.forEach((row, index) => {
+        expect(row.wrapIndex).to.equal(index);
+      });
+      expect(result[result.length - 1]).to.include({ text: 'End', lineNum: 3, wrapIndex: 0 });
+    });
+
+    it('should report character offsets into the original text', () => {
+      const measureFn = (words) => words.join(' ').length * 10;
+      const text = 'First\nSecond line';
+
+      const result = reduceLinesWithNumbers(measureFn, 100, text);
+
+      expect(result).to.deep.equal([
+        { text: 'First', lineNum: 1, wrapIndex: 0, start: 0, end: 5 },
+        { text: 'Second', lineNum: 2, wrapIndex: 0, start: 6, end: 12 },
+        { text: 'line', lineNum: 2, wrapIndex: 1, start: 13, end: 17 },
+      ]);
+      result.forEach((row) => {
+        expect(text.slice(row.start, row.end)).to.equal(row.text);
+      });
+    });
+
+    it('should not emit an empty row before a word wider than maxWidth', () => {
+      const measureFn = (words) => words.join(' ').length * 10;
+
+      const result = reduceLinesWithNumbers(measureFn, 50, 'superlongword');
+
+      expect(result).to.have.lengthOf(1);
+      expect(result[0]).to.include({ text: 'superlongword', wrapIndex: 0 });
+    });
+
     it('should preserve line breaks in original text with line numbers', () => {
       const measureFn = (words) => words.join(' ').length * 10;
       const maxWidth = 1000;
@@ -206,6 +337,9 @@ describe('reader-utils', () => {
       expect(result[0]).to.deep.equal({
         text: 'Single line of text',
         lineNum: 1,
+        wrapIndex: 0,
+        start: 0,
+        end: 19,
       });
     });
 
@@ -231,6 +365,9 @@ describe('reader-utils', () => {
       expect(result[0]).to.deep.equal({
         text: '',
         lineNum: 1,
+        wrapIndex: 0,
+        start: 0,
+        end: 0,
       });
     });
 
@@ -250,6 +387,121 @@ describe('reader-utils', () => {
     });
   });
 
+  describe('createLayout', () => {
+    const measureFn = (words) => words.join(' ').length * 10;
+    const text = 'First line here\nA much longer line that has to wrap\n\nEnd';
+
+    it('should produce the same rows as reduceLinesWithNumbers', () => {
+      const layout = createLayout(measureFn, 100, text);
+
+      expect(layout.layoutUntil(() => false)).to.be.true;
+      expect(layout.isDone()).to.be.true;
+      expect(layout.rows).to.deep.equal(reduceLinesWithNumbers(measureFn, 100, text));
+    });
+
+    it('should pause and resume between words', () => {
+      const layout = createLayout(measureFn, 100, text);
+
+      expect(layout.layoutUntil(() => layout.rows.length >= 2)).to.be.false;
+      expect(layout.rows).to.have.lengthOf(2);
+      expect(layout.isDone()).to.be.false;
+
+      const { rows } = layout;
+      layout.layoutUntil(() => false);
+      expect(layout.rows).to.equal(rows);
+      expect(layout.rows).to.deep.equal(reduceLinesWithNumbers(measureFn, 100, text));
+    });
+
+    it('should keep row offsets within a single long paragraph across pauses', () => {
+      const paragraph = 'alpha beta gamma delta epsilon zeta eta theta';
+      const layout = createLayout(measureFn, 120, paragraph);
+      let words = 0;
+
+      while (!layout.layoutUntil(() => words++ % 3 === 2)) {
+        // keep resuming in small steps
+      }
+
+      layout.rows.forEach((row) => {
+        expect(paragraph.slice(row.start, row.end)).to.equal(row.text);
+        expect(row.lineNum).to.equal(1);
+      });
+    });
+
+    it('should lay out a trailing empty line', () => {
+      const layout = createLayout(measureFn, 100, 'a\n');
+      layout.layoutUntil(() => false);
+
+      expect(layout.rows.map((row) => row.text)).to.deep.equal(['a', '']);
+    });
+
+    describe('benchmark', () => {
+      const TEN_MB = 10 * 1024 * 1024;
+      const SCREEN_ROWS = 60;
+      const measure = (words) => words.join(' ').length * 7;
+
+      /**
+       * Lays out one screen of rows and returns the elapsed time in milliseconds.
+       * @param {string} book - Text to lay out
+       * @returns {{elapsed: number, layout: Layout}} Timing and the paused layout
+       */
+      const timeFirstPaint = (book) => {
+        const started = performance.now();
+        const layout = createLayout(measure, 600, book);
+        layout.layoutUntil(() => layout.rows.length >= SCREEN_ROWS);
+        return { elapsed: performance.now() - started, layout };
+      };
+
+      it('should lay out the first screen of a 10 MB hard-wrapped text in under 100ms', () => {
+        const line = 'It was the best of times, it was the worst of times, it was the age of\n';
+        const book = line.repeat(Math.ceil(TEN_MB / line.length));
+
+        const { elapsed, layout } = timeFirstPaint(book);
+
+        expect(layout.rows).to.have.lengthOf(SCREEN_ROWS);
+        expect(layout.isDone()).to.be.false;
+        expect(elapsed).to.be.below(100);
+      });
+
+      it('should lay out the first screen of a 10 MB single paragraph in under 100ms', () => {
+        const book = 'wisdom foolishness belief incredulity '.repeat(
+          Math.ceil(TEN_MB / 'wisdom foolishness belief incredulity '.length)
+        );
+
+        const { elapsed, layout } = timeFirstPaint(book);
+
+        expect(layout.rows).to.have.lengthOf(SCREEN_ROWS);
+        expect(layout.isDone()).to.be.false;
+        expect(elapsed).to.be.below(100);
+      });
+    });
+  });
+
+  describe('findRowByOffset', () => {
+    const measureFn = (words) => words.join(' ').length * 10;
+    const rows = reduceLinesWithNumbers(measureFn, 100, 'First\nSecond line\nThird');
+
+    it('should find the row containing an offset', () => {
+      expect(findRowByOffset(rows, 0)).to.equal(0);
+      expect(findRowByOffset(rows, 7)).to.equal(1);
+      expect(findRowByOffset(rows, 14)).to.equal(2);
+      expect(findRowByOffset(rows, 18)).to.equal(3);
+    });
+
+    it('should return the last row for offsets past the end', () => {
+      expect(findRowByOffset(rows, 1000)).to.equal(rows.length - 1);
+    });
+
+    it('should return the nearest preceding row in a filtered list', () => {
+      const filtered = [rows[0], rows[3]];
+      expect(filtered.length).to.equal(2);
+      expect(findRowByOffset(filtered, 14)).to.equal(0);
+    });
+
+    it('should return 0 for an empty list', () => {
+      expect(findRowByOffset([], 10)).to.equal(0);
+    });
+  });
+
   describe('quickStringSearch', () => {
     const testList = [
       'The quick brown fox',
@@ -407,6 +659,69 @@ describe('reader-utils', () => {
     });
   });
 
+  describe('visibleLines', () => {
+    const measureFn = (words) => words.join(' ').length * 10;
+    const text = 'CHAPTER I.\n\nCall me Ishmael. Some years ago\nnever mind';
+    const rows = reduceLinesWithNumbers(measureFn, 100, text);
+
+    it('should join wrapped rows into their source lines and mark headings', () => {
+      expect(rows.length).to.be.greaterThan(4);
+      expect(visibleLines(rows, text, new Set([1]))).to.deep.equal([
+        { kind: 'heading', text: 'CHAPTER I.', lineNum: 1 },
+        { kind: 'text', text: '', lineNum: 2 },
+        { kind: 'text', text: 'Call me Ishmael. Some years ago', lineNum: 3 },
+        { kind: 'text', text: 'never mind', lineNum: 4 },
+      ]);
+    });
+
+    it('should keep only the visible part of a line cut off by the canvas edge', () => {
+      const cut = rows.filter(({ lineNum, wrapIndex }) => lineNum !== 3 || wrapIndex > 0);
+      expect(visibleLines(cut, text)[2]).to.deep.equal({
+        kind: 'text',
+        text: text.slice(cut[2].start, cut.at(-2).end).trim(),
+        lineNum: 3,
+      });
+    });
+
+    it('should pass separator labels through', () => {
+      const separator = { separator: true, text: 'Lines 3-4' };
+      expect(visibleLines([separator, rows.at(-1)], text)).to.deep.equal([
+        { kind: 'separator', text: 'Lines 3-4' },
+        { kind: 'text', text: 'never mind', lineNum: 4 },
+      ]);
+    });
+  });
+
+  describe('wordRangeAt', () => {
+    const text = 'Call me Ishmael.  Café_au_lait\nEnd';
+
+    it('should find the word around an offset', () => {
+      expect(wordRangeAt(text, 8)).to.deep.equal({ start: 8, end: 15 });
+      expect(wordRangeAt(text, 14)).to.deep.equal({ start: 8, end: 15 });
+      expect(wordRangeAt(text, 20)).to.deep.equal({ start: 18, end: 30 });
+    });
+
+    it('should take the run of spaces or punctuation between words', () => {
+      expect(wordRangeAt(text, 16)).to.deep.equal({ start: 15, end: 18 });
+    });
+
+    it('should not cross a line break', () => {
+      expect(wordRangeAt(text, 31)).to.deep.equal({ start: 31, end: 34 });
+      expect(wordRangeAt(text, 30)).to.deep.equal({ start: 30, end: 30 });
+      expect(wordRangeAt(text, 34)).to.deep.equal({ start: 34, end: 34 });
+    });
+  });
+
+  describe('lineRangeAt', () => {
+    it('should find the source line around an offset', () => {
+      const text = 'First\nSecond line\nThird';
+      expect(lineRangeAt(text, 0)).to.deep.equal({ start: 0, end: 5 });
+      expect(lineRangeAt(text, 9)).to.deep.equal({ start: 6, end: 17 });
+      expect(lineRangeAt(text, 6)).to.deep.equal({ start: 6, end: 17 });
+      expect(lineRangeAt(text, 20)).to.deep.equal({ start: 18, end: 23 });
+    });
+  });
+
   describe('stopMouseEvents', () => {
     it('should call stopPropagation and preventDefault', () => {
       let stopPropagationCalled = false;
@@ -622,6 +937,24 @@ describe('reader-utils', () => {
       });
     });
 
+    it('should search with the options of a matcher', () => {
+      const search = quickStringSearchWithNumbers(testList);
+      const result = search(createMatcher('Quick', { caseSensitive: true, wholeWord: true }));
+
+      expect(result.searchText).to.equal('Quick');
+      expect(result.total).to.equal(1);
+      expect(result.results.map((line) => line.lineNum)).to.deep.equal([3, 4, 5]);
+    });
+
+    it('should search with a query matcher', () => {
+      const search = quickStringSearchWithNumbers(testList, 0);
+      const result = search(createMatcher('quick NOT fox OR lazy NEAR/1 dog', { query: true }));
+
+      expect(result.searchText).to.equal('quick NOT fox OR lazy NEAR/1 dog');
+      expect(result.total).to.equal(2);
+      expect(result.results.map((line) => line.lineNum)).to.deep.equal([2, 4]);
+    });
+
     it('should return all lines when search is empty', () => {
       const search = quickStringSearchWithNumbers(testList);
       const result = search('');
@@ -748,6 +1081,14 @@ describe('reader-utils', () => {
       expect(result.results[1].lineNum).to.equal(3);
     });
 
+    it('should include as many context lines as asked for', () => {
+      const none = quickStringSearchWithNumbers(testList, 0)('lazy');
+      const two = quickStringSearchWithNumbers(testList, 2)('lazy');
+
+      expect(none.results.map((line) => line.lineNum)).to.deep.equal([2]);
+      expect(two.results.map((line) => line.lineNum)).to.deep.equal([1, 2, 3, 4]);
+    });
+
     it('should deduplicate overlapping context windows and preserve line numbers', () => {
       const list = [
         { text: 'line 0', lineNum: 1 },
@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+import { findReflowParagraphs } from '../reflow.js';
+
+// Prose hard-wrapped at 70 columns
+const prose = [
+  'Call me Ishmael. Some years ago--never mind how long precisely--having',
+  'little or no money in my purse, and nothing particular to interest me',
+  'on shore, I thought I would sail about a little and see the watery part',
+  'of the world.',
+];
+
+describe('reflow', () => {
+  describe('findReflowParagraphs', () => {
+    it('should join hard-wrapped lines into one paragraph', () => {
+      expect(findReflowParagraphs(prose)).to.deep.equal([0]);
+    });
+
+    it('should start a paragraph after a blank line', () => {
+      const lines = [...prose, '', ...prose];
+
+      expect(findReflowParagraphs(lines)).to.deep.equal([0, 4, 5]);
+    });
+
+    it('should keep lines that end before the wrap column', () => {
+      const lines = [...prose, 'Tyger Tyger, burning bright,', 'In the forests of the night;'];
+
+      expect(findReflowParagraphs(lines)).to.deep.equal([0, 4, 5]);
+    });
+
+    it('should keep indented lines but join after an indented first line', () => {
+      const lines = [
+        `    ${prose[0].slice(4)}`,
+        prose[1],
+        '    All that we see or seem',
+        '    Is but a dream within a dream.',
+      ];
+
+      expect(findReflowParagraphs([...lines, ...prose])).to.deep.equal([0, 2, 3, 4]);
+    });
+
+    it('should keep table rows and rules', () => {
+      const lines = [
+        ...prose,
+        'Chapter I.      Loomings                                              1',
+        '----------------------------------------------------------------------',
+        ...prose,
+      ];
+
+      expect(findReflowParagraphs(lines)).to.deep.equal([0, 4, 5, 6]);
+    });
+
+    it('should keep every line of a text that is not hard-wrapped', () => {
+      const lines = ['Short lines of', 'a poem that', 'never reach', 'the margin'];
+
+      expect(findReflowParagraphs(lines)).to.deep.equal([0, 1, 2, 3]);
+    });
+
+    it('should handle an empty text', () => {
+      expect(findReflowParagraphs([''])).to.deep.equal([0]);
+    });
+  });
+});
@@ -269,6 +269,59 @@ describe('scrollbar', () => {
       expect(scrollbar.getCanvasHeight()).to.equal(900);
     });
 
+    it('should draw at the new right edge after resizeCanvas', () => {
+      const scrollbar = setupScrollBar({
+        ctx: mockCtx,
+        canvasWidth: 800,
+        canvasHeight: 600,
+        updateCanvas: () => {},
+      });
+
+      scrollbar.resizeCanvas(1200, 900);
+      scrollbar.draw();
+
+      expect(scrollbar.getX()).to.equal(1190);
+    });
+
+    it('should clamp the scroll offset when resizeCanvas shrinks the scroll range', () => {
+      const scrollbar = setupScrollBar({
+        ctx: mockCtx,
+        canvasWidth: 800,
+        canvasHeight: 600,
+        updateCanvas: () => {},
+      });
+
+      scrollbar.setTextHeight(2000);
+      scrollbar.setScrollOffset(-1300);
+      scrollbar.resizeCanvas(800, 1000);
+
+      // minScroll = -2000 + 1000 - 100
+      expect(scrollbar.getScrollOffset()).to.equal(-1100);
+    });
+
+    it('should scroll to a position from the top with scrollToPosition', () => {
+      let updateCanvasCalled = false;
+      const scrollbar = setupScrollBar({
+        ctx: mockCtx,
+        canvasWidth: 800,
+        canvasHeight: 600,
+        updateCanvas: () => {
+          updateCanvasCalled = true;
+        },
+      });
+
+      scrollbar.setTextHeight(2000);
+      scrollbar.scrollToPosition(500);
+      expect(scrollbar.getScrollOffset()).to.equal(-500);
+      expect(updateCanvasCalled).to.be.true;
+
+      scrollbar.scrollToPosition(5000);
+      expect(scrollbar.getScrollOffset()).to.equal(-1500);
+
+      scrollbar.scrollToPosition(-50);
+      expect(scrollbar.getScrollOffset()).to.equal(0);
+    });
+
     it('should use custom color', () => {
       const scrollbar = setupScrollBar({
         ctx: mockCtx,
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { findChapters } from '../chapters.js';
+import { createMatcher } from '../matcher.js';
+import { createParagraphIndex } from '../paragraph-index.js';
+import { summarizeSearch } from '../search-summary.js';
+
+const text = [
+  'Preface about the whale',
+  '',
+  'CHAPTER I.',
+  '',
+  'Call me Ishmael. A whale, a whale!',
+  '',
+  'CHAPTER II.',
+  '',
+  'No hits here.',
+  '',
+  'CHAPTER III.',
+  '',
+  'The white',
+  'whale.',
+].join('\n');
+
+const summarize = (term, config) => {
+  const index = createParagraphIndex(text);
+  const hits = createMatcher(term).findAll(text);
+  return summarizeSearch(index, hits, findChapters(text), config);
+};
+
+describe('search-summary', () => {
+  describe('summarizeSearch', () => {
+    it('should count every hit', () => {
+      expect(summarize('whale').total).to.equal(4);
+    });
+
+    it('should locate hits by source line and column', () => {
+      const { hits } = summarize('whale');
+
+      expect(hits.map(({ lineNum, column }) => [lineNum, column])).to.deep.equal([
+        [1, 18],
+        [5, 19],
+        [5, 28],
+        [14, 0],
+      ]);
+      expect(hits[1]).to.include({
+        index: 1,
+        start: text.indexOf('whale,'),
+        end: text.indexOf(','),
+      });
+    });
+
+    it('should locate hits by source line when hard-wrapped lines are reflowed', () => {
+      const wrapped = [
+        'Call me Ishmael. Some years ago, never mind how long precisely, having',
+        'little or no money in my purse, and nothing particular to interest me on',
+        'shore, I thought I would sail about a little and see the watery part of',
+        'the world. It is a way I have of driving off the spleen, and whale the',
+        '',
+        'Whenever I find myself growing grim about the mouth; whenever it is a',
+        'damp, drizzly November in my soul; whenever I find myself whale before',
+      ].join('\n');
+      const index = createParagraphIndex(wrapped, { reflow: true });
+      const { hits } = summarizeSearch(index, createMatcher('whale').findAll(wrapped));
+
+      expect(hits.map(({ lineNum, column }) => [lineNum, column])).to.deep.equal([
+        [4, 61],
+        [7, 58],
+      ]);
+    });
+
+    it('should give each hit a snippet on one line', () => {
+      const { hits } = summarize('white whale');
+
+      expect(hits[0].snippet).to.deep.equal({
+        before: '…II. No hits here. CHAPTER III. The ',
+        match: 'white whale',
+        after: '.',
+      });
+    });
+
+    it('should break the hits down by chapter', () => {
+      expect(summarize('whale').chapters).to.deep.equal([
+        { title: null, lineNum: 1, count: 1, firstHit: 0 },
+        { title: 'CHAPTER I.', lineNum: 3, count: 2, firstHit: 1 },
+        { title: 'CHAPTER III.', lineNum: 11, count: 1, firstHit: 3 },
+      ]);
+    });
+
+    it('should only describe up to the limit but count all hits', () => {
+      const summary = summarize('whale', { limit: 2 });
+
+      expect(summary.hits).to.have.lengthOf(2);
+      expect(summary.total).to.equal(4);
+      expect(summary.chapters.reduce((sum, { count }) => sum + count, 0)).to.equal(4);
+    });
+
+    it('should summarize a search without hits', () => {
+      expect(summarize('kraken')).to.deep.equal({ total: 0, hits: [], chapters: [] });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Storage adapters for annotations.
+ * Annotations are stored per book through an adapter, so the reader does not care whether they
+ * live in the browser or on the server: createLocalStorageAdapter keeps them in localStorage and
+ * createServerAdapter in the Express server's `/api/annotations` route.
+ */
+
+import { HOST, NODE_SERVER_PORT } from '../constants/constants.js';
+
+/**
+ * Where annotations are kept. Every method returns a promise, so adapters may be remote.
+ * @typedef {Object} AnnotationStorage
+ * @property {function(string): Promise<Annotation[]>} list - Annotations of a book
+ * @property {function(string, Annotation): Promise<Annotation>} save - Adds an annotation to a
+ *   book, or replaces the one with the same id
+ * @property {function(string, string): Promise<void>} remove - Removes an annotation by id
+ */
+
+/**
+ * Creates an adapter that keeps each book's annotations as JSON under its own localStorage key.
+ *
+ * @param {Storage} [storage] - Storage to use, by default `localStorage`, which is only looked up
+ *   when the adapter is first used
+ * @param {string} [prefix='canvas-reader:annotations:'] - Key prefix, followed by the book id
+ * @returns {AnnotationStorage} Adapter
+ *
+ * @example
+ * const storage = createLocalStorageAdapter();
+ * await storage.save(book.id, createAnnotation(anchor));
+ */
+export const createLocalStorageAdapter = (storage, prefix = 'canvas-reader:annotations:') => {
+  const store = () => storage ?? globalThis.localStorage;
+  const read = (bookId) => JSON.parse(store().getItem(prefix + bookId) ?? '[]');
+  const write = (bookId, annotations) => {
+    if (annotations.length) {
+      store().setItem(prefix + bookId, JSON.stringify(annotations));
+    } else {
+      store().removeItem(prefix + bookId);
+    }
+  };
+  return {
+    list: async (bookId) => read(bookId),
+    async save(bookId, annotation) {
+      write(bookId, [...read(bookId).filter(({ id }) => id !== annotation.id), annotation]);
+      return annotation;
+    },
+    async remove(bookId, id) {
+      write(
+        bookId,
+        read(bookId).filter((annotation) => annotation.id !== id)
+      );
+    },
+  };
+};
+
+/**
+ * Creates an adapter that keeps annotations on the Express server.
+ *
+ * @param {string} [baseUrl] - URL of the annotations route, by default on the local server
+ * @param {Function} [fetchFn=globalThis.fetch] - fetch implementation
+ * @returns {AnnotationStorage} Adapter; its promises reject with the server's error message
+ *
+ * @example
+ * const storage = createServerAdapter();
+ * const annotations = await storage.list(book.id);
+ */
+export const createServerAdapter = (
+  baseUrl = `http://${HOST}:${NODE_SERVER_PORT}/api/annotations`,
+  fetchFn = globalThis.fetch
+) => {
+  const send = async (path, init) => {
+    const response = await fetchFn(`${baseUrl}/${path}`, init);
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(error ?? `Annotation request failed: ${response.status}`);
+    }
+    return response.status === 204 ? undefined : response.json();
+  };
+  const bookPath = (bookId) => encodeURIComponent(bookId);
+  return {
+    list: (bookId) => send(bookPath(bookId)),
+    save: (bookId, annotation) =>
+      send(`${bookPath(bookId)}/${encodeURIComponent(annotation.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(annotation),
+      }),
+    remove: (bookId, id) =>
+      send(`${bookPath(bookId)}/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+  };
+};
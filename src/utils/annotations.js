@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Annotations for the canvas reader.
+ * Anchors highlights and notes to ranges of a book's text so they can be stored, and finds those
+ * ranges again when the book is opened, even if the text has changed a little since.
+ */
+
+import { LINE_BREAK } from '../constants/constants.js';
+
+/** Characters of text kept on either side of an annotated range to tell repeated quotes apart */
+const QUOTE_CONTEXT = 32;
+
+/**
+ * Colours of new annotations by kind.
+ * @type {{highlight: string, note: string}}
+ */
+export const ANNOTATION_COLORS = {
+  highlight: '#f8bbd0',
+  note: '#b2dfdb',
+};
+
+/**
+ * Where an annotation sits in a book: its offsets and source line, and the quoted text with some
+ * text around it to find the range again if the offsets no longer fit.
+ * @typedef {Object} AnnotationAnchor
+ * @property {number} start - Offset of the first annotated character in the text
+ * @property {number} end - Offset just past the last annotated character
+ * @property {number} lineNum - Source line number the range starts on (1-based)
+ * @property {number} column - Offset of the range within its source line
+ * @property {{exact: string, prefix: string, suffix: string}} quote - The annotated text and the
+ *   text just before and after it
+ */
+
+/**
+ * A highlight or note on a range of a book.
+ * @typedef {Object} Annotation
+ * @property {string} id - Identifies the annotation within its book
+ * @property {string} kind - 'highlight' or 'note'
+ * @property {string} color - CSS colour the range is drawn in
+ * @property {string} [note] - Text of a note
+ * @property {string} created - When the annotation was made, as an ISO date
+ * @property {AnnotationAnchor} anchor - The annotated range
+ */
+
+/**
+ * Anchors a range of a text.
+ *
+ * @param {string} text - Book text
+ * @param {number} start - Offset of the first character of the range
+ * @param {number} end - Offset just past the last character of the range
+ * @returns {AnnotationAnchor} Anchor of the range
+ *
+ * @example
+ * createAnchor('Call me\nIshmael.', 8, 15);
+ * // { start: 8, end: 15, lineNum: 2, column: 0,
+ * //   quote: { exact: 'Ishmael', prefix: 'Call me\n', suffix: '.' } }
+ */
+export const createAnchor = (text, start, end) => {
+  const lineStart = text.lastIndexOf(LINE_BREAK, start - 1) + 1;
+  let lineNum = 1;
+  for (
+    let i = text.indexOf(LINE_BREAK);
+    i !== -1 && i < lineStart;
+    i = text.indexOf(LINE_BREAK, i + 1)
+  ) {
+    lineNum++;
+  }
+  return {
+    start,
+    end,
+    lineNum,
+    column: start - lineStart,
+    quote: {
+      exact: text.slice(start, end),
+      prefix: text.slice(Math.max(start - QUOTE_CONTEXT, 0), start),
+      suffix: text.slice(end, end + QUOTE_CONTEXT),
+    },
+  };
+};
+
+/**
+ * Counts how many characters two strings share at their ends (or starts).
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {boolean} fromEnd - Compare the ends rather than the starts
+ * @returns {number} Length of the shared part
+ * @private
+ */
+const sharedLength = (a, b, fromEnd) => {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < length && (fromEnd ? a.at(-1 - i) === b.at(-1 - i) : a[i] === b[i])) i++;
+  return i;
+};
+
+/**
+ * Finds the range of an anchor in a text.
+ * The stored offsets are tried first, then the stored source line and column, and last every
+ * place the quoted text occurs, picking the one whose surrounding text best matches the stored
+ * prefix and suffix, and of those the nearest to where the range used to be.
+ *
+ * @param {string} text - Book text
+ * @param {AnnotationAnchor} anchor - Anchor to find
+ * @param {function(number): number} [lineStart] - Offset of a source line by its number, such as
+ *   `index.lineStart`; without it the line is not tried
+ * @returns {MatchRange|null} The range, or null if the quoted text is gone
+ *
+ * @example
+ * const anchor = createAnchor(text, 100, 107);
+ * resolveAnchor(`Preface\n${text}`, anchor); // { start: 108, end: 115 }
+ */
+export const resolveAnchor = (text, anchor, lineStart) => {
+  const { start, end, lineNum, column, quote } = anchor;
+  const { exact } = quote;
+  if (!exact) return null;
+  if (text.slice(start, end) === exact) return { start, end };
+  if (lineStart) {
+    const moved = lineStart(lineNum) + column;
+    if (text.slice(moved, moved + exact.length) === exact) {
+      return { start: moved, end: moved + exact.length };
+    }
+  }
+
+  let best = null;
+  let bestScore = -1;
+  for (let found = text.indexOf(exact); found !== -1; found = text.indexOf(exact, found + 1)) {
+    const before = text.slice(Math.max(found - quote.prefix.length, 0), found);
+    const after = text.slice(found + exact.length, found + exact.length + quote.suffix.length);
+    const score = sharedLength(before, quote.prefix, true) + sharedLength(after, quote.suffix);
+    if (
+      score > bestScore ||
+      (score === bestScore && Math.abs(found - start) < Math.abs(best - start))
+    ) {
+      best = found;
+      bestScore = score;
+    }
+  }
+  return best === null ? null : { start: best, end: best + exact.length };
+};
+
+/**
+ * Creates an annotation of a range.
+ *
+ * @param {AnnotationAnchor} anchor - The annotated range
+ * @param {Object} [details] - Annotation details
+ * @param {string} [details.kind='highlight'] - 'highlight' or 'note'
+ * @param {string} [details.note] - Text of a note
+ * @param {string} [details.color] - CSS colour, by default the ANNOTATION_COLORS colour of the
+ *   kind
+ * @returns {Annotation} New annotation with a fresh id
+ *
+ * @example
+ * createAnnotation(selection, { kind: 'note', note: 'Foreshadowing' });
+ */
+export const createAnnotation = (anchor, { kind = 'highlight', note, color } = {}) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  kind,
+  color: color ?? ANNOTATION_COLORS[kind] ?? ANNOTATION_COLORS.highlight,
+  ...(note === undefined ? {} : { note }),
+  created: new Date().toISOString(),
+  anchor,
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Rich-text block model of books and its layout as plain text.
+ * Books that come as markup, such as EPUBs and HTML books, are converted on the server into a
+ * list of blocks: headings, paragraphs of styled text and images. The reader lays the blocks out
+ * as plain text, one block per paragraph, so search, annotations and wrapping work as they do for
+ * plain text books, and keeps the emphasis, footnote references, headings and table of contents
+ * beside it as text offsets.
+ */
+
+/**
+ * A run of text in one style.
+ * @typedef {Object} BookSpan
+ * @property {string} text - The text
+ * @property {boolean} [italic] - Set for emphasis
+ * @property {boolean} [bold] - Set for strong text
+ * @property {number} [note] - For a footnote reference, position of the footnote's block
+ */
+
+/**
+ * A block of a book.
+ * @typedef {Object} BookBlock
+ * @property {string} type - 'heading', 'paragraph' or 'image'
+ * @property {number} [level] - Heading level, 1 to 6 as in h1 to h6
+ * @property {BookSpan[]} [spans] - Text of a heading or paragraph; may hold line breaks
+ * @property {string} [alt] - Alternative text of an image
+ * @property {string} [src] - Path of an image in the book
+ * @property {number} [indent] - Depth of the blockquotes and lists a heading or paragraph is in
+ * @property {string} [marker] - Number or bullet of the list item a paragraph starts
+ */
+
+/**
+ * An entry of a book's table of contents.
+ * @typedef {Object} BlockTocEntry
+ * @property {string} title - Entry title
+ * @property {number} level - Nesting depth, 1 for top-level entries
+ * @property {number} block - Position of the block the entry points to
+ */
+
+/**
+ * A book converted to the block model, as served by /api/book-content.
+ * @typedef {Object} BlockBook
+ * @property {BookMetadata} metadata - Title, author and other metadata of the book
+ * @property {BlockTocEntry[]} toc - Table of contents, empty if the book has none
+ * @property {BookBlock[]} blocks - Content of the book in reading order
+ */
+
+/**
+ * Emphasis of a range of the laid out text.
+ * @typedef {Object} TextStyle
+ * @property {number} start - Start offset
+ * @property {number} end - End offset (exclusive)
+ * @property {boolean} [italic] - Drawn in italics
+ * @property {boolean} [bold] - Drawn in bold
+ * @property {number} [note] - For a footnote reference, offset of the footnote; drawn smaller
+ */
+
+/**
+ * A block book laid out as plain text.
+ * @typedef {Object} BlockLayout
+ * @property {string} text - Blocks separated by blank lines
+ * @property {TextStyle[]} styles - Emphasised ranges of the text, in text order
+ * @property {Array<{title: string, level: number, start: number}>} sections - Table of contents
+ *   as offsets of the text
+ * @property {number[]} headings - Offsets of the heading blocks
+ */
+
+/** Text between two blocks, making each block its own paragraph @type {string} */
+const BLOCK_SEPARATOR = '\n\n';
+
+/** Text before a block for each level of its indent @type {string} */
+const INDENT = '    ';
+
+/**
+ * Text shown in place of an image.
+ *
+ * @param {BookBlock} block - Image block
+ * @returns {string} Placeholder naming the image by its alternative text
+ * @private
+ */
+const imagePlaceholder = ({ alt }) => (alt ? `[Image: ${alt}]` : '[Image]');
+
+/**
+ * Lays out a block book as plain text. Each block becomes a paragraph followed by a blank line,
+ * indented by four spaces per level and starting with its list marker, images become a
+ * placeholder in italics, footnote references point at the offset of their footnote, and the
+ * book's table of contents is turned into
+ * sections at the offsets of the blocks it points to; a book without one takes its sections
+ * from its headings, with the highest heading level at level 1.
+ *
+ * @param {BlockBook} book - Book in the block model
+ * @returns {BlockLayout} Text, emphasis, sections and headings of the book
+ *
+ * @example
+ * layoutBlocks({
+ *   metadata: {},
+ *   toc: [],
+ *   blocks: [
+ *     { type: 'heading', level: 2, spans: [{ text: 'Loomings' }] },
+ *     { type: 'paragraph', spans: [{ text: 'Call me ' }, { text: 'Ishmael', italic: true }] },
+ *   ],
+ * });
+ * // {
+ * //   text: 'Loomings\n\nCall me Ishmael',
+ * //   styles: [{ start: 18, end: 25, italic: true }],
+ * //   sections: [{ title: 'Loomings', level: 1, start: 0 }],
+ * //   headings: [0],
+ * // }
+ */
+export const layoutBlocks = ({ toc, blocks }) => {
+  const parts = [];
+  const styles = [];
+  const starts = [];
+  const headings = [];
+  // Styles of footnote references, whose note is the footnote's block until all are laid out
+  const notes = [];
+  let length = 0;
+  const append = (text, { italic, bold, note } = {}) => {
+    if (text && (italic || bold || note !== undefined)) {
+      const style = {
+        start: length,
+        end: length + text.length,
+        ...(italic && { italic }),
+        ...(bold && { bold }),
+        ...(note !== undefined && { note }),
+      };
+      styles.push(style);
+      if (note !== undefined) notes.push(style);
+    }
+    parts.push(text);
+    length += text.length;
+  };
+
+  blocks.forEach((block, i) => {
+    if (i) append(BLOCK_SEPARATOR);
+    starts.push(length);
+    if (block.type === 'image') {
+      append(imagePlaceholder(block), { italic: true });
+      return;
+    }
+    if (block.type === 'heading') headings.push(length);
+    append(INDENT.repeat(block.indent ?? 0) + (block.marker ? `${block.marker} ` : ''));
+    for (const span of block.spans) append(span.text, span);
+  });
+  for (const style of notes) style.note = starts[style.note] ?? length;
+
+  const titleOf = (i) =>
+    blocks[i].spans
+      .map(({ text }) => text)
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  const topLevel = Math.min(
+    ...blocks.filter(({ type }) => type === 'heading').map(({ level }) => level)
+  );
+  const sections = toc.length
+    ? toc.map(({ title, level, block }) => ({ title, level, start: starts[block] ?? length }))
+    : blocks.flatMap((block, i) =>
+        block.type === 'heading'
+          ? [{ title: titleOf(i), level: block.level - topLevel + 1, start: starts[i] }]
+          : []
+      );
+  return { text: parts.join(''), styles, sections, headings };
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Choice of the format a Project Gutenberg book is read in.
+ * Gutendex lists the download URLs of each book by MIME type, e.g. 'text/plain; charset=us-ascii'
+ * or 'application/epub+zip'. The reader prefers the EPUB, whose chapters, headings and emphasis
+ * the server converts into the block model, then the HTML, which it converts likewise, and falls
+ * back to plain text.
+ */
+
+import { BOOK_FORMATS, HOST, NODE_SERVER_PORT } from '../constants/constants.js';
+
+/** MIME type of EPUB books @type {string} */
+export const EPUB_TYPE = 'application/epub+zip';
+
+/** MIME type of HTML books @type {string} */
+export const HTML_TYPE = 'text/html';
+
+/** MIME type of plain text books @type {string} */
+export const TEXT_TYPE = 'text/plain';
+
+/**
+ * MIME types the reader can open, most preferred first.
+ * @type {string[]}
+ */
+const READABLE_TYPES = [EPUB_TYPE, HTML_TYPE, TEXT_TYPE];
+
+/**
+ * A download of a book chosen for reading.
+ * @typedef {Object} BookDownload
+ * @property {string} type - MIME type without parameters, EPUB_TYPE, HTML_TYPE or TEXT_TYPE
+ * @property {string} url - Download URL
+ */
+
+/**
+ * Finds the download URL of a book in a format, whatever the parameters (such as the charset)
+ * of its MIME type.
+ *
+ * @param {Object<string, string>|undefined} formats - Download URLs by MIME type, from Gutendex
+ * @param {string} type - MIME type without parameters
+ * @returns {string|null} URL of the first matching download, or null if there is none
+ *
+ * @example
+ * formatUrl({ 'text/plain; charset=us-ascii': 'https://…/2701.txt' }, 'text/plain');
+ * // 'https://…/2701.txt'
+ */
+export const formatUrl = (formats, type) =>
+  Object.entries(formats ?? {}).find(([key]) => key.split(';')[0].trim() === type)?.[1] ?? null;
+
+/**
+ * Chooses the download a book is read from: its EPUB if it has one, otherwise its HTML, otherwise
+ * its plain text.
+ *
+ * @param {Object<string, string>|undefined} formats - Download URLs by MIME type, from Gutendex
+ * @returns {BookDownload|null} Chosen download, or null if the book has no readable format
+ */
+export const chooseDownload = (formats) => {
+  for (const type of READABLE_TYPES) {
+    const url = formatUrl(formats, type);
+    if (url) return { type, url };
+  }
+  return null;
+};
+
+/**
+ * Builds the server route a download is read through and the format of what it returns:
+ * /api/book-content and the block model for EPUBs, /api/book-text with format=html and the block
+ * model for HTML books, and /api/book-text and plain text otherwise.
+ *
+ * @param {BookDownload} download - Chosen download
+ * @returns {{route: string, format: string}} Route, and one of BOOK_FORMATS to pass as the
+ *   format of CanvasReader
+ *
+ * @example
+ * const { route, format } = bookRoute(chooseDownload(book.formats));
+ * <CanvasReader route={route} format={format} />
+ */
+export const bookRoute = ({ type, url }) => {
+  const server = `http://${HOST}:${NODE_SERVER_PORT}/api`;
+  const query = `url=${encodeURIComponent(url)}`;
+  if (type === EPUB_TYPE) {
+    return { route: `${server}/book-content?${query}`, format: BOOK_FORMATS.BLOCKS };
+  }
+  if (type === HTML_TYPE) {
+    return { route: `${server}/book-text?${query}&format=html`, format: BOOK_FORMATS.BLOCKS };
+  }
+  return { route: `${server}/book-text?${query}`, format: BOOK_FORMATS.TEXT };
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Chapter detection for plain text books.
+ * Finds the headings that plain text editions use to start chapters and sections, such as
+ * "CHAPTER I.", "BOOK II", "ACT III. SCENE 2" or a line of capitals set apart by blank lines,
+ * so search hits can be counted per chapter and the book gets a table of contents.
+ */
+
+import { LINE_BREAK } from '../constants/constants.js';
+
+/** Number words that number headings, as in "BOOK ONE" or "Chapter Twenty-Two" @type {string} */
+const NUMBER_WORDS =
+  'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|' +
+  'sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|' +
+  'hundred';
+
+/** Ordinals that number headings, as in "PART FIRST" or "Chapter the Second" @type {string} */
+const ORDINAL_WORDS =
+  'first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|eleventh|twelfth|' +
+  'thirteenth|fourteenth|fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|' +
+  'thirtieth|fortieth|fiftieth|sixtieth|seventieth|eightieth|ninetieth|hundredth';
+
+/**
+ * A heading line: a chapter-like word followed by a number, a roman numeral, a number word or an
+ * ordinal ("the last" too), optionally followed by a title. Other words after the heading word
+ * make a line of prose, as in "Part of the ship".
+ * @type {RegExp}
+ */
+const HEADING = new RegExp(
+  '^(chapter|book|part|volume|letter|stave|canto|act|scene)\\s+' +
+    '(?:\\d+|m*(?:c[md]|d?c{0,3})(?:x[cl]|l?x{0,3})(?:i[xv]|v?i{0,3})(?<=[ivxlcdm])|' +
+    `${NUMBER_WORDS}|(?:the\\s+)?(?:${ORDINAL_WORDS})|the\\s+last)\\b`,
+  'i'
+);
+
+/** Heading words of the top level, whose sections hold chapters @type {Set<string>} */
+const PART_WORDS = new Set(['book', 'part', 'volume', 'act']);
+
+/** A line that is only a roman numeral, as in "XIV." @type {RegExp} */
+const NUMERAL = /^[IVXLCDM]+\.?$/;
+
+/** A lowercase letter @type {RegExp} */
+const LOWERCASE = /\p{Ll}/u;
+
+/** Two capital letters, so lines like "I" or "A." are not taken for headings @type {RegExp} */
+const CAPITALS = /\p{Lu}.*\p{Lu}/u;
+
+/** Longest line that is still taken for a heading rather than a line of prose */
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * A chapter heading found in a text.
+ * @typedef {Object} Chapter
+ * @property {string} title - The heading line, trimmed
+ * @property {number} lineNum - Source line number of the heading (1-based)
+ * @property {number} start - Offset of the heading line in the text
+ * @property {number} level - 1 for books, parts, volumes and acts, 2 for chapters and the
+ *   other headings
+ */
+
+/**
+ * Tells whether a line is a heading, and of which level.
+ * Lines starting with a heading word need a blank line before them; bare roman numerals and
+ * lines in capitals need one after them too, as they are more often something else.
+ *
+ * @param {string} line - Trimmed line
+ * @returns {{level: number, isolated: boolean}|null} The heading's level and whether it needs a
+ *   blank line after it, or null if the line is no heading
+ * @private
+ */
+const headingOf = (line) => {
+  if (!line || line.length > MAX_HEADING_LENGTH) return null;
+  const found = line.match(HEADING);
+  if (found) return { level: PART_WORDS.has(found[1].toLowerCase()) ? 1 : 2, isolated: false };
+  if (NUMERAL.test(line) || (CAPITALS.test(line) && !LOWERCASE.test(line))) {
+    return { level: 2, isolated: true };
+  }
+  return null;
+};
+
+/**
+ * Finds the chapter and section headings of a plain text book, which make its table of
+ * contents.
+ * A heading is a short line that follows a blank line (or starts the text), which keeps prose
+ * lines that happen to start with "Part of the ..." out, and that either starts with a word
+ * like "Chapter", "Book", "Part", "Act" or "Scene" followed by a number or numeral, or is a
+ * roman numeral or a line in capitals on its own between blank lines.
+ *
+ * @param {string} text - Book text
+ * @returns {Chapter[]} Headings in text order
+ *
+ * @example
+ * findChapters('BOOK I.\n\nCHAPTER I.\n\nCall me Ishmael.\n\nCHAPTER II. The Carpet-Bag');
+ * // [{ title: 'BOOK I.', lineNum: 1, start: 0, level: 1 },
+ * //  { title: 'CHAPTER I.', lineNum: 3, start: 9, level: 2 },
+ * //  { title: 'CHAPTER II. The Carpet-Bag', lineNum: 7, start: 39, level: 2 }]
+ */
+export const findChapters = (text) => {
+  const chapters = [];
+  let previousBlank = true;
+  // A heading that only counts if a blank line follows it
+  let pending = null;
+  let lineNum = 1;
+  for (let start = 0; start <= text.length; lineNum++) {
+    const found = text.indexOf(LINE_BREAK, start);
+    const end = found === -1 ? text.length : found;
+    const line = text.slice(start, end).trim();
+    if (pending && !line) chapters.push(pending);
+    pending = null;
+    const heading = previousBlank && headingOf(line);
+    if (heading) {
+      const chapter = { title: line, lineNum, start, level: heading.level };
+      if (heading.isolated) {
+        pending = chapter;
+      } else {
+        chapters.push(chapter);
+      }
+    }
+    previousBlank = !line;
+    if (found === -1) break;
+    start = end + LINE_BREAK.length;
+  }
+  if (pending) chapters.push(pending);
+  return chapters;
+};
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Project Gutenberg text normalization.
+ * Plain text books from Project Gutenberg wrap the book in a license header and footer marked
+ * by lines like `*** START OF THE PROJECT GUTENBERG EBOOK MOBY DICK ***`. This module finds
+ * those markers, in the forms used over the years, to split off the boilerplate, and reads the
+ * book's metadata from the header. It has no browser or Node dependencies, so the server and
+ * the reader worker share it.
+ */
+
+/**
+ * Lines that end the header, after which the book starts: the `*** START OF ...` markers of
+ * current and older releases, and the end of the "small print" of 1990s etexts.
+ * @type {RegExp[]}
+ */
+const START_MARKERS = [
+  /^\*{3}\s*START OF (?:THE |THIS )?PROJECT GUTENBERG[^\r\n]*/im,
+  /^\*END\*THE SMALL PRINT[^\r\n]*/im,
+];
+
+/**
+ * Lines that start the footer: the `*** END OF ...` markers and the "End of the Project
+ * Gutenberg EBook of ..." line that older releases put before them.
+ * @type {RegExp[]}
+ */
+const END_MARKERS = [
+  /^\*{3}\s*END OF (?:THE |THIS )?PROJECT GUTENBERG[^\r\n]*/gim,
+  /^End of (?:the )?Project Gutenberg[^\r\n]*/gim,
+];
+
+/** Header fields read as metadata, by their label in the header @type {Object<string, string>} */
+const METADATA_FIELDS = {
+  title: 'title',
+  author: 'author',
+  'release date': 'releaseDate',
+  'posting date': 'releaseDate',
+  language: 'language',
+};
+
+/** A `Label: value` line of the header @type {RegExp} */
+const FIELD = /^([A-Za-z][A-Za-z ]*?)\s*:\s*([^\r\n]*)/gm;
+
+/** The ebook number, as in `[EBook #2701]` @type {RegExp} */
+const EBOOK_NUMBER = /\[e-?(?:book|text) #(\d+)\]/i;
+
+/** The first line of older headers, naming the title and author @type {RegExp} */
+const TITLE_LINE = /Project Gutenberg(?:'s)? E-?(?:Book|Text) of ([^\r\n]+?), by ([^\r\n]+)/i;
+
+/**
+ * Metadata read from a Project Gutenberg header. Fields missing from the header are left out.
+ * @typedef {Object} BookMetadata
+ * @property {string} [title] - Book title
+ * @property {string} [author] - Author
+ * @property {string} [releaseDate] - Release (or posting) date as written in the header
+ * @property {string} [language] - Language, e.g. 'English'
+ * @property {number} [ebookNumber] - Project Gutenberg ebook number
+ */
+
+/**
+ * A book split into its text and the Project Gutenberg boilerplate around it.
+ * @typedef {Object} NormalizedBook
+ * @property {string} text - The book without the header and footer
+ * @property {string} frontMatter - Header up to and including the start marker, empty if the
+ *   text has no start marker
+ * @property {string} backMatter - Footer from the end marker on, empty if the text has none
+ * @property {number} bodyStart - Offset of the book text in the original text
+ * @property {BookMetadata} metadata - Metadata read from the header
+ */
+
+/**
+ * Finds the end of the line containing an offset, past its line break.
+ *
+ * @param {string} text - Text to look in
+ * @param {number} offset - Offset within the line
+ * @returns {number} Offset of the next line, or the text length for the last line
+ * @private
+ */
+const nextLine = (text, offset) => {
+  const end = text.indexOf('\n', offset);
+  return end === -1 ? text.length : end + 1;
+};
+
+/**
+ * Finds where the book starts: just past the first start marker. A marker whose closing
+ * asterisks wrapped onto the next line takes that line too.
+ *
+ * @param {string} text - Book text
+ * @returns {number} Offset just past the marker line, or 0 without a marker
+ * @private
+ */
+const findBodyStart = (text) => {
+  const found = START_MARKERS.map((marker) => marker.exec(text))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)[0];
+  if (!found) return 0;
+  let start = nextLine(text, found.index);
+  const following = text.slice(start, nextLine(text, start)).trim();
+  if (/^\*{3}/.test(found[0]) && !/\*{3}\s*$/.test(found[0]) && /\*{3}$/.test(following)) {
+    start = nextLine(text, start);
+  }
+  return start;
+};
+
+/**
+ * Finds where the footer starts: the first end marker after the book starts.
+ *
+ * @param {string} text - Book text
+ * @param {number} bodyStart - Offset the book starts at
+ * @returns {number} Offset of the marker line, or the text length without a marker
+ * @private
+ */
+const findBodyEnd = (text, bodyStart) => {
+  let end = text.length;
+  for (const marker of END_MARKERS) {
+    marker.lastIndex = bodyStart;
+    const found = marker.exec(text);
+    if (found && found.index < end) end = found.index;
+  }
+  return end;
+};
+
+/**
+ * Reads the metadata of a book from its Project Gutenberg header: the `Title:`, `Author:`,
+ * `Release Date:` (or `Posting Date:`) and `Language:` fields, the ebook number, and for older
+ * headers without fields the title and author from the first line. A title continued on
+ * indented lines is joined into one.
+ *
+ * @param {string} header - Header text
+ * @returns {BookMetadata} Metadata found in the header
+ *
+ * @example
+ * parseGutenbergMetadata('Title: Moby Dick\nAuthor: Herman Melville\nLanguage: English');
+ * // { title: 'Moby Dick', author: 'Herman Melville', language: 'English' }
+ */
+export const parseGutenbergMetadata = (header) => {
+  const metadata = {};
+  for (const field of header.matchAll(FIELD)) {
+    const key = METADATA_FIELDS[field[1].toLowerCase()];
+    if (!key || metadata[key] || !field[2].trim()) continue;
+    let value = field[2];
+    if (key === 'title') {
+      const rest = header.slice(field.index + field[0].length).match(/^(?:\r?\n[ \t]+\S[^\r\n]*)+/);
+      if (rest) value += rest[0];
+    }
+    metadata[key] = value.replace(EBOOK_NUMBER, '').replace(/\s+/g, ' ').trim();
+  }
+  const number = header.match(EBOOK_NUMBER);
+  if (number) metadata.ebookNumber = Number(number[1]);
+  const titleLine = header.match(TITLE_LINE);
+  if (titleLine) {
+    metadata.title ??= titleLine[1].trim();
+    metadata.author ??= titleLine[2].trim();
+  }
+  return metadata;
+};
+
+/**
+ * Splits a book into its text and the Project Gutenberg header and footer, and reads its
+ * metadata from the header. Blank lines between the boilerplate and the book are left with the
+ * boilerplate. Texts without markers are returned whole, with empty front and back matter.
+ *
+ * @param {string} text - Book text as downloaded
+ * @returns {NormalizedBook} The book and its boilerplate
+ *
+ * @example
+ * const { text, metadata } = normalizeBook(download);
+ * metadata.title; // 'Moby Dick; Or, The Whale'
+ */
+export const normalizeBook = (text) => {
+  const start = findBodyStart(text);
+  const end = findBodyEnd(text, start);
+  const body = text.slice(start, end);
+  const bodyStart = start && start + body.length - body.trimStart().length;
+  const bodyEnd = end < text.length ? Math.max(start + body.trimEnd().length, bodyStart) : end;
+  return {
+    text: text.slice(bodyStart, bodyEnd),
+    frontMatter: text.slice(0, bodyStart),
+    backMatter: text.slice(bodyEnd),
+    bodyStart,
+    metadata: start ? parseGutenbergMetadata(text.slice(0, start)) : {},
+  };
+};
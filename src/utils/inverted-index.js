@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Full-text inverted index for the canvas reader.
+ * Maps every word of a book to the places it occurs, so repeated searches of the same book look
+ * words up instead of scanning the whole text. The index is built incrementally and can be
+ * serialized, so it can be cached alongside the book text and restored without rebuilding.
+ */
+
+import { stripDiacritics, WORD_CHAR } from './matcher.js';
+
+/** Format version of serialized indexes; older versions are rebuilt rather than restored */
+export const INDEX_VERSION = 2;
+
+/** Words indexed between checks of whether a build step should stop */
+const TOKENS_PER_CHECK = 1000;
+
+/**
+ * Largest share of all words that a query may have to check before scanning the text is
+ * faster than verifying each candidate
+ */
+const MAX_CANDIDATE_SHARE = 0.1;
+
+/** A search term piece the index can answer: word characters only */
+const WORD = new RegExp(`^${WORD_CHAR}+$`, 'u');
+
+/**
+ * Normalizes a word for lookup: lower case without diacritics, so one key covers every way
+ * of writing the word.
+ *
+ * @param {string} word - Word as written in the text or the query
+ * @returns {string} Index key
+ * @private
+ */
+const normalize = (word) => stripDiacritics(word.toLowerCase());
+
+/**
+ * Hashes a text with 32-bit FNV-1a over its UTF-16 code units, so an index is only restored
+ * for the text it was built from and not for another text of the same length.
+ *
+ * @param {string} text - Text
+ * @returns {number} Unsigned 32-bit hash
+ * @private
+ */
+const fingerprint = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Full-text index of a text.
+ * @typedef {Object} InvertedIndex
+ * @property {string} text - The indexed text
+ * @property {number} tokenCount - Number of words in the text
+ * @property {number} vocabularySize - Number of distinct index keys
+ * @property {function(string): MatchRange[]} findWord - Occurrences of a word, ignoring case and
+ *   diacritics
+ * @property {function(string): MatchRange[]} findPrefix - Occurrences of words starting with a
+ *   prefix, ignoring case and diacritics
+ * @property {function(string[]): MatchRange[]} findPhrase - Occurrences of words that follow
+ *   each other, ignoring case, diacritics and what separates the words
+ * @property {function(): SerializedIndex} toJSON - Plain data for caching the index
+ * @property {string[]} keys - Sorted index keys
+ * @property {function(string): number} keyId - Position of a normalized key in keys, or -1
+ * @property {function(string): number[]} prefixIds - Positions in keys of the keys that start
+ *   with a normalized prefix
+ * @property {function(number[]): Uint32Array} tokensOf - Numbers of the words with any of the
+ *   given keys, in text order
+ * @property {function(number): number} keyOf - Position in keys of a word's key
+ * @property {function(number, number): MatchRange} range - Text range from the start of one
+ *   word to the end of another
+ */
+
+/**
+ * Serialized full-text index, as returned by toJSON. Token starts are stored as differences
+ * from the previous start to keep the numbers small.
+ * @typedef {Object} SerializedIndex
+ * @property {number} version - INDEX_VERSION of the format
+ * @property {number} length - Length of the indexed text
+ * @property {number} hash - FNV-1a hash of the indexed text
+ * @property {string[]} keys - Sorted index keys
+ * @property {number[]} starts - Offset of each word, relative to the previous word
+ * @property {number[]} lengths - Length of each word in the text
+ * @property {number[]} keyIds - Position in keys of each word's key
+ */
+
+/**
+ * Creates the index from its word table.
+ * Occurrences of each key are kept as one list of word numbers, grouped by key, with an offset
+ * table into it, so lookups need no per-key arrays.
+ *
+ * @param {string} text - The indexed text
+ * @param {string[]} keys - Sorted index keys
+ * @param {Uint32Array} starts - Offset of each word in the text
+ * @param {Uint32Array} lengths - Length of each word
+ * @param {Uint32Array} keyIds - Position in keys of each word's key
+ * @returns {InvertedIndex} Index over the words
+ * @private
+ */
+const createInvertedIndex = (text, keys, starts, lengths, keyIds) => {
+  const tokenCount = starts.length;
+  const offsets = new Uint32Array(keys.length + 1);
+  for (let t = 0; t < tokenCount; t++) offsets[keyIds[t] + 1]++;
+  for (let k = 0; k < keys.length; k++) offsets[k + 1] += offsets[k];
+  const postings = new Uint32Array(tokenCount);
+  const filled = offsets.slice(0, keys.length);
+  for (let t = 0; t < tokenCount; t++) postings[filled[keyIds[t]]++] = t;
+
+  // First key that is not less than the given one
+  const lowerBound = (key) => {
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (keys[mid] < key) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  const keyId = (key) => {
+    const k = lowerBound(key);
+    return keys[k] === key ? k : -1;
+  };
+
+  const prefixIds = (prefix) => {
+    const ids = [];
+    for (let k = lowerBound(prefix); k < keys.length && keys[k].startsWith(prefix); k++) {
+      ids.push(k);
+    }
+    return ids;
+  };
+
+  const tokensOf = (ids) => {
+    let count = 0;
+    for (const k of ids) count += offsets[k + 1] - offsets[k];
+    const tokens = new Uint32Array(count);
+    let n = 0;
+    for (const k of ids) {
+      tokens.set(postings.subarray(offsets[k], offsets[k + 1]), n);
+      n += offsets[k + 1] - offsets[k];
+    }
+    return ids.length > 1 ? tokens.sort() : tokens;
+  };
+
+  const range = (first, last) => ({ start: starts[first], end: starts[last] + lengths[last] });
+
+  return {
+    text,
+    tokenCount,
+    vocabularySize: keys.length,
+    keys,
+    keyId,
+    prefixIds,
+    tokensOf,
+    keyOf: (t) => keyIds[t],
+    range,
+    findWord(word) {
+      const k = keyId(normalize(word));
+      return k < 0 ? [] : Array.from(tokensOf([k]), (t) => range(t, t));
+    },
+    findPrefix(prefix) {
+      return Array.from(tokensOf(prefixIds(normalize(prefix))), (t) => range(t, t));
+    },
+    findPhrase(words) {
+      const ids = words.map((word) => keyId(normalize(word)));
+      if (!ids.length || ids.includes(-1)) return [];
+      const found = [];
+      for (const t of tokensOf([ids[0]])) {
+        if (t + ids.length > tokenCount) break;
+        if (ids.every((k, i) => keyIds[t + i] === k)) found.push(range(t, t + ids.length - 1));
+      }
+      return found;
+    },
+    toJSON() {
+      const relative = new Array(tokenCount);
+      for (let t = 0; t < tokenCount; t++) relative[t] = starts[t] - (t ? starts[t - 1] : 0);
+      return {
+        version: INDEX_VERSION,
+        length: text.length,
+        hash: fingerprint(text),
+        keys,
+        starts: relative,
+        lengths: Array.from(lengths),
+        keyIds: Array.from(keyIds),
+      };
+    },
+  };
+};
+
+/**
+ * Incremental build of a full-text index.
+ * @typedef {Object} InvertedIndexBuilder
+ * @property {function(function(): boolean): boolean} buildUntil - Indexes words until the given
+ *   predicate returns true or the whole text is indexed; returns true once done
+ * @property {function(): boolean} isDone - Whether the whole text has been indexed
+ * @property {function(): {indexed: number, length: number}} progress - Characters indexed so
+ *   far and the text length
+ * @property {function(): InvertedIndex} finish - The index, once the whole text is indexed
+ */
+
+/**
+ * Creates a resumable build of a full-text index.
+ * Words are runs of letters, digits and underscores, the same characters whole word searches
+ * treat as word characters. Building can pause between any two words, so a worker can index a
+ * large book in time-sliced steps after it has painted the first screen.
+ *
+ * @param {string} text - Text to index
+ * @returns {InvertedIndexBuilder} Builder for the index
+ *
+ * @example
+ * const builder = createInvertedIndexBuilder(bookText);
+ * const slice = () => {
+ *   const deadline = performance.now() + 10;
+ *   if (builder.buildUntil(() => performance.now() > deadline)) useIndex(builder.finish());
+ *   else setTimeout(slice, 0);
+ * };
+ * setTimeout(slice, 0);
+ */
+export const createInvertedIndexBuilder = (text) => {
+  const pattern = new RegExp(`${WORD_CHAR}+`, 'gu');
+  const keyIdOf = new Map();
+  const keys = [];
+  const starts = [];
+  const lengths = [];
+  const keyIds = [];
+  let done = false;
+  let index = null;
+
+  return {
+    isDone: () => done,
+    progress: () => ({ indexed: done ? text.length : pattern.lastIndex, length: text.length }),
+    buildUntil(shouldStop) {
+      while (!done && !shouldStop()) {
+        for (let n = 0; n < TOKENS_PER_CHECK; n++) {
+          const m = pattern.exec(text);
+          if (!m) {
+            done = true;
+            break;
+          }
+          const key = normalize(m[0]);
+          let id = keyIdOf.get(key);
+          if (id === undefined) {
+            id = keys.length;
+            keyIdOf.set(key, id);
+            keys.push(key);
+          }
+          starts.push(m.index);
+          lengths.push(m[0].length);
+          keyIds.push(id);
+        }
+      }
+      return done;
+    },
+    finish() {
+      if (!done) throw new Error('The index is not built yet');
+      if (!index) {
+        // Sort the keys so prefixes can be looked up by binary search
+        const order = keys.map((_, id) => id).sort((a, b) => (keys[a] < keys[b] ? -1 : 1));
+        const sortedId = new Uint32Array(keys.length);
+        order.forEach((id, k) => {
+          sortedId[id] = k;
+        });
+        index = createInvertedIndex(
+          text,
+          order.map((id) => keys[id]),
+          Uint32Array.from(starts),
+          Uint32Array.from(lengths),
+          Uint32Array.from(keyIds, (id) => sortedId[id])
+        );
+      }
+      return index;
+    },
+  };
+};
+
+/**
+ * Builds a full-text index in one go.
+ *
+ * @param {string} text - Text to index
+ * @returns {InvertedIndex} Index of the text
+ *
+ * @example
+ * buildInvertedIndex('Call me Ishmael.').findWord('ishmael'); // [{ start: 8, end: 15 }]
+ */
+export const buildInvertedIndex = (text) => {
+  const builder = createInvertedIndexBuilder(text);
+  builder.buildUntil(() => false);
+  return builder.finish();
+};
+
+/**
+ * Restores a full-text index from its serialized form.
+ *
+ * @param {string} text - The text the index was built from
+ * @param {SerializedIndex} data - Serialized index, as returned by toJSON
+ * @returns {InvertedIndex} The restored index
+ * @throws {Error} If the data has another format version or was built from another text
+ *
+ * @example
+ * localStorage.setItem(key, JSON.stringify(index));
+ * const restored = restoreInvertedIndex(text, JSON.parse(localStorage.getItem(key)));
+ */
+export const restoreInvertedIndex = (text, data) => {
+  if (data?.version !== INDEX_VERSION) {
+    throw new Error(`Unsupported search index version ${data?.version}`);
+  }
+  if (data.length !== text.length || data.hash !== fingerprint(text)) {
+    throw new Error('The search index was built from a different text');
+  }
+  const starts = new Uint32Array(data.starts.length);
+  let offset = 0;
+  data.starts.forEach((relative, t) => {
+    offset += relative;
+    starts[t] = offset;
+  });
+  return createInvertedIndex(
+    text,
+    data.keys,
+    starts,
+    Uint32Array.from(data.lengths),
+    Uint32Array.from(data.keyIds)
+  );
+};
+
+/**
+ * Answers a search from a full-text index, finding the same hits as `matcher.findAll` over the
+ * whole text would.
+ * Terms made of words separated by spaces are looked up: with `wholeWord` each word must match
+ * a whole indexed word, otherwise the first word may end a longer word, the last may start one,
+ * and a single word may be found anywhere inside a word. The candidates from the index are then
+ * checked with the matcher itself, so case, diacritic and separator rules are those of a scan.
+ * Regular expressions, queries, terms with punctuation and terms so common that checking
+ * candidates would be slower than a scan are left to a scan.
+ *
+ * @param {InvertedIndex} index - Index of the searched text
+ * @param {Matcher} matcher - Compiled search
+ * @returns {MatchRange[]|null} Hits in text order, or null if the search needs a scan
+ *
+ * @example
+ * const hits = searchInvertedIndex(index, matcher) ?? matcher.findAll(index.text);
+ */
+export const searchInvertedIndex = (index, matcher) => {
+  const { searchText, options } = matcher;
+  if (!searchText) return [];
+  const words = searchText.split(/\s+/);
+  if (options.regex || options.query || !words.every((word) => WORD.test(word))) return null;
+
+  // Keys each word of the term may have in the text
+  const last = words.length - 1;
+  const ids = words.map(normalize).map((key, i) => {
+    if (options.wholeWord || (i > 0 && i < last)) {
+      const k = index.keyId(key);
+      return k < 0 ? [] : [k];
+    }
+    if (i === last && last > 0) return index.prefixIds(key);
+    const found = [];
+    index.keys.forEach((candidate, k) => {
+      if (last === 0 ? candidate.includes(key) : candidate.endsWith(key)) found.push(k);
+    });
+    return found;
+  });
+  if (ids.some((list) => !list.length)) return [];
+  const accepted = ids.map((list) => new Set(list));
+  const candidates = index.tokensOf(ids[0]);
+  if (candidates.length > index.tokenCount * MAX_CANDIDATE_SHARE) return null;
+
+  const hits = [];
+  for (const t of candidates) {
+    if (t + last >= index.tokenCount) break;
+    let follows = true;
+    for (let i = 1; i <= last && follows; i++) follows = accepted[i].has(index.keyOf(t + i));
+    if (!follows) continue;
+    const { start, end } = index.range(t, t + last);
+    const previousEnd = hits.length ? hits[hits.length - 1].end : 0;
+    for (const hit of matcher.findAll(index.text.slice(start, end))) {
+      if (hit.start + start >= previousEnd) {
+        hits.push({ start: hit.start + start, end: hit.end + start });
+      }
+    }
+  }
+  return hits;
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Keyboard handling for the canvas reader.
+ * Names key presses and maps them through a keymap to actions, so the keys can be configured
+ * without touching what they do.
+ */
+
+/**
+ * Names the key of a keyboard event the way keymaps do, e.g. 'ArrowDown', 'Shift+Space',
+ * 'Ctrl+c' or 'N'. Shift is only named for keys that do not type a character, since it already
+ * shows in the character typed.
+ *
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {string} Key name
+ *
+ * @example
+ * keyName({ key: ' ', shiftKey: true }); // 'Shift+Space'
+ * keyName({ key: 'N', shiftKey: true }); // 'N'
+ */
+export const keyName = (e) => {
+  const key = e.key === ' ' ? 'Space' : e.key;
+  const modifiers = [
+    e.ctrlKey && 'Ctrl',
+    e.altKey && 'Alt',
+    e.metaKey && 'Meta',
+    e.shiftKey && key.length > 1 && 'Shift',
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+};
+
+/**
+ * Creates a keydown handler that runs the action a keymap gives for each key.
+ * Keys bound to null, to an action that is not given or not bound at all are left to the
+ * browser; handled keys have their default prevented, so the page does not scroll as well.
+ *
+ * @param {Object<string, string|null>} keymap - Action names by key name, see DEFAULT_KEYMAP
+ * @param {Object<string, Function>} actions - Functions by action name
+ * @returns {function(KeyboardEvent): boolean} Handler, returning whether it ran an action
+ *
+ * @example
+ * const onKeyDown = createKeyHandler(DEFAULT_KEYMAP, { nextMatch: () => reader.nextMatch() });
+ * canvas.addEventListener('keydown', onKeyDown);
+ */
+export const createKeyHandler = (keymap, actions) => (e) => {
+  const action = actions[keymap[keyName(e)]];
+  if (!action) return false;
+  e.preventDefault();
+  action();
+  return true;
+};
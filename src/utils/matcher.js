@@ -0,0 +1,431 @@
+/**
+ * @fileoverview Search matching for the canvas reader.
+ * Compiles a search term and its options into a single matcher that is shared by the code that
+ * filters lines and the code that highlights hits, so both always agree on what matches.
+ */
+
+import { LINE_BREAK } from '../constants/constants.js';
+import { evaluateQuery, parseQuery, queryTerms } from './query.js';
+
+/**
+ * Search options.
+ * @typedef {Object} SearchOptions
+ * @property {boolean} [regex=false] - Treat the search term as a regular expression
+ * @property {boolean} [wholeWord=false] - Only match hits that are not part of a longer word
+ * @property {boolean} [caseSensitive=false] - Match upper and lower case exactly
+ * @property {boolean} [diacriticInsensitive=false] - Ignore accents, so "jose" matches "José"
+ * @property {boolean} [query=false] - Read the search term as a query with AND, OR, NOT, quoted
+ *   phrases and NEAR/n (see parseQuery); its terms are matched with the other options, as plain
+ *   text even when `regex` is set
+ */
+
+/**
+ * Options used for any option that is not given.
+ * @type {SearchOptions}
+ */
+export const DEFAULT_SEARCH_OPTIONS = {
+  regex: false,
+  wholeWord: false,
+  caseSensitive: false,
+  diacriticInsensitive: false,
+  query: false,
+};
+
+/** Letters, digits and underscore: characters a whole word match may not touch */
+export const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/** Combining marks left over after canonical decomposition */
+const COMBINING_MARKS = /\p{M}/gu;
+
+/** Any character outside of ASCII, which is the only kind that can carry diacritics */
+const NON_ASCII = /[\u0080-\uffff]/;
+
+/**
+ * Escapes characters that have a meaning in regular expressions.
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source matching the text literally
+ * @private
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Removes diacritics from a string.
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Text without combining marks
+ *
+ * @example
+ * stripDiacritics('Mañana'); // 'Manana'
+ */
+export const stripDiacritics = (text) => text.normalize('NFD').replace(COMBINING_MARKS, '');
+
+/**
+ * Removes diacritics from a text while keeping track of where each character came from,
+ * so hits found in the folded text can be mapped back to offsets in the original.
+ *
+ * @param {string} text - Text to fold
+ * @returns {{text: string, map: number[]|null}} Folded text and, for every folded character
+ *   plus the end, its offset in the original text (null when nothing changed)
+ *
+ * @example
+ * foldDiacritics('José'); // { text: 'Jose', map: [0, 1, 2, 3, 4] }
+ */
+export const foldDiacritics = (text) => {
+  if (!NON_ASCII.test(text)) return { text, map: null };
+  let folded = '';
+  const map = [];
+  let offset = 0;
+  for (const char of text) {
+    const plain = char < '\u0080' ? char : stripDiacritics(char);
+    for (let i = 0; i < plain.length; i++) map.push(offset);
+    folded += plain;
+    offset += char.length;
+  }
+  map.push(text.length);
+  return { text: folded, map };
+};
+
+/**
+ * A search hit within a string.
+ * @typedef {Object} MatchRange
+ * @property {number} start - Offset of the first character of the hit
+ * @property {number} end - Offset just past the last character of the hit
+ * @property {number} [term] - For query searches, the position of the query term that was hit
+ *   among all terms of the query, which picks its highlight colour
+ */
+
+/**
+ * Compiled search term.
+ * @typedef {Object} Matcher
+ * @property {string} searchText - The search term
+ * @property {SearchOptions} options - Options with defaults filled in
+ * @property {string} key - Identifies term and options, for caching search results
+ * @property {function(string, number): number} nextBoundary - Finds the offset just past the
+ *   first place at or after an offset where a text can be cut into parts that are searched on
+ *   their own with the same hits (a line break, or blank lines for queries), or the length of the
+ *   text if there is none
+ * @property {string[]} terms - The terms of a query in the order written; a plain search has
+ *   its search term as its only term
+ * @property {function(string): boolean} test - Whether a string contains a hit
+ * @property {function(string): MatchRange[]} findAll - All hits in a string, in order
+ */
+
+/** Blank lines, which end the passages a query is evaluated against */
+const PASSAGE_BREAK = /\n[^\S\n]*\n\s*/g;
+
+/**
+ * Finds the start of the line after an offset, where the matchers of plain searches can cut a
+ * text.
+ *
+ * @param {string} text - Text
+ * @param {number} offset - Offset to look from
+ * @returns {number} Offset just past the first line break at or after the offset, or the length
+ *   of the text
+ * @private
+ */
+const nextLineStart = (text, offset) => {
+  const found = offset < text.length ? text.indexOf(LINE_BREAK, offset) : -1;
+  return found === -1 ? text.length : found + LINE_BREAK.length;
+};
+
+/**
+ * Finds the start of the passage after an offset, where query matchers can cut a text. Breaks
+ * are found as scan finds them, so blank lines that end in a carriage return or hold spaces cut
+ * a text too.
+ *
+ * @param {string} text - Text
+ * @param {number} offset - Offset to look from
+ * @returns {number} Offset just past the first passage break at or after the offset, or the
+ *   length of the text
+ * @private
+ */
+const nextPassageStart = (text, offset) => {
+  if (offset >= text.length) return text.length;
+  PASSAGE_BREAK.lastIndex = offset;
+  return PASSAGE_BREAK.exec(text) ? PASSAGE_BREAK.lastIndex : text.length;
+};
+
+/**
+ * Compiles a query into a matcher (see parseQuery for the syntax).
+ * A query is evaluated passage by passage, a passage being a run of lines between blank lines,
+ * so `Ahab AND whale` finds the paragraphs that mention both. Its hits are the hits of the terms
+ * that made a passage match, each tagged with its term.
+ *
+ * @param {string} searchText - Query text
+ * @param {SearchOptions} opts - Options with defaults filled in
+ * @param {string} key - Matcher key
+ * @returns {Matcher} Matcher for the query
+ * @throws {SyntaxError} If the query is malformed
+ * @private
+ */
+const createQueryMatcher = (searchText, opts, key) => {
+  let root;
+  try {
+    root = parseQuery(searchText);
+  } catch (err) {
+    throw new SyntaxError(`Invalid search query "${searchText}": ${err.message}`);
+  }
+  const terms = queryTerms(root).map((node) => node.text);
+  const termOptions = { ...opts, regex: false, query: false };
+  const matchers = terms.map((term) => createMatcher(term, termOptions));
+  const findTerm = (node, passage) => matchers[node.term].findAll(passage);
+
+  /**
+   * Evaluates the query passage by passage, calling back with the hits of each matching one.
+   * @param {string} text - String to search
+   * @param {function(MatchRange[]): boolean} onHits - Return true to stop searching
+   */
+  const scan = (text, onHits) => {
+    PASSAGE_BREAK.lastIndex = 0;
+    for (let start = 0; start < text.length; ) {
+      const found = PASSAGE_BREAK.exec(text);
+      const end = found ? found.index : text.length;
+      const { hits } = evaluateQuery(root, text.slice(start, end), findTerm);
+      const shifted = hits.map((hit) => ({
+        ...hit,
+        start: hit.start + start,
+        end: hit.end + start,
+      }));
+      if (shifted.length && onHits(shifted)) return;
+      start = found ? PASSAGE_BREAK.lastIndex : text.length;
+    }
+  };
+
+  return {
+    searchText,
+    options: opts,
+    key,
+    nextBoundary: nextPassageStart,
+    terms,
+    test(text) {
+      let found = false;
+      scan(text, () => {
+        found = true;
+        return true;
+      });
+      return found;
+    },
+    findAll(text) {
+      const hits = [];
+      scan(text, (passageHits) => {
+        hits.push(...passageHits);
+        return false;
+      });
+      return hits;
+    },
+  };
+};
+
+/**
+ * Compiles a search term and options into a matcher.
+ * Every kind of search runs through one Unicode regular expression: plain terms are escaped,
+ * whole word matches are bounded by lookarounds rather than `\b` (which only knows ASCII
+ * letters), and diacritic-insensitive matches run on text with its accents removed. Spaces in a
+ * plain term match any run of whitespace, so a phrase is found across line breaks of the source
+ * text. `^` and `$` match at line boundaries. Empty hits, such as those of `a*`, are skipped.
+ * An empty term matches nothing. With the `query` option the term is parsed as a query instead.
+ *
+ * @param {string} [searchText=''] - Search term, or a regular expression source with `regex`
+ * @param {SearchOptions} [options={}] - Search options
+ * @returns {Matcher} Matcher for the term
+ * @throws {SyntaxError} If `regex` is set and the term is not a valid regular expression, or
+ *   `query` is set and the term is not a valid query
+ *
+ * @example
+ * const matcher = createMatcher('\\bwhale(s)?\\b', { regex: true });
+ * matcher.test('Two whales'); // true
+ * matcher.findAll('A whale, two whales'); // [{ start: 2, end: 7 }, { start: 13, end: 19 }]
+ *
+ * @example
+ * createMatcher('jose', { diacriticInsensitive: true }).test('José'); // true
+ *
+ * @example
+ * createMatcher('Ahab NEAR/5 whale', { query: true }).findAll('Ahab saw the whale.');
+ * // [{ start: 0, end: 4, term: 0 }, { start: 13, end: 18, term: 1 }]
+ */
+export const createMatcher = (searchText = '', options = {}) => {
+  const opts = {};
+  for (const [name, value] of Object.entries(DEFAULT_SEARCH_OPTIONS)) {
+    opts[name] = Boolean(options[name] ?? value);
+  }
+  const key = JSON.stringify([searchText, ...Object.values(opts)]);
+  if (!searchText) {
+    return {
+      searchText,
+      options: opts,
+      key,
+      nextBoundary: nextLineStart,
+      terms: [],
+      test: () => false,
+      findAll: () => [],
+    };
+  }
+  if (opts.query) return createQueryMatcher(searchText, opts, key);
+
+  let source = opts.regex ? searchText : escapeRegExp(searchText).replace(/\s+/g, '\\s+');
+  if (opts.diacriticInsensitive) source = stripDiacritics(source);
+  if (opts.wholeWord) source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  let pattern;
+  try {
+    pattern = new RegExp(source, opts.caseSensitive ? 'gmu' : 'gimu');
+  } catch (err) {
+    const reason = err.message.split(': ').pop();
+    throw new SyntaxError(`Invalid regular expression "${searchText}": ${reason}`);
+  }
+
+  const prepare = opts.diacriticInsensitive ? foldDiacritics : (text) => ({ text, map: null });
+
+  /**
+   * Runs the pattern over a string, calling back for each non-empty hit until told to stop.
+   * @param {string} text - String to search
+   * @param {function(MatchRange): boolean} onHit - Return true to stop searching
+   */
+  const scan = (text, onHit) => {
+    const { text: haystack, map } = prepare(text);
+    pattern.lastIndex = 0;
+    for (let m = pattern.exec(haystack); m; m = pattern.exec(haystack)) {
+      const end = m.index + m[0].length;
+      if (end === m.index) {
+        pattern.lastIndex++;
+      } else if (onHit(map ? { start: map[m.index], end: map[end] } : { start: m.index, end })) {
+        return;
+      }
+    }
+  };
+
+  return {
+    searchText,
+    options: opts,
+    key,
+    nextBoundary: nextLineStart,
+    terms: [searchText],
+    test(text) {
+      let found = false;
+      scan(text, () => {
+        found = true;
+        return true;
+      });
+      return found;
+    },
+    findAll(text) {
+      const hits = [];
+      scan(text, (hit) => {
+        hits.push(hit);
+        return false;
+      });
+      return hits;
+    },
+  };
+};
+
+/**
+ * Finds the hits that overlap a range of the text, such as the extent of one wrapped row.
+ * Uses binary search, so it is cheap even with many hits.
+ *
+ * @param {MatchRange[]} hits - Non-overlapping hits in text order, as returned by findAll
+ * @param {number} start - Start offset of the range
+ * @param {number} end - End offset of the range (exclusive)
+ * @returns {MatchRange[]} Hits that share at least one character with the range
+ *
+ * @example
+ * const hits = createMatcher('call me').findAll('I said call\nme');
+ * hitsInRange(hits, 7, 11); // [{ start: 7, end: 14 }], the row 'call' holds part of the hit
+ */
+export const hitsInRange = (hits, start, end) => {
+  let low = 0;
+  let high = hits.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (hits[mid].end <= start) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  const found = [];
+  for (let i = low; i < hits.length && hits[i].start < end; i++) found.push(hits[i]);
+  return found;
+};
+
+/**
+ * Turns a search term into a matcher with the default options; matchers pass through.
+ * Lets search functions accept either a plain term or a Matcher carrying options.
+ *
+ * @param {string|Matcher|null|undefined} searchFor - Search term or compiled matcher
+ * @returns {Matcher} Matcher for the search
+ *
+ * @example
+ * toMatcher('whale').options.caseSensitive; // false
+ */
+export const toMatcher = (searchFor) =>
+  searchFor && typeof searchFor === 'object' ? searchFor : createMatcher(searchFor || '');
+
+/** Characters of text searched per chunk by a search scan */
+export const SEARCH_CHUNK_SIZE = 64 * 1024;
+
+/** Characters past the end of a chunk that a hit starting in the chunk may run into */
+const CHUNK_OVERLAP = 1024;
+
+/**
+ * Incremental search of a text.
+ * @typedef {Object} SearchScan
+ * @property {MatchRange[]} hits - Hits found so far, in text order; the array grows in place
+ * @property {function(function(): boolean): boolean} scanUntil - Searches chunk after chunk until
+ *   the given predicate returns true or the whole text is searched; returns true once done
+ * @property {function(): boolean} isDone - Whether the whole text has been searched
+ */
+
+/**
+ * Creates a resumable search that finds the hits of a matcher a chunk of text at a time, so a
+ * caller can search a very large book in time-sliced steps and stop when the search is no longer
+ * wanted. Chunks end at the matcher's boundary (line breaks, or blank lines for queries), so `^`,
+ * `$`, whole word boundaries and query passages behave as in a search of the whole text; each chunk
+ * is searched with some following text, so hits that run into the next chunk (such as a phrase
+ * across a line break) are found whole. Only hits longer than that overlap can come out shorter
+ * than in a single findAll.
+ *
+ * @param {Matcher} matcher - Matcher to search with
+ * @param {string} text - Text to search
+ * @param {Object} [config] - Scan configuration
+ * @param {number} [config.chunkSize=SEARCH_CHUNK_SIZE] - Characters searched per chunk
+ * @returns {SearchScan} Scan whose hits fill in as scanUntil is called
+ *
+ * @example
+ * const scan = createSearchScan(createMatcher('whale'), bookText);
+ * const slice = () => {
+ *   const deadline = performance.now() + 10;
+ *   if (!scan.scanUntil(() => performance.now() > deadline)) setTimeout(slice, 0);
+ * };
+ * slice();
+ */
+export const createSearchScan = (matcher, text, { chunkSize = SEARCH_CHUNK_SIZE } = {}) => {
+  const hits = [];
+  let position = matcher.searchText ? 0 : text.length;
+
+  // Offset just past the first boundary at or after an offset, or the end of the text
+  const { nextBoundary = nextLineStart } = matcher;
+  const boundaryAfter = (offset) => nextBoundary(text, offset);
+
+  const scanChunk = () => {
+    const chunkEnd = boundaryAfter(position + chunkSize);
+    const windowEnd = chunkEnd < text.length ? boundaryAfter(chunkEnd + CHUNK_OVERLAP) : chunkEnd;
+    const previousEnd = hits.length ? hits[hits.length - 1].end : 0;
+    for (const hit of matcher.findAll(text.slice(position, windowEnd))) {
+      const start = hit.start + position;
+      if (start >= chunkEnd) break;
+      // A hit that ran into this chunk from the last one was found there already
+      if (start >= previousEnd) hits.push({ ...hit, start, end: hit.end + position });
+    }
+    position = chunkEnd;
+  };
+
+  return {
+    hits,
+    isDone: () => position >= text.length,
+    scanUntil(shouldStop) {
+      while (position < text.length && !shouldStop()) scanChunk();
+      return position >= text.length;
+    },
+  };
+};
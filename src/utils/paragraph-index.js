@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Lazily wrapped paragraph index for the canvas reader.
+ * Keeps the source paragraphs of a book with an estimated row count for each, wraps only the
+ * paragraphs that are actually looked at, and maps between row positions and text offsets
+ * through prefix sums, so opening and re-flowing a huge text does not wrap all of it.
+ */
+
+import { LINE_BREAK } from '../constants/constants.js';
+import { hitsInRange, toMatcher } from './matcher.js';
+import { createLayout, findRowByOffset } from './reader-utils.js';
+import { findReflowParagraphs } from './reflow.js';
+
+/** Number of width/font layouts whose wrapped paragraphs are kept @type {number} */
+const MAX_CACHED_LAYOUTS = 4;
+
+/** Characters of text measured to estimate the average character width @type {number} */
+const ESTIMATE_SAMPLE_LENGTH = 2000;
+
+/**
+ * Prefix sums over a list of numbers that stay cheap to update.
+ * @typedef {Object} PrefixSums
+ * @property {function(number): number} get - Value at an index
+ * @property {function(number, number): void} set - Replace the value at an index
+ * @property {function(number): number} prefix - Sum of the values before an index
+ * @property {function(): number} total - Sum of all values
+ * @property {function(number): number} findIndex - Index whose range contains a position
+ */
+
+/**
+ * Creates a Fenwick (binary indexed) tree over non-negative values.
+ * Updating a value and summing a prefix both take O(log n), so row counts can be corrected
+ * one paragraph at a time while scroll positions keep mapping to paragraphs quickly.
+ *
+ * @param {number[]} values - Initial values, e.g. the estimated row count of each paragraph
+ * @returns {PrefixSums} Prefix sums over the values
+ *
+ * @example
+ * const sums = createPrefixSums([2, 1, 3]);
+ * sums.prefix(2); // 3
+ * sums.findIndex(3); // 2 (positions 3, 4 and 5 fall in the third value)
+ * sums.set(0, 1);
+ * sums.total(); // 5
+ */
+export const createPrefixSums = (values) => {
+  const n = values.length;
+  const items = Float64Array.from(values);
+  const tree = new Float64Array(n + 1);
+  for (let i = 1; i <= n; i++) {
+    tree[i] += items[i - 1];
+    const parent = i + (i & -i);
+    if (parent <= n) tree[parent] += tree[i];
+  }
+  let topBit = 1;
+  while (topBit * 2 <= n) topBit *= 2;
+
+  const prefix = (index) => {
+    let sum = 0;
+    for (let i = Math.min(index, n); i > 0; i -= i & -i) sum += tree[i];
+    return sum;
+  };
+
+  return {
+    get: (index) => items[index],
+    set(index, value) {
+      const delta = value - items[index];
+      items[index] = value;
+      for (let i = index + 1; i <= n; i += i & -i) tree[i] += delta;
+    },
+    prefix,
+    total: () => prefix(n),
+    findIndex(position) {
+      // Walk down the tree to the last index whose prefix is at or before the position
+      let index = 0;
+      let remaining = position;
+      for (let bit = topBit; bit > 0; bit >>= 1) {
+        if (index + bit <= n && tree[index + bit] <= remaining) {
+          index += bit;
+          remaining -= tree[index];
+        }
+      }
+      return Math.min(index, Math.max(n - 1, 0));
+    },
+  };
+};
+
+/**
+ * Finds the last of a sorted list of offsets at or before an offset.
+ *
+ * @param {number[]} offsets - Offsets in ascending order
+ * @param {number} offset - Offset to look up
+ * @returns {number} Index of the last offset at or before it (0 if none is)
+ * @private
+ */
+const lastAtOrBefore = (offsets, offset) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (offsets[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Index of the paragraphs of a text, wrapped on demand. A paragraph is a source line, or with
+ * reflow a run of hard-wrapped source lines.
+ * @typedef {Object} ParagraphIndex
+ * @property {string} text - The indexed text
+ * @property {number} count - Number of paragraphs
+ * @property {number} lineCount - Number of source lines
+ * @property {function(Function, number, string): void} setLayout - Select the measure function,
+ *   wrap width and cache key (width and font) that rows are wrapped with
+ * @property {function(): number} totalRows - Row count, exact for wrapped paragraphs and
+ *   estimated for the rest
+ * @property {function(number, number): LineRow[]} rowsAt - Rows from a row index on, wrapping
+ *   the paragraphs they come from
+ * @property {function(number): LineRow[]} wrapParagraph - Wrapped rows of a paragraph
+ * @property {function(number): boolean} isWrapped - Whether a paragraph has been wrapped in the
+ *   current layout
+ * @property {function(number): string} paragraphText - Source text of a paragraph
+ * @property {function(number): number} paragraphStart - Offset of a paragraph in the text
+ * @property {function(number): number} paragraphAtOffset - Paragraph containing a text offset
+ * @property {function(number): number} lineStart - Offset of a source line by its number
+ * @property {function(number): number} lineAt - Number of the source line containing a text
+ *   offset
+ * @property {function(number): number} rowOfOffset - Row index containing a text offset
+ */
+
+/**
+ * Creates a paragraph index over a text.
+ * Only the paragraph boundaries are computed up front. Each paragraph starts with a row count
+ * estimated from its length and the average character width of the font, and is wrapped the
+ * first time one of its rows is needed, which replaces the estimate with the real count.
+ * Wrapped rows are cached per layout key, so switching back to an earlier width or font reuses
+ * them.
+ * With `reflow`, the source lines that findReflowParagraphs takes for one hard-wrapped paragraph
+ * are wrapped together as if their line breaks were spaces. Rows keep their offsets into the
+ * text and are numbered by the source line they start on, so line numbers, search hits and
+ * annotations still point at the source.
+ *
+ * @param {string} text - Text to index
+ * @param {Object} [options] - Index options
+ * @param {boolean} [options.reflow=false] - Join hard-wrapped lines into paragraphs
+ * @returns {ParagraphIndex} Index whose rows are wrapped lazily
+ *
+ * @example
+ * const index = createParagraphIndex(bookText);
+ * index.setLayout(measureWordSet(ctx), 600, `600|${ctx.font}`);
+ * scrollBar.setTextHeight(index.totalRows() * rowHeight);
+ * const visible = index.rowsAt(firstRow, rowsPerScreen);
+ */
+export const createParagraphIndex = (text, { reflow = false } = {}) => {
+  const lineStarts = [];
+  const lineEnds = [];
+  for (let start = 0; ; ) {
+    const end = text.indexOf(LINE_BREAK, start);
+    lineStarts.push(start);
+    lineEnds.push(end === -1 ? text.length : end);
+    if (end === -1) break;
+    start = end + LINE_BREAK.length;
+  }
+  const lineCount = lineStarts.length;
+  const firstLines = reflow
+    ? findReflowParagraphs(lineStarts.map((start, i) => text.slice(start, lineEnds[i])))
+    : null;
+  const starts = firstLines ? firstLines.map((line) => lineStarts[line]) : lineStarts;
+  // A paragraph ends where the line before the next paragraph ends
+  const ends = firstLines
+    ? [...firstLines.slice(1), lineCount].map((next) => lineEnds[next - 1])
+    : lineEnds;
+  const count = starts.length;
+  const layouts = new Map();
+  let measureFn;
+  let maxWidth;
+  let wrapped = new Map();
+  let heights = createPrefixSums([]);
+
+  const estimateRows = (charWidth, p) =>
+    Math.max(1, Math.ceil(((ends[p] - starts[p]) * charWidth) / maxWidth));
+
+  const wrapParagraph = (p) => {
+    let rows = wrapped.get(p);
+    if (rows) return rows;
+    const source = text.slice(starts[p], ends[p]);
+    // Line breaks and spaces are one character each, so offsets into the text stay the same
+    const layout = createLayout(
+      measureFn,
+      maxWidth,
+      firstLines ? source.replaceAll(LINE_BREAK, ' ') : source
+    );
+    layout.layoutUntil(() => false);
+    rows = layout.rows;
+    let previous = null;
+    for (const row of rows) {
+      row.start += starts[p];
+      row.end += starts[p];
+      if (firstLines) {
+        row.lineNum = lastAtOrBefore(lineStarts, row.start) + 1;
+        row.wrapIndex = previous?.lineNum === row.lineNum ? previous.wrapIndex + 1 : 0;
+        previous = row;
+      } else {
+        row.lineNum = p + 1;
+      }
+    }
+    wrapped.set(p, rows);
+    heights.set(p, rows.length);
+    return rows;
+  };
+
+  const paragraphAtOffset = (offset) => lastAtOrBefore(starts, offset);
+
+  return {
+    text,
+    count,
+    lineCount,
+    setLayout(measure, width, key) {
+      measureFn = measure;
+      maxWidth = width;
+      wrapped = layouts.get(key) || new Map();
+      layouts.delete(key);
+      layouts.set(key, wrapped);
+      if (layouts.size > MAX_CACHED_LAYOUTS) layouts.delete(layouts.keys().next().value);
+
+      const sample = text.slice(0, ESTIMATE_SAMPLE_LENGTH).replaceAll(LINE_BREAK, ' ');
+      const charWidth = sample ? measureFn([sample]) / sample.length : 0;
+      const rowCounts = new Array(count);
+      for (let p = 0; p < count; p++) {
+        rowCounts[p] = wrapped.get(p)?.length ?? estimateRows(charWidth, p);
+      }
+      heights = createPrefixSums(rowCounts);
+    },
+    totalRows: () => heights.total(),
+    rowsAt(first, rowCount) {
+      const rows = [];
+      const from = Math.max(first, 0);
+      let p = heights.findIndex(from);
+      let skip = from - heights.prefix(p);
+      while (rows.length < rowCount && p < count) {
+        const paragraphRows = wrapParagraph(p);
+        for (let i = skip; i < paragraphRows.length && rows.length < rowCount; i++) {
+          rows.push(paragraphRows[i]);
+        }
+        // A paragraph shorter than estimated hands the remaining rows to the next one
+        skip = Math.max(0, skip - paragraphRows.length);
+        p++;
+      }
+      return rows;
+    },
+    wrapParagraph,
+    isWrapped: (p) => wrapped.has(p),
+    paragraphText: (p) => text.slice(starts[p], ends[p]),
+    paragraphStart: (p) => starts[Math.min(Math.max(p, 0), count - 1)],
+    paragraphAtOffset,
+    lineStart: (lineNum) => lineStarts[Math.min(Math.max(lineNum - 1, 0), lineCount - 1)],
+    lineAt: (offset) => lastAtOrBefore(lineStarts, offset) + 1,
+    rowOfOffset(offset) {
+      const p = paragraphAtOffset(offset);
+      const rows = wrapParagraph(p);
+      return heights.prefix(p) + findRowByOffset(rows, offset);
+    },
+  };
+};
+
+/**
+ * A group of consecutive result rows, shown under one separator like a hunk of `grep -C`.
+ * @typedef {Object} SearchHunk
+ * @property {number} firstLine - Source line number of the first row
+ * @property {number} lastLine - Source line number of the last row
+ * @property {LineRow[]} rows - Rows of the hunk, in text order
+ */
+
+/**
+ * Index search result.
+ * @typedef {Object} IndexSearchResult
+ * @property {string} searchText - The search term that was used
+ * @property {LineRow[]} results - Rows to show, in text order: each hunk's rows preceded by a
+ *   separator row labelled with its line range
+ * @property {SearchHunk[]} hunks - Groups of consecutive rows
+ * @property {MatchRange[]} hits - Every hit as offsets into the source text, in text order
+ * @property {number} total - Number of hits
+ */
+
+/**
+ * Makes the separator row shown above a hunk. It sits at the offset of the hunk's first row so
+ * scroll positions inside the results still map to the source text.
+ *
+ * @param {SearchHunk} hunk - Hunk to label
+ * @returns {LineRow} Separator row labelled with the hunk's source line range
+ * @private
+ */
+const separatorRow = ({ firstLine, lastLine, rows }) => ({
+  text: firstLine === lastLine ? `Line ${firstLine}` : `Lines ${firstLine}-${lastLine}`,
+  separator: true,
+  wrapIndex: 0,
+  start: rows[0].start,
+  end: rows[0].start,
+});
+
+/**
+ * Creates a search function over a paragraph index.
+ * The matcher runs over the source text rather than over wrapped rows, so a phrase is found
+ * even where the wrapper broke the row in the middle of it (and, for plain terms, where the
+ * source text breaks the line). Hits are then mapped onto the rows they overlap: the result
+ * keeps every row that a hit touches plus `contextLines` rows of context before and after, or
+ * with `contextLines: 'paragraph'`, all rows of every paragraph that a hit touches. Kept rows
+ * that follow each other form a hunk. Only the paragraphs with hits and their neighbours are
+ * wrapped. An empty term matches nothing.
+ *
+ * @param {ParagraphIndex} index - Paragraph index to search, with its layout set
+ * @param {Object} [config] - Search configuration
+ * @param {number|'paragraph'} [config.contextLines=1] - Rows of context around each row with a
+ *   hit, or 'paragraph' to show whole paragraphs
+ * @returns {function((string|Matcher), MatchRange[]=): IndexSearchResult} Search function that
+ *   takes a search term (matched case-insensitively) or a Matcher, and optionally the hits of
+ *   that search when they were already found, e.g. in chunks by a SearchScan
+ *
+ * @example
+ * const search = quickIndexSearch(index, { contextLines: 2 });
+ * const { results, hunks, hits, total } = search('call me Ishmael');
+ * search(createMatcher('\\bwhales?\\b', { regex: true }));
+ */
+export const quickIndexSearch =
+  (index, { contextLines = 1 } = {}) =>
+  (searchFor = '', foundHits = undefined) => {
+    const matcher = toMatcher(searchFor);
+    if (!matcher.searchText) {
+      return { searchText: matcher.searchText, results: [], hunks: [], hits: [], total: 0 };
+    }
+    const hits = foundHits ?? matcher.findAll(index.text);
+
+    // Paragraphs touched by a hit, in order, with enough neighbours to supply the context rows
+    const wholeParagraphs = contextLines === 'paragraph';
+    const margin = wholeParagraphs ? 0 : contextLines;
+    const paragraphs = new Set();
+    for (const hit of hits) {
+      const first = Math.max(index.paragraphAtOffset(hit.start) - margin, 0);
+      const last = Math.min(index.paragraphAtOffset(hit.end - 1) + margin, index.count - 1);
+      for (let p = first; p <= last; p++) paragraphs.add(p);
+    }
+
+    // Runs of consecutive paragraphs are handled as one list of rows, so context rows cross
+    // paragraph boundaries the same way they do in the full text
+    const runs = [];
+    let run = [];
+    let previous = -2;
+    for (const p of paragraphs) {
+      if (p !== previous + 1 && run.length) {
+        runs.push(run);
+        run = [];
+      }
+      for (const row of index.wrapParagraph(p)) run.push(row);
+      previous = p;
+    }
+    if (run.length) runs.push(run);
+
+    const groups = [];
+    for (const rows of runs) {
+      if (wholeParagraphs) {
+        groups.push(rows);
+        continue;
+      }
+      const keep = new Set();
+      rows.forEach((row, i) => {
+        if (!hitsInRange(hits, row.start, row.end).length) return;
+        const last = Math.min(i + contextLines, rows.length - 1);
+        for (let j = Math.max(i - contextLines, 0); j <= last; j++) keep.add(j);
+      });
+      let group = [];
+      let kept = -2;
+      for (const i of Array.from(keep).sort((a, b) => a - b)) {
+        if (i !== kept + 1 && group.length) {
+          groups.push(group);
+          group = [];
+        }
+        group.push(rows[i]);
+        kept = i;
+      }
+      if (group.length) groups.push(group);
+    }
+
+    const hunks = groups.map((rows) => ({
+      firstLine: rows[0].lineNum,
+      lastLine: rows[rows.length - 1].lineNum,
+      rows,
+    }));
+    const results = hunks.flatMap((hunk) => [separatorRow(hunk), ...hunk.rows]);
+    return { searchText: matcher.searchText, results, hunks, hits, total: hits.length };
+  };
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Search query language for the canvas reader.
+ * Parses queries such as `"white whale" AND (Ahab OR Starbuck) NOT Pequod` or
+ * `Ishmael NEAR/5 Queequeg` into a syntax tree and evaluates that tree against a passage of text,
+ * collecting the hits of the terms that made the passage match.
+ */
+
+/**
+ * Words as whole word matches see them: runs of letters, digits and underscores (WORD_CHAR in
+ * matcher.js), counted to measure the distance of NEAR.
+ * @type {RegExp}
+ */
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+/** Operator of a proximity search, with the largest number of words allowed between hits */
+const NEAR = /^NEAR\/(\d+)$/;
+
+/**
+ * Node of a parsed query.
+ * @typedef {Object} QueryNode
+ * @property {string} type - 'term', 'and', 'or', 'not' or 'near'
+ * @property {string} [text] - Term: the word or phrase to find
+ * @property {boolean} [phrase] - Term: whether it was quoted
+ * @property {number} [term] - Term: position of the term among all terms of the query, which
+ *   picks its highlight colour
+ * @property {QueryNode[]} [children] - And, or, near: operands; not: the negated node
+ * @property {number} [distance] - Near: most words allowed between the hits of its operands
+ */
+
+/**
+ * Result of evaluating a query node against a passage.
+ * @typedef {Object} QueryMatch
+ * @property {boolean} matched - Whether the passage satisfies the node
+ * @property {MatchRange[]} hits - Hits of the terms that made it match, each with the `term` it
+ *   belongs to; empty for negations
+ */
+
+/**
+ * Splits a query into tokens: parentheses, quoted phrases and runs of other characters.
+ *
+ * @param {string} source - Query text
+ * @returns {Array<{type: string, text: string}>} Tokens in order
+ * @throws {SyntaxError} If a phrase is not closed
+ * @private
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /\s*(?:([()])|"([^"]*)("?)|([^\s()"]+))/gy;
+  for (let m = pattern.exec(source); m?.[0]; m = pattern.exec(source)) {
+    const [, paren, phrase, closed, word] = m;
+    if (paren) {
+      tokens.push({ type: paren, text: paren });
+    } else if (phrase !== undefined) {
+      if (!closed) throw new SyntaxError('Unterminated phrase');
+      tokens.push({ type: 'phrase', text: phrase.trim() });
+    } else if (word === 'AND' || word === 'OR' || word === 'NOT' || NEAR.test(word)) {
+      tokens.push({ type: 'operator', text: word });
+    } else {
+      tokens.push({ type: 'word', text: word });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Whether a node can only match through hits of its own, i.e. it is not a bare negation.
+ *
+ * @param {QueryNode} node - Node to check
+ * @returns {boolean} True if every passage the node matches has hits
+ * @private
+ */
+const hasHits = (node) => {
+  switch (node.type) {
+    case 'not':
+      return false;
+    case 'and':
+      return node.children.some(hasHits);
+    case 'or':
+      return node.children.every(hasHits);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Parses a search query into a syntax tree.
+ * Terms are words or quoted phrases, matched like plain searches. Operators are written in
+ * capitals so that "and", "or" and "not" can still be searched for: `AND` (also implied between
+ * neighbouring terms), `OR`, `NOT` (which binds to the term after it, so `a NOT b` keeps
+ * passages with a and without b) and `NEAR/n`, which needs hits of both sides with at most n
+ * words between them. NEAR binds tightest, then NOT, AND and OR; parentheses group.
+ *
+ * @param {string} source - Query text
+ * @returns {QueryNode} Root of the syntax tree
+ * @throws {SyntaxError} If the query is malformed or only has negated terms
+ *
+ * @example
+ * parseQuery('Ahab NEAR/3 "white whale" OR Moby');
+ * // { type: 'or', children: [
+ * //   { type: 'near', distance: 3, children: [
+ * //     { type: 'term', text: 'Ahab', phrase: false, term: 0 },
+ * //     { type: 'term', text: 'white whale', phrase: true, term: 1 }] },
+ * //   { type: 'term', text: 'Moby', phrase: false, term: 2 }] }
+ */
+export const parseQuery = (source) => {
+  const tokens = tokenize(source);
+  let position = 0;
+  let terms = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (text) => peek()?.type === 'operator' && peek().text === text;
+  const describe = (token) => (token ? `"${token.text}"` : 'the end of the query');
+
+  // Joins operands under one node, unless there is only one
+  const join = (type, children) => (children.length === 1 ? children[0] : { type, children });
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token?.type === 'word' || (token?.type === 'phrase' && token.text)) {
+      return { type: 'term', text: token.text, phrase: token.type === 'phrase', term: terms++ };
+    }
+    if (token?.type === '(') {
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new SyntaxError(`Expected ")" before ${describe(peek())}`);
+      position++;
+      return node;
+    }
+    throw new SyntaxError(`Expected a term before ${describe(token)}`);
+  };
+
+  const parseNear = () => {
+    let node = parsePrimary();
+    while (peek()?.type === 'operator' && NEAR.test(peek().text)) {
+      const distance = Number(NEAR.exec(tokens[position++].text)[1]);
+      node = { type: 'near', distance, children: [node, parsePrimary()] };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (!isOperator('NOT')) return parseNear();
+    position++;
+    return { type: 'not', children: [parseNot()] };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    for (;;) {
+      if (isOperator('AND')) {
+        position++;
+      } else if (!peek() || peek().type === ')' || isOperator('OR')) {
+        break;
+      }
+      children.push(parseNot());
+    }
+    return join('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (isOperator('OR')) {
+      position++;
+      children.push(parseAnd());
+    }
+    return join('or', children);
+  };
+
+  const root = parseOr();
+  if (position < tokens.length) throw new SyntaxError(`Unexpected ${describe(peek())}`);
+  if (!hasHits(root)) throw new SyntaxError('A query needs a term that is not negated');
+  return root;
+};
+
+/**
+ * Lists the terms of a query in the order they were written.
+ *
+ * @param {QueryNode} node - Root of the syntax tree
+ * @returns {QueryNode[]} Term nodes, indexed by their `term`
+ *
+ * @example
+ * queryTerms(parseQuery('Ahab OR Starbuck')).map((node) => node.text); // ['Ahab', 'Starbuck']
+ */
+export const queryTerms = (node) =>
+  node.type === 'term' ? [node] : node.children.flatMap(queryTerms);
+
+/**
+ * Merges lists of hits into one list in text order, dropping hits that overlap an earlier one,
+ * so the result can be highlighted and searched with hitsInRange.
+ *
+ * @param {MatchRange[][]} lists - Lists of hits
+ * @returns {MatchRange[]} Non-overlapping hits in text order
+ * @private
+ */
+const mergeHits = (lists) => {
+  const merged = [];
+  for (const hit of lists.flat().sort((a, b) => a.start - b.start || b.end - a.end)) {
+    if (!merged.length || hit.start >= merged[merged.length - 1].end) merged.push(hit);
+  }
+  return merged;
+};
+
+/**
+ * Lists the words of a passage once, so the words between any two offsets can be counted with
+ * two binary searches instead of a scan of the text between them.
+ *
+ * @param {string} text - Passage
+ * @returns {function(number, number): number} Counts the words between two offsets, including
+ *   words that are only partly between them
+ * @private
+ */
+const createWordCounter = (text) => {
+  const starts = [];
+  const ends = [];
+  for (const { index, 0: word } of text.matchAll(WORD)) {
+    starts.push(index);
+    ends.push(index + word.length);
+  }
+  // Number of the sorted offsets that are below a limit
+  const countBelow = (offsets, limit) => {
+    let low = 0;
+    let high = offsets.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (offsets[middle] < limit) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+  // Words start before `to` and end after `from`; words never overlap, so those that end by
+  // `from` are among those that start before `to`
+  return (from, to) => (from < to ? countBelow(starts, to) - countBelow(ends, from + 1) : 0);
+};
+
+/**
+ * Finds the hits of one side of a NEAR that have a hit of the other side close enough.
+ * Both lists are in text order without overlaps, so their ends rise with their starts: the hit
+ * of the other side that starts last before a hit ends closest before it, and the one that starts
+ * first at or after it starts closest after it. A sweep over both lists only needs to check those
+ * two neighbours of each hit.
+ *
+ * @param {MatchRange[]} hits - Hits of one side, in text order
+ * @param {MatchRange[]} others - Hits of the other side, in text order
+ * @param {number} distance - Most words allowed between two hits
+ * @param {function(number, number): number} wordsBetween - Counts the words between two offsets
+ * @returns {MatchRange[]} Hits with a hit of the other side within the distance
+ * @private
+ */
+const hitsNear = (hits, others, distance, wordsBetween) => {
+  const near = [];
+  let next = 0;
+  for (const hit of hits) {
+    while (next < others.length && others[next].start < hit.start) next++;
+    const before = others[next - 1];
+    const after = others[next];
+    if (
+      (before && wordsBetween(before.end, hit.start) <= distance) ||
+      (after && wordsBetween(hit.end, after.start) <= distance)
+    ) {
+      near.push(hit);
+    }
+  }
+  return near;
+};
+
+/**
+ * Evaluates a parsed query against a passage of text.
+ * A passage matches an AND when all of its operands match, an OR when any does and a NOT when
+ * its operand does not. NEAR keeps the pairs of hits of its two sides (in either order) that have
+ * at most `distance` words between them. The hits of every term that contributed to the match are
+ * returned, tagged with the term they belong to.
+ *
+ * @param {QueryNode} node - Root of the syntax tree
+ * @param {string} text - Passage to evaluate
+ * @param {function(QueryNode, string): MatchRange[]} findTerm - Finds the hits of a term node in
+ *   the passage
+ * @returns {QueryMatch} Whether the passage matches and the hits that made it match
+ *
+ * @example
+ * const find = (node, text) => createMatcher(node.text).findAll(text);
+ * evaluateQuery(parseQuery('whale NOT Ahab'), 'The whale swam.', find);
+ * // { matched: true, hits: [{ start: 4, end: 9, term: 0 }] }
+ */
+export const evaluateQuery = (node, text, findTerm) => {
+  switch (node.type) {
+    case 'term': {
+      const hits = findTerm(node, text).map((hit) => ({ ...hit, term: node.term }));
+      return { matched: hits.length > 0, hits };
+    }
+    case 'not':
+      return { matched: !evaluateQuery(node.children[0], text, findTerm).matched, hits: [] };
+    case 'and': {
+      const results = [];
+      for (const child of node.children) {
+        const result = evaluateQuery(child, text, findTerm);
+        if (!result.matched) return { matched: false, hits: [] };
+        results.push(result.hits);
+      }
+      return { matched: true, hits: mergeHits(results) };
+    }
+    case 'or': {
+      const results = node.children
+        .map((child) => evaluateQuery(child, text, findTerm))
+        .filter((result) => result.matched);
+      return { matched: results.length > 0, hits: mergeHits(results.map((r) => r.hits)) };
+    }
+    default: {
+      const [left, right] = node.children.map((child) => evaluateQuery(child, text, findTerm));
+      if (!left.hits.length || !right.hits.length) return { matched: false, hits: [] };
+      const wordsBetween = createWordCounter(text);
+      const hits = mergeHits([
+        hitsNear(left.hits, right.hits, node.distance, wordsBetween),
+        hitsNear(right.hits, left.hits, node.distance, wordsBetween),
+      ]);
+      return { matched: hits.length > 0, hits };
+    }
+  }
+};
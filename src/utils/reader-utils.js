@@ -6,17 +6,105 @@
 
 import * as R from 'ramda';
 import { LINE_BREAK } from '../constants/constants.js';
+import { toMatcher, WORD_CHAR } from './matcher.js';
+
+/** Most results kept by memo and memoByKey before the least recently used is dropped */
+export const MEMO_CACHE_SIZE = 32;
+
+/**
+ * Bounded cache that drops its least recently used entry when full.
+ * @typedef {Object} LruCache
+ * @property {function(*): boolean} has - Whether a key is cached
+ * @property {function(*): *} get - Cached value of a key (undefined if missing), which becomes
+ *   the most recently used
+ * @property {function(*, *): void} set - Caches a value, dropping the least recently used entry
+ *   if the cache is full
+ * @property {function(): number} size - Number of cached entries
+ * @property {function(): void} clear - Drops every entry
+ */
+
+/**
+ * Creates a least-recently-used cache.
+ * Relies on Map keeping insertion order: a key that is read or written is moved to the end,
+ * so the first key is always the least recently used.
+ *
+ * @param {number} limit - Most entries to keep
+ * @returns {LruCache} Empty cache
+ *
+ * @example
+ * const cache = createLruCache(2);
+ * cache.set('a', 1);
+ * cache.set('b', 2);
+ * cache.get('a');
+ * cache.set('c', 3); // drops 'b'
+ */
+export const createLruCache = (limit) => {
+  const entries = new Map();
+  return {
+    has: (key) => entries.has(key),
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+    },
+    size: () => entries.size,
+    clear: () => entries.clear(),
+  };
+};
+
+/**
+ * Creates a memoization wrapper that caches results in an LRU cache.
+ *
+ * @param {Function} keyFn - Makes the cache key from the arguments
+ * @param {number} [limit=MEMO_CACHE_SIZE] - Most results to keep
+ * @returns {function(Function): Function} Wraps a function so its results are cached
+ *
+ * @example
+ * const search = memoizeLru(R.prop('key'), 8)(quickIndexSearch(index));
+ */
+export const memoizeLru =
+  (keyFn, limit = MEMO_CACHE_SIZE) =>
+  (fn) => {
+    const cache = createLruCache(limit);
+    return (...args) => {
+      const key = keyFn(...args);
+      if (cache.has(key)) return cache.get(key);
+      const value = fn(...args);
+      cache.set(key, value);
+      return value;
+    };
+  };
 
 /**
  * Memoization wrapper using identity function as cache key.
- * Caches function results based on the first argument's identity.
+ * Caches function results based on the first argument's identity, keeping the
+ * MEMO_CACHE_SIZE most recently used.
  * @type {Function}
  * @example
  * const expensiveFn = memo((x) => x * x);
  * expensiveFn(5); // Computed
  * expensiveFn(5); // Cached
  */
-export const memo = R.memoizeWith(R.identity);
+export const memo = memoizeLru(R.identity);
+
+/**
+ * Memoization wrapper keyed by the `key` property of the first argument, keeping the
+ * MEMO_CACHE_SIZE most recently used results.
+ * Used for search functions called with a Matcher, whose key covers the term and its options.
+ * @type {Function}
+ * @example
+ * const search = memoByKey(quickStringSearchWithNumbers(rows));
+ * search(createMatcher('whale')); // Computed
+ * search(createMatcher('whale')); // Cached
+ */
+export const memoByKey = memoizeLru(R.prop('key'));
 
 /**
  * Inserts LINE_BREAK characters between array elements.
@@ -97,43 +185,165 @@ export const reduceLines = (measureFn, maxWidth, text) =>
   )(text);
 
 /**
- * Breaks text into line objects with line numbers.
- * Similar to reduceLines but returns objects with {text, lineNum} for displaying line numbers.
+ * A single wrapped visual row of a source line.
+ * @typedef {Object} LineRow
+ * @property {string} text - Text of the row as drawn on the canvas
+ * @property {number} lineNum - 1-based line number of the source line in the original text
+ * @property {number} wrapIndex - 0-based index of this row within its source line
+ * @property {number} start - Offset of the row's first character in the original text
+ * @property {number} end - Offset just past the row's last character in the original text
+ * @property {boolean} [separator] - Set on the label row that starts a group of search results;
+ *   its text names the source lines of the group
+ */
+
+/**
+ * Incremental layout of a text into wrapped rows.
+ * @typedef {Object} Layout
+ * @property {LineRow[]} rows - Rows laid out so far; the array grows in place as layout proceeds
+ * @property {function(function(): boolean): boolean} layoutUntil - Wraps words until the given
+ *   predicate returns true or the whole text is laid out; returns true once layout is complete
+ * @property {function(): boolean} isDone - Whether the whole text has been laid out
+ */
+
+/**
+ * Creates a resumable layout that wraps text into rows a few words at a time.
+ * Wrapping works like reduceLinesWithNumbers but can be paused between any two words, so a
+ * caller can lay out the first screen of a very large book, paint it, and continue the rest in
+ * time-sliced chunks. Rows are appended to a single array and words are measured in place,
+ * without copying arrays per word.
+ *
+ * @param {Function} measureFn - Function that takes an array of words and returns pixel width
+ * @param {number} maxWidth - Maximum allowed width for each line in pixels
+ * @param {string} text - Input text to be broken into lines
+ * @returns {Layout} Layout whose rows fill in as layoutUntil is called
+ *
+ * @example
+ * const layout = createLayout(measure, 600, bookText);
+ * layout.layoutUntil(() => layout.rows.length >= 50); // first screen
+ * const slice = () => {
+ *   const deadline = performance.now() + 10;
+ *   if (!layout.layoutUntil(() => performance.now() > deadline)) setTimeout(slice, 0);
+ * };
+ * setTimeout(slice, 0);
+ */
+export const createLayout = (measureFn, maxWidth, text) => {
+  const rows = [];
+  let done = false;
+  let lineNum = 0;
+  let lineEnd = -LINE_BREAK.length;
+  let wrapIndex = 0;
+  let cursor = 0;
+  let rowStart = 0;
+  let rowEnd = 0;
+  let words = [];
+
+  const pushRow = () => {
+    rows.push({ text: words.join(' '), lineNum, wrapIndex, start: rowStart, end: rowEnd });
+    words = [];
+  };
+
+  const startLine = () => {
+    const lineStart = lineEnd + LINE_BREAK.length;
+    lineEnd = text.indexOf(LINE_BREAK, lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    lineNum++;
+    wrapIndex = 0;
+    cursor = lineStart;
+    rowStart = lineStart;
+    rowEnd = lineStart;
+  };
+  startLine();
+
+  return {
+    rows,
+    isDone: () => done,
+    layoutUntil(shouldStop) {
+      while (!done && !shouldStop()) {
+        let wordEnd = text.indexOf(' ', cursor);
+        if (wordEnd === -1 || wordEnd > lineEnd) wordEnd = lineEnd;
+        const word = text.slice(cursor, wordEnd).trim();
+
+        // Start a new row when the word no longer fits, unless the row is still empty
+        words.push(word);
+        if (words.length > 1 && measureFn(words) > maxWidth) {
+          words.pop();
+          pushRow();
+          wrapIndex++;
+          rowStart = cursor;
+          words.push(word);
+        }
+        rowEnd = wordEnd;
+
+        if (wordEnd < lineEnd) {
+          cursor = wordEnd + 1;
+        } else {
+          pushRow();
+          if (lineEnd >= text.length) {
+            done = true;
+          } else {
+            startLine();
+          }
+        }
+      }
+      return done;
+    },
+  };
+};
+
+/**
+ * Breaks text into row objects that keep track of where they came from.
+ * Wraps like reduceLines, but every row carries the number of the source line it belongs to,
+ * its wrap index within that line and its character offsets into the original text, so a
+ * paragraph wrapped into five rows still reports a single source line number.
+ * Lays out the whole text at once; use createLayout to wrap large texts incrementally.
  *
  * @param {Function} measureFn - Function that takes an array of words and returns pixel width
  * @param {number} maxWidth - Maximum allowed width for each line in pixels
  * @param {string} text - Input text to be broken into lines
- * @returns {Array<{text: string, lineNum: number}>} Array of line objects with numbers
+ * @returns {LineRow[]} Array of row objects in display order
  *
  * @example
  * const measure = (words) => words.join(' ').length * 10;
  * const lines = reduceLinesWithNumbers(measure, 100, 'First\nSecond line');
- * // Returns: [{text: 'First', lineNum: 1}, {text: 'Second line', lineNum: 2}]
+ * // Returns: [
+ * //   {text: 'First', lineNum: 1, wrapIndex: 0, start: 0, end: 5},
+ * //   {text: 'Second', lineNum: 2, wrapIndex: 0, start: 6, end: 12},
+ * //   {text: 'line', lineNum: 2, wrapIndex: 1, start: 13, end: 17}
+ * // ]
  */
 export const reduceLinesWithNumbers = (measureFn, maxWidth, text) => {
-  const lines = R.pipe(
-    R.split('\n'),
-    R.map(R.pipe(R.split(' '), R.map(R.trim))),
-    R.chain(
-      R.reduce(
-        (lines, word) =>
-          R.pipe(
-            R.last,
-            R.append(word),
-            measureFn,
-            R.ifElse(
-              R.gt(R.__, maxWidth),
-              () => lines.concat([[word]]),
-              () => R.adjust(-1, R.append(word), lines)
-            )
-          )(lines),
-        [[]]
-      )
-    ),
-    R.map(R.join(' '))
-  )(text);
+  const layout = createLayout(measureFn, maxWidth, text);
+  layout.layoutUntil(() => false);
+  return layout.rows;
+};
 
-  return lines.map((text, index) => ({ text, lineNum: index + 1 }));
+/**
+ * Finds the row that contains a character offset of the original text.
+ * Rows must be ordered by their start offset, as returned by reduceLinesWithNumbers
+ * or a filtered subset of it. Uses binary search, so it is cheap on large books.
+ *
+ * @param {LineRow[]} rows - Rows ordered by start offset
+ * @param {number} offset - Character offset into the original text
+ * @returns {number} Index of the last row starting at or before offset (0 if none do)
+ *
+ * @example
+ * const rows = reduceLinesWithNumbers(measure, 100, 'First\nSecond line');
+ * findRowByOffset(rows, 14); // 2 (the row 'line')
+ */
+export const findRowByOffset = (rows, offset) => {
+  let low = 0;
+  let high = rows.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (rows[mid].start <= offset) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
 };
 
 /**
@@ -145,12 +355,14 @@ export const reduceLinesWithNumbers = (measureFn, maxWidth, text) => {
  */
 
 /**
- * Creates a case-insensitive search function for an array of strings.
- * Returns a curried function that performs the search when given a query.
- * Includes one line before and one line after each match for context.
+ * Creates a search function for an array of strings.
+ * Returns a curried function that performs the search when given a query: either a term,
+ * matched case-insensitively, or a Matcher carrying search options (see createMatcher).
+ * Includes contextLines lines before and after each match for context (one by default).
  *
  * @param {string[]} list - Array of strings to search within
- * @returns {Function} Search function that takes a search term and returns results
+ * @param {number} [contextLines=1] - Lines of context before and after each match
+ * @returns {Function} Search function that takes a search term or Matcher and returns results
  *
  * @example
  * const lines = ['Line 1', 'Hello World', 'Line 3', 'Goodbye World', 'Line 5'];
@@ -166,27 +378,24 @@ export const reduceLinesWithNumbers = (measureFn, maxWidth, text) => {
  * search(''); // Returns original list (no search)
  */
 export const quickStringSearch =
-  (list) =>
+  (list, contextLines = 1) =>
   (searchFor = '') => {
     let i;
     const results = [];
     let total = 0;
-    if (!searchFor) {
+    const matcher = toMatcher(searchFor);
+    if (!matcher.searchText) {
       return list;
     }
-    const s = searchFor.toLowerCase();
     const indicesSet = new Set();
 
     // First pass: find all matches and collect indices with context
     for (i = 0; i < list.length; i++) {
-      if (list[i].toLowerCase().indexOf(s) >= 0) {
+      if (matcher.test(list[i])) {
         total++;
-        // Add the line before (if it exists)
-        if (i > 0) indicesSet.add(i - 1);
-        // Add the matching line
-        indicesSet.add(i);
-        // Add the line after (if it exists)
-        if (i < list.length - 1) indicesSet.add(i + 1);
+        // Add the matching line with the lines around it (where they exist)
+        const last = Math.min(i + contextLines, list.length - 1);
+        for (let j = Math.max(i - contextLines, 0); j <= last; j++) indicesSet.add(j);
       }
     }
 
@@ -197,48 +406,50 @@ export const quickStringSearch =
     }
 
     return {
-      searchText: searchFor,
+      searchText: matcher.searchText,
       results: lineSpacer(results),
       total,
     };
   };
 
 /**
- * Creates a case-insensitive search function for an array of line objects.
- * Returns a curried function that performs the search when given a query.
- * Includes one line before and one line after each match for context.
+ * Creates a search function for an array of line objects.
+ * Returns a curried function that performs the search when given a query: either a term,
+ * matched case-insensitively, or a Matcher carrying search options (see createMatcher).
+ * Includes contextLines lines before and after each match for context (one by default).
  * Preserves line numbers from the original document.
  *
- * @param {Array<{text: string, lineNum: number}>} list - Array of line objects to search
- * @returns {Function} Search function that takes a search term and returns filtered line objects
+ * @param {LineRow[]} list - Array of line objects to search
+ * @param {number} [contextLines=1] - Lines of context before and after each match
+ * @returns {Function} Search function that takes a search term or Matcher and returns filtered
+ *   line objects
  *
  * @example
  * const lines = [{text: 'Line 1', lineNum: 1}, {text: 'Hello World', lineNum: 2}];
  * const search = quickStringSearchWithNumbers(lines);
  * const results = search('world'); // Returns matching lines with original line numbers
+ * search(createMatcher('World', { caseSensitive: true, wholeWord: true }));
+ * quickStringSearchWithNumbers(lines, 0)('world'); // Matching lines only
  */
 export const quickStringSearchWithNumbers =
-  (list) =>
+  (list, contextLines = 1) =>
   (searchFor = '') => {
     let i;
     const results = [];
     let total = 0;
-    if (!searchFor) {
+    const matcher = toMatcher(searchFor);
+    if (!matcher.searchText) {
       return list;
     }
-    const s = searchFor.toLowerCase();
     const indicesSet = new Set();
 
     // First pass: find all matches and collect indices with context
     for (i = 0; i < list.length; i++) {
-      if (list[i].text.toLowerCase().indexOf(s) >= 0) {
+      if (matcher.test(list[i].text)) {
         total++;
-        // Add the line before (if it exists)
-        if (i > 0) indicesSet.add(i - 1);
-        // Add the matching line
-        indicesSet.add(i);
-        // Add the line after (if it exists)
-        if (i < list.length - 1) indicesSet.add(i + 1);
+        // Add the matching line with the lines around it (where they exist)
+        const last = Math.min(i + contextLines, list.length - 1);
+        for (let j = Math.max(i - contextLines, 0); j <= last; j++) indicesSet.add(j);
       }
     }
 
@@ -249,12 +460,107 @@ export const quickStringSearchWithNumbers =
     }
 
     return {
-      searchText: searchFor,
+      searchText: matcher.searchText,
       results,
       total,
     };
   };
 
+/**
+ * A source line, or the part of it on the canvas, as mirrored for assistive technology.
+ * @typedef {Object} VisibleLine
+ * @property {string} kind - 'heading' for a chapter heading, 'separator' for the label of a
+ *   group of search results, otherwise 'text'
+ * @property {string} text - Text of the line's visible rows, or the separator label
+ * @property {number} [lineNum] - Source line number (1-based); not set on separators
+ */
+
+/**
+ * Joins the rows on the canvas back into the source lines they were wrapped from, for reading
+ * by assistive technology, which cannot see canvas text. Wrapped rows of a line are joined from
+ * the text so the words at the wraps stay intact.
+ *
+ * @param {LineRow[]} rows - Rows on the canvas, in order
+ * @param {string} text - Text the rows were laid out from
+ * @param {Set<number>} [headingLines] - Source line numbers of chapter headings
+ * @returns {VisibleLine[]} Visible lines in order
+ *
+ * @example
+ * const rows = reduceLinesWithNumbers(measure, 100, 'CHAPTER I.\nCall me Ishmael.');
+ * visibleLines(rows, text, new Set([1]));
+ * // [{ kind: 'heading', text: 'CHAPTER I.', lineNum: 1 },
+ * //  { kind: 'text', text: 'Call me Ishmael.', lineNum: 2 }]
+ */
+export const visibleLines = (rows, text, headingLines = new Set()) => {
+  const lines = [];
+  let last = null;
+  for (const row of rows) {
+    if (row.separator) {
+      last = null;
+      lines.push({ kind: 'separator', text: row.text });
+    } else if (last?.lineNum === row.lineNum) {
+      last.end = row.end;
+    } else {
+      last = { lineNum: row.lineNum, start: row.start, end: row.end };
+      lines.push(last);
+    }
+  }
+  return lines.map(({ kind, lineNum, start, end, text: label }) =>
+    kind
+      ? { kind, text: label }
+      : {
+          kind: headingLines.has(lineNum) ? 'heading' : 'text',
+          text: text.slice(start, end).trim(),
+          lineNum,
+        }
+  );
+};
+
+/** A single word character @type {RegExp} */
+const WORD_CHAR_REGEX = new RegExp(WORD_CHAR, 'u');
+
+/**
+ * Finds the word around a character offset, as selected by a double click. Between words the
+ * run of spaces or punctuation at the offset is taken instead, so a double click always selects
+ * something on a non-empty line.
+ *
+ * @param {string} text - Text to look in
+ * @param {number} offset - Offset of the clicked character
+ * @returns {MatchRange} Range of the word, empty only at a line break or the end of the text
+ *
+ * @example
+ * wordRangeAt('Call me Ishmael.', 10); // { start: 8, end: 15 }
+ */
+export const wordRangeAt = (text, offset) => {
+  const char = text[offset];
+  if (char === undefined || char === LINE_BREAK) return { start: offset, end: offset };
+  const isWord = WORD_CHAR_REGEX.test(char);
+  const sameKind = (c) => c !== undefined && c !== LINE_BREAK && WORD_CHAR_REGEX.test(c) === isWord;
+  let start = offset;
+  let end = offset + 1;
+  while (sameKind(text[start - 1])) start--;
+  while (sameKind(text[end])) end++;
+  return { start, end };
+};
+
+/**
+ * Finds the source line around a character offset, as selected by a triple click.
+ *
+ * @param {string} text - Text to look in
+ * @param {number} offset - Offset of the clicked character
+ * @returns {MatchRange} Range of the line, without its line break
+ *
+ * @example
+ * lineRangeAt('Call me\nIshmael.', 10); // { start: 8, end: 16 }
+ */
+export const lineRangeAt = (text, offset) => {
+  const end = text.indexOf(LINE_BREAK, offset);
+  return {
+    start: text.lastIndexOf(LINE_BREAK, offset - 1) + 1,
+    end: end === -1 ? text.length : end,
+  };
+};
+
 /**
  * Stops event propagation and prevents default behavior.
  * Useful for preventing unwanted event bubbling and browser defaults.
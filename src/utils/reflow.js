@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Paragraph reflow for hard-wrapped plain text.
+ * Plain text books, such as Project Gutenberg's, break every line at about 70 columns, so a
+ * paragraph is spread over many source lines. This module decides which of those lines belong
+ * together, so the reader can join them and wrap whole paragraphs to the canvas width, while
+ * lines that were broken on purpose (poetry, indented blocks and tables) are kept as they are.
+ */
+
+/** Texts whose lines are shorter than this are not taken to be hard-wrapped @type {number} */
+const MIN_WRAP_COLUMN = 50;
+
+/**
+ * Share of the lines at most as long as the wrap column; the longest lines are left out of
+ * the estimate, since a few lines of most books run past the column their wrapper used
+ * @type {number}
+ */
+const WRAP_COLUMN_PERCENTILE = 0.95;
+
+/** Columns a line may fall short of the estimated wrap column and still be joined @type {number} */
+const WRAP_TOLERANCE = 2;
+
+/** Columns of a table row: a tab or a run of three or more spaces between text @type {RegExp} */
+const TABLE_COLUMNS = /\S(?:\t| {3,})\S/;
+
+/** A letter or digit; lines without any are rules or ornaments @type {RegExp} */
+const WORD = /[\p{L}\p{N}]/u;
+
+/**
+ * Estimates the column a text was hard-wrapped at from the lengths of its lines.
+ *
+ * @param {string[]} lines - Source lines
+ * @returns {number} Estimated wrap column, or Infinity if the text does not look hard-wrapped
+ * @private
+ */
+const estimateWrapColumn = (lines) => {
+  const lengths = lines
+    .map((line) => line.trimEnd().length)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  const column = lengths[Math.floor((lengths.length - 1) * WRAP_COLUMN_PERCENTILE)] ?? 0;
+  return column < MIN_WRAP_COLUMN ? Number.POSITIVE_INFINITY : column;
+};
+
+/**
+ * Whether a line has to stay on its own: blank lines, table rows and rules.
+ *
+ * @param {string} line - Source line
+ * @returns {boolean} True if the line is never joined to another
+ * @private
+ */
+const standsAlone = (line) => !line.trim() || TABLE_COLUMNS.test(line.trim()) || !WORD.test(line);
+
+/**
+ * Finds the paragraphs of a hard-wrapped text as runs of source lines to be joined.
+ * A line continues the paragraph of the line before when neither is blank, a table row or a
+ * rule, the line is not indented, and its first word would not have fit at the end of the line
+ * before, which is the only reason a wrapper breaks a line. So a blank line ends a paragraph,
+ * and poetry (whose lines end early), indented blocks and tables keep their line breaks. The
+ * first line of a paragraph may be indented. Texts whose lines are all short are not treated
+ * as hard-wrapped and keep every line break.
+ *
+ * @param {string[]} lines - Source lines of the text
+ * @returns {number[]} Index of the first line of each paragraph, in order
+ *
+ * @example
+ * findReflowParagraphs([
+ *   'Call me Ishmael. Some years ago--never mind how long precisely--having',
+ *   'little or no money in my purse, and nothing particular to interest me on',
+ *   '',
+ *   '    Tyger Tyger, burning bright,',
+ *   '    In the forests of the night;',
+ * ]);
+ * // [0, 2, 3, 4]
+ */
+export const findReflowParagraphs = (lines) => {
+  const column = estimateWrapColumn(lines) - WRAP_TOLERANCE;
+  const firstLines = [];
+  lines.forEach((line, i) => {
+    const previous = lines[i - 1];
+    const joins =
+      previous !== undefined &&
+      !standsAlone(previous) &&
+      !standsAlone(line) &&
+      !/^\s/.test(line) &&
+      previous.trimEnd().length + 1 + line.split(/\s/, 1)[0].length > column;
+    if (!joins) firstLines.push(i);
+  });
+  return firstLines;
+};
@@ -41,6 +41,7 @@ export const clamp = (min, max) => (num) => Math.max(min, Math.min(max, num));
  * @property {Function} resizeCanvas - Update both canvas dimensions
  * @property {Function} applyScrollDelta - Apply a scroll movement delta
  * @property {Function} setScrollOffset - Set the scroll position directly
+ * @property {Function} scrollToPosition - Scroll to a distance from the top of the text, clamped
  * @property {Function} handleMouseDown - Handle mouse button press events
  * @property {Function} handleMouseUp - Handle mouse button release events
  * @property {Function} handleMouseMove - Handle mouse movement for dragging
@@ -134,7 +135,7 @@ export const setupScrollBar = ({
     draw() {
       const scrollPerc = sb.scrollOffset / minScroll;
       sb.y = (sb.canvasHeight - sb.height) * scrollPerc;
-      sb.x = canvasWidth - sb.width;
+      sb.x = sb.canvasWidth - sb.width;
       ctx.fillStyle = color;
       ctx.fillRect(sb.x, sb.y, sb.width, sb.height);
     },
@@ -168,13 +169,16 @@ export const setupScrollBar = ({
     },
 
     /**
-     * Resizes the canvas to new dimensions.
+     * Resizes the canvas to new dimensions and recalculates scroll bounds.
+     * The current scroll offset is clamped to the new bounds without triggering a redraw.
      * @param {number} width - New canvas width in pixels
      * @param {number} height - New canvas height in pixels
      */
     resizeCanvas(width, height) {
       sb.canvasWidth = width;
       sb.canvasHeight = height;
+      updateClampScroll();
+      sb.scrollOffset = clampScroll(sb.scrollOffset);
     },
 
     /**
@@ -194,6 +198,15 @@ export const setupScrollBar = ({
       updateCanvas();
     },
 
+    /**
+     * Scrolls so that the content at the given distance from the top of the text is shown
+     * at the top of the canvas, clamping to the valid range, and triggers canvas update.
+     * @param {number} position - Distance from the top of the text in pixels
+     */
+    scrollToPosition(position) {
+      this.setScrollOffset(clampScroll(-position));
+    },
+
     /**
      * Handles mouse down events. Enables dragging if clicked on scrollbar.
      * @param {{x: number, y: number}} e - Mouse event with x,y coordinates
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Search result summaries for the canvas reader.
+ * Turns the hits of a search into what a results panel needs: where each hit is, a snippet of
+ * the text around it and how many hits each chapter has.
+ */
+
+import { LINE_BREAK } from '../constants/constants.js';
+
+/** Most hits described in a summary; the total still counts all of them */
+export const MAX_LISTED_HITS = 500;
+
+/** Characters of text shown on either side of a hit in its snippet */
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * A search hit located in the source text.
+ * @typedef {Object} HitSummary
+ * @property {number} index - Position of the hit among all hits, for jumping to it
+ * @property {number} lineNum - Source line number the hit starts on (1-based)
+ * @property {number} column - Offset of the hit within its source line
+ * @property {number} start - Offset of the hit in the source text
+ * @property {number} end - Offset just past the hit in the source text
+ * @property {{before: string, match: string, after: string}} snippet - The hit and the text
+ *   around it on one line, with line breaks and runs of spaces collapsed and words cut in half
+ *   at either end dropped
+ */
+
+/**
+ * Number of hits in one chapter.
+ * @typedef {Object} ChapterCount
+ * @property {string|null} title - Chapter heading, or null for text before the first chapter
+ * @property {number} lineNum - Source line number the chapter starts on
+ * @property {number} count - Number of hits that start in the chapter
+ * @property {number} firstHit - Position of the chapter's first hit among all hits
+ */
+
+/**
+ * Summary of a search.
+ * @typedef {Object} SearchSummary
+ * @property {number} total - Number of hits
+ * @property {HitSummary[]} hits - The first MAX_LISTED_HITS hits
+ * @property {ChapterCount[]} chapters - Chapters that have hits, in text order
+ */
+
+/**
+ * Collapses line breaks and runs of whitespace into single spaces.
+ *
+ * @param {string} text - Text to collapse
+ * @returns {string} Text on one line
+ * @private
+ */
+const collapse = (text) => text.replace(/\s+/g, ' ');
+
+/**
+ * Describes one hit: its line, column and a snippet.
+ *
+ * @param {ParagraphIndex} index - Index of the searched text
+ * @param {MatchRange} hit - The hit
+ * @param {number} i - Position of the hit among all hits
+ * @returns {HitSummary} Located hit
+ * @private
+ */
+const describeHit = (index, hit, i) => {
+  const { text } = index;
+  const from = Math.max(hit.start - SNIPPET_CONTEXT, 0);
+  const to = Math.min(hit.end + SNIPPET_CONTEXT, text.length);
+  return {
+    index: i,
+    lineNum: index.lineAt(hit.start),
+    column: hit.start - (text.lastIndexOf(LINE_BREAK, hit.start - 1) + 1),
+    start: hit.start,
+    end: hit.end,
+    snippet: {
+      before:
+        from > 0
+          ? `…${collapse(text.slice(from, hit.start)).replace(/^\S*\s/, '')}`
+          : collapse(text.slice(0, hit.start)).trimStart(),
+      match: collapse(text.slice(hit.start, hit.end)),
+      after:
+        to < text.length
+          ? `${collapse(text.slice(hit.end, to)).replace(/\s\S*$/, '')}…`
+          : collapse(text.slice(hit.end)).trimEnd(),
+    },
+  };
+};
+
+/**
+ * Counts hits per chapter in one pass over hits and chapters, which are both in text order.
+ *
+ * @param {MatchRange[]} hits - Hits in text order
+ * @param {Chapter[]} chapters - Chapter headings in text order
+ * @returns {ChapterCount[]} Chapters with at least one hit
+ * @private
+ */
+const countByChapter = (hits, chapters) => {
+  const counts = [];
+  let chapter = -1;
+  let current = null;
+  hits.forEach((hit, i) => {
+    while (chapter + 1 < chapters.length && chapters[chapter + 1].start <= hit.start) chapter++;
+    const { title = null, lineNum = 1 } = chapters[chapter] ?? {};
+    if (!current || current.lineNum !== lineNum) {
+      current = { title, lineNum, count: 0, firstHit: i };
+      counts.push(current);
+    }
+    current.count++;
+  });
+  return counts;
+};
+
+/**
+ * Summarizes the hits of a search for display next to the search input.
+ * Only the first `limit` hits are described, so a search for a common word stays cheap to send
+ * to the main thread; the total and the chapter counts always cover every hit.
+ *
+ * @param {ParagraphIndex} index - Index of the searched text
+ * @param {MatchRange[]} hits - Hits in text order, as found by the search
+ * @param {Chapter[]} [chapters=[]] - Chapter headings of the text, from findChapters
+ * @param {Object} [config] - Summary configuration
+ * @param {number} [config.limit=MAX_LISTED_HITS] - Most hits to describe
+ * @returns {SearchSummary} Summary of the search
+ *
+ * @example
+ * const { hits } = quickIndexSearch(index)('whale');
+ * const { total, chapters } = summarizeSearch(index, hits, findChapters(index.text));
+ */
+export const summarizeSearch = (index, hits, chapters = [], { limit = MAX_LISTED_HITS } = {}) => ({
+  total: hits.length,
+  hits: hits.slice(0, limit).map((hit, i) => describeHit(index, hit, i)),
+  chapters: countByChapter(hits, chapters),
+});
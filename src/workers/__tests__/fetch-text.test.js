@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { fetchText } from '../fetch-text.js';
+
+/**
+ * Builds a streamed response from a list of string chunks.
+ * @param {string[]} parts - Body chunks
+ * @param {Object} [init] - Response init (status, headers)
+ * @returns {Response} Response whose body yields one chunk per part
+ */
+const streamedResponse = (parts, init) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const part of parts) controller.enqueue(encoder.encode(part));
+      controller.close();
+    },
+  });
+  return new Response(body, init);
+};
+
+describe('fetchText', () => {
+  let fetchStub;
+
+  afterEach(() => {
+    if (fetchStub) fetchStub.restore();
+  });
+
+  it('should resolve with the whole body text', async () => {
+    fetchStub = sinon.stub(global, 'fetch').resolves(streamedResponse(['Call me ', 'Ishmael.']));
+
+    const text = await fetchText('/book');
+
+    expect(fetchStub.calledOnceWith('/book')).to.be.true;
+    expect(text).to.equal('Call me Ishmael.');
+  });
+
+  it('should report progress for each chunk', async () => {
+    fetchStub = sinon
+      .stub(global, 'fetch')
+      .resolves(streamedResponse(['abc', 'defgh'], { headers: { 'content-length': '8' } }));
+    const onProgress = sinon.spy();
+
+    await fetchText('/book', onProgress);
+
+    expect(onProgress.args.map(([p]) => p)).to.deep.equal([
+      { bytesReceived: 3, totalBytes: 8 },
+      { bytesReceived: 8, totalBytes: 8 },
+    ]);
+  });
+
+  it('should report an unknown total without Content-Length', async () => {
+    fetchStub = sinon.stub(global, 'fetch').resolves(streamedResponse(['abc']));
+    const onProgress = sinon.spy();
+
+    await fetchText('/book', onProgress);
+
+    expect(onProgress.firstCall.args[0].totalBytes).to.be.null;
+  });
+
+  it('should decode multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('café');
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 4));
+        controller.enqueue(bytes.slice(4));
+        controller.close();
+      },
+    });
+    fetchStub = sinon.stub(global, 'fetch').resolves(new Response(body));
+
+    expect(await fetchText('/book')).to.equal('café');
+  });
+
+  it('should fall back to text() when the body cannot be streamed', async () => {
+    fetchStub = sinon.stub(global, 'fetch').resolves({ ok: true, text: async () => 'plain' });
+    const onProgress = sinon.spy();
+
+    expect(await fetchText('/book', onProgress)).to.equal('plain');
+    expect(onProgress.calledOnceWith({ bytesReceived: 5, totalBytes: null })).to.be.true;
+  });
+
+  it('should reject with the HTTP status on error responses', async () => {
+    fetchStub = sinon
+      .stub(global, 'fetch')
+      .resolves(new Response('down', { status: 503, statusText: 'Service Unavailable' }));
+
+    try {
+      await fetchText('/book');
+      expect.fail('Should have rejected');
+    } catch (err) {
+      expect(err.message).to.equal('HTTP 503: Service Unavailable');
+      expect(err.status).to.equal(503);
+      expect(err.statusText).to.equal('Service Unavailable');
+    }
+  });
+
+  it('should pass network errors through without a status', async () => {
+    fetchStub = sinon.stub(global, 'fetch').rejects(new Error('Network error'));
+
+    try {
+      await fetchText('/book');
+      expect.fail('Should have rejected');
+    } catch (err) {
+      expect(err.message).to.equal('Network error');
+      expect(err.status).to.be.undefined;
+    }
+  });
+});
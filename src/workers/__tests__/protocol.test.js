@@ -0,0 +1,448 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { MESSAGES, SCROLL_UNITS, WORKER_EVENTS } from '../../constants/constants.js';
+import {
+  createEvent,
+  createMessageHandler,
+  createReaderClient,
+  ENVELOPES,
+  MESSAGE_SCHEMAS,
+  validateMessage,
+} from '../protocol.js';
+
+/** Resolves after pending promise callbacks have run */
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('protocol', () => {
+  describe('MESSAGE_SCHEMAS', () => {
+    it('should define a schema for every message type', () => {
+      Object.values(MESSAGES).forEach((type) => {
+        expect(MESSAGE_SCHEMAS).to.have.property(type);
+      });
+    });
+  });
+
+  describe('validateMessage', () => {
+    it('should accept a valid message', () => {
+      expect(validateMessage({ type: MESSAGES.SEARCH, searchText: 'whale' })).to.be.null;
+    });
+
+    it('should accept messages with extra fields and a request id', () => {
+      expect(validateMessage({ type: MESSAGES.SCROLL, scrollDelta: 5, id: 3, extra: true })).to.be
+        .null;
+    });
+
+    it('should reject unknown message types', () => {
+      expect(validateMessage({ type: 'kill' })).to.equal('Unknown message type "kill"');
+    });
+
+    it('should reject missing required fields', () => {
+      expect(validateMessage({ type: MESSAGES.SEARCH })).to.equal(
+        'SEARCH: "searchText" must be of type string'
+      );
+    });
+
+    it('should reject fields of the wrong type', () => {
+      expect(validateMessage({ type: MESSAGES.SCROLL, scrollDelta: '5' })).to.include(
+        '"scrollDelta" must be of type number'
+      );
+    });
+
+    it('should reject search options that are not an object', () => {
+      expect(
+        validateMessage({ type: MESSAGES.SEARCH, searchText: 'a', options: 'regex' })
+      ).to.equal('SEARCH: "options" must be of type object');
+    });
+
+    it('should accept context lines as a number or a string', () => {
+      const search = { type: MESSAGES.SEARCH, searchText: 'a' };
+
+      expect(validateMessage({ ...search, contextLines: 2 })).to.be.null;
+      expect(validateMessage({ ...search, contextLines: 'paragraph' })).to.be.null;
+      expect(validateMessage({ ...search, contextLines: true })).to.equal(
+        'SEARCH: "contextLines" must be of type number|string'
+      );
+    });
+
+    it('should allow optional fields to be omitted', () => {
+      expect(validateMessage({ type: MESSAGES.RESIZE, width: 100, height: 100 })).to.be.null;
+    });
+
+    it('should reject null for object fields', () => {
+      const message = {
+        type: MESSAGES.INIT,
+        route: '/book',
+        canvas: null,
+        width: 1,
+        height: 1,
+        ratio: 1,
+        font: '10px serif',
+        size: 10,
+        lineHeight: 1,
+      };
+      expect(validateMessage(message)).to.include('"canvas"');
+    });
+
+    it('should reject non-object messages', () => {
+      expect(validateMessage(null)).to.equal('Message must be an object');
+      expect(validateMessage('SEARCH')).to.equal('Message must be an object');
+    });
+  });
+
+  describe('createEvent', () => {
+    it('should wrap an event in an EVENT envelope', () => {
+      expect(createEvent(WORKER_EVENTS.READY, { lines: 2 })).to.deep.equal({
+        type: ENVELOPES.EVENT,
+        event: WORKER_EVENTS.READY,
+        payload: { lines: 2 },
+      });
+    });
+
+    it('should default to an empty payload', () => {
+      expect(createEvent(WORKER_EVENTS.READY).payload).to.deep.equal({});
+    });
+  });
+
+  describe('createMessageHandler', () => {
+    let scope;
+
+    beforeEach(() => {
+      scope = { postMessage: sinon.spy() };
+    });
+
+    it('should dispatch to the handler and reply with its result', async () => {
+      const onMessage = createMessageHandler(scope, {
+        [MESSAGES.SEARCH]: ({ searchText }) => ({ searchText, total: 2 }),
+      });
+
+      onMessage({ data: { type: MESSAGES.SEARCH, searchText: 'a', id: 1 } });
+      await flush();
+
+      expect(
+        scope.postMessage.calledOnceWith({
+          type: ENVELOPES.REPLY,
+          id: 1,
+          result: { searchText: 'a', total: 2 },
+        })
+      ).to.be.true;
+    });
+
+    it('should wait for promises returned by handlers', async () => {
+      const onMessage = createMessageHandler(scope, {
+        [MESSAGES.SCROLL]: () => Promise.resolve('done'),
+      });
+
+      onMessage({ data: { type: MESSAGES.SCROLL, scrollDelta: 1, id: 4 } });
+      await flush();
+
+      expect(scope.postMessage.firstCall.args[0]).to.deep.equal({
+        type: ENVELOPES.REPLY,
+        id: 4,
+        result: 'done',
+      });
+    });
+
+    it('should not reply to messages without an id', async () => {
+      const handler = sinon.spy();
+      const onMessage = createMessageHandler(scope, { [MESSAGES.SCROLL]: handler });
+
+      onMessage({ data: { type: MESSAGES.SCROLL, scrollDelta: 1 } });
+      await flush();
+
+      expect(handler.calledOnce).to.be.true;
+      expect(scope.postMessage.called).to.be.false;
+    });
+
+    it('should reply with an error for invalid requests', async () => {
+      const handler = sinon.spy();
+      const onMessage = createMessageHandler(scope, { [MESSAGES.SEARCH]: handler });
+
+      onMessage({ data: { type: MESSAGES.SEARCH, id: 2 } });
+      await flush();
+
+      expect(handler.called).to.be.false;
+      expect(scope.postMessage.firstCall.args[0]).to.deep.equal({
+        type: ENVELOPES.REPLY,
+        id: 2,
+        error: { message: 'SEARCH: "searchText" must be of type string' },
+      });
+    });
+
+    it('should emit an ERROR event for unknown messages without an id', () => {
+      const onMessage = createMessageHandler(scope, {});
+
+      onMessage({ data: { type: 'kill' } });
+
+      expect(scope.postMessage.firstCall.args[0]).to.deep.equal(
+        createEvent(WORKER_EVENTS.ERROR, { message: 'Unknown message type "kill"', type: 'kill' })
+      );
+    });
+
+    it('should report which message failed in the ERROR event', async () => {
+      const onMessage = createMessageHandler(scope, {
+        [MESSAGES.SEARCH]: () => {
+          throw new SyntaxError('Invalid regular expression "(": Unterminated group');
+        },
+      });
+
+      onMessage({ data: { type: MESSAGES.SEARCH, searchText: '(' } });
+      await flush();
+
+      expect(scope.postMessage.firstCall.args[0]).to.deep.equal(
+        createEvent(WORKER_EVENTS.ERROR, {
+          message: 'Invalid regular expression "(": Unterminated group',
+          type: MESSAGES.SEARCH,
+        })
+      );
+    });
+
+    it('should report valid messages that have no handler', () => {
+      const onMessage = createMessageHandler(scope, {});
+
+      onMessage({ data: { type: MESSAGES.KILL, id: 9 } });
+
+      expect(scope.postMessage.firstCall.args[0].error.message).to.equal(
+        'No handler for message type "KILL"'
+      );
+    });
+
+    it('should reply with the error thrown by a handler', async () => {
+      const onMessage = createMessageHandler(scope, {
+        [MESSAGES.KILL]: () => {
+          throw new Error('boom');
+        },
+      });
+
+      onMessage({ data: { type: MESSAGES.KILL, id: 5 } });
+      await flush();
+
+      expect(scope.postMessage.firstCall.args[0]).to.deep.equal({
+        type: ENVELOPES.REPLY,
+        id: 5,
+        error: { message: 'boom' },
+      });
+    });
+  });
+
+  describe('createReaderClient', () => {
+    let worker;
+    let client;
+
+    beforeEach(() => {
+      worker = { postMessage: sinon.spy() };
+      client = createReaderClient(worker);
+    });
+
+    it('should attach to the worker', () => {
+      expect(worker.onmessage).to.be.a('function');
+    });
+
+    it('should send search options along with the search', () => {
+      client.search('whale', { wholeWord: true });
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.SEARCH,
+        searchText: 'whale',
+      });
+      expect(worker.postMessage.firstCall.args[0].options).to.deep.equal({ wholeWord: true });
+    });
+
+    it('should send the search mode and context lines along with the search', () => {
+      client.search('whale', {}, 'filter', 'paragraph');
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        mode: 'filter',
+        contextLines: 'paragraph',
+      });
+    });
+
+    it('should request the next and previous match', () => {
+      client.nextMatch();
+      client.prevMatch();
+
+      const types = worker.postMessage.getCalls().map((call) => call.args[0].type);
+      expect(types).to.deep.equal([MESSAGES.NEXT_MATCH, MESSAGES.PREV_MATCH]);
+    });
+
+    it('should request the search index', () => {
+      client.exportIndex();
+
+      expect(worker.postMessage.firstCall.args[0].type).to.equal(MESSAGES.EXPORT_INDEX);
+    });
+
+    it('should send highlight terms', () => {
+      const highlights = [{ term: 'Ahab', color: '#90caf9' }];
+      client.highlightTerms(highlights);
+
+      expect(worker.postMessage.firstCall.args[0]).to.deep.include({
+        type: MESSAGES.HIGHLIGHT_TERMS,
+        highlights,
+      });
+    });
+
+    it('should send annotations and scroll to one by id', () => {
+      client.setAnnotations([]);
+      client.gotoAnnotation('a1');
+
+      const [set, goto] = worker.postMessage.getCalls().map((call) => call.args[0]);
+      expect(set).to.deep.include({ type: MESSAGES.SET_ANNOTATIONS, annotations: [] });
+      expect(goto).to.include({ type: MESSAGES.GOTO_ANNOTATION, annotationId: 'a1' });
+    });
+
+    it('should go to a section of the table of contents', () => {
+      client.gotoSection(3);
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.GOTO_SECTION,
+        section: 3,
+      });
+    });
+
+    it('should scroll by lines and pages', () => {
+      client.scrollBy(-2, SCROLL_UNITS.PAGE);
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.SCROLL_BY,
+        amount: -2,
+        unit: 'page',
+      });
+    });
+
+    it('should show or hide the front matter', () => {
+      client.showFrontMatter(true);
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.SHOW_FRONT_MATTER,
+        show: true,
+      });
+    });
+
+    it('should turn paragraph reflow on or off', () => {
+      client.setReflow(true);
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.SET_REFLOW,
+        reflow: true,
+      });
+    });
+
+    it('should request the selected text', () => {
+      client.getSelection();
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({ type: MESSAGES.GET_SELECTION });
+    });
+
+    it('should request a match by its position', () => {
+      client.gotoMatch(4);
+
+      expect(worker.postMessage.firstCall.args[0]).to.include({
+        type: MESSAGES.GOTO_MATCH,
+        index: 4,
+      });
+    });
+
+    it('should send requests with increasing ids', () => {
+      client.search('a');
+      client.search('b');
+
+      const [first, second] = worker.postMessage.getCalls().map((call) => call.args[0]);
+      expect(first).to.include({ type: MESSAGES.SEARCH, searchText: 'a' });
+      expect(second.id).to.equal(first.id + 1);
+    });
+
+    it('should resolve a request with the matching reply', async () => {
+      const pending = client.search('whale');
+      const { id } = worker.postMessage.firstCall.args[0];
+
+      worker.onmessage({ data: { type: ENVELOPES.REPLY, id, result: { total: 47 } } });
+
+      expect(await pending).to.deep.equal({ total: 47 });
+    });
+
+    it('should reject a request with the error reply', async () => {
+      const pending = client.scroll(10);
+      const { id } = worker.postMessage.firstCall.args[0];
+
+      worker.onmessage({ data: { type: ENVELOPES.REPLY, id, error: { message: 'nope' } } });
+
+      try {
+        await pending;
+        expect.fail('Should have rejected');
+      } catch (err) {
+        expect(err.message).to.equal('nope');
+      }
+    });
+
+    it('should reject invalid requests without posting them', async () => {
+      try {
+        await client.request('kill');
+        expect.fail('Should have rejected');
+      } catch (err) {
+        expect(err.message).to.equal('Unknown message type "kill"');
+      }
+      expect(worker.postMessage.called).to.be.false;
+    });
+
+    it('should throw on invalid fire-and-forget messages', () => {
+      expect(() => client.post(MESSAGES.SCROLL, { scrollDelta: 'x' })).to.throw(
+        '"scrollDelta" must be of type number'
+      );
+    });
+
+    it('should post fire-and-forget messages without an id', () => {
+      client.kill();
+
+      expect(worker.postMessage.calledOnceWith({ type: MESSAGES.KILL })).to.be.true;
+    });
+
+    it('should pass transferables along', () => {
+      const canvas = {};
+      client.post(
+        MESSAGES.INIT,
+        {
+          route: '/book',
+          canvas,
+          width: 1,
+          height: 1,
+          ratio: 1,
+          font: '10px serif',
+          size: 10,
+          lineHeight: 1,
+        },
+        [canvas]
+      );
+
+      expect(worker.postMessage.firstCall.args[1]).to.deep.equal([canvas]);
+    });
+
+    it('should deliver events to subscribers until they unsubscribe', () => {
+      const handler = sinon.spy();
+      const off = client.on(WORKER_EVENTS.READY, handler);
+
+      worker.onmessage({ data: createEvent(WORKER_EVENTS.READY, { lines: 3 }) });
+      off();
+      worker.onmessage({ data: createEvent(WORKER_EVENTS.READY, { lines: 4 }) });
+
+      expect(handler.calledOnceWith({ lines: 3 })).to.be.true;
+    });
+
+    it('should ignore replies for unknown ids', () => {
+      expect(() =>
+        worker.onmessage({ data: { type: ENVELOPES.REPLY, id: 99, result: 1 } })
+      ).to.not.throw();
+    });
+
+    it('should reject pending requests when disposed', async () => {
+      const pending = client.search('a');
+      client.dispose();
+
+      expect(worker.onmessage).to.be.null;
+      try {
+        await pending;
+        expect.fail('Should have rejected');
+      } catch (err) {
+        expect(err.message).to.equal('Reader worker was disposed');
+      }
+    });
+  });
+});
@@ -1,6 +1,86 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
-import { MESSAGES } from '../../constants/constants.js';
+import { MESSAGES, SCROLL_UNITS, WORKER_EVENTS } from '../../constants/constants.js';
+import { ENVELOPES } from '../protocol.js';
+
+/** Plain text book with a Project Gutenberg header that also mentions the searched word */
+const BOOK = [
+  'The Project Gutenberg eBook of Moby Dick; a whale of a tale',
+  '',
+  '*** START OF THE PROJECT GUTENBERG EBOOK MOBY DICK ***',
+  '',
+  'Call me Ishmael. Some years ago I went to sea',
+  'to see the whale.',
+  '',
+  '*** END OF THE PROJECT GUTENBERG EBOOK MOBY DICK ***',
+].join('\n');
+
+/** Hard-wrapped text whose first paragraph reflow joins into one */
+const WRAPPED = [
+  'Call me Ishmael. Some years ago, never mind how long precisely, having',
+  'little or no money in my purse, and nothing particular to interest me on',
+  'shore, I thought I would sail about a little and see the watery part of',
+  'the world. It is a way I have of driving off the spleen, and whale the',
+  '',
+  'Whenever I find myself growing grim about the mouth; whenever it is a',
+  'damp, drizzly November in my soul; whenever I find myself whale before',
+].join('\n');
+
+/** One hundred lines of about 70 characters, every tenth with a whale */
+const LINES = Array.from({ length: 100 }, (_, i) => {
+  const number = String(i + 1).padStart(3, '0');
+  const fish = i % 10 ? 'sharks' : 'whale';
+  return `Line ${number} of the book, where the ${fish} swim on through the dark seas`;
+}).join('\n');
+
+/**
+ * Waits until a condition holds.
+ *
+ * @param {Function} condition - Returns a truthy value once the condition holds
+ * @returns {Promise<*>} The truthy value
+ */
+const until = async (condition) => {
+  for (let waited = 0; waited < 2000; waited += 5) {
+    const value = condition();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting for the worker');
+};
+
+/**
+ * Creates a 2D context that records drawing and measures 7 pixels per character of a 15px font,
+ * and in proportion for other font sizes.
+ *
+ * @returns {Object} Mock context
+ */
+const createContext = () => {
+  const ctx = { font: '', textBaseline: '', textAlign: '', fillStyle: '', strokeStyle: '' };
+  for (const name of [
+    'arc',
+    'beginPath',
+    'clearRect',
+    'fill',
+    'fillRect',
+    'fillText',
+    'lineTo',
+    'moveTo',
+    'rect',
+    'restore',
+    'roundRect',
+    'save',
+    'setTransform',
+    'stroke',
+    'strokeRect',
+  ]) {
+    ctx[name] = sinon.spy();
+  }
+  ctx.measureText = (text) => {
+    const px = Number(/(\d+)px/.exec(ctx.font)?.[1]) || 15;
+    return { width: (text.length * 7 * px) / 15 };
+  };
+  return ctx;
+};
 
 describe('reader.worker', () => {
   let mockCtx;
@@ -55,6 +135,20 @@ describe('reader.worker', () => {
       expect(MESSAGES.MOUSE_DOWN).to.equal('MOUSE_DOWN');
       expect(MESSAGES.MOUSE_UP).to.equal('MOUSE_UP');
       expect(MESSAGES.MOUSE_MOVE).to.equal('MOUSE_MOVE');
+      expect(MESSAGES.RESIZE).to.equal('RESIZE');
+      expect(MESSAGES.RETRY).to.equal('RETRY');
+      expect(MESSAGES.NEXT_MATCH).to.equal('NEXT_MATCH');
+      expect(MESSAGES.PREV_MATCH).to.equal('PREV_MATCH');
+      expect(MESSAGES.GOTO_MATCH).to.equal('GOTO_MATCH');
+      expect(MESSAGES.EXPORT_INDEX).to.equal('EXPORT_INDEX');
+      expect(MESSAGES.HIGHLIGHT_TERMS).to.equal('HIGHLIGHT_TERMS');
+      expect(MESSAGES.SET_ANNOTATIONS).to.equal('SET_ANNOTATIONS');
+      expect(MESSAGES.GOTO_ANNOTATION).to.equal('GOTO_ANNOTATION');
+      expect(MESSAGES.GET_SELECTION).to.equal('GET_SELECTION');
+      expect(MESSAGES.SCROLL_BY).to.equal('SCROLL_BY');
+      expect(MESSAGES.SHOW_FRONT_MATTER).to.equal('SHOW_FRONT_MATTER');
+      expect(MESSAGES.SET_REFLOW).to.equal('SET_REFLOW');
+      expect(MESSAGES.GOTO_SECTION).to.equal('GOTO_SECTION');
     });
   });
 
@@ -132,6 +226,277 @@ describe('reader.worker', () => {
     });
   });
 
+  describe('Running the worker', () => {
+    let originalSelf;
+    let workerLoads = 0;
+
+    beforeEach(() => {
+      originalSelf = global.self;
+    });
+
+    afterEach(() => {
+      global.self = originalSelf;
+    });
+
+    /**
+     * Loads a fresh copy of the worker, which shares no state with other tests, in a scope that
+     * records what it posts, and sends INIT for a book and waits until it is shown. Each time
+     * READY is posted the search index is exported at once, before any indexing step can run,
+     * so tests can tell a restored or kept index from one built afterwards.
+     *
+     * @param {string} content - Book content the worker fetches
+     * @param {Object} [init] - Fields added to the INIT message
+     * @returns {Promise<Object>} Functions to send messages and read what was posted
+     */
+    const startWorker = async (content, init = {}) => {
+      const posted = [];
+      let readyCount = 0;
+      const scope = {
+        postMessage: (message) => {
+          posted.push(message);
+          if (message.type === ENVELOPES.EVENT && message.event === WORKER_EVENTS.READY) {
+            readyCount++;
+            scope.onmessage({ data: { type: MESSAGES.EXPORT_INDEX, id: `ready-${readyCount}` } });
+          }
+        },
+        close: sinon.spy(),
+      };
+      global.self = scope;
+      fetchStub.callsFake(async () => new Response(content));
+      workerLoads++;
+      await import(`../reader.worker.js?load=${workerLoads}`);
+
+      let lastId = 0;
+      const send = (message) => scope.onmessage({ data: message });
+      const request = async (message) => {
+        const id = ++lastId;
+        send({ ...message, id });
+        const reply = await until(() =>
+          posted.find((m) => m.type === ENVELOPES.REPLY && m.id === id)
+        );
+        if (reply.error) throw new Error(reply.error.message);
+        return reply.result;
+      };
+      const events = (event) =>
+        posted.filter((m) => m.type === ENVELOPES.EVENT && m.event === event).map((m) => m.payload);
+      const indexed = (count = 1) =>
+        until(
+          () =>
+            events(WORKER_EVENTS.INDEX_PROGRESS).filter(({ indexed: n, length }) => n === length)
+              .length >= count
+        );
+      const indexAtReady = (count) =>
+        until(() =>
+          posted.find((m) => m.type === ENVELOPES.REPLY && m.id === `ready-${count}`)
+        ).then(({ result }) => result);
+
+      send({
+        type: MESSAGES.INIT,
+        route: '/book.txt',
+        canvas: { getContext: createContext },
+        width: 800,
+        height: 600,
+        ratio: 1,
+        font: 'normal normal normal 15px Georgia',
+        size: 15,
+        lineHeight: 1.25,
+        ...init,
+      });
+      await until(() => events(WORKER_EVENTS.READY).length);
+      return { send, request, events, indexed, indexAtReady };
+    };
+
+    const matches = ({ hits }) => hits.map(({ snippet }) => snippet.match);
+
+    it('should find a search again in the text shown after showing the front matter', async () => {
+      const worker = await startWorker(BOOK);
+      await worker.indexed();
+
+      const hidden = await worker.request({ type: MESSAGES.SEARCH, searchText: 'whale' });
+      expect(hidden.total).to.equal(1);
+      expect(matches(hidden)).to.deep.equal(['whale']);
+
+      worker.send({ type: MESSAGES.SHOW_FRONT_MATTER, show: true });
+      await until(() => worker.events(WORKER_EVENTS.READY).length === 2);
+      const shown = await until(() => worker.events(WORKER_EVENTS.SEARCH_RESULTS)[1]);
+
+      expect(shown.total).to.equal(2);
+      expect(matches(shown)).to.deep.equal(['whale', 'whale']);
+      expect(shown.hits[0].lineNum).to.equal(1);
+
+      worker.send({ type: MESSAGES.SHOW_FRONT_MATTER, show: false });
+      await until(() => worker.events(WORKER_EVENTS.READY).length === 3);
+      const again = await worker.request({ type: MESSAGES.SEARCH, searchText: 'whale' });
+
+      expect(again.total).to.equal(1);
+      expect(matches(again)).to.deep.equal(['whale']);
+    });
+
+    it('should restore a search index sent with INIT instead of building one', async () => {
+      const first = await startWorker(BOOK);
+      await first.indexed();
+      const saved = await first.request({ type: MESSAGES.EXPORT_INDEX });
+
+      const worker = await startWorker(BOOK, { searchIndex: saved });
+
+      expect(await worker.indexAtReady(1)).to.deep.equal(saved);
+      expect(worker.events(WORKER_EVENTS.INDEX_PROGRESS)).to.deep.equal([
+        { indexed: saved.length, length: saved.length },
+      ]);
+      const found = await worker.request({ type: MESSAGES.SEARCH, searchText: 'whale' });
+      expect(matches(found)).to.deep.equal(['whale']);
+    });
+
+    it('should build the index when the one sent with INIT is of another text', async () => {
+      const first = await startWorker(BOOK);
+      await first.indexed();
+      const saved = await first.request({ type: MESSAGES.EXPORT_INDEX });
+
+      // The index of the text between the Project Gutenberg markers, one sentence longer
+      const longer = BOOK.replace('to see the whale.', 'to see the whale. A whale at last.');
+      const worker = await startWorker(longer, { searchIndex: saved });
+
+      expect(await worker.indexAtReady(1)).to.be.null;
+      await worker.indexed();
+      const rebuilt = await worker.request({ type: MESSAGES.EXPORT_INDEX });
+      expect(rebuilt.length).to.equal(saved.length + ' A whale at last.'.length);
+      const found = await worker.request({ type: MESSAGES.SEARCH, searchText: 'whale' });
+      expect(found.total).to.equal(2);
+      expect(matches(found)).to.deep.equal(['whale', 'whale']);
+    });
+
+    it('should scroll and search at once after the front matter is shown', async () => {
+      const worker = await startWorker(BOOK);
+      await worker.indexed();
+
+      // Sent together, before the text shown is drawn
+      worker.send({ type: MESSAGES.SHOW_FRONT_MATTER, show: true });
+      const scrolled = worker.request({ type: MESSAGES.SCROLL, scrollDelta: 20 });
+      const scrolledBy = worker.request({
+        type: MESSAGES.SCROLL_BY,
+        amount: 1,
+        unit: SCROLL_UNITS.LINE,
+      });
+      const found = worker.request({ type: MESSAGES.SEARCH, searchText: 'Moby' });
+
+      await scrolled;
+      await scrolledBy;
+      // The header and the start and end markers
+      expect((await found).total).to.equal(3);
+      expect(worker.events(WORKER_EVENTS.ERROR)).to.deep.equal([]);
+      await worker.indexed(2);
+    });
+
+    describe('when the font changes', () => {
+      const FONT = {
+        font: 'normal normal normal 15px Georgia',
+        size: 15,
+        lineHeight: 1.25,
+        baseline: 'top',
+        align: 'left',
+        fillStyle: 'black',
+        strokeStyle: 'black',
+      };
+      // 600 pixels of 37.5 pixel rows
+      const ROWS = 16;
+
+      /**
+       * Starts the worker on LINES and scrolls so that line 40 is at the top.
+       * @returns {Promise<Object>} The worker, with the source lines last posted with VISIBLE_TEXT
+       */
+      const startScrolled = async () => {
+        const worker = await startWorker(LINES, FONT);
+        const visible = () => worker.events(WORKER_EVENTS.VISIBLE_TEXT).at(-1).lines;
+        await worker.request({ type: MESSAGES.SCROLL, scrollDelta: 39 * 15 * 1.25 });
+        expect(visible()[0].lineNum).to.equal(40);
+        return { ...worker, visible };
+      };
+
+      it('should wrap the rows anew for another font and keep the top line', async () => {
+        const worker = await startScrolled();
+
+        await worker.request({
+          type: MESSAGES.UPDATE,
+          ...FONT,
+          font: 'normal normal normal 30px Georgia',
+          size: 30,
+        });
+
+        // Each line of about 70 characters takes two rows at 14 pixels a character
+        expect(worker.visible().map(({ lineNum }) => lineNum)).to.deep.equal([
+          40, 41, 42, 43, 44, 45, 46, 47,
+        ]);
+      });
+
+      it('should only change the row height for another size or line height', async () => {
+        const worker = await startScrolled();
+
+        await worker.request({ type: MESSAGES.UPDATE, ...FONT, size: 20, lineHeight: 1.875 });
+
+        expect(worker.visible()).to.have.lengthOf(ROWS);
+        expect(worker.visible()[0].lineNum).to.equal(40);
+        // The scrollbar measures the text in the new row height, so its end can be reached
+        await worker.request({ type: MESSAGES.SCROLL, scrollDelta: 100 * 37.5 });
+        expect(worker.visible().at(-1).lineNum).to.equal(100);
+      });
+
+      it('should keep the search hits', async () => {
+        const worker = await startScrolled();
+        const found = await worker.request({ type: MESSAGES.SEARCH, searchText: 'whale' });
+        expect(found.total).to.equal(10);
+
+        await worker.request({
+          type: MESSAGES.UPDATE,
+          ...FONT,
+          font: 'normal normal normal 30px Georgia',
+          size: 30,
+        });
+
+        expect(await worker.request({ type: MESSAGES.GOTO_MATCH, index: 5 })).to.include({
+          current: 6,
+          total: 10,
+        });
+        expect(worker.visible().map(({ lineNum }) => lineNum)).to.include(51);
+      });
+    });
+
+    it('should index the text shown again when the front matter is shown', async () => {
+      const worker = await startWorker(BOOK);
+      await worker.indexed();
+      const hidden = await worker.request({ type: MESSAGES.EXPORT_INDEX });
+
+      worker.send({ type: MESSAGES.SHOW_FRONT_MATTER, show: true });
+
+      expect(await worker.indexAtReady(2)).to.be.null;
+      await worker.indexed(2);
+      const shown = await worker.request({ type: MESSAGES.EXPORT_INDEX });
+      expect(shown.length).to.equal(BOOK.length);
+      expect(shown.length).to.be.above(hidden.length);
+    });
+
+    it('should keep the hits and their source lines when lines are reflowed', async () => {
+      const worker = await startWorker(WRAPPED);
+      const lineNums = ({ hits }) => hits.map(({ lineNum }) => lineNum);
+      // A regular expression is scanned in time-sliced steps rather than looked up
+      const search = { type: MESSAGES.SEARCH, searchText: 'wh?ale', options: { regex: true } };
+
+      const split = await worker.request(search);
+      expect(lineNums(split)).to.deep.equal([4, 7]);
+
+      worker.send({ type: MESSAGES.SET_REFLOW, reflow: true });
+      const joined = await worker.request({ ...search, searchText: 'wha?le' });
+      expect(lineNums(joined)).to.deep.equal([4, 7]);
+      expect(matches(joined)).to.deep.equal(['whale', 'whale']);
+      expect(await worker.request({ type: MESSAGES.GOTO_MATCH, index: 1 })).to.include({
+        current: 2,
+        total: 2,
+      });
+
+      worker.send({ type: MESSAGES.SET_REFLOW, reflow: false });
+      expect(lineNums(await worker.request(search))).to.deep.equal([4, 7]);
+    });
+  });
+
   describe('Worker file existence', () => {
     it('should have worker file at expected location', async () => {
       const { default: fs } = await import('node:fs');
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Streaming text download for the reader worker.
+ * Reads a response body chunk by chunk so download progress can be reported while a book loads.
+ */
+
+/**
+ * Download progress report.
+ * @typedef {Object} FetchProgress
+ * @property {number} bytesReceived - Bytes received so far
+ * @property {number|null} totalBytes - Expected size from Content-Length, or null if unknown
+ */
+
+/**
+ * Fetches a URL as text, reporting progress as the body streams in.
+ * Non-2xx responses reject with an Error carrying the HTTP `status` and `statusText`, so callers
+ * can tell a failing mirror apart from a network error (which has no status).
+ *
+ * @param {string} url - URL to fetch
+ * @param {function(FetchProgress): void} [onProgress] - Called after each received chunk
+ * @returns {Promise<string>} Resolves with the decoded text
+ *
+ * @example
+ * const text = await fetchText('/api/book-text?url=...', ({ bytesReceived, totalBytes }) => {
+ *   console.log(`${bytesReceived} of ${totalBytes ?? '?'} bytes`);
+ * });
+ */
+export const fetchText = async (url, onProgress = () => undefined) => {
+  const res = await fetch(url);
+  if (!res.ok) {
+    const err = new Error(`HTTP ${res.status}${res.statusText ? `: ${res.statusText}` : ''}`);
+    err.status = res.status;
+    err.statusText = res.statusText;
+    throw err;
+  }
+
+  const length = Number(res.headers?.get('content-length'));
+  const totalBytes = length > 0 ? length : null;
+
+  if (!res.body?.getReader) {
+    const text = await res.text();
+    onProgress({ bytesReceived: text.length, totalBytes });
+    return text;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let bytesReceived = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytesReceived += value.byteLength;
+    chunks.push(decoder.decode(value, { stream: true }));
+    onProgress({ bytesReceived, totalBytes });
+  }
+  chunks.push(decoder.decode());
+  return chunks.join('');
+};
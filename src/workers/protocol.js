@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Message protocol between the main thread and the reader worker.
+ * Validates messages against per-type schemas on both sides, correlates requests with
+ * replies through request ids, and carries worker-originated events back to the main thread.
+ */
+
+import { MESSAGES, WORKER_EVENTS } from '../constants/constants.js';
+
+/**
+ * Envelope types for messages posted by the worker.
+ * @typedef {Object} Envelopes
+ * @property {string} REPLY - Reply to a request, carrying either a result or an error
+ * @property {string} EVENT - Worker-originated event (see WORKER_EVENTS)
+ */
+export const ENVELOPES = {
+  REPLY: 'REPLY',
+  EVENT: 'EVENT',
+};
+
+/**
+ * Field schemas for each message type sent to the worker.
+ * Each field maps to a `typeof` name; a trailing `?` marks the field as optional.
+ * Fields not listed are allowed and passed through untouched.
+ * @type {Object.<string, Object.<string, string>>}
+ */
+export const MESSAGE_SCHEMAS = {
+  [MESSAGES.INIT]: {
+    route: 'string',
+    canvas: 'object',
+    width: 'number',
+    height: 'number',
+    ratio: 'number',
+    font: 'string',
+    size: 'number',
+    lineHeight: 'number',
+    searchIndex: 'object?',
+    showFrontMatter: 'boolean?',
+    reflow: 'boolean?',
+    format: 'string?',
+  },
+  [MESSAGES.KILL]: {},
+  [MESSAGES.SCROLL]: { scrollDelta: 'number' },
+  [MESSAGES.UPDATE]: {
+    font: 'string',
+    size: 'number',
+    lineHeight: 'number',
+    baseline: 'string?',
+    align: 'string?',
+    fillStyle: 'string?',
+    strokeStyle: 'string?',
+  },
+  [MESSAGES.SEARCH]: {
+    searchText: 'string',
+    options: 'object?',
+    mode: 'string?',
+    contextLines: 'number|string?',
+  },
+  [MESSAGES.MOUSE_DOWN]: { x: 'number', y: 'number', detail: 'number?' },
+  [MESSAGES.MOUSE_UP]: { x: 'number', y: 'number' },
+  [MESSAGES.MOUSE_MOVE]: { x: 'number', y: 'number' },
+  [MESSAGES.RESIZE]: { width: 'number', height: 'number', ratio: 'number?' },
+  [MESSAGES.RETRY]: {},
+  [MESSAGES.NEXT_MATCH]: {},
+  [MESSAGES.PREV_MATCH]: {},
+  [MESSAGES.GOTO_MATCH]: { index: 'number' },
+  [MESSAGES.EXPORT_INDEX]: {},
+  [MESSAGES.HIGHLIGHT_TERMS]: { highlights: 'object' },
+  [MESSAGES.SET_ANNOTATIONS]: { annotations: 'object' },
+  [MESSAGES.GOTO_ANNOTATION]: { annotationId: 'string' },
+  [MESSAGES.GET_SELECTION]: {},
+  [MESSAGES.SCROLL_BY]: { amount: 'number', unit: 'string' },
+  [MESSAGES.SHOW_FRONT_MATTER]: { show: 'boolean' },
+  [MESSAGES.SET_REFLOW]: { reflow: 'boolean' },
+  [MESSAGES.GOTO_SECTION]: { section: 'number' },
+};
+
+/**
+ * Checks a value against a schema type such as 'number', 'string?' or 'number|string'.
+ *
+ * @param {*} value - Value to check
+ * @param {string} spec - typeof names separated by '|', optionally suffixed with '?'
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+const matchesType = (value, spec) => {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined) return optional;
+  return type
+    .split('|')
+    .some((name) =>
+      name === 'object' ? typeof value === 'object' && value !== null : typeof value === name
+    );
+};
+
+/**
+ * Validates a message sent to the worker against its schema.
+ *
+ * @param {Object} message - Message object with a `type` and the type's fields
+ * @returns {string|null} A description of the problem, or null if the message is valid
+ *
+ * @example
+ * validateMessage({ type: MESSAGES.SEARCH, searchText: 'whale' }); // null
+ * validateMessage({ type: MESSAGES.SEARCH }); // 'SEARCH: "searchText" must be of type string'
+ * validateMessage({ type: 'kill' }); // 'Unknown message type "kill"'
+ */
+export const validateMessage = (message) => {
+  if (!message || typeof message !== 'object') return 'Message must be an object';
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) return `Unknown message type "${message.type}"`;
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!matchesType(message[field], spec)) {
+      return `${message.type}: "${field}" must be of type ${spec.replace('?', '')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Creates an event envelope to post from the worker.
+ *
+ * @param {string} event - Event name from WORKER_EVENTS
+ * @param {Object} [payload={}] - Event data
+ * @returns {{type: string, event: string, payload: Object}} Event envelope
+ */
+export const createEvent = (event, payload = {}) => ({ type: ENVELOPES.EVENT, event, payload });
+
+/**
+ * Creates the worker's `onmessage` handler from a map of message type to handler function.
+ * Incoming messages are validated before dispatch. A handler may return a value or a promise;
+ * if the message carried an `id`, the result (or the error) is posted back as a REPLY.
+ * Invalid messages and failures of messages without an id are reported as an ERROR event
+ * carrying the type of the message that failed.
+ *
+ * @param {DedicatedWorkerGlobalScope} scope - Worker scope used to post replies and events
+ * @param {Object.<string, Function>} handlers - Handlers keyed by message type, called with the message
+ * @returns {Function} Message event listener to assign to `self.onmessage`
+ *
+ * @example
+ * self.onmessage = createMessageHandler(self, {
+ *   [MESSAGES.SEARCH]: ({ searchText }) => runSearch(searchText),
+ * });
+ */
+export const createMessageHandler = (scope, handlers) => {
+  const fail = (id, type, message) => {
+    if (id !== undefined) {
+      scope.postMessage({ type: ENVELOPES.REPLY, id, error: { message } });
+    } else {
+      scope.postMessage(createEvent(WORKER_EVENTS.ERROR, { message, type }));
+    }
+  };
+
+  return (evt) => {
+    const message = evt.data;
+    const id = message?.id;
+    const problem = validateMessage(message);
+    const handler = handlers[message?.type];
+    if (problem || !handler) {
+      fail(id, message?.type, problem || `No handler for message type "${message.type}"`);
+      return;
+    }
+    Promise.resolve()
+      .then(() => handler(message))
+      .then(
+        (result) => {
+          if (id !== undefined) scope.postMessage({ type: ENVELOPES.REPLY, id, result });
+        },
+        (err) => fail(id, message.type, err?.message || String(err))
+      );
+  };
+};
+
+/**
+ * Main-thread client for the reader worker.
+ * @typedef {Object} ReaderClient
+ * @property {Function} request - Send a message and resolve with the worker's reply
+ * @property {Function} post - Send a message without waiting for a reply
+ * @property {Function} on - Subscribe to a worker event, returns an unsubscribe function
+ * @property {Function} init - Send INIT with the canvas to transfer
+ * @property {Function} search - Search the text with optional SearchOptions, a SEARCH_MODES mode
+ *   and context lines, resolves with the search term and its SearchSummary once the search is
+ *   complete, or with `{searchText, cancelled: true}` if a newer search replaced it
+ * @property {Function} nextMatch - Move to the next hit, resolves with `{current, total}`
+ * @property {Function} prevMatch - Move to the previous hit, resolves with `{current, total}`
+ * @property {Function} gotoMatch - Move to a hit by its position, resolves with
+ *   `{current, total}`
+ * @property {Function} exportIndex - Resolves with the full-text search index as plain data
+ *   (a SerializedIndex), or null while it is being built
+ * @property {Function} highlightTerms - Set the terms that stay highlighted, resolves with the
+ *   number of hits of each
+ * @property {Function} setAnnotations - Set the annotations drawn beneath the text, resolves
+ *   with where each was found
+ * @property {Function} gotoAnnotation - Scroll to an annotation by its id
+ * @property {Function} getSelection - Resolves with the selected source text, empty if none
+ * @property {Function} scroll - Scroll by a delta in pixels
+ * @property {Function} scrollBy - Scroll by a number of SCROLL_UNITS
+ * @property {Function} showFrontMatter - Show or hide the Project Gutenberg header and footer
+ * @property {Function} setReflow - Join hard-wrapped lines into paragraphs, or stop joining them
+ * @property {Function} gotoSection - Scroll to a section by its position in the table of contents
+ * @property {Function} update - Update font properties
+ * @property {Function} resize - Resize the canvas
+ * @property {Function} retry - Fetch the book again after a failed load
+ * @property {Function} kill - Tell the worker to shut down
+ * @property {Function} dispose - Detach from the worker and reject pending requests
+ */
+
+/**
+ * Creates a client that talks to the reader worker through the message protocol.
+ * Outgoing messages are validated before they are posted, so mistakes surface on the main
+ * thread; requests get an id and a promise settled by the matching REPLY.
+ *
+ * @param {Worker} worker - Reader worker instance
+ * @returns {ReaderClient} Client bound to the worker
+ *
+ * @example
+ * const reader = createReaderClient(worker);
+ * reader.on(WORKER_EVENTS.READY, ({ lines }) => console.log(`${lines} rows`));
+ * const { total } = await reader.search('whale');
+ */
+export const createReaderClient = (worker) => {
+  let nextId = 1;
+  const pending = new Map();
+  const listeners = new Map();
+
+  worker.onmessage = (evt) => {
+    const message = evt.data;
+    if (message?.type === ENVELOPES.REPLY && pending.has(message.id)) {
+      const { resolve, reject } = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) {
+        reject(new Error(message.error.message));
+      } else {
+        resolve(message.result);
+      }
+    } else if (message?.type === ENVELOPES.EVENT) {
+      for (const handler of listeners.get(message.event) || []) {
+        handler(message.payload);
+      }
+    }
+  };
+
+  /**
+   * Validates and posts a message.
+   * @param {Object} message - Message with type and fields
+   * @param {Transferable[]} transfer - Objects to transfer
+   * @throws {Error} If the message does not match its schema
+   */
+  const send = (message, transfer) => {
+    const problem = validateMessage(message);
+    if (problem) throw new Error(problem);
+    worker.postMessage(message, transfer);
+  };
+
+  const client = {
+    /**
+     * Sends a message and waits for the worker's reply.
+     * @param {string} type - Message type from MESSAGES
+     * @param {Object} [payload={}] - Message fields
+     * @param {Transferable[]} [transfer=[]] - Objects to transfer
+     * @returns {Promise<*>} Resolves with the handler's result, rejects with its error
+     */
+    request(type, payload = {}, transfer = []) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        try {
+          send({ ...payload, type, id }, transfer);
+        } catch (err) {
+          pending.delete(id);
+          reject(err);
+        }
+      });
+    },
+
+    /**
+     * Sends a message without waiting for a reply.
+     * @param {string} type - Message type from MESSAGES
+     * @param {Object} [payload={}] - Message fields
+     * @param {Transferable[]} [transfer=[]] - Objects to transfer
+     * @throws {Error} If the message does not match its schema
+     */
+    post(type, payload = {}, transfer = []) {
+      send({ ...payload, type }, transfer);
+    },
+
+    /**
+     * Subscribes to a worker event.
+     * @param {string} event - Event name from WORKER_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      const set = listeners.get(event) || new Set();
+      set.add(handler);
+      listeners.set(event, set);
+      return () => set.delete(handler);
+    },
+
+    init: (config, transfer) => client.request(MESSAGES.INIT, config, transfer),
+    search: (searchText, options, mode, contextLines) =>
+      client.request(MESSAGES.SEARCH, { searchText, options, mode, contextLines }),
+    nextMatch: () => client.request(MESSAGES.NEXT_MATCH),
+    prevMatch: () => client.request(MESSAGES.PREV_MATCH),
+    gotoMatch: (index) => client.request(MESSAGES.GOTO_MATCH, { index }),
+    exportIndex: () => client.request(MESSAGES.EXPORT_INDEX),
+    highlightTerms: (highlights) => client.request(MESSAGES.HIGHLIGHT_TERMS, { highlights }),
+    setAnnotations: (annotations) => client.request(MESSAGES.SET_ANNOTATIONS, { annotations }),
+    gotoAnnotation: (annotationId) => client.request(MESSAGES.GOTO_ANNOTATION, { annotationId }),
+    getSelection: () => client.request(MESSAGES.GET_SELECTION),
+    scroll: (scrollDelta) => client.request(MESSAGES.SCROLL, { scrollDelta }),
+    scrollBy: (amount, unit) => client.request(MESSAGES.SCROLL_BY, { amount, unit }),
+    showFrontMatter: (show) => client.request(MESSAGES.SHOW_FRONT_MATTER, { show }),
+    setReflow: (reflow) => client.request(MESSAGES.SET_REFLOW, { reflow }),
+    gotoSection: (section) => client.request(MESSAGES.GOTO_SECTION, { section }),
+    update: (fontProps) => client.request(MESSAGES.UPDATE, fontProps),
+    resize: (dims) => client.request(MESSAGES.RESIZE, dims),
+    retry: () => client.request(MESSAGES.RETRY),
+    kill: () => client.post(MESSAGES.KILL),
+
+    /**
+     * Detaches from the worker and rejects all pending requests.
+     */
+    dispose() {
+      worker.onmessage = null;
+      for (const { reject } of pending.values()) {
+        reject(new Error('Reader worker was disposed'));
+      }
+      pending.clear();
+      listeners.clear();
+    },
+  };
+
+  return client;
+};
@@ -4,21 +4,38 @@
  * to maintain UI responsiveness. Uses offscreen canvas for drawing.
  */
 
-import { MESSAGES } from '../constants/constants.js';
 import {
-  joinLines,
+  BOOK_FORMATS,
+  HIGHLIGHT_COLORS,
+  MESSAGES,
+  SCROLL_UNITS,
+  SEARCH_MODES,
+  WORKER_EVENTS,
+} from '../constants/constants.js';
+import { createAnchor, resolveAnchor } from '../utils/annotations.js';
+import { layoutBlocks } from '../utils/blocks.js';
+import { findChapters } from '../utils/chapters.js';
+import { normalizeBook } from '../utils/gutenberg.js';
+import {
+  createInvertedIndexBuilder,
+  restoreInvertedIndex,
+  searchInvertedIndex,
+} from '../utils/inverted-index.js';
+import { createMatcher, createSearchScan, hitsInRange } from '../utils/matcher.js';
+import { createParagraphIndex, quickIndexSearch } from '../utils/paragraph-index.js';
+import {
+  createLruCache,
+  findRowByOffset,
+  lineRangeAt,
   measureWordSet,
-  memo,
-  quickStringSearch,
-  quickStringSearchWithNumbers,
-  reduceLines,
-  reduceLinesWithNumbers,
-  splitLines,
+  memoByKey,
+  visibleLines,
+  wordRangeAt,
 } from '../utils/reader-utils.js';
 import { setupScrollBar } from '../utils/scrollbar.js';
-
-/** @constant {boolean} Whether to search by paragraphs (true) or by wrapped lines (false) */
-const SEARCH_PARAGRAPHS = false;
+import { summarizeSearch } from '../utils/search-summary.js';
+import { fetchText } from './fetch-text.js';
+import { createEvent, createMessageHandler } from './protocol.js';
 
 /** Canvas 2D rendering context @type {CanvasRenderingContext2D|null} */
 let ctx;
@@ -30,6 +47,24 @@ let height;
 let ratio;
 /** Current search query text @type {string} */
 let searchText = '';
+/** Matcher for the current search @type {Matcher} */
+let matcher = createMatcher(searchText);
+/** Hits of the current search as offsets into rawContent, in text order @type {MatchRange[]} */
+let searchHits = [];
+/** How search results are shown, one of SEARCH_MODES @type {string} */
+let searchMode = SEARCH_MODES.FILTER;
+/** Rows of context around each hit in filter mode, or 'paragraph' @type {number|string} */
+let contextLines = 1;
+/** Whether searchHits holds every hit, or the search is still running @type {boolean} */
+let searchComplete = true;
+/** Search, mode and context the view was last set up for @type {string} */
+let appliedSearchKey = '';
+/** Offset a navigate mode search looks for its first hit from @type {number} */
+let searchAnchor = 0;
+/** Number of the latest search run; older runs stop when they see it changed @type {number} */
+let searchRun = 0;
+/** Index into searchHits of the current hit, -1 for none @type {number} */
+let currentHit = -1;
 /** Memoized search function @type {Function|null} */
 let searcher;
 /** Function to measure text width @type {Function|null} */
@@ -40,123 +75,650 @@ let lineHeight = 1.1;
 let fillStyle;
 /** Font size in pixels @type {number} */
 let size = 15;
+/** Last font property configuration, re-applied when the canvas is resized @type {Object} */
+let fontProps = {};
+/** Font of chapter headings, derived from the text font @type {string} */
+let headingFont = '';
+/** Fonts of emphasised text by the font they emphasise and their style @type {Map<string, string>} */
+const styledFonts = new Map();
+/** URL the book text is fetched from @type {string} */
+let route;
+/** Format of the content at route, one of BOOK_FORMATS @type {string} */
+let format = BOOK_FORMATS.TEXT;
 /** Raw text content from the book file @type {string} */
 let rawContent;
-/** Content split into paragraphs @type {string[]} */
-let paragraphs = [];
-/** Current lines to display (filtered by search if active) @type {Array<{text: string, lineNum: number}>} */
+/** Error from the last failed load, cleared when loading again @type {Error|null} */
+let loadError = null;
+/** Lines shown while searching (the full text comes from the index) @type {LineRow[]} */
 let lines = [];
-/** All lines wrapped to canvas width @type {Array<{text: string, lineNum: number}>} */
-let linesRaw = [];
+/**
+ * The book as fetched, split into its text and Project Gutenberg boilerplate. Books in the block
+ * model also have the emphasis, sections and heading offsets of their content.
+ * @type {(NormalizedBook & {content: string, styles?: TextStyle[], sections?: Object[],
+ *   headings?: number[]})|null}
+ */
+let book = null;
+/** Whether the Project Gutenberg header and footer are shown around the book @type {boolean} */
+let showFrontMatter = false;
+/** Whether hard-wrapped lines are joined into paragraphs @type {boolean} */
+let reflowLines = false;
+/** Source paragraphs of the book, wrapped on demand @type {ParagraphIndex|null} */
+let index = null;
+/** Chapter and section headings of the book, its table of contents @type {Chapter[]} */
+let chapters = [];
+/** Source line numbers of the chapter headings @type {Set<number>} */
+let headingLines = new Set();
+/** Emphasised ranges of rawContent, in text order @type {TextStyle[]} */
+let styles = [];
+/** Terms kept highlighted whatever the search, as sent with HIGHLIGHT_TERMS @type {Object[]} */
+let highlightTerms = [];
+/**
+ * Matchers, colours and hits of highlightTerms in rawContent
+ * @type {Array<{matcher: Matcher, color: string, hits: MatchRange[]}>}
+ */
+let highlights = [];
+/** Highlights and notes as sent with SET_ANNOTATIONS @type {Annotation[]} */
+let annotations = [];
+/**
+ * Annotations found in rawContent, with their colours and offsets
+ * @type {Array<{id: string, color: string, start: number, end: number}>}
+ */
+let annotationRanges = [];
+/** Text selected on the canvas, as offsets where the drag started and is now @type {Object|null} */
+let selection = null;
+/**
+ * Selection being made with the mouse: the range first pressed on and whether it was a single,
+ * double (word) or triple (line) click, which the drag then extends by. Null when not dragging.
+ * @type {{origin: MatchRange, clicks: number}|null}
+ */
+let selecting = null;
+/** Full-text index of the book, null until it is built @type {InvertedIndex|null} */
+let fullTextIndex = null;
+/** Serialized index sent with INIT, restored instead of building one @type {Object|null} */
+let savedIndex = null;
 /** Scrollbar instance @type {Object|null} */
 let scrollBar;
+/** Source line number last reported with POSITION_CHANGED @type {number|undefined} */
+let reportedLineNum;
+/** Offsets of the rows last reported with VISIBLE_TEXT, to post only changes @type {string} */
+let reportedRowsKey = '';
 /** Width reserved for line numbers on the right side @type {number} */
 const LINE_NUMBER_WIDTH = 60;
 /** Margin between text and line numbers @type {number} */
 const LINE_NUMBER_MARGIN = 10;
+/** Highlight colour of search hits @type {string} */
+const HIT_COLOR = '#ffeb3b';
+/** Highlight colours of the terms of a query search, repeating after the last @type {string[]} */
+const TERM_HIT_COLORS = [HIT_COLOR, '#80deea', '#a5d6a7', '#f48fb1', '#ce93d8', '#ffcc80'];
+/** Colour laid over selected text @type {string} */
+const SELECTION_COLOR = 'rgba(66, 133, 244, 0.3)';
+/** Highlight colour of the current search hit @type {string} */
+const CURRENT_HIT_COLOR = '#ff9800';
+/** Size of chapter headings relative to the text, as far as the row height allows @type {number} */
+const HEADING_SCALE = 1.25;
+/** Size of footnote references relative to the text around them @type {number} */
+const NOTE_SCALE = 0.75;
+/** Rows wrapped below the canvas so that short scrolls find them ready @type {number} */
+const WRAP_BUFFER_ROWS = 20;
+/** Milliseconds a search runs before it yields to other messages @type {number} */
+const SEARCH_SLICE_MS = 10;
+/**
+ * Hits of the most recent complete searches in the text shown, keyed by matcher key.
+ * @type {LruCache}
+ */
+const hitCache = createLruCache(8);
+/** Milliseconds the full-text index is built before it yields to other messages @type {number} */
+const INDEX_SLICE_MS = 20;
 
 /**
- * Updates the search filter and rebuilds the visible lines array.
- * If searching by paragraphs, re-wraps matched paragraphs to lines.
- * If searching by lines, filters the wrapped lines directly while preserving line numbers.
+ * Posts a worker event to the main thread.
  *
- * @param {string} txt - Search query text (empty string shows all content)
+ * @param {string} event - Event name from WORKER_EVENTS
+ * @param {Object} [payload] - Event data
  */
-const updateSearch = (txt) => {
-  searchText = txt;
+const emit = (event, payload) => {
+  self.postMessage(createEvent(event, payload));
+};
 
-  if (SEARCH_PARAGRAPHS) {
-    if (searchText) {
-      const { results } = joinLines(searcher ? searcher(searchText) : paragraphs);
-      linesRaw = results;
-      lines = reduceLines(measureFn, width - LINE_NUMBER_WIDTH - LINE_NUMBER_MARGIN - 5, linesRaw);
-    } else {
-      lines = paragraphs;
-    }
-  } else if (searchText && searcher) {
-    // Get filtered results with line numbers preserved
-    const { results } = searcher(searchText);
-    lines = results;
+/**
+ * Whether the canvas shows the whole book from the paragraph index rather than a list of lines.
+ *
+ * @returns {boolean} True when not searching, or when searching in navigate mode
+ */
+const showsFullText = () => !searchText || searchMode === SEARCH_MODES.NAVIGATE;
+
+/**
+ * Returns the number of rows in the current view.
+ * For the full text this is the index's row count, which is estimated for paragraphs that
+ * have not been wrapped yet.
+ *
+ * @returns {number} Row count
+ */
+const rowCount = () => (showsFullText() ? index.totalRows() : lines.length);
+
+/**
+ * Returns rows of the current view, wrapping paragraphs of the full text as needed.
+ *
+ * @param {number} first - Index of the first row
+ * @param {number} count - Maximum number of rows
+ * @returns {LineRow[]} Rows from first on
+ */
+const getRows = (first, count) =>
+  showsFullText() ? index.rowsAt(first, count) : lines.slice(Math.max(first, 0), first + count);
+
+/**
+ * Shows the hits of a search and rebuilds the visible lines array.
+ * In filter mode the rows the hits fall on are kept with their line numbers, grouped into hunks
+ * under separator rows, either with contextLines rows of context or as whole paragraphs, and a
+ * new search starts the view at the top. In navigate mode the full text stays visible and a new
+ * search makes the first hit at or after the top of the canvas current and scrolls it to the
+ * middle.
+ * While a search is still running this is called again with more hits each time; the view only
+ * moves when the search, its mode or its context changed, or when the hit to make current has
+ * just been found.
+ *
+ * @param {Matcher} next - Matcher for the search term and options (an empty term shows all
+ *   content)
+ * @param {string} [mode=searchMode] - One of SEARCH_MODES
+ * @param {MatchRange[]} [hits=searchHits] - Hits of the search found so far
+ * @param {boolean} [complete=searchComplete] - Whether the hits are all the hits of the search
+ * @returns {void}
+ */
+const updateSearch = (next, mode = searchMode, hits = searchHits, complete = searchComplete) => {
+  const anchor = getTopOffset();
+  const key = `${next.key}|${mode}|${contextLines}`;
+  const changed = key !== appliedSearchKey;
+  appliedSearchKey = key;
+  matcher = next;
+  searchText = next.searchText;
+  searchMode = mode;
+  searchHits = searchText ? hits : [];
+  searchComplete = complete;
+
+  if (searchText && index && searchMode !== SEARCH_MODES.NAVIGATE) {
+    // Results are cached once the search is complete; partial results are shown as they come
+    const found = complete
+      ? searcher(matcher, searchHits)
+      : quickIndexSearch(index, { contextLines })(matcher, searchHits);
+    lines = found.results;
   } else {
-    // Show all lines with their numbers
-    lines = linesRaw;
+    // The full text is read from the paragraph index
+    lines = [];
   }
 
-  if (scrollBar) {
-    scrollBar.setTextHeight(size * lineHeight * lines.length);
-    scrollBar.setScrollOffset(0);
+  if (changed) {
+    currentHit = -1;
+    searchAnchor = anchor ?? 0;
+  }
+  let foundCurrent = false;
+  if (searchMode === SEARCH_MODES.NAVIGATE && currentHit < 0 && searchHits.length) {
+    const after = searchHits.findIndex((hit) => hit.start >= searchAnchor);
+    // Wrap around to the first hit only once no hit after the anchor can turn up
+    if (after >= 0 || complete) {
+      currentHit = Math.max(after, 0);
+      foundCurrent = true;
+    }
+  }
+
+  if (scrollBar && index) {
+    scrollBar.setTextHeight(size * lineHeight * rowCount());
+    if (foundCurrent) {
+      scrollToHit(currentHit);
+    } else if (changed && searchMode === SEARCH_MODES.NAVIGATE) {
+      scrollToOffset(anchor);
+    } else if (changed) {
+      scrollBar.setScrollOffset(0);
+    }
+  }
+};
+
+/**
+ * Runs a search in time-sliced chunks, showing the hits found so far after each slice.
+ * A newer search cancels this one: the next slice sees that it is out of date and stops. The
+ * hits of complete searches are cached, so going back to an earlier search (e.g. deleting a
+ * typed letter) shows its results at once. Once the full-text index is built, searches it can
+ * answer are looked up instead of scanned.
+ *
+ * @param {Matcher} next - Matcher for the search term and options
+ * @param {string} mode - One of SEARCH_MODES
+ * @returns {Promise<Object>} Resolves with the search term and its SearchSummary once the search
+ *   is complete, or with `{searchText, cancelled: true}` if a newer search replaced it
+ */
+const runSearch = (next, mode) => {
+  const run = ++searchRun;
+  let found = next.searchText ? hitCache.get(next.key) : [];
+  if (!found && fullTextIndex) {
+    found = searchInvertedIndex(fullTextIndex, next);
+    if (found) hitCache.set(next.key, found);
+  }
+  if (found || !index) {
+    updateSearch(next, mode, found || [], true);
+    return Promise.resolve(finishSearch());
+  }
+
+  const scan = createSearchScan(next, index.text);
+  return new Promise((resolve) => {
+    const slice = () => {
+      if (run !== searchRun) {
+        resolve({ searchText: next.searchText, cancelled: true });
+        return;
+      }
+      const deadline = performance.now() + SEARCH_SLICE_MS;
+      const done = scan.scanUntil(() => performance.now() > deadline);
+      if (done) hitCache.set(next.key, scan.hits);
+      updateSearch(next, mode, scan.hits, done);
+      if (done) {
+        resolve(finishSearch());
+        return;
+      }
+      updateCanvas();
+      emit(WORKER_EVENTS.MATCH_CHANGED, matchStatus());
+      setTimeout(slice, 0);
+    };
+    slice();
+  });
+};
+
+/**
+ * Finds every hit of a matcher in the book, from the hit cache or the full-text index when they
+ * have them, and caches the result.
+ *
+ * @param {Matcher} next - Matcher to find
+ * @returns {MatchRange[]} Hits in text order
+ */
+const findAllHits = (next) => {
+  let found = hitCache.get(next.key);
+  if (!found) {
+    found = (fullTextIndex && searchInvertedIndex(fullTextIndex, next)) || next.findAll(rawContent);
+    hitCache.set(next.key, found);
+  }
+  return found;
+};
+
+/**
+ * Compiles highlight terms and finds their hits in the book. Terms without a colour take the
+ * next of HIGHLIGHT_COLORS. Before the book has loaded the terms are kept and found once it is.
+ *
+ * @param {Array<{term: string, color?: string, options?: SearchOptions}>} terms - Terms to
+ *   highlight
+ * @returns {Array<{term: string, color: string, total: number}>} Each term with its colour and
+ *   number of hits
+ * @throws {Error} If the list is malformed or a term is an invalid regular expression
+ */
+const setHighlights = (terms) => {
+  if (!Array.isArray(terms)) throw new Error('Highlights must be a list of terms');
+  const next = terms.map(({ term, color, options } = {}, i) => {
+    if (typeof term !== 'string' || (color !== undefined && typeof color !== 'string')) {
+      throw new Error(`Invalid highlight at position ${i}`);
+    }
+    return {
+      matcher: createMatcher(term, options),
+      color: color ?? HIGHLIGHT_COLORS[i % HIGHLIGHT_COLORS.length],
+      hits: [],
+    };
+  });
+  highlightTerms = terms;
+  highlights = next;
+  if (rawContent !== undefined) {
+    for (const highlight of highlights) highlight.hits = findAllHits(highlight.matcher);
+  }
+  return highlights.map(({ matcher: { searchText }, color, hits }) => ({
+    term: searchText,
+    color,
+    total: hits.length,
+  }));
+};
+
+/**
+ * Draws the results of a complete search and reports them to the main thread.
+ *
+ * @returns {Object} The search term and its SearchSummary
+ */
+const finishSearch = () => {
+  updateCanvas();
+  emit(WORKER_EVENTS.MATCH_CHANGED, matchStatus());
+  return { searchText, ...emitSearchResults() };
+};
+
+/**
+ * Returns the position of the current hit among all hits, as reported to the main thread.
+ *
+ * @returns {{current: number, total: number, complete: boolean}} 1-based current hit (0 for
+ *   none), hit count so far and whether the search has finished
+ */
+const matchStatus = () => ({
+  current: currentHit + 1,
+  total: searchHits.length,
+  complete: searchComplete,
+});
+
+/**
+ * Scrolls so that the row containing a character offset is in the middle of the canvas.
+ *
+ * @param {number} offset - Offset into rawContent
+ * @returns {void}
+ */
+const centerOffset = (offset) => {
+  const rowHeight = size * lineHeight;
+  const row = showsFullText() ? index.rowOfOffset(offset) : findRowByOffset(lines, offset);
+  scrollBar.setTextHeight(rowHeight * rowCount());
+  scrollBar.scrollToPosition(row * rowHeight - (height - rowHeight) / 2);
+};
+
+/**
+ * Scrolls so that a search hit is in the middle of the canvas.
+ *
+ * @param {number} hitIndex - Index into searchHits
+ * @returns {void}
+ */
+const scrollToHit = (hitIndex) => centerOffset(searchHits[hitIndex].start);
+
+/**
+ * Posts SEARCH_RESULTS with the hit count, the first hits with their positions and snippets,
+ * and the hits per chapter of the current search.
+ *
+ * @returns {SearchSummary} The summary that was posted
+ */
+const emitSearchResults = () => {
+  const summary = summarizeSearch(index, searchHits, chapters);
+  emit(WORKER_EVENTS.SEARCH_RESULTS, summary);
+  return summary;
+};
+
+/**
+ * Makes the next or previous hit current, wrapping around at either end, and scrolls to it.
+ *
+ * @param {number} step - 1 for the next hit, -1 for the previous one
+ * @returns {{current: number, total: number}} Position of the new current hit
+ */
+const stepMatch = (step) => {
+  const total = searchHits.length;
+  if (total && scrollBar) {
+    currentHit = currentHit < 0 && step < 0 ? total - 1 : (currentHit + step + total) % total;
+    scrollToHit(currentHit);
   }
+  return matchStatus();
 };
 
 /**
- * Draws text with highlighted search terms.
- * Highlights all occurrences of the search term with a yellow background.
+ * Colours a row's hits of one kind of highlight, clipped to the row.
  *
- * @param {string} text - The text to draw
+ * @param {LineRow} row - Row being drawn
+ * @param {MatchRange[]} hits - Hits as offsets into rawContent
+ * @param {function(MatchRange): string} colorOf - Colour of a hit
+ * @returns {Array<{from: number, to: number, color: string}>} Coloured ranges as offsets into
+ *   the row text
+ */
+const colorRanges = (row, hits, colorOf) =>
+  hitsInRange(hits, row.start, row.end).map((hit) => ({
+    from: Math.max(hit.start - row.start, 0),
+    to: Math.min(hit.end - row.start, row.text.length),
+    color: colorOf(hit),
+  }));
+
+/**
+ * Draws a row of text with the parts covered by search hits and highlight terms highlighted.
+ * A hit that continues on the next row is highlighted up to the end of this row, and the rest
+ * on the next one. The hits of a query search are coloured by the query term they belong to, and
+ * the current hit gets a colour of its own. Where hits overlap, such as a search hit inside a
+ * highlighted name or two highlight terms sharing a word, the overlap is split into horizontal
+ * bands, one per colour, with the search hit on top.
+ *
+ * @param {LineRow} row - Row to draw
  * @param {number} x - X coordinate to start drawing
  * @param {number} y - Y coordinate to draw
  * @param {number} maxWidth - Maximum width for the text
- * @param {string} searchTerm - Term to highlight (case-insensitive)
+ * @param {MatchRange[]} hits - Hits of the current search as offsets into rawContent
  */
-const drawTextWithHighlight = (text, x, y, maxWidth, searchTerm) => {
-  if (!searchTerm) {
+const drawTextWithHighlight = (row, x, y, maxWidth, hits) => {
+  const { text } = row;
+  const ranges = [
+    ...colorRanges(row, hits, (hit) =>
+      hit === searchHits[currentHit]
+        ? CURRENT_HIT_COLOR
+        : TERM_HIT_COLORS[(hit.term ?? 0) % TERM_HIT_COLORS.length]
+    ),
+    ...highlights.flatMap(({ hits: termHits, color }) => colorRanges(row, termHits, () => color)),
+    // Annotations may overlap each other, so they are not searched like hits
+    ...annotationRanges
+      .filter(({ start, end }) => start < row.end && end > row.start)
+      .map(({ start, end, color }) => ({
+        from: Math.max(start - row.start, 0),
+        to: Math.min(end - row.start, text.length),
+        color,
+      })),
+  ];
+
+  // Cut the row where any range starts or ends and fill each piece with the colours covering it
+  const runs = fontRuns(row);
+  const cuts = [...new Set(ranges.flatMap(({ from, to }) => [from, to]))].sort((a, b) => a - b);
+  const xAt = new Map(cuts.map((cut) => [cut, x + textWidth(row, runs, cut)]));
+  const bandHeight = size * 1.1;
+  for (let i = 0; i + 1 < cuts.length; i++) {
+    const colors = ranges
+      .filter(({ from, to }) => from <= cuts[i] && to >= cuts[i + 1])
+      .map(({ color }) => color);
+    colors.forEach((color, band) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(
+        xAt.get(cuts[i]),
+        y - 2 + (bandHeight * band) / colors.length,
+        xAt.get(cuts[i + 1]) - xAt.get(cuts[i]),
+        bandHeight / colors.length
+      );
+    });
+  }
+
+  // Lay the selection over the highlights, then draw the text on top
+  const selected = selectionRange();
+  if (selected && selected.start < row.end && selected.end > row.start) {
+    const from = x + textWidth(row, runs, Math.max(selected.start - row.start, 0));
+    const to = x + textWidth(row, runs, selected.end - row.start);
+    ctx.fillStyle = SELECTION_COLOR;
+    ctx.fillRect(from, y - 2, to - from, bandHeight);
+  }
+  ctx.fillStyle = fillStyle;
+  if (runs.length === 1 && !runs[0].font) {
     ctx.fillText(text, x, y, maxWidth);
     return;
   }
+  for (const run of runs) {
+    const runX = x + textWidth(row, runs, run.from);
+    const draw = () => ctx.fillText(text.substring(run.from, run.to), runX, y, maxWidth - runX + x);
+    if (run.font) {
+      withFont(run.font, draw);
+    } else {
+      draw();
+    }
+  }
+};
 
-  const lowerText = text.toLowerCase();
-  const lowerSearch = searchTerm.toLowerCase();
-  let currentX = x;
-  let lastIndex = 0;
+/**
+ * Splits a row into runs of text drawn in one font: the row's font, or for emphasised text and
+ * footnote references that font in italics, bold or smaller.
+ *
+ * @param {LineRow} row - Row to split
+ * @returns {Array<{from: number, to: number, font?: string}>} Runs as offsets into the row text,
+ *   with the font of emphasised runs; a row without emphasis is a single run without a font
+ */
+const fontRuns = (row) => {
+  const { text } = row;
+  const runs = [];
+  let at = 0;
+  for (const style of row.separator ? [] : hitsInRange(styles, row.start, row.end)) {
+    const from = Math.max(style.start - row.start, 0);
+    const to = Math.min(style.end - row.start, text.length);
+    if (from > at) runs.push({ from: at, to: from });
+    runs.push({ from, to, font: styledFont(rowFont(row), style) });
+    at = to;
+  }
+  if (at < text.length || !runs.length) runs.push({ from: at, to: text.length });
+  return runs;
+};
 
-  // Find all occurrences of the search term
-  let matchIndex = lowerText.indexOf(lowerSearch);
+/**
+ * Measures the width of the start of a row, each run in its own font.
+ *
+ * @param {LineRow} row - Row being measured, with its row font set on the context
+ * @param {Array<{from: number, to: number, font?: string}>} runs - Runs of the row from fontRuns
+ * @param {number} chars - Number of characters to measure
+ * @returns {number} Width of the first chars characters in pixels
+ */
+const textWidth = (row, runs, chars) => {
+  let total = 0;
+  for (const { from, to, font } of runs) {
+    if (from >= chars) break;
+    const measure = () => ctx.measureText(row.text.substring(from, Math.min(to, chars))).width;
+    total += font ? withFont(font, measure) : measure();
+  }
+  return total;
+};
 
-  while (matchIndex !== -1) {
-    // Draw text before the match
-    if (matchIndex > lastIndex) {
-      const beforeText = text.substring(lastIndex, matchIndex);
-      ctx.fillText(beforeText, currentX, y);
-      currentX += ctx.measureText(beforeText).width;
-    }
+/**
+ * Returns the selected range of the text in text order.
+ *
+ * @returns {MatchRange|null} Selected range, or null if nothing is selected
+ */
+const selectionRange = () => {
+  if (!selection || selection.anchor === selection.focus) return null;
+  return {
+    start: Math.min(selection.anchor, selection.focus),
+    end: Math.max(selection.anchor, selection.focus),
+  };
+};
 
-    // Draw highlighted match
-    const matchText = text.substring(matchIndex, matchIndex + lowerSearch.length);
-    const matchWidth = ctx.measureText(matchText).width;
+/**
+ * Finds the character of the text under a point of the canvas: the row from the y coordinate and
+ * the nearest gap between characters of that row from the x coordinate, measured with the
+ * current font.
+ *
+ * @param {{x: number, y: number}} point - Point in CSS pixels
+ * @returns {number|null} Offset into rawContent, or null if there is no text row at the point
+ */
+const offsetAtPoint = ({ x, y }) => {
+  const rowHeight = size * lineHeight;
+  const row = getRows(Math.floor((y - scrollBar.getScrollOffset()) / rowHeight), 1)[0];
+  if (!row || row.separator) return null;
+  const { text } = row;
+  const runs = fontRuns(row);
+  const widthOf = (chars) => withRowFont(row, () => textWidth(row, runs, chars));
+  // Binary search for the most characters that end left of x, then round to the nearer gap
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (widthOf(mid) <= x) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  if (low < text.length && widthOf(low + 1) - x < x - widthOf(low)) low++;
+  return row.start + low;
+};
 
-    // Draw yellow highlight background FIRST (behind the text)
-    ctx.fillStyle = '#ffeb3b'; // Yellow highlighter color
-    ctx.fillRect(currentX, y - 2, matchWidth, size * 1.1);
+/**
+ * Finds the range a click selects: a point for a single click, the word for a double click and
+ * the source line for a triple click.
+ *
+ * @param {number} offset - Offset of the clicked character in rawContent
+ * @param {number} clicks - Number of clicks in a row, the `detail` of the mouse event
+ * @returns {MatchRange} Range selected by the click
+ */
+const clickRange = (offset, clicks) => {
+  if (clicks >= 3) return lineRangeAt(rawContent, offset);
+  if (clicks === 2) return wordRangeAt(rawContent, offset);
+  return { start: offset, end: offset };
+};
 
-    // Set fill style back to text color (use global fillStyle variable)
-    ctx.fillStyle = fillStyle;
+/**
+ * Extends the selection being made from the range first clicked to the one at an offset, so a
+ * drag after a double or triple click selects whole words or lines in either direction.
+ *
+ * @param {number} offset - Offset in rawContent the mouse is over
+ * @returns {void}
+ */
+const extendSelection = (offset) => {
+  const { origin, clicks } = selecting;
+  const range = clickRange(offset, clicks);
+  selection =
+    range.start < origin.start
+      ? { anchor: origin.end, focus: range.start }
+      : { anchor: origin.start, focus: Math.max(range.end, origin.end) };
+};
 
-    // Draw the matched text on top of the highlight
-    ctx.fillText(matchText, currentX, y);
-    currentX += matchWidth;
+/**
+ * Posts SELECTION_CHANGED with an anchor of the selected text, or null if nothing is selected.
+ *
+ * @returns {void}
+ */
+const emitSelection = () => {
+  const range = selectionRange();
+  emit(WORKER_EVENTS.SELECTION_CHANGED, {
+    anchor: range ? createAnchor(rawContent, range.start, range.end) : null,
+  });
+};
 
-    lastIndex = matchIndex + lowerSearch.length;
-    matchIndex = lowerText.indexOf(lowerSearch, lastIndex);
+/**
+ * Sets the annotations drawn beneath the text and finds their ranges in the book. Before the
+ * book has loaded they are kept and found once it is.
+ *
+ * @param {Annotation[]} list - Annotations to draw
+ * @returns {Array<{id: string, found: boolean}>} Whether each annotation's text was found
+ * @throws {Error} If the list is not a list of annotations with anchors
+ */
+const setAnnotations = (list) => {
+  if (!Array.isArray(list) || list.some((annotation) => !annotation?.anchor?.quote)) {
+    throw new Error('Annotations must be a list of annotations with anchors');
   }
+  annotations = list;
+  annotationRanges = [];
+  return annotations.map(({ id, color, anchor }) => {
+    const range =
+      rawContent === undefined ? null : resolveAnchor(rawContent, anchor, index.lineStart);
+    if (range) annotationRanges.push({ id, color, ...range });
+    return { id, found: Boolean(range) };
+  });
+};
 
-  // Draw remaining text after the last match
-  if (lastIndex < text.length) {
-    const remainingText = text.substring(lastIndex);
-    ctx.fillText(remainingText, currentX, y);
-  }
+/**
+ * Draws the separator row above a hunk of search results: its line range label in grey,
+ * followed by a rule across the rest of the text area.
+ *
+ * @param {LineRow} row - Separator row
+ * @param {number} y - Y coordinate to draw
+ * @param {number} maxWidth - Width of the text area
+ */
+const drawSeparator = (row, y, maxWidth) => {
+  ctx.save();
+  ctx.fillStyle = '#888';
+  ctx.fillText(row.text, 0, y, maxWidth);
+  const ruleX = ctx.measureText(row.text).width + size / 2;
+  if (ruleX < maxWidth) ctx.fillRect(ruleX, y + size / 2, maxWidth - ruleX, 1);
+  ctx.restore();
 };
 
 /**
  * Renders the visible portion of text to the canvas with line numbers on the right.
  * Uses virtual scrolling to only render lines that are currently visible on screen.
  * Calculates which lines to render based on scroll offset, then draws scrollbar.
- * Line numbers are displayed right-aligned on the right side of the canvas.
- * Search terms are highlighted with a yellow background.
+ * Paragraphs of the full text are wrapped as they come near the view; when that corrects the
+ * estimated row count, the scrollbar is resized to the refined text height.
+ * Line numbers are displayed right-aligned on the right side of the canvas, once per source line:
+ * continuation rows of a wrapped line are left unnumbered unless they are the first row shown
+ * for that line (e.g. in filtered search results).
+ * Search hits are highlighted with a yellow background and highlight terms and annotations
+ * with their own colours, including the part of a hit on each row it spans; selected text is
+ * shaded. Chapter headings are drawn in the heading font and separator rows of search results
+ * as a labelled rule.
+ * Posts POSITION_CHANGED when the source line at the top of the canvas changes, and
+ * VISIBLE_TEXT when the rows on it do.
  *
  * @returns {void}
  */
 const updateCanvas = () => {
-  if (!ctx) return;
+  // Until the book has loaded the canvas shows the load status instead
+  if (!ctx || rawContent === undefined) return;
   ctx.clearRect(0, 0, width, height);
   let lineObj;
   let idx;
@@ -164,23 +726,36 @@ const updateCanvas = () => {
   const offset = scrollBar.getScrollOffset();
   const firstIdx = Math.floor(-offset / size / lineHeight);
   const lastIdx = Math.ceil(height / (lineHeight * size)) + firstIdx;
+  // One row before the first is fetched to tell whether the first row continues a source line
+  const rowsFrom = Math.max(firstIdx - 1, 0);
+  const rows = getRows(rowsFrom, lastIdx - rowsFrom + 1 + WRAP_BUFFER_ROWS);
 
   // Calculate the X position for line numbers (left of scrollbar)
   const lineNumberX = width - LINE_NUMBER_MARGIN - 5;
   const textMaxWidth = width - LINE_NUMBER_WIDTH - LINE_NUMBER_MARGIN - 5;
+  const visibleRows = [];
 
   for (idx = firstIdx; idx <= lastIdx; idx++) {
-    lineObj = lines[idx];
+    lineObj = rows[idx - rowsFrom];
     if (lineObj === undefined) break;
     yPos = idx * lineHeight * size + offset;
 
     if (yPos >= -(lineHeight * size) && yPos < height) {
+      visibleRows.push(lineObj);
       // Draw the main text on the left with search highlighting
-      const lineText = typeof lineObj === 'string' ? lineObj : lineObj.text;
-      drawTextWithHighlight(lineText, 0, yPos, textMaxWidth, searchText);
+      if (lineObj.separator) {
+        drawSeparator(lineObj, yPos, textMaxWidth);
+      } else {
+        withRowFont(lineObj, () =>
+          drawTextWithHighlight(lineObj, 0, yPos, textMaxWidth, searchHits)
+        );
+      }
 
-      // Draw the line number on the right (if line has number property)
-      if (lineObj.lineNum !== undefined) {
+      // Draw the source line number on the right, only on the first row of each source line
+      if (
+        lineObj.lineNum !== undefined &&
+        (!lineObj.wrapIndex || rows[idx - rowsFrom - 1]?.lineNum !== lineObj.lineNum)
+      ) {
         ctx.save();
         ctx.textAlign = 'right';
         ctx.fillStyle = '#888'; // Slightly gray color for line numbers
@@ -194,7 +769,116 @@ const updateCanvas = () => {
     }
   }
 
+  const textHeight = size * lineHeight * rowCount();
+  if (textHeight !== scrollBar.getTextHeight()) scrollBar.setTextHeight(textHeight);
   scrollBar.draw();
+
+  const topLineNum = rows[Math.max(firstIdx, 0) - rowsFrom]?.lineNum;
+  if (topLineNum !== undefined && topLineNum !== reportedLineNum) {
+    reportedLineNum = topLineNum;
+    emit(WORKER_EVENTS.POSITION_CHANGED, { lineNum: topLineNum });
+  }
+  emitVisibleText(visibleRows);
+};
+
+/**
+ * Posts VISIBLE_TEXT with the source lines of the rows on the canvas, for the DOM mirror that
+ * screen readers read, when they differ from the rows last posted.
+ *
+ * @param {LineRow[]} rows - Rows drawn on the canvas
+ * @returns {void}
+ */
+const emitVisibleText = (rows) => {
+  const key = rows.map((row) => (row.separator ? row.text : `${row.start}-${row.end}`)).join();
+  if (key === reportedRowsKey) return;
+  reportedRowsKey = key;
+  emit(WORKER_EVENTS.VISIBLE_TEXT, { lines: visibleLines(rows, rawContent, headingLines) });
+};
+
+/**
+ * Derives the font of chapter headings from the text font: bold, and larger by HEADING_SCALE
+ * but no taller than a row, since every row has the same height.
+ *
+ * @param {string} font - CSS font string of the text, e.g. 'normal normal normal 15px Georgia'
+ * @returns {string} CSS font string of headings
+ */
+const toHeadingFont = (font) =>
+  (font ?? '').replace(
+    /(?:\b(?:normal|bold|bolder|lighter|\d00) )?\d+(?:\.\d+)?px/,
+    `bold ${Math.min(size * HEADING_SCALE, size * lineHeight)}px`
+  );
+
+/**
+ * Derives the font of emphasised text from the font it is in: italic for emphasis, bold for
+ * strong text, and smaller by NOTE_SCALE for footnote references. Fonts are derived once and
+ * kept in styledFonts.
+ *
+ * @param {string} font - CSS font string, e.g. 'normal normal normal 15px Georgia'
+ * @param {TextStyle} style - Emphasis of the text
+ * @returns {string} CSS font string of the emphasised text
+ */
+const styledFont = (font, { italic, bold, note }) => {
+  const isNote = note !== undefined;
+  const key = `${italic ? 'i' : ''}${bold ? 'b' : ''}${isNote ? 'n' : ''} ${font}`;
+  if (!styledFonts.has(key)) {
+    let styled = font ?? '';
+    if (isNote) {
+      styled = styled.replace(/(\d+(?:\.\d+)?)px/, (_, px) => `${Number(px) * NOTE_SCALE}px`);
+    }
+    if (bold) {
+      styled = styled.replace(
+        /(?:\b(?:normal|bold|bolder|lighter|\d00) )?(\d+(?:\.\d+)?px)/,
+        'bold $1'
+      );
+    }
+    if (italic) {
+      styled = /^(?:normal|italic|oblique)\b/.test(styled)
+        ? styled.replace(/^\w+/, 'italic')
+        : `italic ${styled}`;
+    }
+    styledFonts.set(key, styled);
+  }
+  return styledFonts.get(key);
+};
+
+/**
+ * Returns the font a row is drawn in: the heading font for the rows of chapter headings, the text
+ * font for the rest.
+ *
+ * @param {LineRow} row - Row to draw or measure
+ * @returns {string} CSS font string
+ */
+const rowFont = (row) =>
+  !row.separator && headingLines.has(row.lineNum) ? headingFont : fontProps.font;
+
+/**
+ * Runs a function with a font set on the context, restoring the context's font afterwards.
+ *
+ * @param {string} font - CSS font string
+ * @param {Function} fn - Function to run
+ * @returns {*} What the function returns
+ */
+const withFont = (font, fn) => {
+  ctx.save();
+  ctx.font = font;
+  try {
+    return fn();
+  } finally {
+    ctx.restore();
+  }
+};
+
+/**
+ * Runs a function that draws or measures a row with the row's font (see rowFont) set on the
+ * context.
+ *
+ * @param {LineRow} row - Row to draw or measure
+ * @param {Function} fn - Function to run
+ * @returns {*} What the function returns
+ */
+const withRowFont = (row, fn) => {
+  if (row.separator || !headingLines.has(row.lineNum)) return fn();
+  return withFont(headingFont, fn);
 };
 
 /**
@@ -211,10 +895,13 @@ const updateCanvas = () => {
  * @param {number} changed.size - Font size in pixels
  */
 const updateFontProps = (changed) => {
+  fontProps = changed;
   const { font, baseline, align, strokeStyle } = changed;
   lineHeight = changed.lineHeight;
   size = changed.size;
   fillStyle = changed.fillStyle;
+  headingFont = toHeadingFont(font);
+  styledFonts.clear();
   if (!ctx) return;
   ctx.font = font;
   ctx.textBaseline = baseline;
@@ -223,6 +910,90 @@ const updateFontProps = (changed) => {
   ctx.strokeStyle = strokeStyle;
 };
 
+/**
+ * Returns the character offset of the row shown at the top of the canvas.
+ * Used as an anchor to keep the reader on the same source line across re-layouts.
+ *
+ * @returns {number|null} Offset into rawContent, or null if no rows are laid out
+ */
+const getTopOffset = () => {
+  if (!scrollBar || !index) return null;
+  const idx = Math.floor(-scrollBar.getScrollOffset() / (size * lineHeight));
+  if (showsFullText()) return index.rowsAt(idx, 1)[0]?.start ?? null;
+  if (!lines.length) return null;
+  return lines[Math.min(Math.max(idx, 0), lines.length - 1)]?.start ?? null;
+};
+
+/**
+ * Scrolls so that the row containing the given character offset is at the top of the canvas.
+ *
+ * @param {number|null} offset - Offset into rawContent, as returned by getTopOffset
+ * @returns {void}
+ */
+const scrollToOffset = (offset) => {
+  if (offset === null || !scrollBar) return;
+  const row = showsFullText() ? index.rowOfOffset(offset) : findRowByOffset(lines, offset);
+  scrollBar.setTextHeight(size * lineHeight * rowCount());
+  scrollBar.scrollToPosition(row * size * lineHeight);
+};
+
+/**
+ * Resizes the canvas and its backing store, then re-wraps the text to the new width.
+ * Resizing the backing store resets the context state, so the device ratio transform and
+ * font properties are applied again. The row at the top of the canvas stays anchored.
+ *
+ * @param {Object} dims - New canvas dimensions
+ * @param {number} dims.width - Canvas width in CSS pixels
+ * @param {number} dims.height - Canvas height in CSS pixels
+ * @param {number} [dims.ratio] - Device pixel ratio (defaults to the current ratio)
+ * @returns {void}
+ */
+const resizeCanvas = (dims) => {
+  if (!ctx) return;
+  const anchor = getTopOffset();
+  width = dims.width;
+  height = dims.height;
+  ratio = dims.ratio ?? ratio;
+  ctx.canvas.width = width * ratio;
+  ctx.canvas.height = height * ratio;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  updateFontProps(fontProps);
+  scrollBar.resizeCanvas(width, height);
+  if (rawContent === undefined) {
+    if (loadError) drawLoadError(loadError);
+    return;
+  }
+  rebuildContent();
+  updateSearch(matcher);
+  scrollToOffset(anchor);
+};
+
+/**
+ * Applies an UPDATE of the font properties and re-lays out the text when needed.
+ * A change of font (size, family, weight or style) changes the measured word widths, so the
+ * text is re-wrapped and the searcher rebuilt; a change of size or line height changes the row
+ * height. In both cases the active search is re-applied, the scrollbar text height recomputed
+ * and the row at the top of the canvas kept in place. Other changes only trigger a redraw.
+ *
+ * @param {Object} changed - Font property configuration object (see updateFontProps)
+ * @returns {void}
+ */
+const applyFontUpdate = (changed) => {
+  const anchor = getTopOffset();
+  const rewrap = changed.font !== fontProps.font;
+  const resized = rewrap || changed.size !== size || changed.lineHeight !== lineHeight;
+  updateFontProps(changed);
+  if (rawContent === undefined || !resized) {
+    updateCanvas();
+    return;
+  }
+  if (rewrap) {
+    rebuildContent();
+  }
+  updateSearch(matcher);
+  scrollToOffset(anchor);
+};
+
 /**
  * Displays a centered message on the canvas.
  * Used for loading indicators and status messages.
@@ -244,105 +1015,447 @@ const textCenter = (message) => {
 };
 
 /**
- * Processes raw content and rebuilds the searchable data structures.
- * Depending on SEARCH_PARAGRAPHS setting, either:
- * - Splits into paragraphs and creates paragraph searcher, OR
- * - Wraps text to lines with line numbers and creates line searcher
- * Creates a memoized search function for performance.
+ * Returns the bounds of the Retry button drawn on the load error screen.
+ *
+ * @returns {{x: number, y: number, width: number, height: number}} Button rectangle
+ */
+const retryButtonRect = () => ({ x: width / 2 - 40, y: height / 2 + 20, width: 80, height: 28 });
+
+/**
+ * Checks whether a point lies within a rectangle.
+ *
+ * @param {{x: number, y: number}} point - Point to test
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle bounds
+ * @returns {boolean} True if the point is inside the rectangle
+ */
+const pointInRect = (point, rect) =>
+  point.x >= rect.x &&
+  point.x <= rect.x + rect.width &&
+  point.y >= rect.y &&
+  point.y <= rect.y + rect.height;
+
+/**
+ * Draws the load error screen: the error message with the HTTP status if there was one,
+ * and a Retry button that reloads the book when clicked.
  *
+ * @param {Error} err - Load error, with `status` set for HTTP errors
  * @returns {void}
  */
-const rebuildContent = () => {
-  if (SEARCH_PARAGRAPHS) {
-    paragraphs = splitLines(rawContent);
-    searcher = memo(quickStringSearch(paragraphs));
+const drawLoadError = (err) => {
+  if (!ctx) return;
+  textCenter(`Could not load book: ${err.message}`);
+  const rect = retryButtonRect();
+  ctx.save();
+  ctx.font = '15px Helvetica';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.strokeStyle = 'black';
+  ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.fillStyle = 'black';
+  ctx.fillText('Retry', rect.x + rect.width / 2, rect.y + rect.height / 2);
+  ctx.restore();
+};
+
+/**
+ * Fetches the book text from the current route and lays it out, reporting each stage of the
+ * load to the main thread: LOADING, PROGRESS while the body streams in, PARSING, then READY
+ * once the paragraphs are indexed and the first screen is shown. The Project Gutenberg header
+ * and footer are split off unless showFrontMatter is set.
+ * Failures are reported as ERROR with the HTTP status and drawn as an error screen with a
+ * Retry button.
+ *
+ * @returns {Promise<void>} Resolves when the load has finished or failed
+ */
+const loadContent = () => {
+  loadError = null;
+  emit(WORKER_EVENTS.LOADING, { route });
+  textCenter(`Loading ${route}`);
+  return fetchText(route, (progress) => {
+    emit(WORKER_EVENTS.PROGRESS, progress);
+    textCenter(`Loading ${route} (${Math.round(progress.bytesReceived / 1024)} KB)`);
+  })
+    .then((content) => {
+      emit(WORKER_EVENTS.PARSING, { length: content.length });
+      textCenter(`Content Loaded (${content.length}), parsing...`);
+      book = readBook(content);
+      showBook();
+    })
+    .catch((err) => {
+      loadError = err;
+      emit(WORKER_EVENTS.ERROR, { message: err.message, status: err.status });
+      drawLoadError(err);
+    });
+};
+
+/**
+ * Reads fetched content as a book in the format set with INIT. Plain text is split into the book
+ * and its Project Gutenberg boilerplate; the block model is first laid out as plain text, keeping
+ * its emphasis, table of contents and headings, and its metadata is taken over that of any
+ * Project Gutenberg header.
+ *
+ * @param {string} content - Content as fetched
+ * @returns {Object} The book, as kept in book
+ */
+const readBook = (content) => {
+  if (format !== BOOK_FORMATS.BLOCKS) return { ...normalizeBook(content), content };
+  const blockBook = JSON.parse(content);
+  const layout = layoutBlocks(blockBook);
+  const normalized = normalizeBook(layout.text);
+  return {
+    ...normalized,
+    content: layout.text,
+    metadata: { ...normalized.metadata, ...blockBook.metadata },
+    styles: layout.styles,
+    sections: layout.sections,
+    headings: layout.headings,
+  };
+};
+
+/**
+ * Lays out the fetched book, with or without its Project Gutenberg header and footer as
+ * showFrontMatter says and with its hard-wrapped lines joined if reflowLines is set, and shows it
+ * from the top. Highlights, annotations and the search are found again in the new text, and
+ * READY is posted with the book's metadata and its table of contents: the chapters found in a
+ * plain text book, or the table of contents of a book in the block model. Cached hits, the
+ * full-text index and any search still scanning are dropped, since their offsets are into the
+ * text shown before.
+ *
+ * @returns {void}
+ */
+const showBook = () => {
+  const content = showFrontMatter ? book.content : book.text;
+  rawContent = content;
+  searchRun++;
+  hitCache.clear();
+  fullTextIndex = null;
+  // Laid out at once, as scrolls and searches sent before the next frame read the new index
+  index = createParagraphIndex(content, { reflow: reflowLines });
+  rebuildContent();
+  if (book.sections) {
+    // Offsets of the block model are into the whole book, which may start with front matter
+    const shift = showFrontMatter ? 0 : book.bodyStart;
+    const shown = (start) => start >= shift && start - shift < content.length;
+    chapters = book.sections
+      .filter(({ start }) => shown(start))
+      .map(({ title, level, start }) => ({
+        title,
+        level,
+        start: start - shift,
+        lineNum: index.lineAt(start - shift),
+      }));
+    headingLines = new Set(book.headings.filter(shown).map((start) => index.lineAt(start - shift)));
+    styles = book.styles
+      .filter(({ start, end }) => end > shift && start - shift < content.length)
+      .map((style) => ({
+        ...style,
+        start: Math.max(style.start - shift, 0),
+        end: Math.min(style.end - shift, content.length),
+      }));
   } else {
-    // Use reduceLinesWithNumbers to get line objects with numbers
-    linesRaw = reduceLinesWithNumbers(measureFn, width - LINE_NUMBER_WIDTH - LINE_NUMBER_MARGIN - 5, rawContent);
-    searcher = memo(quickStringSearchWithNumbers(linesRaw));
+    chapters = findChapters(content);
+    headingLines = new Set(chapters.map(({ lineNum }) => lineNum));
+    styles = [];
   }
+  requestAnimationFrame(() => {
+    selection = null;
+    setHighlights(highlightTerms);
+    setAnnotations(annotations);
+    updateSearch(matcher);
+    scrollBar.setScrollOffset(0);
+    emit(WORKER_EVENTS.READY, {
+      length: rawContent.length,
+      lines: index.lineCount,
+      metadata: book.metadata,
+      frontMatter: Boolean(book.frontMatter || book.backMatter),
+      sections: chapters.map(({ title, lineNum, level }) => ({ title, lineNum, level })),
+    });
+    // A search sent while the book was loading runs now
+    if (searchText) runSearch(matcher, searchMode);
+    buildFullTextIndex(content);
+  });
+};
+
+/**
+ * Builds the full-text index of a book in time-sliced steps after it is shown, posting
+ * INDEX_PROGRESS after each step. An index sent with INIT is restored instead if it was built
+ * from the same text. Searches scan the text until the index is ready.
+ *
+ * @param {string} content - Book text
+ * @returns {void}
+ */
+const buildFullTextIndex = (content) => {
+  fullTextIndex = null;
+  if (savedIndex) {
+    try {
+      fullTextIndex = restoreInvertedIndex(content, savedIndex);
+      emit(WORKER_EVENTS.INDEX_PROGRESS, { indexed: content.length, length: content.length });
+      return;
+    } catch {
+      // Stale or damaged data: build the index from the text instead
+    } finally {
+      savedIndex = null;
+    }
+  }
+  const builder = createInvertedIndexBuilder(content);
+  const slice = () => {
+    // Stop if another text was loaded in the meantime
+    if (rawContent !== content) return;
+    const deadline = performance.now() + INDEX_SLICE_MS;
+    const done = builder.buildUntil(() => performance.now() > deadline);
+    emit(WORKER_EVENTS.INDEX_PROGRESS, builder.progress());
+    if (done) {
+      fullTextIndex = builder.finish();
+    } else {
+      setTimeout(slice, 0);
+    }
+  };
+  setTimeout(slice, 0);
+};
+
+/**
+ * Creates a memoized searcher over the paragraph index with the current context setting.
+ *
+ * @returns {void}
+ */
+const createSearcher = () => {
+  searcher = memoByKey(quickIndexSearch(index, { contextLines }));
 };
 
 /**
- * Web Worker message handler.
- * Processes messages from the main thread to control canvas rendering, scrolling,
- * search, and user interactions. Supported message types:
- * - INIT: Initialize worker with canvas and configuration
+ * Rebuilds the layout and searchable data structures after the text, width or font changed.
+ * Sets the wrap width and font of the paragraph index and creates a memoized searcher over it.
+ *
+ * Nothing is wrapped here: the index wraps paragraphs as they are drawn or searched, and
+ * keeps the rows it wrapped for earlier widths and fonts.
+ *
+ * @returns {void}
+ */
+const rebuildContent = () => {
+  const textWidth = width - LINE_NUMBER_WIDTH - LINE_NUMBER_MARGIN - 5;
+  index.setLayout(measureFn, textWidth, `${textWidth}|${fontProps.font}`);
+  createSearcher();
+};
+
+/**
+ * Joins the hard-wrapped lines of the book into paragraphs, or splits them again, and wraps the
+ * text anew. The row at the top of the canvas stays anchored and the active search is shown in
+ * the new rows; hits, highlights and annotations are offsets into the text, which is unchanged.
+ *
+ * @param {boolean} on - Whether to reflow paragraphs
+ * @returns {void}
+ */
+const setReflow = (on) => {
+  if (on === reflowLines) return;
+  reflowLines = on;
+  if (rawContent === undefined) return;
+  const anchor = getTopOffset();
+  index = createParagraphIndex(rawContent, { reflow: reflowLines });
+  rebuildContent();
+  updateSearch(matcher);
+  scrollToOffset(anchor);
+};
+
+/**
+ * Handlers for messages from the main thread, keyed by message type.
+ * Messages are validated against the protocol schemas before they reach a handler, and
+ * the value a handler returns is sent back as the reply to requests that carry an id:
+ * - INIT: Initialize worker with canvas and configuration, then fetch and lay out the book in
+ *   the format it names
  * - KILL: Terminate worker (cleanup)
  * - SCROLL: Apply scroll delta
- * - UPDATE: Update font properties and re-render
- * - SEARCH: Update search query and filter content
- * - MOUSE_DOWN/MOUSE_UP/MOUSE_MOVE: Forward mouse events to scrollbar
- *
- * @param {MessageEvent} evt - Message event from main thread
- * @param {Object} evt.data - Message data object
- * @param {string} evt.data.type - Message type (from MESSAGES constant)
- */
-self.onmessage = (evt) => {
-  switch (evt.data.type) {
-    case MESSAGES.INIT: {
-      const { route, canvas } = evt.data;
-      width = evt.data.width;
-      height = evt.data.height;
-      ctx = canvas.getContext('2d');
-      measureFn = measureWordSet(ctx);
-      scrollBar = setupScrollBar({
-        ctx,
-        canvasWidth: width,
-        canvasHeight: height,
-        updateCanvas,
-      });
-      updateFontProps(evt.data);
-      ratio = evt.data.ratio;
-      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
-      textCenter(`Loading ${route}`);
-      fetch(route)
-        .then((res) => res.text())
-        .then((content) => {
-          console.log(content);
-          textCenter(`Content Loaded (${content.length}), parsing...`);
-          rawContent = content;
-          requestAnimationFrame(() => {
-            rebuildContent();
-            updateSearch('');
-            scrollBar.setScrollOffset(0);
-          });
-        })
-        .catch((err) => {
-          console.log(err);
-        });
-      break;
+ * - SHOW_FRONT_MATTER: Show or hide the Project Gutenberg header and footer, laying the book
+ *   out again from the top
+ * - SET_REFLOW: Join hard-wrapped lines into paragraphs or keep the source line breaks,
+ *   keeping the reading position
+ * - SCROLL_BY: Scroll by rows, by pages (the canvas height less a row) or to the start or end
+ * - UPDATE: Update font properties, re-wrapping the text if the layout changed, and re-render
+ * - SEARCH: Update search query, options, mode and context lines and search in time-sliced
+ *   chunks, cancelling any search still running and showing hits as they are found; replies
+ *   with the number of matches, the hit positions and the hits per chapter, which are also
+ *   posted as SEARCH_RESULTS (an invalid regular expression is reported as an error)
+ * - NEXT_MATCH/PREV_MATCH: Scroll to the next or previous hit, replying with its position
+ * - GOTO_MATCH: Scroll to a hit by its position among all hits, e.g. one clicked in a results
+ *   list
+ * - EXPORT_INDEX: Reply with the full-text search index as plain data for caching, or null
+ *   while it is being built
+ * - HIGHLIGHT_TERMS: Set terms that stay highlighted in their own colours whatever is searched,
+ *   replying with the number of hits of each
+ * - SET_ANNOTATIONS: Set the highlights and notes drawn beneath the text, replying with whether
+ *   each one's text was found
+ * - GOTO_SECTION: Scroll a chapter or section heading, by its position in the table of
+ *   contents sent with READY, to the top of the canvas
+ * - GOTO_ANNOTATION: Scroll to an annotation by its id
+ * - GET_SELECTION: Reply with the selected source text, or an empty string, e.g. to copy it
+ * - MOUSE_DOWN/MOUSE_UP/MOUSE_MOVE: Forward mouse events to scrollbar, and select text by
+ *   dragging across it (by words after a double click, by lines after a triple click), posting
+ *   SELECTION_CHANGED when the mouse is released
+ * - RESIZE: Resize the canvas and re-wrap the text, keeping the reading position
+ * - RETRY: Fetch the book again after a failed load (also triggered by the Retry button)
+ *
+ * @type {Object.<string, Function>}
+ */
+const handlers = {
+  [MESSAGES.INIT]: (data) => {
+    route = data.route;
+    format = data.format ?? BOOK_FORMATS.TEXT;
+    width = data.width;
+    height = data.height;
+    ctx = data.canvas.getContext('2d');
+    measureFn = measureWordSet(ctx);
+    scrollBar = setupScrollBar({
+      ctx,
+      canvasWidth: width,
+      canvasHeight: height,
+      updateCanvas,
+    });
+    updateFontProps(data);
+    ratio = data.ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    savedIndex = data.searchIndex ?? null;
+    showFrontMatter = data.showFrontMatter ?? false;
+    reflowLines = data.reflow ?? false;
+    loadContent();
+  },
+  [MESSAGES.KILL]: () => {
+    self.close();
+  },
+  [MESSAGES.SCROLL]: ({ scrollDelta }) => {
+    scrollBar?.applyScrollDelta(scrollDelta);
+  },
+  [MESSAGES.SHOW_FRONT_MATTER]: ({ show }) => {
+    if (show === showFrontMatter) return;
+    showFrontMatter = show;
+    if (book) showBook();
+  },
+  [MESSAGES.SET_REFLOW]: ({ reflow: on }) => {
+    setReflow(on);
+  },
+  [MESSAGES.SCROLL_BY]: ({ amount, unit }) => {
+    if (!Object.values(SCROLL_UNITS).includes(unit)) {
+      throw new Error(`Unknown scroll unit "${unit}"`);
     }
-    case MESSAGES.KILL: {
-      break;
+    if (!scrollBar) return;
+    const rowHeight = size * lineHeight;
+    if (unit === SCROLL_UNITS.DOCUMENT) {
+      scrollBar.setTextHeight(rowHeight * rowCount());
+      scrollBar.scrollToPosition(amount < 0 ? 0 : Number.POSITIVE_INFINITY);
+    } else {
+      const step = unit === SCROLL_UNITS.PAGE ? Math.max(height - rowHeight, rowHeight) : rowHeight;
+      scrollBar.applyScrollDelta(amount * step);
     }
-    case MESSAGES.SCROLL: {
-      const { scrollDelta } = evt.data;
-      scrollBar.applyScrollDelta(scrollDelta);
-      break;
+  },
+  [MESSAGES.UPDATE]: (data) => {
+    applyFontUpdate(data);
+  },
+  [MESSAGES.SEARCH]: (data) => {
+    const mode = data.mode ?? searchMode;
+    if (!Object.values(SEARCH_MODES).includes(mode)) {
+      throw new Error(`Unknown search mode "${mode}"`);
     }
-    case MESSAGES.UPDATE: {
-      updateFontProps(evt.data);
-      updateCanvas();
-      break;
+    const context = data.contextLines ?? contextLines;
+    if (context !== 'paragraph' && !(Number.isInteger(context) && context >= 0)) {
+      throw new Error(`Invalid context lines "${context}"`);
+    }
+    // An invalid regular expression throws here and is reported before the search changes
+    const next = createMatcher(data.searchText, data.options);
+    if (context !== contextLines) {
+      contextLines = context;
+      if (index) createSearcher();
+    }
+    return runSearch(next, mode);
+  },
+  [MESSAGES.NEXT_MATCH]: () => {
+    const status = stepMatch(1);
+    emit(WORKER_EVENTS.MATCH_CHANGED, status);
+    return status;
+  },
+  [MESSAGES.PREV_MATCH]: () => {
+    const status = stepMatch(-1);
+    emit(WORKER_EVENTS.MATCH_CHANGED, status);
+    return status;
+  },
+  [MESSAGES.GOTO_MATCH]: ({ index: hitIndex }) => {
+    if (!Number.isInteger(hitIndex) || hitIndex < 0 || hitIndex >= searchHits.length) {
+      throw new Error(`No search hit at position ${hitIndex}`);
+    }
+    currentHit = hitIndex;
+    if (scrollBar) scrollToHit(currentHit);
+    const status = matchStatus();
+    emit(WORKER_EVENTS.MATCH_CHANGED, status);
+    return status;
+  },
+  [MESSAGES.EXPORT_INDEX]: () => fullTextIndex?.toJSON() ?? null,
+  [MESSAGES.GET_SELECTION]: () => {
+    const range = selectionRange();
+    return range ? rawContent.slice(range.start, range.end) : '';
+  },
+  [MESSAGES.HIGHLIGHT_TERMS]: ({ highlights: terms }) => {
+    const found = setHighlights(terms);
+    updateCanvas();
+    return found;
+  },
+  [MESSAGES.RESIZE]: (data) => {
+    resizeCanvas(data);
+  },
+  [MESSAGES.RETRY]: () => {
+    if (loadError) loadContent();
+  },
+  [MESSAGES.SET_ANNOTATIONS]: ({ annotations: list }) => {
+    const found = setAnnotations(list);
+    updateCanvas();
+    return found;
+  },
+  [MESSAGES.GOTO_SECTION]: ({ section }) => {
+    const chapter = chapters[section];
+    if (!Number.isInteger(section) || !chapter) {
+      throw new Error(`No section at position ${section}`);
+    }
+    if (scrollBar) scrollToOffset(chapter.start);
+  },
+  [MESSAGES.GOTO_ANNOTATION]: ({ annotationId }) => {
+    const range = annotationRanges.find(({ id }) => id === annotationId);
+    if (!range) throw new Error(`No annotation "${annotationId}" in this book`);
+    if (scrollBar) centerOffset(range.start);
+  },
+  [MESSAGES.MOUSE_DOWN]: (data) => {
+    if (loadError) {
+      if (pointInRect(data, retryButtonRect())) loadContent();
+      return;
     }
-    case MESSAGES.SEARCH: {
-      updateSearch(evt.data.searchText);
+    scrollBar?.handleMouseDown(data);
+    // A press on the text starts a selection; a click without dragging clears it
+    const textMaxWidth = width - LINE_NUMBER_WIDTH - LINE_NUMBER_MARGIN - 5;
+    if (index && scrollBar && !data.button && data.x < textMaxWidth) {
+      const offset = offsetAtPoint(data);
+      if (offset === null) {
+        selecting = null;
+        selection = null;
+      } else {
+        const origin = clickRange(offset, data.detail ?? 1);
+        selecting = { origin, clicks: data.detail ?? 1 };
+        selection = { anchor: origin.start, focus: origin.end };
+      }
       updateCanvas();
-      break;
     }
-    case MESSAGES.MOUSE_DOWN:
-      scrollBar.handleMouseDown(evt.data);
-      break;
-    case MESSAGES.MOUSE_UP:
-      scrollBar.handleMouseUp(evt.data);
-      break;
-    case MESSAGES.MOUSE_MOVE:
-      if (scrollBar) {
-        scrollBar.handleMouseMove(evt.data);
+  },
+  [MESSAGES.MOUSE_UP]: (data) => {
+    scrollBar?.handleMouseUp(data);
+    if (selecting) {
+      selecting = null;
+      emitSelection();
+    }
+  },
+  [MESSAGES.MOUSE_MOVE]: (data) => {
+    scrollBar?.handleMouseMove(data);
+    if (selecting && data.buttons) {
+      const offset = offsetAtPoint(data);
+      if (offset !== null) {
+        const { anchor, focus } = selection;
+        extendSelection(offset);
+        if (selection.anchor !== anchor || selection.focus !== focus) updateCanvas();
       }
-      break;
-    default:
-      console.log('?', evt);
-  }
+    }
+  },
 };
+
+self.onmessage = createMessageHandler(self, handlers);